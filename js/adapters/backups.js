@@ -0,0 +1,147 @@
+/**
+ * Backup Generations
+ * Shared by adapters with the versionedBackups capability: file names,
+ * envelope metadata and the retention policy
+ */
+
+import { exportData, getDeviceId } from '../db.js';
+import { sealEnvelope } from '../crypto.js';
+
+export const BACKUP_PREFIX = 'prompt-master-pro.backup';
+
+// Keep the newest backup of every hour for a day and of every day for a month
+export const DEFAULT_RETENTION = {
+    keepHourly: 24, // hours
+    keepDaily: 30 // days
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * @typedef {Object} BackupInfo
+ * @property {string} id - Backend specific ID (file ID, path, ...)
+ * @property {string} name - File name
+ * @property {number} createdAt - Timestamp
+ * @property {number|null} size - Bytes
+ * @property {number|null} promptCount - Null for backups without metadata
+ * @property {number|null} versionCount
+ * @property {string|null} deviceId - Device that created the backup
+ * @property {string|null} device - Readable device name
+ * @property {boolean|null} encrypted
+ * @property {string|null} [etag] - Version of the file on servers with ETags (WebDAV)
+ */
+
+/**
+ * File name of a new backup generation
+ * @param {number} [createdAt] - Timestamp
+ * @returns {string} - e.g. prompt-master-pro.backup.2025-01-31T12-00-00.000Z.json
+ */
+export function getBackupFileName(createdAt = Date.now()) {
+    // Colons are not allowed in file names on every backend
+    return `${BACKUP_PREFIX}.${new Date(createdAt).toISOString().replace(/:/g, '-')}.json`;
+}
+
+/**
+ * Creation time encoded in a backup file name
+ * @param {string} name - File name (see getBackupFileName)
+ * @returns {number|null} - Timestamp, null for other files
+ */
+export function parseBackupFileName(name) {
+    const prefix = `${BACKUP_PREFIX}.`;
+    if (!name.startsWith(prefix) || !name.endsWith('.json')) return null;
+
+    // Put back the colons replaced by getBackupFileName
+    const timestamp = name.slice(prefix.length, -'.json'.length).replace(/T(\d{2})-(\d{2})-/, 'T$1:$2:');
+    const createdAt = Date.parse(timestamp);
+    return Number.isNaN(createdAt) ? null : createdAt;
+}
+
+/**
+ * Readable name of this device, derived from the user agent
+ * @returns {string} - e.g. "Firefox · Windows"
+ */
+export function getDeviceName() {
+    const userAgent = navigator.userAgent || '';
+    const browsers = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+    const browser = browsers.find(([token]) => userAgent.includes(token));
+    const system = systems.find(([token]) => userAgent.includes(token));
+
+    return [browser && browser[1], system && system[1]].filter(Boolean).join(' · ') || 'Unbekanntes Gerät';
+}
+
+/**
+ * Export the database into a backup envelope
+ * @param {boolean} encrypted - Encrypt with the loaded key
+ * @returns {Promise<{envelope: Object, metadata: Object}>} - The metadata is also
+ *   in the envelope; backends store it next to the file for listing
+ */
+export async function createBackup(encrypted) {
+    const data = await exportData();
+    const metadata = {
+        promptCount: data.prompts.length,
+        versionCount: data.versions.length,
+        deviceId: getDeviceId(),
+        device: getDeviceName()
+    };
+
+    const envelope = await sealEnvelope(data, metadata, encrypted);
+    return { envelope, metadata };
+}
+
+/**
+ * Retention count from the settings
+ * Empty, zero or negative values fall back to the default: a 0 would
+ * prune every backup but the newest.
+ * @param {*} value - Setting value
+ * @param {number} fallback - Default count
+ * @returns {number}
+ */
+function retentionCount(value, fallback) {
+    const count = parseInt(value, 10);
+    return count > 0 ? count : fallback;
+}
+
+/**
+ * Pick the backups the retention policy no longer covers
+ * The newest backup is always kept, as is the newest backup of each of the
+ * last `keepHourly` hours and `keepDaily` days (UTC).
+ * @param {Array<BackupInfo>} backups
+ * @param {Object} [policy] - {keepHourly, keepDaily}, unset counts use DEFAULT_RETENTION
+ * @param {number} [now]
+ * @returns {Array<BackupInfo>} - Backups to delete
+ */
+export function selectExpiredBackups(backups, policy = DEFAULT_RETENTION, now = Date.now()) {
+    const sorted = [...backups].sort((a, b) => b.createdAt - a.createdAt);
+    const keep = new Set(sorted.slice(0, 1));
+
+    const keepNewestPer = (period, count) => {
+        const seen = new Set();
+        sorted.forEach(backup => {
+            if (now - backup.createdAt >= count * period) return;
+
+            const slot = Math.floor(backup.createdAt / period);
+            if (!seen.has(slot)) {
+                seen.add(slot);
+                keep.add(backup);
+            }
+        });
+    };
+
+    keepNewestPer(HOUR, retentionCount(policy.keepHourly, DEFAULT_RETENTION.keepHourly));
+    keepNewestPer(DAY, retentionCount(policy.keepDaily, DEFAULT_RETENTION.keepDaily));
+
+    return sorted.filter(backup => !keep.has(backup));
+}
+
+export default {
+    BACKUP_PREFIX,
+    DEFAULT_RETENTION,
+    getBackupFileName,
+    parseBackupFileName,
+    getDeviceName,
+    createBackup,
+    selectExpiredBackups
+};
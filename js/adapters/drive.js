@@ -1,29 +1,68 @@
 /**
  * Google Drive Adapter
- * Backup/Restore to Google Drive AppData folder using Google Identity Services
+ * Backup generations in the Google Drive AppData folder using Google Identity Services
  * Client-side only, no server required
  */
 
 import localAdapter from './local.js';
-import { appState, showToast } from '../state.js';
+import { appState, eventBus, showToast } from '../state.js';
+import { formatImportResult } from '../models.js';
+import { BACKUP_PREFIX, DEFAULT_RETENTION, createBackup, getBackupFileName, selectExpiredBackups } from './backups.js';
+
+// Tokens are refreshed this long before they expire
+const TOKEN_REFRESH_MARGIN = 60 * 1000;
 
 class DriveAdapter {
     constructor() {
         this.name = 'drive';
         this.displayName = 'Google Drive';
+        this.icon = '☁️';
+        this.description = 'Sichere deine Prompts automatisch in Google Drive AppData.';
         this.accessToken = null;
+        this.tokenExpiresAt = 0;
         this.tokenClient = null;
+        this.pendingToken = null;
+        this.tokenRequest = null;
+        this.account = null;
         this.ready = false;
-        this.fileId = null;
-        this.fileName = 'prompt-master-pro.backup.json';
+        this.capabilities = {
+            realtime: false,
+            versionedBackups: true,
+            authRequired: true,
+            backup: true
+        };
+        this.settingsFields = [
+            {
+                key: 'clientId',
+                label: 'Google Client ID',
+                placeholder: '123456789-abc.apps.googleusercontent.com',
+                hint: 'Erstelle eine OAuth Client ID in der Google Cloud Console'
+            },
+            { key: 'autoSync', label: 'Auto-Sync aktivieren', type: 'checkbox' },
+            { key: 'syncInterval', label: 'Sync-Intervall (Minuten)', type: 'number', placeholder: '30' },
+            {
+                key: 'keepHourly',
+                label: 'Stündliche Backups behalten (Stunden)',
+                type: 'number',
+                placeholder: String(DEFAULT_RETENTION.keepHourly)
+            },
+            {
+                key: 'keepDaily',
+                label: 'Tägliche Backups behalten (Tage)',
+                type: 'number',
+                placeholder: String(DEFAULT_RETENTION.keepDaily),
+                hint: 'Das neueste Backup bleibt immer erhalten'
+            }
+        ];
     }
 
     /**
      * Initialize Google Identity Services
-     * @param {string} clientId - Google OAuth Client ID
+     * @param {Object} config - Drive settings
+     * @param {string} config.clientId - Google OAuth Client ID
      * @returns {Promise<void>}
      */
-    async init(clientId) {
+    async init({ clientId } = {}) {
         if (!clientId) {
             throw new Error('Google Client ID is required');
         }
@@ -59,41 +98,117 @@ class DriveAdapter {
             client_id: clientId,
             scope: 'https://www.googleapis.com/auth/drive.appdata',
             callback: (response) => {
+                const pending = this.pendingToken;
+                this.pendingToken = null;
+
                 if (response.error) {
                     console.error('Auth error:', response);
-                    showToast('Google Drive Authentifizierung fehlgeschlagen', 'error');
+                    if (pending) pending.reject(new Error(response.error));
                     return;
                 }
+
                 this.accessToken = response.access_token;
+                this.tokenExpiresAt = Date.now() + Number(response.expires_in || 3600) * 1000;
                 this.ready = true;
-                showToast('Mit Google Drive verbunden', 'success');
+                if (pending) pending.resolve();
+            },
+            // Popup closed or blocked
+            error_callback: (error) => {
+                const pending = this.pendingToken;
+                this.pendingToken = null;
+                if (pending) pending.reject(new Error(error.type || 'Token request failed'));
             }
         });
     }
 
+    /**
+     * Request an access token
+     * The token client reports to a single callback, so concurrent callers
+     * share the request already in flight.
+     * @param {string} [prompt] - '' for a silent refresh of an earlier consent
+     * @returns {Promise<void>}
+     */
+    requestToken(prompt) {
+        if (!this.tokenClient) {
+            return Promise.reject(new Error('Token client not initialized. Call init() first.'));
+        }
+
+        if (!this.tokenRequest) {
+            this.tokenRequest = new Promise((resolve, reject) => {
+                this.pendingToken = { resolve, reject };
+                this.tokenClient.requestAccessToken(prompt === undefined ? {} : { prompt });
+            }).finally(() => {
+                this.tokenRequest = null;
+            });
+        }
+
+        return this.tokenRequest;
+    }
+
     /**
      * Sign in with Google
      * @returns {Promise<void>}
      */
     async signIn() {
-        if (!this.tokenClient) {
-            throw new Error('Token client not initialized. Call init() first.');
+        try {
+            await this.requestToken();
+        } catch (error) {
+            showToast('Google Drive Authentifizierung fehlgeschlagen', 'error');
+            throw error;
         }
 
-        return new Promise((resolve, reject) => {
-            const originalCallback = this.tokenClient.callback;
+        showToast('Mit Google Drive verbunden', 'success');
+        this.loadAccount();
+    }
 
-            this.tokenClient.callback = (response) => {
-                originalCallback(response);
-                if (response.error) {
-                    reject(new Error(response.error));
-                } else {
-                    resolve();
+    /**
+     * Look up the signed-in Google account (shown in the sync status)
+     * @returns {Promise<void>}
+     */
+    async loadAccount() {
+        try {
+            const response = await fetch('https://www.googleapis.com/drive/v3/about?fields=user(displayName,emailAddress)', {
+                headers: {
+                    Authorization: `Bearer ${this.accessToken}`
                 }
-            };
+            });
 
-            this.tokenClient.requestAccessToken();
-        });
+            if (!response.ok) {
+                throw new Error(response.statusText);
+            }
+
+            const { user } = await response.json();
+            this.account = user.emailAddress || user.displayName || null;
+        } catch (error) {
+            console.error('Loading Google account failed:', error);
+        }
+    }
+
+    /**
+     * Make sure the access token is valid, refreshing it silently shortly
+     * before it expires (tokens live about an hour)
+     * @returns {Promise<void>}
+     * @throws {Error} - If not signed in or the silent refresh fails
+     */
+    async ensureToken() {
+        if (!this.isAuthenticated()) {
+            throw new Error('Not authenticated. Please sign in first.');
+        }
+
+        if (Date.now() < this.tokenExpiresAt - TOKEN_REFRESH_MARGIN) {
+            return;
+        }
+
+        try {
+            await this.requestToken('');
+        } catch (error) {
+            // Consent was revoked or the Google session ended: interactive sign-in needed
+            console.error('Silent token refresh failed:', error);
+            this.accessToken = null;
+            this.ready = false;
+            eventBus.emit('adapterAuthChanged', { name: this.name });
+            throw new Error('Google session expired. Please sign in again.');
+        }
     }
 
     /**
@@ -106,8 +221,9 @@ class DriveAdapter {
             });
         }
         this.accessToken = null;
+        this.tokenExpiresAt = 0;
+        this.account = null;
         this.ready = false;
-        this.fileId = null;
         showToast('Von Google Drive getrennt', 'info');
     }
 
@@ -120,80 +236,53 @@ class DriveAdapter {
     }
 
     /**
-     * Find backup file in AppData
-     * @returns {Promise<string|null>} - File ID or null
+     * Backup to Google Drive
+     * @param {boolean} encrypted - Whether to encrypt backup
+     * @returns {Promise<void>}
      */
-    async findBackupFile() {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated');
-        }
-
-        const response = await fetch(
-            `https://www.googleapis.com/drive/v3/files?spaces=appDataFolder&q=name='${this.fileName}'&fields=files(id,name,modifiedTime)`,
-            {
-                headers: {
-                    Authorization: `Bearer ${this.accessToken}`
-                }
-            }
-        );
-
-        if (!response.ok) {
-            throw new Error(`Drive API error: ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        if (data.files && data.files.length > 0) {
-            this.fileId = data.files[0].id;
-            return this.fileId;
-        }
-
-        return null;
+    async backup(encrypted = false) {
+        await this.writeBackup(encrypted);
+        showToast('Backup erfolgreich in Google Drive gespeichert', 'success');
     }
 
     /**
-     * Backup to Google Drive
+     * Upload a new backup generation; generations the retention policy no
+     * longer covers are deleted afterwards
      * @param {boolean} encrypted - Whether to encrypt backup
      * @returns {Promise<void>}
      */
-    async backup(encrypted = false) {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated. Please sign in first.');
-        }
+    async writeBackup(encrypted) {
+        await this.ensureToken();
 
-        // Get data from local adapter
-        const data = await localAdapter.exportData();
-        let backupData = JSON.stringify(data, null, 2);
-
-        // Encrypt if requested
-        if (encrypted) {
-            const crypto = await import('../crypto.js');
-            if (!appState.get('settings').encryption.enabled) {
-                throw new Error('Encryption not configured');
-            }
-            backupData = await crypto.encryptData(backupData);
+        if (encrypted && !appState.get('settings').encryption.enabled) {
+            throw new Error('Encryption not configured');
         }
 
-        // Check if file exists
-        const existingFileId = await this.findBackupFile();
+        // Same envelope as file exports: carries salt and KDF parameters
+        const { envelope, metadata } = await createBackup(encrypted);
+        const backupData = JSON.stringify(envelope, null, 2);
 
-        const metadata = {
-            name: this.fileName,
+        const fileMetadata = {
+            name: getBackupFileName(envelope.createdAt),
             mimeType: 'application/json',
-            parents: existingFileId ? undefined : ['appDataFolder']
+            parents: ['appDataFolder'],
+            // Listed without downloading the backups (values are strings, max. 124 bytes)
+            appProperties: {
+                createdAt: String(envelope.createdAt),
+                promptCount: String(metadata.promptCount),
+                versionCount: String(metadata.versionCount),
+                deviceId: metadata.deviceId,
+                device: metadata.device.slice(0, 60),
+                encrypted: String(envelope.encrypted)
+            }
         };
 
         const form = new FormData();
-        form.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }));
+        form.append('metadata', new Blob([JSON.stringify(fileMetadata)], { type: 'application/json' }));
         form.append('file', new Blob([backupData], { type: 'application/json' }));
 
-        const url = existingFileId
-            ? `https://www.googleapis.com/upload/drive/v3/files/${existingFileId}?uploadType=multipart`
-            : 'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart';
-
-        const method = existingFileId ? 'PATCH' : 'POST';
-
-        const response = await fetch(url, {
-            method,
+        const response = await fetch('https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart', {
+            method: 'POST',
             headers: {
                 Authorization: `Bearer ${this.accessToken}`
             },
@@ -204,28 +293,50 @@ class DriveAdapter {
             throw new Error(`Backup failed: ${response.statusText}`);
         }
 
-        const result = await response.json();
-        this.fileId = result.id;
-
-        showToast('Backup erfolgreich in Google Drive gespeichert', 'success');
+        // The new backup is safe: a failing cleanup only leaves extra generations
+        try {
+            await this.pruneBackups();
+        } catch (error) {
+            console.error('Pruning Drive backups failed:', error);
+        }
     }
 
     /**
-     * Restore from Google Drive
-     * @returns {Promise<Object>}
+     * Delete the backups not covered by the retention policy
+     * @returns {Promise<number>} - Number of deleted backups
      */
-    async restore() {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated. Please sign in first.');
-        }
+    async pruneBackups() {
+        const { keepHourly, keepDaily } = appState.get('settings').drive;
+        const expired = selectExpiredBackups(await this.listBackups(), { keepHourly, keepDaily });
+
+        for (const backup of expired) {
+            const response = await fetch(`https://www.googleapis.com/drive/v3/files/${backup.id}`, {
+                method: 'DELETE',
+                headers: {
+                    Authorization: `Bearer ${this.accessToken}`
+                }
+            });
 
-        const fileId = await this.findBackupFile();
-        if (!fileId) {
-            throw new Error('No backup file found in Google Drive');
+            if (!response.ok) {
+                throw new Error(`Deleting backup failed: ${response.statusText}`);
+            }
         }
 
+        return expired.length;
+    }
+
+    /**
+     * Download and open a backup
+     * @param {string} backupId - File ID (see listBackups)
+     * @param {Function} [requestPassphrase] - Asked for the passphrase if the backup
+     *   was encrypted on another device or with an old passphrase (see crypto.openEnvelope)
+     * @returns {Promise<Object>} - Export data
+     */
+    async loadBackup(backupId, requestPassphrase) {
+        await this.ensureToken();
+
         const response = await fetch(
-            `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`,
+            `https://www.googleapis.com/drive/v3/files/${backupId}?alt=media`,
             {
                 headers: {
                     Authorization: `Bearer ${this.accessToken}`
@@ -237,35 +348,57 @@ class DriveAdapter {
             throw new Error(`Restore failed: ${response.statusText}`);
         }
 
-        let backupData = await response.text();
+        const backupData = await response.text();
+
+        // Envelope header tells whether and how the backup is encrypted
+        const crypto = await import('../crypto.js');
+        const envelope = crypto.parseEnvelope(backupData);
+        return await crypto.openEnvelope(envelope, requestPassphrase);
+    }
 
-        // Check if encrypted
-        if (backupData.startsWith('{') && backupData.includes('"iv"')) {
-            const crypto = await import('../crypto.js');
-            backupData = await crypto.decryptData(backupData);
+    /**
+     * Restore from Google Drive
+     * @param {Function} [requestPassphrase] - See loadBackup
+     * @param {string} [backupId] - Backup to restore (default: the newest)
+     * @returns {Promise<Object>}
+     */
+    async restore(requestPassphrase, backupId) {
+        if (!backupId) {
+            const [latest] = await this.listBackups();
+            if (!latest) {
+                throw new Error('No backup file found in Google Drive');
+            }
+            backupId = latest.id;
         }
 
-        const data = JSON.parse(backupData);
+        const data = await this.loadBackup(backupId, requestPassphrase);
 
         // Import to local storage
         const result = await localAdapter.importData(data, true);
 
-        showToast(`Wiederherstellung erfolgreich: ${result.imported} neu, ${result.merged} aktualisiert`, 'success');
+        showToast(`Wiederherstellung erfolgreich: ${formatImportResult(result)}`, 'success');
 
         return result;
     }
 
     /**
-     * List all backups
-     * @returns {Promise<Array>}
+     * List all backup generations, newest first
+     * (includes the single backup file of older versions)
+     * @returns {Promise<Array<import('./backups.js').BackupInfo>>}
      */
     async listBackups() {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated');
-        }
+        await this.ensureToken();
+
+        const params = new URLSearchParams({
+            spaces: 'appDataFolder',
+            q: `name contains '${BACKUP_PREFIX}' and trashed = false`,
+            fields: 'files(id,name,createdTime,size,appProperties)',
+            orderBy: 'createdTime desc',
+            pageSize: '1000'
+        });
 
         const response = await fetch(
-            'https://www.googleapis.com/drive/v3/files?spaces=appDataFolder&fields=files(id,name,modifiedTime,size)&orderBy=modifiedTime desc',
+            `https://www.googleapis.com/drive/v3/files?${params}`,
             {
                 headers: {
                     Authorization: `Bearer ${this.accessToken}`
@@ -278,31 +411,34 @@ class DriveAdapter {
         }
 
         const data = await response.json();
-        return data.files || [];
+        const toNumber = value => (value === undefined ? null : Number(value));
+
+        return (data.files || [])
+            .map(file => {
+                const properties = file.appProperties || {};
+                return {
+                    id: file.id,
+                    name: file.name,
+                    createdAt: toNumber(properties.createdAt) || Date.parse(file.createdTime),
+                    size: toNumber(file.size),
+                    promptCount: toNumber(properties.promptCount),
+                    versionCount: toNumber(properties.versionCount),
+                    deviceId: properties.deviceId || null,
+                    device: properties.device || null,
+                    encrypted: properties.encrypted === undefined ? null : properties.encrypted === 'true'
+                };
+            })
+            .sort((a, b) => b.createdAt - a.createdAt);
     }
 
     /**
-     * Auto-sync (if enabled)
+     * Scheduled backup (run by scheduler.js while auto-sync is enabled)
      * @returns {Promise<void>}
+     * @throws {Error} - So the scheduler can retry
      */
     async autoSync() {
-        const settings = appState.get('settings');
-
-        if (!settings.drive.autoSync) {
-            return;
-        }
-
-        if (!this.isAuthenticated()) {
-            console.log('Auto-sync skipped: not authenticated');
-            return;
-        }
-
-        try {
-            await this.backup(settings.encryption.enabled);
-            appState.setState({ lastSyncAt: Date.now() });
-        } catch (error) {
-            console.error('Auto-sync failed:', error);
-        }
+        await this.writeBackup(appState.get('settings').encryption.enabled);
+        appState.setState({ lastSyncAt: Date.now() });
     }
 
     /**
@@ -314,8 +450,9 @@ class DriveAdapter {
         return {
             enabled: settings.drive.enabled && this.isAuthenticated(),
             lastSync: appState.get('lastSyncAt'),
-            inProgress: false,
-            autoSync: settings.drive.autoSync
+            inProgress: appState.get('autoSync')?.state === 'running',
+            autoSync: settings.drive.autoSync,
+            account: this.account
         };
     }
 
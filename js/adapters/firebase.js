@@ -1,21 +1,43 @@
 /**
  * Firebase Adapter
  * Optional cloud sync using Firebase (Firestore + Auth)
- * Loaded lazily when enabled
+ * Loaded lazily when enabled; prompts stay in IndexedDB and sync.js
+ * mirrors them to users/{uid}/prompts and users/{uid}/versions
  */
 
-import { showToast } from '../state.js';
+import localAdapter from './local.js';
+import { getDeviceId } from '../db.js';
+import { SyncConflictError, isSamePrompt } from '../sync.js';
+import { appState, eventBus, showToast } from '../state.js';
+
+// Firestore accepts at most 500 writes per batch
+const BATCH_LIMIT = 500;
 
 class FirebaseAdapter {
     constructor() {
         this.name = 'firebase';
         this.displayName = 'Firebase Cloud Sync';
+        this.icon = '🔥';
+        this.description = 'Synchronisiere deine Prompts in Echtzeit über Firebase.';
         this.app = null;
         this.auth = null;
         this.db = null;
         this.user = null;
         this.ready = false;
         this.listeners = [];
+        this.pushBatchSize = BATCH_LIMIT;
+        this.capabilities = {
+            realtime: true,
+            versionedBackups: false,
+            authRequired: true,
+            backup: false
+        };
+        this.settingsFields = [
+            { key: 'apiKey', label: 'API Key', placeholder: 'AIzaSy...' },
+            { key: 'authDomain', label: 'Auth Domain', placeholder: 'your-app.firebaseapp.com' },
+            { key: 'projectId', label: 'Project ID', placeholder: 'your-project-id' },
+            { key: 'appId', label: 'App ID', placeholder: '1:123:web:abc' }
+        ];
     }
 
     /**
@@ -28,13 +50,20 @@ class FirebaseAdapter {
             throw new Error('Invalid Firebase configuration');
         }
 
+        // The SDK allows a single default app per page
+        if (this.app) {
+            return;
+        }
+
         try {
             // Dynamically import Firebase SDK
             const { initializeApp } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js');
             const { getAuth, GoogleAuthProvider, signInWithPopup, onAuthStateChanged, signOut } =
                 await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
-            const { getFirestore, collection, doc, setDoc, getDoc, getDocs, deleteDoc, query, where, onSnapshot } =
-                await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+            const {
+                getFirestore, collection, doc, setDoc, getDoc, getDocs, deleteDoc,
+                query, where, onSnapshot, runTransaction, writeBatch
+            } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
 
             // Store Firebase modules
             this.FirebaseModules = {
@@ -52,7 +81,9 @@ class FirebaseAdapter {
                 deleteDoc,
                 query,
                 where,
-                onSnapshot
+                onSnapshot,
+                runTransaction,
+                writeBatch
             };
 
             // Initialize app
@@ -72,6 +103,9 @@ class FirebaseAdapter {
                     console.log('Firebase user signed out');
                     this.stopListening();
                 }
+
+                // Restored sessions arrive after init(): (re)start or stop syncing
+                eventBus.emit('adapterAuthChanged', { name: this.name });
             });
 
         } catch (error) {
@@ -127,6 +161,14 @@ class FirebaseAdapter {
         return this.ready && this.user !== null;
     }
 
+    /**
+     * ID of the signed-in account
+     * @returns {string|null}
+     */
+    getAccountId() {
+        return this.user ? this.user.uid : null;
+    }
+
     /**
      * Get user collection path
      * @returns {string}
@@ -139,311 +181,198 @@ class FirebaseAdapter {
     }
 
     /**
-     * Create prompt
-     * @param {Object} promptData - Prompt data
-     * @returns {Promise<string>}
-     */
-    async createPrompt(promptData) {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated');
-        }
-
-        const { collection, doc, setDoc } = this.FirebaseModules;
-        const id = crypto.randomUUID();
-        const now = Date.now();
-
-        const prompt = {
-            id,
-            title: promptData.title || 'Untitled Prompt',
-            description: promptData.description || '',
-            tags: promptData.tags || [],
-            createdAt: now,
-            updatedAt: now,
-            archived: false
-        };
-
-        await setDoc(doc(this.db, `${this.getUserPath()}/prompts/${id}`), prompt);
-
-        // Create initial version if content provided
-        if (promptData.content) {
-            await this.createVersion(id, promptData.content, promptData.notes);
-        }
-
-        return id;
-    }
-
-    /**
-     * Get prompt
-     * @param {string} id - Prompt ID
-     * @returns {Promise<Object|null>}
-     */
-    async getPrompt(id) {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated');
-        }
-
-        const { doc, getDoc } = this.FirebaseModules;
-        const docSnap = await getDoc(doc(this.db, `${this.getUserPath()}/prompts/${id}`));
-
-        return docSnap.exists() ? docSnap.data() : null;
-    }
-
-    /**
-     * Get all prompts
-     * @param {Object} options - Query options
-     * @returns {Promise<Array>}
+     * Strip sync metadata from a Firestore document
+     * @param {Object} data - Document data
+     * @returns {Object} - Prompt or version record
      */
-    async getAllPrompts(options = {}) {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated');
-        }
-
-        const { collection, getDocs } = this.FirebaseModules;
-        const snapshot = await getDocs(collection(this.db, `${this.getUserPath()}/prompts`));
-
-        let prompts = snapshot.docs.map(doc => doc.data());
-
-        // Apply filters
-        if (options.archived === false) {
-            prompts = prompts.filter(p => !p.archived);
-        } else if (options.archived === true) {
-            prompts = prompts.filter(p => p.archived);
-        }
-
-        // Sort
-        if (options.sortBy === 'title') {
-            prompts.sort((a, b) => a.title.localeCompare(b.title));
-        } else if (options.sortBy === 'createdAt') {
-            prompts.sort((a, b) => b.createdAt - a.createdAt);
-        } else {
-            prompts.sort((a, b) => b.updatedAt - a.updatedAt);
-        }
-
-        return prompts;
+    toRecord(data) {
+        const record = { ...data };
+        delete record.rev;
+        delete record.deviceId;
+        return record;
     }
 
-    /**
-     * Update prompt
-     * @param {string} id - Prompt ID
-     * @param {Object} updates - Updates
-     * @returns {Promise<void>}
-     */
-    async updatePrompt(id, updates) {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated');
-        }
-
-        const { doc, setDoc, getDoc } = this.FirebaseModules;
-        const docRef = doc(this.db, `${this.getUserPath()}/prompts/${id}`);
-        const existing = await getDoc(docRef);
-
-        if (!existing.exists()) {
-            throw new Error('Prompt not found');
-        }
-
-        const updated = {
-            ...existing.data(),
-            ...updates,
-            updatedAt: Date.now()
-        };
-
-        await setDoc(docRef, updated);
-    }
+    // ========================================
+    // Sync Primitives (used by sync.js)
+    // ========================================
 
     /**
-     * Delete prompt
-     * @param {string} id - Prompt ID
-     * @param {boolean} hard - Hard delete
-     * @returns {Promise<void>}
+     * Write a prompt if the remote revision is still baseRev
+     * @param {Object} prompt - Plaintext prompt
+     * @param {number|null} baseRev - Revision last synced (null = never)
+     * @returns {Promise<number>} - New remote revision
+     * @throws {SyncConflictError} - If the remote prompt changed meanwhile
      */
-    async deletePrompt(id, hard = false) {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated');
-        }
-
-        const { doc, deleteDoc, collection, getDocs } = this.FirebaseModules;
-
-        if (hard) {
-            // Delete all versions
-            const versionsSnapshot = await getDocs(collection(this.db, `${this.getUserPath()}/versions`));
-            const deletePromises = versionsSnapshot.docs
-                .filter(d => d.data().promptId === id)
-                .map(d => deleteDoc(d.ref));
-            await Promise.all(deletePromises);
-
-            // Delete prompt
-            await deleteDoc(doc(this.db, `${this.getUserPath()}/prompts/${id}`));
-        } else {
-            // Soft delete
-            await this.updatePrompt(id, { archived: true });
-        }
+    async pushPrompt(prompt, baseRev) {
+        const { doc, runTransaction } = this.FirebaseModules;
+        const ref = doc(this.db, `${this.getUserPath()}/prompts/${prompt.id}`);
+
+        return await runTransaction(this.db, async (transaction) => {
+            const { rev, write } = this.checkRevision(await transaction.get(ref), prompt, baseRev);
+            if (write) {
+                transaction.set(ref, { ...prompt, rev, deviceId: getDeviceId() });
+            }
+            return rev;
+        });
     }
 
     /**
-     * Create version
-     * @param {string} promptId - Prompt ID
-     * @param {string} content - Content
-     * @param {string} notes - Notes
-     * @returns {Promise<string>}
+     * Check a prompt against the remote document before writing it
+     * @param {Object} snapshot - Remote prompt document
+     * @param {Object} prompt - Plaintext prompt
+     * @param {number|null} baseRev - Revision last synced
+     * @returns {{rev: number, write: boolean}} - Revision after the push; write is
+     *   false if the remote prompt is already the same
+     * @throws {SyncConflictError} - If the remote revision is not baseRev
      */
-    async createVersion(promptId, content, notes = '') {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated');
+    checkRevision(snapshot, prompt, baseRev) {
+        const remote = snapshot.exists() ? this.toRecord(snapshot.data()) : null;
+        const remoteRev = snapshot.exists() ? snapshot.data().rev || 0 : null;
+
+        if (remoteRev !== baseRev) {
+            // First sync of a prompt that already exists remotely with the same content
+            if (remote && baseRev === null && isSamePrompt(remote, prompt)) {
+                return { rev: remoteRev, write: false };
+            }
+            throw new SyncConflictError(remote, remoteRev);
         }
 
-        const { collection, doc, setDoc, getDocs } = this.FirebaseModules;
-        const id = crypto.randomUUID();
-        const now = Date.now();
-
-        // Get existing versions count
-        const versionsSnapshot = await getDocs(collection(this.db, `${this.getUserPath()}/versions`));
-        const existingVersions = versionsSnapshot.docs
-            .map(d => d.data())
-            .filter(v => v.promptId === promptId);
-
-        const versionNumber = existingVersions.length + 1;
-
-        const version = {
-            id,
-            promptId,
-            version: `v${versionNumber}`,
-            content: content || '',
-            notes: notes || '',
-            createdAt: now,
-            updatedAt: now
-        };
-
-        await setDoc(doc(this.db, `${this.getUserPath()}/versions/${id}`), version);
-
-        // Update prompt's updatedAt
-        await this.updatePrompt(promptId, {});
-
-        return id;
+        return { rev: (remoteRev || 0) + 1, write: true };
     }
 
     /**
-     * Get versions by prompt
-     * @param {string} promptId - Prompt ID
-     * @returns {Promise<Array>}
+     * Write a version (versions are append-only, the last write wins)
+     * @param {Object} version - Plaintext version
+     * @returns {Promise<number>} - Remote revision
      */
-    async getVersionsByPrompt(promptId) {
-        if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated');
-        }
+    async pushVersion(version) {
+        const { doc, setDoc } = this.FirebaseModules;
+        const rev = version.updatedAt || version.createdAt;
 
-        const { collection, getDocs } = this.FirebaseModules;
-        const snapshot = await getDocs(collection(this.db, `${this.getUserPath()}/versions`));
+        await setDoc(doc(this.db, `${this.getUserPath()}/versions/${version.id}`), {
+            ...version,
+            rev,
+            deviceId: getDeviceId()
+        });
 
-        const versions = snapshot.docs
-            .map(doc => doc.data())
-            .filter(v => v.promptId === promptId)
-            .sort((a, b) => b.createdAt - a.createdAt);
-
-        return versions;
+        return rev;
     }
 
     /**
-     * Get latest version
-     * @param {string} promptId - Prompt ID
-     * @returns {Promise<Object|null>}
-     */
-    async getLatestVersion(promptId) {
-        const versions = await this.getVersionsByPrompt(promptId);
-        return versions.length > 0 ? versions[0] : null;
-    }
-
-    /**
-     * Rollback to version
-     * @param {string} versionId - Version ID
-     * @returns {Promise<string>}
+     * Delete a remote record (a prompt together with its versions)
+     * @param {'prompt'|'version'} entity
+     * @param {string} id
+     * @param {number|null} baseRev - Revision last synced
+     * @returns {Promise<void>}
+     * @throws {SyncConflictError} - If the remote prompt changed meanwhile
      */
-    async rollbackToVersion(versionId) {
-        const { doc, getDoc } = this.FirebaseModules;
-        const versionDoc = await getDoc(doc(this.db, `${this.getUserPath()}/versions/${versionId}`));
+    async deleteRemote(entity, id, baseRev) {
+        const { doc, deleteDoc, collection, getDocs, query, where, writeBatch, runTransaction } = this.FirebaseModules;
 
-        if (!versionDoc.exists()) {
-            throw new Error('Version not found');
+        if (entity === 'version') {
+            await deleteDoc(doc(this.db, `${this.getUserPath()}/versions/${id}`));
+            return;
         }
 
-        const oldVersion = versionDoc.data();
-        return await this.createVersion(
-            oldVersion.promptId,
-            oldVersion.content,
-            `Rollback to ${oldVersion.version}`
-        );
-    }
+        const ref = doc(this.db, `${this.getUserPath()}/prompts/${id}`);
+        await runTransaction(this.db, async (transaction) => {
+            const snapshot = await transaction.get(ref);
+            if (!snapshot.exists()) return;
 
-    /**
-     * Export data
-     * @returns {Promise<Object>}
-     */
-    async exportData() {
-        const prompts = await this.getAllPrompts();
-        const { collection, getDocs } = this.FirebaseModules;
-        const versionsSnapshot = await getDocs(collection(this.db, `${this.getUserPath()}/versions`));
-        const versions = versionsSnapshot.docs.map(d => d.data());
+            const remoteRev = snapshot.data().rev || 0;
+            if (baseRev !== null && remoteRev !== baseRev) {
+                throw new SyncConflictError(this.toRecord(snapshot.data()), remoteRev);
+            }
+            transaction.delete(ref);
+        });
 
-        return {
-            version: 1,
-            exportedAt: Date.now(),
-            prompts,
-            versions
-        };
+        const versions = await getDocs(query(
+            collection(this.db, `${this.getUserPath()}/versions`),
+            where('promptId', '==', id)
+        ));
+        const batch = writeBatch(this.db);
+        versions.docs.forEach(d => batch.delete(d.ref));
+        await batch.commit();
     }
 
     /**
-     * Import data
-     * @param {Object} data - Import data
-     * @param {boolean} merge - Merge mode
-     * @returns {Promise<Object>}
+     * Push several changes in transactions of at most 500 writes
+     * Prompt revisions are checked inside the transaction like in pushPrompt(),
+     * so a prompt changed remotely meanwhile becomes a conflict instead of
+     * being overwritten. Prompts are deleted with deleteRemote().
+     * @param {Array<Object>} changes - [{entity, id, type: 'put'|'delete', data, baseRev}]
+     * @returns {Promise<Array<Object>>} - Per change {rev} or {conflict: SyncConflictError}
      */
-    async importData(data, merge = true) {
-        if (!data.prompts || !data.versions) {
-            throw new Error('Invalid import data');
-        }
-
-        const { doc, setDoc, getDoc } = this.FirebaseModules;
-        let imported = 0;
-        let skipped = 0;
-        let merged = 0;
+    async pushChanges(changes) {
+        const { doc, runTransaction } = this.FirebaseModules;
+        const results = new Array(changes.length);
+        const queued = [];
 
-        for (const prompt of data.prompts) {
-            const docRef = doc(this.db, `${this.getUserPath()}/prompts/${prompt.id}`);
-            const existing = await getDoc(docRef);
+        for (let i = 0; i < changes.length; i++) {
+            const { entity, id, type, baseRev } = changes[i];
 
-            if (existing.exists() && !merge) {
-                skipped++;
+            if (entity !== 'prompt' || type !== 'delete') {
+                queued.push(i);
                 continue;
             }
 
-            if (existing.exists() && merge) {
-                // Merge versions
-                for (const version of data.versions.filter(v => v.promptId === prompt.id)) {
-                    const versionRef = doc(this.db, `${this.getUserPath()}/versions/${version.id}`);
-                    await setDoc(versionRef, version);
-                    merged++;
-                }
-
-                await setDoc(docRef, { ...prompt, updatedAt: Date.now() });
-            } else {
-                // New prompt
-                await setDoc(docRef, prompt);
+            try {
+                await this.deleteRemote(entity, id, baseRev);
+                results[i] = { rev: null };
+            } catch (error) {
+                if (!(error instanceof SyncConflictError)) throw error;
+                results[i] = { conflict: error };
+            }
+        }
 
-                for (const version of data.versions.filter(v => v.promptId === prompt.id)) {
-                    const versionRef = doc(this.db, `${this.getUserPath()}/versions/${version.id}`);
-                    await setDoc(versionRef, version);
-                }
+        for (let start = 0; start < queued.length; start += BATCH_LIMIT) {
+            const chunk = queued.slice(start, start + BATCH_LIMIT).map(i => changes[i]);
+            const refs = chunk.map(({ entity, id }) => doc(this.db, `${this.getUserPath()}/${entity}s/${id}`));
+
+            // Runs again if a prompt read here changes before the commit
+            const chunkResults = await runTransaction(this.db, async (transaction) => {
+                const snapshots = await Promise.all(chunk.map((change, j) => (
+                    change.entity === 'prompt' ? transaction.get(refs[j]) : null
+                )));
+
+                return chunk.map(({ entity, type, data, baseRev }, j) => {
+                    if (type === 'delete') {
+                        transaction.delete(refs[j]);
+                        return { rev: null };
+                    }
+
+                    if (entity === 'version') {
+                        const rev = data.updatedAt || data.createdAt;
+                        transaction.set(refs[j], { ...data, rev, deviceId: getDeviceId() });
+                        return { rev };
+                    }
+
+                    try {
+                        const { rev, write } = this.checkRevision(snapshots[j], data, baseRev);
+                        if (write) {
+                            transaction.set(refs[j], { ...data, rev, deviceId: getDeviceId() });
+                        }
+                        return { rev };
+                    } catch (error) {
+                        if (!(error instanceof SyncConflictError)) throw error;
+                        return { conflict: error };
+                    }
+                });
+            });
 
-                imported++;
-            }
+            chunkResults.forEach((result, j) => {
+                results[queued[start + j]] = result;
+            });
         }
 
-        return { imported, skipped, merged };
+        return results;
     }
 
     /**
      * Listen to remote changes
-     * @param {Function} callback - Callback for changes
+     * The first snapshot reports every remote record; writes of this
+     * client that are not yet committed are skipped.
+     * @param {Function} callback - Called with {entity, type, id, data, rev, deviceId}
      */
     observeRemoteChanges(callback) {
         if (!this.isAuthenticated()) {
@@ -452,33 +381,32 @@ class FirebaseAdapter {
 
         const { collection, onSnapshot } = this.FirebaseModules;
 
-        const unsubscribePrompts = onSnapshot(
-            collection(this.db, `${this.getUserPath()}/prompts`),
-            (snapshot) => {
-                snapshot.docChanges().forEach((change) => {
-                    callback({
-                        type: 'prompt',
-                        changeType: change.type,
-                        data: change.doc.data()
-                    });
-                });
-            }
-        );
-
-        const unsubscribeVersions = onSnapshot(
-            collection(this.db, `${this.getUserPath()}/versions`),
-            (snapshot) => {
-                snapshot.docChanges().forEach((change) => {
-                    callback({
-                        type: 'version',
-                        changeType: change.type,
-                        data: change.doc.data()
+        ['prompt', 'version'].forEach(entity => {
+            const unsubscribe = onSnapshot(
+                collection(this.db, `${this.getUserPath()}/${entity}s`),
+                (snapshot) => {
+                    snapshot.docChanges().forEach((change) => {
+                        if (change.doc.metadata.hasPendingWrites) return;
+
+                        const data = change.doc.data();
+                        const removed = change.type === 'removed';
+                        callback({
+                            entity,
+                            type: removed ? 'delete' : 'put',
+                            id: change.doc.id,
+                            data: removed ? null : this.toRecord(data),
+                            rev: data.rev || 0,
+                            deviceId: data.deviceId
+                        });
                     });
-                });
-            }
-        );
+                },
+                (error) => {
+                    console.error(`Firebase ${entity} listener failed:`, error);
+                }
+            );
 
-        this.listeners.push(unsubscribePrompts, unsubscribeVersions);
+            this.listeners.push(unsubscribe);
+        });
     }
 
     /**
@@ -496,10 +424,28 @@ class FirebaseAdapter {
     getSyncStatus() {
         return {
             enabled: this.isAuthenticated(),
-            lastSync: null,
-            inProgress: false
+            lastSync: appState.get('lastSyncAt'),
+            inProgress: appState.get('syncInProgress'),
+            conflicts: appState.get('syncConflicts'),
+            account: this.user ? this.user.email : null
         };
     }
+
+    /**
+     * Delegate data methods to the local adapter
+     * (IndexedDB is the source of truth, sync.js mirrors it to Firestore)
+     */
+    async createPrompt(data) { return await localAdapter.createPrompt(data); }
+    async getPrompt(id) { return await localAdapter.getPrompt(id); }
+    async getAllPrompts(options) { return await localAdapter.getAllPrompts(options); }
+    async updatePrompt(id, updates) { return await localAdapter.updatePrompt(id, updates); }
+    async deletePrompt(id, hard) { return await localAdapter.deletePrompt(id, hard); }
+    async createVersion(promptId, content, notes) { return await localAdapter.createVersion(promptId, content, notes); }
+    async getVersionsByPrompt(promptId) { return await localAdapter.getVersionsByPrompt(promptId); }
+    async getLatestVersion(promptId) { return await localAdapter.getLatestVersion(promptId); }
+    async rollbackToVersion(versionId) { return await localAdapter.rollbackToVersion(versionId); }
+    async exportData() { return await localAdapter.exportData(); }
+    async importData(data, merge) { return await localAdapter.importData(data, merge); }
 }
 
 export default new FirebaseAdapter();
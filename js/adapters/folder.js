@@ -0,0 +1,610 @@
+/**
+ * Folder Adapter
+ * Mirrors the library into a local directory (File System Access API) as one
+ * Markdown file per prompt (see markdown.js) and reads edits made in other
+ * programs back in, e.g. in an IDE or after a git pull
+ * Driven by sync.js like other realtime adapters: prompts stay in IndexedDB,
+ * the folder is the remote side. Files are checked by modification time
+ * first and only read when it changed; a content hash tells own writes and
+ * touched files apart from real edits.
+ */
+
+import localAdapter from './local.js';
+import * as db from '../db.js';
+import { SyncConflictError, isSamePrompt } from '../sync.js';
+import { validatePrompt } from '../models.js';
+import { appState, showToast } from '../state.js';
+import { serializePromptFile, parsePromptFile, getPromptFileName } from './markdown.js';
+
+// Key of the directory handle in IndexedDB
+const HANDLE_NAME = 'folder';
+
+const DEFAULT_POLL_INTERVAL = 5; // seconds
+
+class FolderAdapter {
+    constructor() {
+        this.name = 'folder';
+        this.displayName = 'Lokaler Ordner';
+        this.icon = '📁';
+        this.description = 'Speichert jeden Prompt als Markdown-Datei in einem Ordner, z. B. einem Git-Repository. Änderungen aus anderen Programmen werden übernommen (Chrome, Edge).';
+        this.directory = null;
+        this.ready = false;
+        this.pollInterval = DEFAULT_POLL_INTERVAL * 1000;
+        this.pollTimer = null;
+        this.callback = null;
+        this.scanning = null;
+        this.initialScan = null;
+        // File name -> {id, mtime, hash} as last read or written
+        this.files = new Map();
+        // Prompt ID -> file name
+        this.fileNames = new Map();
+        this.handleFocus = () => this.poll();
+        this.capabilities = {
+            realtime: true,
+            versionedBackups: false,
+            authRequired: true,
+            backup: false
+        };
+        this.settingsFields = [
+            {
+                key: 'pollInterval',
+                label: 'Prüfintervall (Sekunden)',
+                type: 'number',
+                placeholder: String(DEFAULT_POLL_INTERVAL),
+                hint: 'So oft wird der Ordner auf Änderungen aus anderen Programmen geprüft, außerdem beim Zurückkehren in die App'
+            }
+        ];
+    }
+
+    /**
+     * Load the directory chosen before; access is restored if the browser
+     * still grants it, otherwise signIn asks again
+     * @param {Object} [config] - Folder settings
+     * @param {number} [config.pollInterval] - Seconds between checks
+     * @returns {Promise<void>}
+     */
+    async init({ pollInterval } = {}) {
+        if (typeof window.showDirectoryPicker !== 'function') {
+            throw new Error('File System Access API is not supported in this browser');
+        }
+
+        this.pollInterval = (parseInt(pollInterval, 10) || DEFAULT_POLL_INTERVAL) * 1000;
+
+        if (!this.directory) {
+            this.directory = await db.getFileHandle(HANDLE_NAME);
+        }
+
+        this.ready = !!this.directory &&
+            await this.directory.queryPermission({ mode: 'readwrite' }) === 'granted';
+    }
+
+    /**
+     * Grant access again to the stored directory or pick one
+     * (must run in a user gesture)
+     * @returns {Promise<void>}
+     */
+    async signIn() {
+        try {
+            const granted = this.directory &&
+                await this.directory.requestPermission({ mode: 'readwrite' }) === 'granted';
+
+            if (!granted) {
+                const directory = await window.showDirectoryPicker({ id: 'prompt-master-pro', mode: 'readwrite' });
+                await db.saveFileHandle(HANDLE_NAME, directory);
+                this.directory = directory;
+                this.forgetFiles();
+            }
+
+            this.ready = true;
+        } catch (error) {
+            showToast('Ordner konnte nicht geöffnet werden', 'error');
+            throw error;
+        }
+
+        showToast(`Ordner "${this.directory.name}" verbunden`, 'success');
+    }
+
+    /**
+     * Disconnect the directory (the files stay where they are)
+     * @returns {Promise<void>}
+     */
+    async signOut() {
+        this.stopListening();
+        this.directory = null;
+        this.ready = false;
+        this.forgetFiles();
+
+        await db.deleteFileHandle(HANDLE_NAME);
+        showToast('Ordner getrennt', 'info');
+    }
+
+    /**
+     * Check if a directory is connected
+     * @returns {boolean}
+     */
+    isAuthenticated() {
+        return this.ready && this.directory !== null;
+    }
+
+    /**
+     * Name of the directory: sync bookkeeping is reset when another one is chosen
+     * @returns {string|null}
+     */
+    getAccountId() {
+        return this.directory ? this.directory.name : null;
+    }
+
+    // ========================================
+    // Files
+    // ========================================
+
+    /**
+     * Forget what is known about the files of the directory
+     */
+    forgetFiles() {
+        this.files = new Map();
+        this.fileNames = new Map();
+        this.initialScan = null;
+    }
+
+    /**
+     * Remember the state of a file
+     * @param {string} name - File name
+     * @param {string|null} id - Prompt ID (null for files that are no prompts)
+     * @param {number} mtime
+     * @param {string} hash
+     */
+    remember(name, id, mtime, hash) {
+        this.files.set(name, { id, mtime, hash });
+        if (id) {
+            this.fileNames.set(id, name);
+        }
+    }
+
+    /**
+     * Check whether a file was changed by another program since it was last
+     * read or written
+     * @param {string} name - File name
+     * @returns {Promise<{missing: boolean, changed: boolean, parsed: Object|null, rev: number|null}>}
+     */
+    async checkFile(name) {
+        let file;
+        try {
+            file = await (await this.directory.getFileHandle(name)).getFile();
+        } catch (error) {
+            if (error.name !== 'NotFoundError') throw error;
+            return { missing: true, changed: true, parsed: null, rev: null };
+        }
+
+        const known = this.files.get(name);
+        if (known && known.mtime === file.lastModified) {
+            return { missing: false, changed: false, parsed: null, rev: file.lastModified };
+        }
+
+        const text = await file.text();
+        const hash = await hashText(text);
+        if (known && known.hash === hash) {
+            known.mtime = file.lastModified;
+            return { missing: false, changed: false, parsed: null, rev: file.lastModified };
+        }
+
+        let parsed = null;
+        try {
+            parsed = parsePromptFile(text, name);
+        } catch (error) {
+            console.warn(`Folder: ${name} is not a valid prompt file:`, error.message);
+        }
+
+        return { missing: false, changed: true, parsed, rev: file.lastModified };
+    }
+
+    /**
+     * Write a file unless it already has this content
+     * @param {string} name - File name
+     * @param {string|null} id - Prompt ID
+     * @param {string} text
+     * @returns {Promise<number>} - Modification time
+     */
+    async writeFile(name, id, text) {
+        const hash = await hashText(text);
+        const known = this.files.get(name);
+        if (known && known.hash === hash) {
+            return known.mtime;
+        }
+
+        const handle = await this.directory.getFileHandle(name, { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(text);
+        await writable.close();
+
+        const { lastModified } = await handle.getFile();
+        this.remember(name, id, lastModified, hash);
+        return lastModified;
+    }
+
+    /**
+     * Build the prompt record a file describes
+     * @param {Object} parsed - See markdown.parsePromptFile
+     * @param {number} mtime - Modification time of the file
+     * @returns {Promise<Object>}
+     */
+    async toPrompt({ prompt }, mtime) {
+        const local = await db.getPrompt(prompt.id);
+
+        // Fields missing in the file have their default (the writer omits them)
+        return {
+            id: prompt.id,
+            title: prompt.title,
+            description: prompt.description || '',
+            tags: prompt.tags || [],
+            variables: prompt.variables || {},
+            archived: !!prompt.archived,
+            createdAt: prompt.createdAt || (local ? local.createdAt : mtime),
+            updatedAt: mtime
+        };
+    }
+
+    /**
+     * @throws {Error} - If no directory is connected
+     */
+    ensureConnected() {
+        if (!this.isAuthenticated()) {
+            throw new Error('No folder connected. Please choose a folder first.');
+        }
+    }
+
+    // ========================================
+    // Sync Primitives (used by sync.js)
+    // ========================================
+
+    /**
+     * Write a prompt file (with the latest version as content)
+     * @param {Object} prompt - Plaintext prompt
+     * @param {number|null} baseRev - Revision last synced (null = never)
+     * @returns {Promise<number>} - Modification time of the file
+     * @throws {SyncConflictError} - If the file was edited (and differs) or deleted
+     *   since baseRev
+     */
+    async pushPrompt(prompt, baseRev) {
+        this.ensureConnected();
+        await this.initialScan;
+
+        const latest = await db.getLatestVersion(prompt.id);
+        let name = this.fileNames.get(prompt.id);
+
+        if (name) {
+            const state = await this.checkFile(name);
+
+            if (state.missing) {
+                this.forget(name);
+                if (baseRev !== null) {
+                    throw new SyncConflictError(null, null);
+                }
+                name = null;
+            } else if (state.changed && state.parsed && state.rev !== baseRev) {
+                const remote = await this.toPrompt(state.parsed, state.rev);
+                const sameContent = state.parsed.content === (latest ? latest.content : '');
+                if (!isSamePrompt(remote, prompt) || !sameContent) {
+                    throw new SyncConflictError(remote, state.rev);
+                }
+            }
+
+            // Overwrite the other program's edit (e.g. conflict resolved with "Meine behalten")
+            if (state.changed && name) {
+                this.files.delete(name);
+            }
+        }
+
+        if (!name) {
+            name = getPromptFileName(prompt, new Set(this.files.keys()));
+        }
+
+        return await this.writeFile(name, prompt.id, serializePromptFile(prompt, latest));
+    }
+
+    /**
+     * Write a version: only the latest one is in the prompt file, older
+     * versions stay in IndexedDB
+     * @param {Object} version - Plaintext version
+     * @returns {Promise<number>} - Revision
+     */
+    async pushVersion(version) {
+        this.ensureConnected();
+        await this.initialScan;
+
+        const rev = version.updatedAt || version.createdAt;
+        const latest = await db.getLatestVersion(version.promptId);
+        const prompt = await db.getPrompt(version.promptId);
+        const name = this.fileNames.get(version.promptId);
+
+        if (!prompt || !latest || latest.id !== version.id || !name) {
+            return rev;
+        }
+
+        // Edited in another program: the next check turns that into a conflict
+        const state = await this.checkFile(name);
+        if (state.changed) {
+            return rev;
+        }
+
+        await this.writeFile(name, prompt.id, serializePromptFile(prompt, latest));
+        return rev;
+    }
+
+    /**
+     * Delete a prompt file (deleted versions only live in IndexedDB)
+     * @param {'prompt'|'version'} entity
+     * @param {string} id
+     * @param {number|null} baseRev - Revision last synced
+     * @returns {Promise<void>}
+     * @throws {SyncConflictError} - If the file was edited meanwhile
+     */
+    async deleteRemote(entity, id, baseRev) {
+        this.ensureConnected();
+        await this.initialScan;
+
+        const name = this.fileNames.get(id);
+        if (entity === 'version' || !name) return;
+
+        const state = await this.checkFile(name);
+        if (!state.missing) {
+            if (state.changed && state.parsed && baseRev !== null && state.rev !== baseRev) {
+                throw new SyncConflictError(await this.toPrompt(state.parsed, state.rev), state.rev);
+            }
+            await this.directory.removeEntry(name);
+        }
+
+        this.forget(name);
+    }
+
+    /**
+     * Forget a file that was deleted or renamed
+     * @param {string} name
+     */
+    forget(name) {
+        const known = this.files.get(name);
+        this.files.delete(name);
+
+        if (known && known.id && this.fileNames.get(known.id) === name) {
+            this.fileNames.delete(known.id);
+        }
+    }
+
+    /**
+     * Check the directory now, then every pollInterval and when the app
+     * regains focus
+     * The first check reports every file; prompts synced before whose file
+     * is gone are reported as deleted.
+     * @param {Function} callback - Called with {entity, type, id, data, rev, deviceId}
+     */
+    observeRemoteChanges(callback) {
+        if (!this.isAuthenticated()) {
+            return;
+        }
+
+        this.callback = callback;
+        this.initialScan = this.scan(true).catch(error => {
+            console.error('Folder scan failed:', error);
+        });
+
+        this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+        window.addEventListener('focus', this.handleFocus);
+    }
+
+    /**
+     * Stop checking the directory
+     */
+    stopListening() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.callback = null;
+        window.removeEventListener('focus', this.handleFocus);
+    }
+
+    /**
+     * Check the directory unless a check is running
+     */
+    poll() {
+        if (!this.callback || this.scanning) return;
+
+        this.scan(false).catch(error => {
+            console.error('Folder scan failed:', error);
+        });
+    }
+
+    /**
+     * Report files changed, added or deleted since the last check
+     * @param {boolean} initial - First check after connecting
+     * @returns {Promise<void>}
+     */
+    async scan(initial) {
+        if (this.scanning) {
+            await this.scanning;
+            if (!initial) return;
+        }
+
+        this.scanning = this.scanDirectory(initial);
+        try {
+            await this.scanning;
+        } finally {
+            this.scanning = null;
+        }
+    }
+
+    /**
+     * @param {boolean} initial
+     * @returns {Promise<void>}
+     */
+    async scanDirectory(initial) {
+        const entries = [];
+        for await (const [name, handle] of this.directory.entries()) {
+            if (handle.kind === 'file' && name.toLowerCase().endsWith('.md')) {
+                entries.push([name, handle]);
+            }
+        }
+        const present = new Set(entries.map(([name]) => name));
+
+        for (const [name, handle] of entries) {
+            const file = await handle.getFile();
+            const known = this.files.get(name);
+            if (known && known.mtime === file.lastModified) continue;
+
+            const text = await file.text();
+            const hash = await hashText(text);
+            if (known && known.hash === hash) {
+                known.mtime = file.lastModified;
+                continue;
+            }
+
+            await this.readFile(name, file, text, hash, present);
+        }
+
+        // Deleted files (renamed ones were remembered under their new name)
+        for (const [name, known] of [...this.files]) {
+            if (present.has(name)) continue;
+
+            const deleted = known.id && this.fileNames.get(known.id) === name;
+            this.forget(name);
+            if (deleted) {
+                this.emit({ entity: 'prompt', type: 'delete', id: known.id, data: null, rev: Date.now() });
+            }
+        }
+
+        // Deleted while the app was closed
+        if (initial) {
+            for (const prompt of await db.getAllPrompts()) {
+                if (!this.fileNames.has(prompt.id) && await db.getSyncedRevision('prompt', prompt.id) !== null) {
+                    this.emit({ entity: 'prompt', type: 'delete', id: prompt.id, data: null, rev: Date.now() });
+                }
+            }
+        }
+    }
+
+    /**
+     * Read a new or edited file and report the prompt and, if the content
+     * differs from the latest version, a new version
+     * @param {string} name - File name
+     * @param {File} file
+     * @param {string} text - File content
+     * @param {string} hash
+     * @param {Set<string>} present - Files currently in the directory
+     * @returns {Promise<void>}
+     */
+    async readFile(name, file, text, hash, present) {
+        let parsed;
+        try {
+            parsed = parsePromptFile(text, name);
+        } catch (error) {
+            console.warn(`Folder: skipping ${name}:`, error.message);
+            this.remember(name, null, file.lastModified, hash);
+            return;
+        }
+
+        let mtime = file.lastModified;
+        const owner = parsed.prompt.id ? this.fileNames.get(parsed.prompt.id) : null;
+
+        // New file, or a copy of another prompt file: give it an ID of its own
+        if (!parsed.prompt.id || (owner && owner !== name && present.has(owner))) {
+            const id = crypto.randomUUID();
+            const withId = parsed.prompt.id
+                ? text.replace(/^id:.*$/m, `id: ${id}`)
+                : (text.startsWith('---\n') ? text.replace('---\n', `---\nid: ${id}\n`) : `---\nid: ${id}\n---\n\n${text}`);
+
+            parsed.prompt.id = id;
+            mtime = await this.writeFile(name, id, withId);
+        } else {
+            this.remember(name, parsed.prompt.id, mtime, hash);
+        }
+
+        const prompt = await this.toPrompt(parsed, mtime);
+        const { valid, errors } = validatePrompt(prompt);
+        if (!valid) {
+            console.warn(`Folder: skipping ${name}:`, errors.join(', '));
+            return;
+        }
+
+        const local = await db.getPrompt(prompt.id);
+        if (!local || !isSamePrompt(local, prompt)) {
+            this.emit({ entity: 'prompt', type: 'put', id: prompt.id, data: prompt, rev: mtime });
+        }
+
+        const latest = await db.getLatestVersion(prompt.id);
+        if (parsed.content && (!latest || latest.content !== parsed.content)) {
+            const versions = await db.getVersionsByPrompt(prompt.id);
+            const id = crypto.randomUUID();
+            // Must become the latest version even if the file kept an old mtime (e.g. cp -p)
+            const createdAt = Math.max(mtime, latest ? latest.createdAt + 1 : 0);
+            // Edited from the version written into the file (merged by sync.js if the app moved on meanwhile)
+            const parentId = parsed.version.id || (latest && latest.id);
+
+            this.emit({
+                entity: 'version',
+                type: 'put',
+                id,
+                data: {
+                    id,
+                    promptId: prompt.id,
+                    version: `v${versions.length + 1}`,
+                    content: parsed.content,
+                    notes: `Im Ordner bearbeitet (${name})`,
+                    parentIds: parentId ? [parentId] : [],
+                    createdAt,
+                    updatedAt: createdAt
+                },
+                rev: mtime
+            });
+        }
+    }
+
+    /**
+     * Report a change to sync.js (folder edits have no device ID)
+     * @param {Object} change
+     */
+    emit(change) {
+        if (this.callback) {
+            this.callback({ ...change, deviceId: null });
+        }
+    }
+
+    /**
+     * Get sync status
+     * @returns {Object}
+     */
+    getSyncStatus() {
+        return {
+            enabled: this.isAuthenticated(),
+            lastSync: appState.get('lastSyncAt'),
+            inProgress: appState.get('syncInProgress'),
+            conflicts: appState.get('syncConflicts'),
+            account: this.directory ? this.directory.name : null
+        };
+    }
+
+    /**
+     * Delegate data methods to the local adapter
+     * (IndexedDB is the source of truth, sync.js mirrors it to the folder)
+     */
+    async createPrompt(data) { return await localAdapter.createPrompt(data); }
+    async getPrompt(id) { return await localAdapter.getPrompt(id); }
+    async getAllPrompts(options) { return await localAdapter.getAllPrompts(options); }
+    async updatePrompt(id, updates) { return await localAdapter.updatePrompt(id, updates); }
+    async deletePrompt(id, hard) { return await localAdapter.deletePrompt(id, hard); }
+    async createVersion(promptId, content, notes) { return await localAdapter.createVersion(promptId, content, notes); }
+    async getVersionsByPrompt(promptId) { return await localAdapter.getVersionsByPrompt(promptId); }
+    async getLatestVersion(promptId) { return await localAdapter.getLatestVersion(promptId); }
+    async rollbackToVersion(versionId) { return await localAdapter.rollbackToVersion(versionId); }
+    async exportData() { return await localAdapter.exportData(); }
+    async importData(data, merge) { return await localAdapter.importData(data, merge); }
+}
+
+/**
+ * SHA-256 of a text
+ * @param {string} text
+ * @returns {Promise<string>} - Hex digest
+ */
+async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export default new FolderAdapter();
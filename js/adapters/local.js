@@ -10,6 +10,13 @@ class LocalAdapter {
         this.name = 'local';
         this.displayName = 'Lokal (IndexedDB)';
         this.ready = true;
+        this.capabilities = {
+            realtime: false,
+            versionedBackups: false,
+            authRequired: false,
+            backup: false
+        };
+        this.settingsFields = [];
     }
 
     /**
@@ -56,6 +63,32 @@ class LocalAdapter {
         return await db.getAllPrompts(options);
     }
 
+    /**
+     * Run a parsed search query (see query.js)
+     * @param {Object} query - Query tree
+     * @returns {Promise<Array>}
+     */
+    async queryPrompts(query) {
+        return await db.queryPrompts(query);
+    }
+
+    /**
+     * Get prompts having all given tags
+     * @param {Array<string>} tags - Tags
+     * @returns {Promise<Array>}
+     */
+    async filterPromptsByTags(tags) {
+        return await db.filterPromptsByTags(tags);
+    }
+
+    /**
+     * Get all tags with usage counts
+     * @returns {Promise<Array>}
+     */
+    async getAllTags() {
+        return await db.getAllTags();
+    }
+
     /**
      * Update a prompt
      * @param {string} id - Prompt ID
@@ -87,6 +120,15 @@ class LocalAdapter {
         return await db.createVersion(promptId, content, notes);
     }
 
+    /**
+     * Get a version by ID
+     * @param {string} id - Version ID
+     * @returns {Promise<Object|null>}
+     */
+    async getVersion(id) {
+        return await db.getVersion(id);
+    }
+
     /**
      * Get versions by prompt
      * @param {string} promptId - Prompt ID
@@ -132,6 +174,14 @@ class LocalAdapter {
         return await db.importData(data, merge);
     }
 
+    /**
+     * Get database statistics
+     * @returns {Promise<Object>}
+     */
+    async getStats() {
+        return await db.getStats();
+    }
+
     /**
      * Backup (for local adapter, this just exports)
      * @returns {Promise<Object>}
@@ -0,0 +1,254 @@
+/**
+ * Markdown Prompt Files
+ * One prompt per file: YAML front matter with the prompt fields and the
+ * metadata of the latest version, followed by the version content
+ *
+ *   ---
+ *   id: 3f2a...
+ *   title: "Code Review"
+ *   tags: ["dev", "review"]
+ *   version: v3
+ *   ---
+ *
+ *   Review the following code...
+ *
+ * Only the YAML needed for this is supported: scalars, flow and block
+ * sequences and JSON-style objects (written for variables).
+ */
+
+import { slugify } from '../models.js';
+
+const FRONT_MATTER = '---';
+
+// Front matter keys in the order they are written
+const PROMPT_KEYS = ['id', 'title', 'description', 'tags', 'archived', 'variables', 'createdAt', 'updatedAt'];
+const VERSION_KEYS = { version: 'version', versionId: 'id', versionNotes: 'notes', versionCreatedAt: 'createdAt' };
+const DATE_KEYS = ['createdAt', 'updatedAt', 'versionCreatedAt'];
+
+// ========================================
+// Writing
+// ========================================
+
+/**
+ * Render a prompt and its latest version as a Markdown file
+ * @param {Object} prompt - Plaintext prompt
+ * @param {Object|null} version - Latest version
+ * @returns {string}
+ */
+export function serializePromptFile(prompt, version) {
+    const fields = {};
+
+    PROMPT_KEYS.forEach(key => {
+        fields[key] = prompt[key];
+    });
+    if (!prompt.archived) delete fields.archived;
+    if (!prompt.variables || Object.keys(prompt.variables).length === 0) delete fields.variables;
+
+    if (version) {
+        Object.entries(VERSION_KEYS).forEach(([key, field]) => {
+            fields[key] = version[field];
+        });
+        if (!version.notes) delete fields.versionNotes;
+    }
+
+    const lines = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}: ${formatValue(key, value)}`);
+
+    return `${FRONT_MATTER}\n${lines.join('\n')}\n${FRONT_MATTER}\n\n${version ? version.content : ''}\n`;
+}
+
+/**
+ * File name for a new prompt file
+ * @param {Object} prompt
+ * @param {Set<string>} taken - File names in use
+ * @returns {string}
+ */
+export function getPromptFileName(prompt, taken) {
+    const base = slugify(prompt.title || '') || 'prompt';
+
+    let name = `${base}.md`;
+    for (let i = 2; taken.has(name); i++) {
+        name = `${base}-${i}.md`;
+    }
+    return name;
+}
+
+/**
+ * Format a front matter value
+ * @param {string} key
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(key, value) {
+    if (DATE_KEYS.includes(key) && typeof value === 'number') {
+        return new Date(value).toISOString();
+    }
+    if (typeof value === 'boolean' || typeof value === 'number') {
+        return String(value);
+    }
+    if (key === 'id' || key === 'versionId' || key === 'version') {
+        return value;
+    }
+    // JSON is valid YAML (double-quoted strings, flow sequences and mappings)
+    return JSON.stringify(value);
+}
+
+// ========================================
+// Reading
+// ========================================
+
+/**
+ * Parse a Markdown prompt file
+ * Files without front matter become a prompt titled after their first
+ * heading (or the file name).
+ * @param {string} text - File content
+ * @param {string} fileName - Used as title fallback
+ * @returns {{prompt: Object, version: Object, content: string}} - Prompt fields and
+ *   version metadata found in the file (missing ones are absent)
+ * @throws {Error} - If the front matter is not closed or malformed
+ */
+export function parsePromptFile(text, fileName) {
+    const normalized = text.replace(/\r\n/g, '\n');
+    let fields = {};
+    let body = normalized;
+
+    if (normalized.startsWith(`${FRONT_MATTER}\n`)) {
+        const end = normalized.indexOf(`\n${FRONT_MATTER}`, FRONT_MATTER.length);
+        if (end === -1) {
+            throw new Error('Front matter is not closed');
+        }
+
+        fields = parseYaml(normalized.slice(FRONT_MATTER.length + 1, end));
+        body = normalized.slice(end + FRONT_MATTER.length + 1).replace(/^[^\n]*\n/, '');
+    }
+
+    const content = body.replace(/^\n/, '').replace(/\n$/, '');
+
+    const prompt = {};
+    PROMPT_KEYS.forEach(key => {
+        if (fields[key] !== undefined) prompt[key] = fields[key];
+    });
+
+    // Plain scalars like "title: 2024" are parsed as numbers
+    ['id', 'title', 'description'].forEach(key => {
+        if (prompt[key] !== undefined && prompt[key] !== null) prompt[key] = String(prompt[key]);
+    });
+    if (typeof prompt.tags === 'string') {
+        prompt.tags = prompt.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    if (!prompt.title) {
+        const heading = /^#\s+(.+)$/m.exec(content);
+        prompt.title = heading ? heading[1].trim() : fileName.replace(/\.md$/i, '');
+    }
+
+    const version = {};
+    Object.entries(VERSION_KEYS).forEach(([key, field]) => {
+        if (fields[key] !== undefined) version[field] = fields[key];
+    });
+
+    [prompt, version].forEach(record => {
+        ['createdAt', 'updatedAt'].forEach(key => {
+            if (typeof record[key] === 'string') {
+                const time = Date.parse(record[key]);
+                if (Number.isNaN(time)) delete record[key];
+                else record[key] = time;
+            }
+        });
+    });
+
+    return { prompt, version, content };
+}
+
+/**
+ * Parse the supported YAML subset
+ * @param {string} yaml
+ * @returns {Object}
+ * @throws {Error} - On lines that are not "key: value" or list items
+ */
+function parseYaml(yaml) {
+    const result = {};
+    let listKey = null;
+
+    yaml.split('\n').forEach((line, i) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const item = /^\s+-\s*(.*)$/.exec(line);
+        if (item && listKey) {
+            result[listKey].push(parseScalar(item[1]));
+            return;
+        }
+
+        const match = /^([A-Za-z_][\w-]*):\s*(.*)$/.exec(line);
+        if (!match) {
+            throw new Error(`Invalid front matter in line ${i + 2}: ${line}`);
+        }
+
+        const [, key, raw] = match;
+        if (raw === '') {
+            // Block sequence follows (or an empty value)
+            result[key] = [];
+            listKey = key;
+        } else {
+            result[key] = parseValue(raw);
+            listKey = null;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Parse a value: JSON (quoted strings, flow sequences, objects), plain
+ * flow sequences like [a, b] or a scalar
+ * @param {string} raw
+ * @returns {*}
+ */
+function parseValue(raw) {
+    const value = raw.trim();
+
+    if (/^["[{]/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            if (value.startsWith('[') && value.endsWith(']')) {
+                return value.slice(1, -1).split(',').map(entry => parseScalar(entry)).filter(entry => entry !== '');
+            }
+            throw new Error(`Invalid front matter value: ${value}`);
+        }
+    }
+
+    return parseScalar(value);
+}
+
+/**
+ * Parse a scalar
+ * @param {string} raw
+ * @returns {string|number|boolean|null}
+ */
+function parseScalar(raw) {
+    const value = raw.trim();
+
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value === 'null' || value === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, -1);
+        }
+    }
+    if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+
+    return value;
+}
+
+export default {
+    serializePromptFile,
+    getPromptFileName,
+    parsePromptFile
+};
@@ -0,0 +1,361 @@
+/**
+ * Adapter Registry
+ * Registers storage/sync adapters, selects the active one at boot and
+ * routes all prompt and version reads/writes of the UI through it
+ *
+ * Custom backends are added without touching the UI:
+ *
+ *   import { registerAdapter } from './adapters/registry.js';
+ *   registerAdapter(myAdapter); // before initAdapters() runs in main.js
+ */
+
+import { appState, eventBus, showToast } from '../state.js';
+import localAdapter from './local.js';
+import driveAdapter from './drive.js';
+import webdavAdapter from './webdav.js';
+import folderAdapter from './folder.js';
+import restAdapter from './rest.js';
+import firebaseAdapter from './firebase.js';
+
+// ========================================
+// Adapter Contract
+// ========================================
+
+/**
+ * @typedef {Object} AdapterCapabilities
+ * @property {boolean} realtime - Pushes remote changes (observeRemoteChanges)
+ * @property {boolean} versionedBackups - Keeps backup generations (listBackups, loadBackup)
+ * @property {boolean} authRequired - Needs signIn() before it can be used
+ * @property {boolean} backup - Supports backup() / restore()
+ */
+
+/**
+ * @typedef {Object} AdapterSettingsField
+ * @property {string} key - Key in appState.settings[adapter.name]
+ * @property {string} label - Label shown in the settings
+ * @property {'text'|'password'|'number'|'checkbox'} [type='text']
+ * @property {string} [placeholder]
+ * @property {string} [hint] - Help text below the field
+ * @property {boolean} [unencrypted] - Credential kept in plaintext in the settings
+ *   (localStorage), also with encryption at rest; the settings warn about it
+ */
+
+/**
+ * Storage/sync adapter
+ *
+ * Identity & lifecycle (required):
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Unique id, also the key of its settings
+ * @property {string} displayName - Name shown in the UI
+ * @property {AdapterCapabilities} capabilities
+ * @property {string} [icon] - Emoji shown in the settings heading
+ * @property {string} [description] - Text shown in the settings
+ * @property {Array<AdapterSettingsField>} [settingsFields] - Config rendered by the settings view
+ * @property {function(Object): Promise<void>} init - Called with appState.settings[name]
+ * @property {function(): boolean} isAuthenticated
+ * @property {function(): Object} getSyncStatus - {enabled, lastSync, inProgress, account, ...}
+ *
+ * Prompts & versions (required, same signatures as db.js):
+ * createPrompt, getPrompt, getAllPrompts, updatePrompt, deletePrompt,
+ * createVersion, getVersionsByPrompt, getLatestVersion, rollbackToVersion,
+ * exportData, importData
+ *
+ * Queries (optional, served by the local adapter when missing):
+ * getVersion, queryPrompts, filterPromptsByTags, getAllTags, getStats
+ *
+ * Capability methods (required when the flag is set):
+ * - authRequired: signIn(), signOut()
+ * - backup: backup(encrypted), restore(requestPassphrase, [backupId]) (see crypto.openEnvelope)
+ * - versionedBackups: listBackups() -> [BackupInfo] newest first (see backups.js),
+ *   loadBackup(backupId, requestPassphrase) -> export data
+ * - realtime: observeRemoteChanges(callback), stopListening(), pushPrompt(prompt, baseRev),
+ *   pushVersion(version), deleteRemote(entity, id, baseRev) - driven by sync.js, which
+ *   keeps IndexedDB as the source of truth; see there for the semantics
+ *   (including the optional pushChanges(changes) for batched pushes)
+ * Backup adapters may implement autoSync(): one scheduled backup, run by
+ * scheduler.js while settings[name].autoSync is set (throws on failure)
+ * sync() and getAccountId() are optional for every adapter
+ *
+ * Adapters whose sign-in state changes on its own (restored sessions, expiry)
+ * emit 'adapterAuthChanged' with {name} on the eventBus.
+ */
+
+export const ADAPTER_CAPABILITIES = ['realtime', 'versionedBackups', 'authRequired', 'backup'];
+
+const LIFECYCLE_METHODS = ['init', 'isAuthenticated', 'getSyncStatus'];
+
+const DATA_METHODS = [
+    'createPrompt',
+    'getPrompt',
+    'getAllPrompts',
+    'updatePrompt',
+    'deletePrompt',
+    'createVersion',
+    'getVersionsByPrompt',
+    'getLatestVersion',
+    'rollbackToVersion',
+    'exportData',
+    'importData'
+];
+
+const QUERY_METHODS = ['getVersion', 'queryPrompts', 'filterPromptsByTags', 'getAllTags', 'getStats'];
+
+const CAPABILITY_METHODS = {
+    authRequired: ['signIn', 'signOut'],
+    backup: ['backup', 'restore'],
+    versionedBackups: ['listBackups', 'loadBackup'],
+    realtime: ['observeRemoteChanges', 'stopListening', 'pushPrompt', 'pushVersion', 'deleteRemote']
+};
+
+// ========================================
+// Registry
+// ========================================
+
+const adapters = new Map();
+let activeName = 'local';
+
+/**
+ * Register an adapter
+ * @param {StorageAdapter} adapter
+ * @throws {Error} - If the adapter does not fulfil the contract
+ */
+export function registerAdapter(adapter) {
+    const errors = validateAdapter(adapter);
+    if (errors.length > 0) {
+        throw new Error(`Invalid adapter "${adapter && adapter.name}": ${errors.join(', ')}`);
+    }
+
+    adapters.set(adapter.name, adapter);
+}
+
+/**
+ * Check an adapter against the contract
+ * @param {StorageAdapter} adapter
+ * @returns {Array<string>} - Contract violations (empty if valid)
+ */
+export function validateAdapter(adapter) {
+    if (!adapter || typeof adapter !== 'object') {
+        return ['not an object'];
+    }
+
+    const errors = [];
+
+    if (!adapter.name || typeof adapter.name !== 'string') {
+        errors.push('name is required');
+    }
+    if (!adapter.displayName) {
+        errors.push('displayName is required');
+    }
+    if (!adapter.capabilities || typeof adapter.capabilities !== 'object') {
+        errors.push('capabilities are required');
+    }
+
+    const required = [...LIFECYCLE_METHODS, ...DATA_METHODS];
+    ADAPTER_CAPABILITIES.forEach(capability => {
+        if (adapter.capabilities && adapter.capabilities[capability]) {
+            required.push(...CAPABILITY_METHODS[capability]);
+        }
+    });
+
+    required
+        .filter(method => typeof adapter[method] !== 'function')
+        .forEach(method => errors.push(`missing method ${method}()`));
+
+    return errors;
+}
+
+/**
+ * Get a registered adapter
+ * @param {string} name - Adapter name
+ * @returns {StorageAdapter|null}
+ */
+export function getAdapter(name) {
+    return adapters.get(name) || null;
+}
+
+/**
+ * Get all registered adapters (local first)
+ * @returns {Array<StorageAdapter>}
+ */
+export function getAdapters() {
+    return Array.from(adapters.values());
+}
+
+/**
+ * Check a capability flag
+ * @param {StorageAdapter} adapter
+ * @param {string} capability - One of ADAPTER_CAPABILITIES
+ * @returns {boolean}
+ */
+export function hasCapability(adapter, capability) {
+    return !!(adapter && adapter.capabilities && adapter.capabilities[capability]);
+}
+
+/**
+ * Get the adapter that serves reads/writes
+ * An adapter that needs sign-in serves them only once authenticated,
+ * until then the local adapter does
+ * @returns {StorageAdapter}
+ */
+export function getActiveAdapter() {
+    const adapter = adapters.get(activeName);
+
+    if (!adapter || (hasCapability(adapter, 'authRequired') && !adapter.isAuthenticated())) {
+        return localAdapter;
+    }
+
+    return adapter;
+}
+
+/**
+ * Get the adapter selected in the settings (even if not yet signed in)
+ * @returns {StorageAdapter}
+ */
+export function getSelectedAdapter() {
+    return adapters.get(appState.get('syncAdapter')) || localAdapter;
+}
+
+/**
+ * Settings of an adapter (passed to init)
+ * @param {string} name - Adapter name
+ * @returns {Object}
+ */
+export function getAdapterConfig(name) {
+    return appState.get('settings')[name] || {};
+}
+
+/**
+ * Select the active adapter and initialize it
+ * @param {string} name - Adapter name
+ * @returns {Promise<StorageAdapter>}
+ * @throws {Error} - If the adapter is unknown or fails to initialize
+ */
+export async function setActiveAdapter(name) {
+    const adapter = adapters.get(name);
+    if (!adapter) {
+        throw new Error(`Unknown adapter: ${name}`);
+    }
+
+    await adapter.init(getAdapterConfig(name));
+
+    activeName = name;
+    appState.setState({ syncAdapter: name });
+    eventBus.emit('adapterChanged', { name });
+
+    return adapter;
+}
+
+/**
+ * Initialize the adapter stored in appState.syncAdapter (called once at boot)
+ * If it is unknown or fails to initialize, the local adapter is used for this
+ * session; the selection is kept so the next start tries again
+ * @returns {Promise<StorageAdapter>}
+ */
+export async function initAdapters() {
+    const name = appState.get('syncAdapter');
+    const adapter = adapters.get(name);
+
+    if (!adapter) {
+        activeName = 'local';
+        return localAdapter;
+    }
+
+    try {
+        await adapter.init(getAdapterConfig(name));
+        activeName = name;
+    } catch (error) {
+        console.error(`Adapter "${name}" failed to initialize:`, error);
+        showToast(`${adapter.displayName} nicht verfügbar, lokaler Speicher wird verwendet`, 'warning');
+        activeName = 'local';
+    }
+
+    return getActiveAdapter();
+}
+
+/**
+ * Initialize an adapter with its settings and sign in if required
+ * @param {string} name - Adapter name
+ * @returns {Promise<void>}
+ */
+export async function connectAdapter(name) {
+    const adapter = adapters.get(name);
+    if (!adapter) {
+        throw new Error(`Unknown adapter: ${name}`);
+    }
+
+    await adapter.init(getAdapterConfig(name));
+
+    if (hasCapability(adapter, 'authRequired') && !adapter.isAuthenticated()) {
+        await adapter.signIn();
+    }
+
+    if (name === activeName) {
+        eventBus.emit('adapterChanged', { name });
+    }
+}
+
+/**
+ * Sign out of an adapter; reads/writes fall back to the local adapter
+ * @param {string} name - Adapter name
+ * @returns {Promise<void>}
+ */
+export async function disconnectAdapter(name) {
+    const adapter = adapters.get(name);
+    if (!adapter || !hasCapability(adapter, 'authRequired')) return;
+
+    await adapter.signOut();
+
+    if (name === activeName) {
+        eventBus.emit('adapterChanged', { name });
+    }
+}
+
+// ========================================
+// Storage Facade
+// ========================================
+
+/**
+ * Prompt/version API for the UI, delegating to the active adapter
+ * Query methods an adapter does not implement are served by the local adapter
+ */
+export const storage = {};
+
+DATA_METHODS.forEach(method => {
+    storage[method] = (...args) => getActiveAdapter()[method](...args);
+});
+
+QUERY_METHODS.forEach(method => {
+    storage[method] = (...args) => {
+        const adapter = getActiveAdapter();
+        const target = typeof adapter[method] === 'function' ? adapter : localAdapter;
+        return target[method](...args);
+    };
+});
+
+// ========================================
+// Built-in Adapters
+// ========================================
+
+registerAdapter(localAdapter);
+registerAdapter(driveAdapter);
+registerAdapter(webdavAdapter);
+registerAdapter(firebaseAdapter);
+registerAdapter(folderAdapter);
+registerAdapter(restAdapter);
+
+export default {
+    ADAPTER_CAPABILITIES,
+    registerAdapter,
+    validateAdapter,
+    getAdapter,
+    getAdapters,
+    hasCapability,
+    getActiveAdapter,
+    getSelectedAdapter,
+    getAdapterConfig,
+    setActiveAdapter,
+    initAdapters,
+    connectAdapter,
+    disconnectAdapter,
+    storage
+};
@@ -0,0 +1,383 @@
+/**
+ * REST Sync Adapter
+ * Realtime sync with a self-hosted server speaking the REST sync protocol
+ * (reference server and protocol description in server/)
+ * Driven by sync.js like the Firebase adapter: prompts stay in IndexedDB,
+ * local changes are pushed in batches (POST /v1/changes) and remote changes
+ * are pulled by cursor (GET /v1/changes?since=) every few seconds.
+ */
+
+import localAdapter from './local.js';
+import { getDeviceId } from '../db.js';
+import { SyncConflictError, isSamePrompt } from '../sync.js';
+import { appState, eventBus, showToast } from '../state.js';
+
+const PROTOCOL_PATH = 'v1/';
+const DEFAULT_POLL_INTERVAL = 15; // seconds
+const PULL_LIMIT = 500;
+
+class RestSyncAdapter {
+    constructor() {
+        this.name = 'rest';
+        this.displayName = 'Eigener Sync-Server';
+        this.icon = '🖥️';
+        this.description = 'Synchronisiere deine Prompts über einen eigenen Server (server/sync-server.mjs oder eine andere Umsetzung des Sync-Protokolls).';
+        this.config = null;
+        this.account = null;
+        this.ready = false;
+        this.pollInterval = DEFAULT_POLL_INTERVAL * 1000;
+        this.pollTimer = null;
+        this.callback = null;
+        this.cursor = 0;
+        this.pulling = null;
+        this.handleWake = () => this.poll();
+        this.capabilities = {
+            realtime: true,
+            versionedBackups: false,
+            authRequired: true,
+            backup: false
+        };
+        this.settingsFields = [
+            {
+                key: 'url',
+                label: 'Server-URL',
+                placeholder: 'https://sync.example.com/',
+                hint: 'Adresse des Sync-Servers (ohne /v1)'
+            },
+            { key: 'token', label: 'Zugangstoken', type: 'password', unencrypted: true },
+            {
+                key: 'pollInterval',
+                label: 'Abfrageintervall (Sekunden)',
+                type: 'number',
+                placeholder: String(DEFAULT_POLL_INTERVAL),
+                hint: 'So oft werden Änderungen anderer Geräte abgeholt, außerdem beim Zurückkehren in die App'
+            }
+        ];
+    }
+
+    /**
+     * Store the server settings; a connection that was set up before is
+     * restored silently (otherwise signIn checks the token)
+     * @param {Object} config - Server settings
+     * @param {string} config.url - Server URL
+     * @param {string} config.token - Bearer token
+     * @param {number} [config.pollInterval] - Seconds between pulls
+     * @param {boolean} [config.enabled] - Connected before
+     * @returns {Promise<void>}
+     */
+    async init({ url, token = '', pollInterval, enabled = false } = {}) {
+        if (!url) {
+            throw new Error('Sync server URL is required');
+        }
+
+        try {
+            new URL(url);
+        } catch (error) {
+            throw new Error(`Invalid sync server URL: ${url}`);
+        }
+
+        this.pollInterval = (parseInt(pollInterval, 10) || DEFAULT_POLL_INTERVAL) * 1000;
+
+        const config = { url: url.endsWith('/') ? url : `${url}/`, token };
+        if (this.config && JSON.stringify(this.config) === JSON.stringify(config) && this.ready) {
+            return;
+        }
+
+        this.config = config;
+        this.ready = false;
+        this.account = null;
+
+        if (enabled) {
+            try {
+                await this.connect();
+            } catch (error) {
+                // Offline or token revoked: signIn shows the error
+                console.error('Restoring sync server connection failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Check the token and load the account it belongs to
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        const { account } = await this.request('GET', 'account');
+        this.account = account;
+        this.ready = true;
+    }
+
+    /**
+     * Sign in: check the configured token
+     * @returns {Promise<void>}
+     */
+    async signIn() {
+        try {
+            if (!this.config) {
+                throw new Error('Sync server not initialized. Call init() first.');
+            }
+            await this.connect();
+        } catch (error) {
+            showToast('Anmeldung am Sync-Server fehlgeschlagen', 'error');
+            throw error;
+        }
+
+        showToast(`Mit Sync-Server verbunden (${this.account})`, 'success');
+    }
+
+    /**
+     * Sign out (the token stays in the settings)
+     */
+    signOut() {
+        this.stopListening();
+        this.ready = false;
+        this.account = null;
+        showToast('Vom Sync-Server getrennt', 'info');
+    }
+
+    /**
+     * Check if authenticated
+     * @returns {boolean}
+     */
+    isAuthenticated() {
+        return this.ready && this.config !== null;
+    }
+
+    /**
+     * Account on the server: sync bookkeeping is reset when the server or
+     * the account changes
+     * @returns {string|null}
+     */
+    getAccountId() {
+        return this.account ? `${this.account}@${this.config.url}` : null;
+    }
+
+    // ========================================
+    // Requests
+    // ========================================
+
+    /**
+     * Send a protocol request
+     * @param {'GET'|'POST'} method
+     * @param {string} path - Path below /v1/ (with query)
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} - JSON response
+     * @throws {Error} - On errors; 401/403 also end the session
+     */
+    async request(method, path, body) {
+        const response = await fetch(this.config.url + PROTOCOL_PATH + path, {
+            method,
+            headers: {
+                Authorization: `Bearer ${this.config.token}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            cache: 'no-store'
+        });
+
+        if (response.ok) {
+            return await response.json();
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            if (this.ready) {
+                this.ready = false;
+                eventBus.emit('adapterAuthChanged', { name: this.name });
+            }
+            throw new Error('Sync server rejected the token. Please check the settings and sign in again.');
+        }
+
+        let message = response.statusText;
+        try {
+            message = (await response.json()).error || message;
+        } catch (error) {
+            // Not a protocol error response (e.g. from a proxy)
+        }
+        throw new Error(`Sync server ${method} ${path.split('?')[0]} failed: ${response.status} ${message}`);
+    }
+
+    /**
+     * @throws {Error} - If not signed in
+     */
+    ensureConnected() {
+        if (!this.isAuthenticated()) {
+            throw new Error('Not authenticated. Please sign in first.');
+        }
+    }
+
+    // ========================================
+    // Sync Primitives (used by sync.js)
+    // ========================================
+
+    /**
+     * Push several changes in one request
+     * @param {Array<Object>} changes - [{entity, id, type: 'put'|'delete', data, baseRev}]
+     * @returns {Promise<Array<Object>>} - Per change {rev} or {conflict: SyncConflictError}
+     */
+    async pushChanges(changes) {
+        this.ensureConnected();
+
+        const { results } = await this.request('POST', 'changes', {
+            deviceId: getDeviceId(),
+            changes
+        });
+
+        return results.map((result, i) => {
+            if (!result.conflict) {
+                return { rev: result.rev };
+            }
+
+            const { remote, remoteRev } = result.conflict;
+            const change = changes[i];
+
+            // Same edit on both sides (or pushed before and the response got lost)
+            if (change.entity === 'prompt' && change.type === 'put' && remote && isSamePrompt(remote, change.data)) {
+                return { rev: remoteRev };
+            }
+            return { conflict: new SyncConflictError(remote, remoteRev) };
+        });
+    }
+
+    /**
+     * Push a single change
+     * @param {Object} change - See pushChanges
+     * @returns {Promise<number>} - New remote revision
+     * @throws {SyncConflictError}
+     */
+    async pushChange(change) {
+        const [result] = await this.pushChanges([change]);
+        if (result.conflict) {
+            throw result.conflict;
+        }
+        return result.rev;
+    }
+
+    /**
+     * Write a prompt if the remote revision is still baseRev
+     * @param {Object} prompt - Plaintext prompt
+     * @param {number|null} baseRev - Revision last synced (null = never)
+     * @returns {Promise<number>} - New remote revision
+     * @throws {SyncConflictError} - If the remote prompt changed meanwhile
+     */
+    async pushPrompt(prompt, baseRev) {
+        return await this.pushChange({ entity: 'prompt', id: prompt.id, type: 'put', data: prompt, baseRev });
+    }
+
+    /**
+     * Write a version (versions are append-only and never conflict)
+     * @param {Object} version - Plaintext version
+     * @returns {Promise<number>} - Remote revision
+     */
+    async pushVersion(version) {
+        return await this.pushChange({ entity: 'version', id: version.id, type: 'put', data: version, baseRev: null });
+    }
+
+    /**
+     * Delete a remote record (the server deletes the versions of a prompt with it)
+     * @param {'prompt'|'version'} entity
+     * @param {string} id
+     * @param {number|null} baseRev - Revision last synced
+     * @returns {Promise<void>}
+     * @throws {SyncConflictError} - If the remote prompt changed meanwhile
+     */
+    async deleteRemote(entity, id, baseRev) {
+        await this.pushChange({ entity, id, type: 'delete', data: null, baseRev });
+    }
+
+    /**
+     * Pull all remote records now, then changes every pollInterval and when
+     * the app regains focus or comes back online
+     * @param {Function} callback - Called with {entity, type, id, data, rev, deviceId}
+     */
+    observeRemoteChanges(callback) {
+        if (!this.isAuthenticated()) {
+            return;
+        }
+
+        this.callback = callback;
+        // Like a first snapshot: the sync engine skips records it already has
+        this.cursor = 0;
+        this.poll();
+
+        this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+        window.addEventListener('focus', this.handleWake);
+        window.addEventListener('online', this.handleWake);
+    }
+
+    /**
+     * Stop pulling
+     */
+    stopListening() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.callback = null;
+        window.removeEventListener('focus', this.handleWake);
+        window.removeEventListener('online', this.handleWake);
+    }
+
+    /**
+     * Pull unless a pull is running or the device is offline
+     */
+    poll() {
+        if (!this.callback || this.pulling || !navigator.onLine) return;
+
+        this.pulling = this.pull()
+            .catch(error => console.error('Pulling from sync server failed:', error))
+            .finally(() => {
+                this.pulling = null;
+            });
+    }
+
+    /**
+     * Report the changes since the cursor, page by page
+     * @returns {Promise<void>}
+     */
+    async pull() {
+        const callback = this.callback;
+        let hasMore = true;
+
+        while (hasMore && this.callback === callback) {
+            const page = await this.request('GET', `changes?since=${this.cursor}&limit=${PULL_LIMIT}`);
+            if (this.callback !== callback) return;
+
+            page.changes.forEach(({ entity, type, id, data, rev, deviceId }) => {
+                callback({ entity, type, id, data, rev, deviceId });
+            });
+
+            this.cursor = page.cursor;
+            hasMore = page.hasMore;
+        }
+    }
+
+    /**
+     * Get sync status
+     * @returns {Object}
+     */
+    getSyncStatus() {
+        return {
+            enabled: this.isAuthenticated(),
+            lastSync: appState.get('lastSyncAt'),
+            inProgress: appState.get('syncInProgress'),
+            conflicts: appState.get('syncConflicts'),
+            account: this.account ? `${this.account} · ${new URL(this.config.url).host}` : null
+        };
+    }
+
+    /**
+     * Delegate data methods to the local adapter
+     * (IndexedDB is the source of truth, sync.js mirrors it to the server)
+     */
+    async createPrompt(data) { return await localAdapter.createPrompt(data); }
+    async getPrompt(id) { return await localAdapter.getPrompt(id); }
+    async getAllPrompts(options) { return await localAdapter.getAllPrompts(options); }
+    async updatePrompt(id, updates) { return await localAdapter.updatePrompt(id, updates); }
+    async deletePrompt(id, hard) { return await localAdapter.deletePrompt(id, hard); }
+    async createVersion(promptId, content, notes) { return await localAdapter.createVersion(promptId, content, notes); }
+    async getVersionsByPrompt(promptId) { return await localAdapter.getVersionsByPrompt(promptId); }
+    async getLatestVersion(promptId) { return await localAdapter.getLatestVersion(promptId); }
+    async rollbackToVersion(versionId) { return await localAdapter.rollbackToVersion(versionId); }
+    async exportData() { return await localAdapter.exportData(); }
+    async importData(data, merge) { return await localAdapter.importData(data, merge); }
+}
+
+export default new RestSyncAdapter();
@@ -0,0 +1,566 @@
+/**
+ * WebDAV Adapter
+ * Backup generations in a folder on any WebDAV server (Nextcloud, ownCloud,
+ * Apache mod_dav, ...), with Basic or Bearer authentication
+ * The server has to allow cross-origin requests from the app (CORS).
+ */
+
+import localAdapter from './local.js';
+import { appState, eventBus, showToast } from '../state.js';
+import { formatImportResult } from '../models.js';
+import {
+    BACKUP_PREFIX,
+    DEFAULT_RETENTION,
+    createBackup,
+    getBackupFileName,
+    parseBackupFileName,
+    selectExpiredBackups
+} from './backups.js';
+
+// Metadata of all backups, so listing does not download every backup
+const INDEX_FILE = `${BACKUP_PREFIX}.index.json`;
+
+// Attempts to update the index when another device changed it meanwhile
+const INDEX_RETRIES = 3;
+
+/**
+ * Raised when a conditional request fails (the ETag changed)
+ */
+class PreconditionFailedError extends Error {
+    constructor() {
+        super('WebDAV resource changed meanwhile');
+        this.name = 'PreconditionFailedError';
+    }
+}
+
+class WebDAVAdapter {
+    constructor() {
+        this.name = 'webdav';
+        this.displayName = 'WebDAV';
+        this.icon = '🗄️';
+        this.description = 'Sichere deine Prompts auf einem WebDAV-Server, z. B. Nextcloud. Der Server muss Anfragen dieser App erlauben (CORS).';
+        this.config = null;
+        this.ready = false;
+        this.capabilities = {
+            realtime: false,
+            versionedBackups: true,
+            authRequired: true,
+            backup: true
+        };
+        this.settingsFields = [
+            {
+                key: 'url',
+                label: 'Ordner-URL',
+                placeholder: 'https://cloud.example.com/remote.php/dav/files/name/PromptMasterPro/',
+                hint: 'Der Ordner wird beim Anmelden angelegt, falls er fehlt'
+            },
+            { key: 'username', label: 'Benutzername' },
+            { key: 'password', label: 'Passwort / App-Passwort', type: 'password', unencrypted: true },
+            {
+                key: 'token',
+                label: 'Bearer-Token',
+                type: 'password',
+                hint: 'Statt Benutzername und Passwort',
+                unencrypted: true
+            },
+            { key: 'autoSync', label: 'Auto-Sync aktivieren', type: 'checkbox' },
+            { key: 'syncInterval', label: 'Sync-Intervall (Minuten)', type: 'number', placeholder: '30' },
+            {
+                key: 'keepHourly',
+                label: 'Stündliche Backups behalten (Stunden)',
+                type: 'number',
+                placeholder: String(DEFAULT_RETENTION.keepHourly)
+            },
+            {
+                key: 'keepDaily',
+                label: 'Tägliche Backups behalten (Tage)',
+                type: 'number',
+                placeholder: String(DEFAULT_RETENTION.keepDaily),
+                hint: 'Das neueste Backup bleibt immer erhalten'
+            }
+        ];
+    }
+
+    /**
+     * Store the server settings; a connection that was set up before is
+     * restored silently (otherwise signIn checks the credentials)
+     * @param {Object} config - WebDAV settings
+     * @param {string} config.url - Folder URL
+     * @param {string} [config.username] - Basic auth
+     * @param {string} [config.password] - Basic auth
+     * @param {string} [config.token] - Bearer auth (takes precedence)
+     * @param {boolean} [config.enabled] - Connected before
+     * @returns {Promise<void>}
+     */
+    async init({ url, username = '', password = '', token = '', enabled = false } = {}) {
+        if (!url) {
+            throw new Error('WebDAV folder URL is required');
+        }
+
+        try {
+            new URL(url);
+        } catch (error) {
+            throw new Error(`Invalid WebDAV folder URL: ${url}`);
+        }
+
+        const config = {
+            url: url.endsWith('/') ? url : `${url}/`,
+            username,
+            password,
+            token
+        };
+
+        if (this.config && JSON.stringify(this.config) === JSON.stringify(config) && this.ready) {
+            return;
+        }
+
+        this.config = config;
+        this.ready = false;
+
+        if (enabled) {
+            try {
+                await this.connect();
+            } catch (error) {
+                // Offline or credentials changed on the server: signIn shows the error
+                console.error('Restoring WebDAV connection failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Check the credentials and create the folder if it is missing
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        const response = await this.request('PROPFIND', '', {
+            headers: { Depth: '0' },
+            allow: [404]
+        });
+
+        if (response.status === 404) {
+            await this.request('MKCOL', '');
+        }
+
+        this.ready = true;
+    }
+
+    /**
+     * Sign in: connect to the configured folder
+     * @returns {Promise<void>}
+     */
+    async signIn() {
+        try {
+            if (!this.config) {
+                throw new Error('WebDAV not initialized. Call init() first.');
+            }
+            await this.connect();
+        } catch (error) {
+            showToast('WebDAV-Anmeldung fehlgeschlagen', 'error');
+            throw error;
+        }
+
+        showToast('Mit WebDAV verbunden', 'success');
+    }
+
+    /**
+     * Sign out (credentials stay in the settings)
+     */
+    signOut() {
+        this.ready = false;
+        showToast('Von WebDAV getrennt', 'info');
+    }
+
+    /**
+     * Check if authenticated
+     * @returns {boolean}
+     */
+    isAuthenticated() {
+        return this.ready && this.config !== null;
+    }
+
+    // ========================================
+    // Requests
+    // ========================================
+
+    /**
+     * Authorization header for the configured credentials
+     * @returns {string|null}
+     */
+    getAuthorization() {
+        const { username, password, token } = this.config;
+
+        if (token) {
+            return `Bearer ${token}`;
+        }
+        if (username) {
+            // btoa only takes Latin-1
+            const bytes = new TextEncoder().encode(`${username}:${password}`);
+            return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+        }
+        return null;
+    }
+
+    /**
+     * Send a request to a file in the folder
+     * @param {string} method - HTTP/WebDAV method
+     * @param {string} name - File name ('' for the folder itself)
+     * @param {Object} [options]
+     * @param {Object} [options.headers]
+     * @param {string|Blob} [options.body]
+     * @param {Array<number>} [options.allow] - Error statuses returned instead of thrown
+     * @returns {Promise<Response>}
+     * @throws {PreconditionFailedError} - If an If-Match/If-None-Match condition fails
+     * @throws {Error} - On other errors; 401/403 also end the session
+     */
+    async request(method, name, { headers = {}, body, allow = [] } = {}) {
+        const authorization = this.getAuthorization();
+
+        const response = await fetch(this.config.url + encodeURIComponent(name), {
+            method,
+            headers: {
+                ...(authorization ? { Authorization: authorization } : {}),
+                ...headers
+            },
+            body,
+            cache: 'no-store'
+        });
+
+        if (response.ok || allow.includes(response.status)) {
+            return response;
+        }
+
+        if (response.status === 412) {
+            throw new PreconditionFailedError();
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            if (this.ready) {
+                this.ready = false;
+                eventBus.emit('adapterAuthChanged', { name: this.name });
+            }
+            throw new Error('WebDAV credentials rejected. Please check the settings and sign in again.');
+        }
+
+        throw new Error(`WebDAV ${method} failed: ${response.status} ${response.statusText}`);
+    }
+
+    /**
+     * @throws {Error} - If not signed in
+     */
+    ensureConnected() {
+        if (!this.isAuthenticated()) {
+            throw new Error('Not authenticated. Please sign in first.');
+        }
+    }
+
+    // ========================================
+    // Backup Index
+    // ========================================
+
+    /**
+     * Read the backup index
+     * @returns {Promise<{index: Object, etag: string|null}>} - etag is null if there is no index yet
+     */
+    async readIndex() {
+        const response = await this.request('GET', INDEX_FILE, { allow: [404] });
+
+        if (response.status === 404) {
+            return { index: { backups: {} }, etag: null };
+        }
+
+        let index;
+        try {
+            index = await response.json();
+        } catch (error) {
+            // A damaged index only costs the metadata, it is rewritten on the next backup
+            console.error('Reading WebDAV backup index failed:', error);
+            index = {};
+        }
+
+        return {
+            index: { backups: {}, ...index },
+            etag: response.headers.get('ETag')
+        };
+    }
+
+    /**
+     * Change the backup index without losing concurrent changes of other
+     * devices: written with If-Match and retried if the ETag changed
+     * @param {function(Object): void} update - Modifies index.backups in place
+     * @returns {Promise<void>}
+     */
+    async updateIndex(update) {
+        for (let attempt = 1; ; attempt++) {
+            const { index, etag } = await this.readIndex();
+            update(index.backups);
+
+            try {
+                await this.request('PUT', INDEX_FILE, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' })
+                    },
+                    body: JSON.stringify(index, null, 2)
+                });
+                return;
+            } catch (error) {
+                if (!(error instanceof PreconditionFailedError) || attempt >= INDEX_RETRIES) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    // ========================================
+    // Backups
+    // ========================================
+
+    /**
+     * Backup to the WebDAV folder
+     * @param {boolean} encrypted - Whether to encrypt backup
+     * @returns {Promise<void>}
+     */
+    async backup(encrypted = false) {
+        await this.writeBackup(encrypted);
+        showToast('Backup erfolgreich auf dem WebDAV-Server gespeichert', 'success');
+    }
+
+    /**
+     * Upload a new backup generation; generations the retention policy no
+     * longer covers are deleted afterwards
+     * @param {boolean} encrypted - Whether to encrypt backup
+     * @returns {Promise<void>}
+     */
+    async writeBackup(encrypted) {
+        this.ensureConnected();
+
+        if (encrypted && !appState.get('settings').encryption.enabled) {
+            throw new Error('Encryption not configured');
+        }
+
+        // Same envelope as file exports: carries salt and KDF parameters
+        const { envelope, metadata } = await createBackup(encrypted);
+        const name = getBackupFileName(envelope.createdAt);
+
+        // Generations are never overwritten
+        await this.request('PUT', name, {
+            headers: {
+                'Content-Type': 'application/json',
+                'If-None-Match': '*'
+            },
+            body: JSON.stringify(envelope, null, 2)
+        });
+
+        // The backup is complete without its index entry (listed with less detail)
+        try {
+            await this.updateIndex(backups => {
+                backups[name] = {
+                    createdAt: envelope.createdAt,
+                    promptCount: metadata.promptCount,
+                    versionCount: metadata.versionCount,
+                    deviceId: metadata.deviceId,
+                    device: metadata.device,
+                    encrypted: envelope.encrypted
+                };
+            });
+        } catch (error) {
+            console.error('Updating WebDAV backup index failed:', error);
+        }
+
+        // The new backup is safe: a failing cleanup only leaves extra generations
+        try {
+            await this.pruneBackups();
+        } catch (error) {
+            console.error('Pruning WebDAV backups failed:', error);
+        }
+    }
+
+    /**
+     * Delete the backups not covered by the retention policy
+     * @returns {Promise<number>} - Number of deleted backups
+     */
+    async pruneBackups() {
+        const { keepHourly, keepDaily } = appState.get('settings').webdav;
+        const expired = selectExpiredBackups(await this.listBackups(), { keepHourly, keepDaily });
+
+        for (const backup of expired) {
+            // Already gone is fine (pruned by another device)
+            await this.request('DELETE', backup.id, { allow: [404] });
+        }
+
+        if (expired.length > 0) {
+            await this.updateIndex(backups => {
+                expired.forEach(backup => {
+                    delete backups[backup.id];
+                });
+            });
+        }
+
+        return expired.length;
+    }
+
+    /**
+     * Download and open a backup
+     * @param {string} backupId - File name (see listBackups)
+     * @param {Function} [requestPassphrase] - Asked for the passphrase if the backup
+     *   was encrypted on another device or with an old passphrase (see crypto.openEnvelope)
+     * @returns {Promise<Object>} - Export data
+     */
+    async loadBackup(backupId, requestPassphrase) {
+        this.ensureConnected();
+
+        const response = await this.request('GET', backupId);
+        const backupData = await response.text();
+
+        // Envelope header tells whether and how the backup is encrypted
+        const crypto = await import('../crypto.js');
+        const envelope = crypto.parseEnvelope(backupData);
+        return await crypto.openEnvelope(envelope, requestPassphrase);
+    }
+
+    /**
+     * Restore from the WebDAV folder
+     * @param {Function} [requestPassphrase] - See loadBackup
+     * @param {string} [backupId] - Backup to restore (default: the newest)
+     * @returns {Promise<Object>}
+     */
+    async restore(requestPassphrase, backupId) {
+        if (!backupId) {
+            const [latest] = await this.listBackups();
+            if (!latest) {
+                throw new Error('No backup file found on the WebDAV server');
+            }
+            backupId = latest.id;
+        }
+
+        const data = await this.loadBackup(backupId, requestPassphrase);
+
+        // Import to local storage
+        const result = await localAdapter.importData(data, true);
+
+        showToast(`Wiederherstellung erfolgreich: ${formatImportResult(result)}`, 'success');
+
+        return result;
+    }
+
+    /**
+     * List all backup generations, newest first
+     * @returns {Promise<Array<import('./backups.js').BackupInfo>>}
+     */
+    async listBackups() {
+        this.ensureConnected();
+
+        const response = await this.request('PROPFIND', '', {
+            headers: {
+                Depth: '1',
+                'Content-Type': 'application/xml; charset=utf-8'
+            },
+            body: `<?xml version="1.0" encoding="utf-8"?>
+                <d:propfind xmlns:d="DAV:">
+                    <d:prop><d:getcontentlength/><d:getlastmodified/><d:getetag/></d:prop>
+                </d:propfind>`
+        });
+
+        const files = parseMultistatus(await response.text());
+        const { index } = await this.readIndex();
+
+        return files
+            .map(file => {
+                const createdAt = parseBackupFileName(file.name);
+                if (createdAt === null) return null;
+
+                const metadata = index.backups[file.name] || {};
+                return {
+                    id: file.name,
+                    name: file.name,
+                    createdAt,
+                    size: file.size,
+                    etag: file.etag,
+                    promptCount: metadata.promptCount ?? null,
+                    versionCount: metadata.versionCount ?? null,
+                    deviceId: metadata.deviceId || null,
+                    device: metadata.device || null,
+                    encrypted: metadata.encrypted ?? null
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Scheduled backup (run by scheduler.js while auto-sync is enabled)
+     * @returns {Promise<void>}
+     * @throws {Error} - So the scheduler can retry
+     */
+    async autoSync() {
+        await this.writeBackup(appState.get('settings').encryption.enabled);
+        appState.setState({ lastSyncAt: Date.now() });
+    }
+
+    /**
+     * Get sync status
+     * @returns {Object}
+     */
+    getSyncStatus() {
+        const settings = appState.get('settings');
+        let account = null;
+
+        if (this.config) {
+            const { host } = new URL(this.config.url);
+            account = this.config.username && !this.config.token ? `${this.config.username}@${host}` : host;
+        }
+
+        return {
+            enabled: settings.webdav.enabled && this.isAuthenticated(),
+            lastSync: appState.get('lastSyncAt'),
+            inProgress: appState.get('autoSync')?.state === 'running',
+            autoSync: settings.webdav.autoSync,
+            account
+        };
+    }
+
+    /**
+     * Delegate other methods to local adapter
+     * (WebDAV adapter only handles backup/restore, local storage is primary)
+     */
+    async createPrompt(data) { return await localAdapter.createPrompt(data); }
+    async getPrompt(id) { return await localAdapter.getPrompt(id); }
+    async getAllPrompts(options) { return await localAdapter.getAllPrompts(options); }
+    async updatePrompt(id, updates) { return await localAdapter.updatePrompt(id, updates); }
+    async deletePrompt(id, hard) { return await localAdapter.deletePrompt(id, hard); }
+    async createVersion(promptId, content, notes) { return await localAdapter.createVersion(promptId, content, notes); }
+    async getVersionsByPrompt(promptId) { return await localAdapter.getVersionsByPrompt(promptId); }
+    async getLatestVersion(promptId) { return await localAdapter.getLatestVersion(promptId); }
+    async rollbackToVersion(versionId) { return await localAdapter.rollbackToVersion(versionId); }
+    async exportData() { return await localAdapter.exportData(); }
+    async importData(data, merge) { return await localAdapter.importData(data, merge); }
+}
+
+/**
+ * Read the files of a PROPFIND (Depth 1) multistatus response
+ * @param {string} xml - Response body
+ * @returns {Array<{name: string, size: number|null, etag: string|null, modifiedAt: number|null}>}
+ */
+function parseMultistatus(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    const text = (element, tag) => {
+        const node = element.getElementsByTagNameNS('DAV:', tag)[0];
+        return node ? node.textContent.trim() : null;
+    };
+
+    return Array.from(doc.getElementsByTagNameNS('DAV:', 'response'))
+        .map(response => {
+            const href = text(response, 'href') || '';
+            const size = text(response, 'getcontentlength');
+            const modified = text(response, 'getlastmodified');
+
+            return {
+                name: decodeURIComponent(href.replace(/\/$/, '').split('/').pop()),
+                size: size === null ? null : Number(size),
+                etag: text(response, 'getetag'),
+                modifiedAt: modified ? Date.parse(modified) : null
+            };
+        });
+}
+
+export default new WebDAVAdapter();
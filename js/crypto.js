@@ -8,10 +8,15 @@ import { appState } from './state.js';
 
 // In-memory key storage (never persisted)
 let encryptionKey = null;
+let blindIndexKey = null;
 let salt = null;
 
 const PBKDF2_ITERATIONS = 100000;
 const KEY_LENGTH = 256;
+const IV_LENGTH = 12;
+
+// Known plaintext stored encrypted next to the salt to verify passphrases
+const CANARY_PLAINTEXT = 'prompt-master-pro:passphrase-check';
 
 /**
  * Initialize encryption with passphrase
@@ -32,8 +37,10 @@ export async function initEncryption(passphrase) {
         localStorage.setItem('encryptionSalt', arrayBufferToBase64(salt));
     }
 
-    // Derive key from passphrase
+    // Derive keys from passphrase
     encryptionKey = await deriveKey(passphrase, salt);
+    blindIndexKey = await deriveBlindIndexKey(passphrase, salt);
+    localStorage.setItem('encryptionCanary', await encryptData(CANARY_PLAINTEXT));
 
     // Update settings
     appState.updateSettings({
@@ -44,13 +51,72 @@ export async function initEncryption(passphrase) {
     });
 }
 
+/**
+ * Unlock existing encryption
+ * Tries the stored keyring and, if a passphrase change was interrupted, the
+ * previous one. Keys are only accepted if they open the canary and the data.
+ * @param {string} passphrase - User passphrase
+ * @param {Function} [verifyData] - Async check of the loaded keys against stored records
+ * @returns {Promise<void>}
+ */
+export async function unlockEncryption(passphrase, verifyData = async () => true) {
+    const keyrings = [readKeyring(''), readKeyring('Previous')].filter(Boolean);
+    if (keyrings.length === 0) {
+        throw new Error('Encryption is not configured');
+    }
+
+    for (const keyring of keyrings) {
+        const keyringSalt = base64ToArrayBuffer(keyring.salt);
+        const key = await deriveKey(passphrase, keyringSalt);
+
+        // Keyrings from before the canary existed can only be checked against the data
+        if (keyring.canary && !(await checkCanary(key, keyring.canary))) {
+            continue;
+        }
+
+        encryptionKey = key;
+        blindIndexKey = await deriveBlindIndexKey(passphrase, keyringSalt);
+        salt = keyringSalt;
+
+        if (await verifyData()) {
+            // The working keyring becomes current (finishes or undoes an interrupted change)
+            writeKeyring('', {
+                salt: keyring.salt,
+                canary: keyring.canary || await encryptData(CANARY_PLAINTEXT)
+            });
+            clearKeyring('Previous');
+            return;
+        }
+    }
+
+    lockEncryption();
+    throw new Error('Invalid passphrase');
+}
+
+/**
+ * Forget the in-memory keys (encryption stays enabled)
+ */
+export function lockEncryption() {
+    encryptionKey = null;
+    blindIndexKey = null;
+}
+
+/**
+ * Check if encryption is enabled but no key is loaded
+ * @returns {boolean}
+ */
+export function isLocked() {
+    return appState.get('settings').encryption.enabled && encryptionKey === null;
+}
+
 /**
  * Derive encryption key from passphrase
  * @param {string} passphrase - User passphrase
  * @param {ArrayBuffer} salt - Salt
+ * @param {number} [iterations] - PBKDF2 iterations (export envelopes carry their own)
  * @returns {Promise<CryptoKey>}
  */
-async function deriveKey(passphrase, salt) {
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
     const encoder = new TextEncoder();
     const passphraseKey = await window.crypto.subtle.importKey(
         'raw',
@@ -64,7 +130,7 @@ async function deriveKey(passphrase, salt) {
         {
             name: 'PBKDF2',
             salt: salt,
-            iterations: PBKDF2_ITERATIONS,
+            iterations: iterations,
             hash: 'SHA-256'
         },
         passphraseKey,
@@ -74,6 +140,62 @@ async function deriveKey(passphrase, salt) {
     );
 }
 
+/**
+ * Derive a separate HMAC key for blind indexes
+ * Uses a domain-separated salt so it never equals the AES key
+ * @param {string} passphrase - User passphrase
+ * @param {ArrayBuffer} salt - Salt
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveBlindIndexKey(passphrase, salt) {
+    const encoder = new TextEncoder();
+    const passphraseKey = await window.crypto.subtle.importKey(
+        'raw',
+        encoder.encode(passphrase),
+        { name: 'PBKDF2' },
+        false,
+        ['deriveKey']
+    );
+
+    const suffix = encoder.encode('blind-index');
+    const indexSalt = new Uint8Array(salt.byteLength + suffix.length);
+    indexSalt.set(new Uint8Array(salt), 0);
+    indexSalt.set(suffix, salt.byteLength);
+
+    return await window.crypto.subtle.deriveKey(
+        {
+            name: 'PBKDF2',
+            salt: indexSalt,
+            iterations: PBKDF2_ITERATIONS,
+            hash: 'SHA-256'
+        },
+        passphraseKey,
+        { name: 'HMAC', hash: 'SHA-256', length: KEY_LENGTH },
+        false,
+        ['sign']
+    );
+}
+
+/**
+ * Compute a blind index (keyed hash) of a value
+ * Equal values give equal indexes, but the value cannot be recovered
+ * @param {string} value - Value to index
+ * @returns {Promise<string>} - Truncated HMAC-SHA256 (base64)
+ */
+export async function blindIndex(value) {
+    if (!blindIndexKey) {
+        throw new Error('Encryption not initialized. Call initEncryption() first.');
+    }
+
+    const signature = await window.crypto.subtle.sign(
+        'HMAC',
+        blindIndexKey,
+        new TextEncoder().encode(value)
+    );
+
+    return arrayBufferToBase64(signature.slice(0, 16));
+}
+
 /**
  * Encrypt data
  * @param {string} data - Data to encrypt
@@ -84,15 +206,41 @@ export async function encryptData(data) {
         throw new Error('Encryption not initialized. Call initEncryption() first.');
     }
 
+    return await encryptWithKey(encryptionKey, data);
+}
+
+/**
+ * Encrypt data with a specific key
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} data - Data to encrypt
+ * @returns {Promise<string>} - Encrypted data (JSON string)
+ */
+async function encryptWithKey(key, data) {
+    const combined = await encryptBytes(key, data);
+
+    return JSON.stringify({
+        encrypted: arrayBufferToBase64(combined),
+        iv: arrayBufferToBase64(combined.slice(0, IV_LENGTH)),
+        algorithm: 'AES-GCM'
+    });
+}
+
+/**
+ * Encrypt to IV followed by ciphertext
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} data - Data to encrypt
+ * @returns {Promise<Uint8Array>}
+ */
+async function encryptBytes(key, data) {
     const encoder = new TextEncoder();
-    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
 
     const encrypted = await window.crypto.subtle.encrypt(
         {
             name: 'AES-GCM',
             iv: iv
         },
-        encryptionKey,
+        key,
         encoder.encode(data)
     );
 
@@ -101,11 +249,7 @@ export async function encryptData(data) {
     combined.set(iv, 0);
     combined.set(new Uint8Array(encrypted), iv.length);
 
-    return JSON.stringify({
-        encrypted: arrayBufferToBase64(combined),
-        iv: arrayBufferToBase64(iv),
-        algorithm: 'AES-GCM'
-    });
+    return combined;
 }
 
 /**
@@ -118,19 +262,37 @@ export async function decryptData(encryptedData) {
         throw new Error('Encryption not initialized. Call initEncryption() first.');
     }
 
+    return await decryptWithKey(encryptionKey, encryptedData);
+}
+
+/**
+ * Decrypt data with a specific key
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} encryptedData - Encrypted data (JSON string)
+ * @returns {Promise<string>} - Decrypted data
+ */
+async function decryptWithKey(key, encryptedData) {
     const parsed = JSON.parse(encryptedData);
-    const combined = base64ToArrayBuffer(parsed.encrypted);
     const iv = base64ToArrayBuffer(parsed.iv);
 
-    const encryptedBytes = combined.slice(iv.byteLength);
+    return await decryptBytes(key, base64ToArrayBuffer(parsed.encrypted), iv.byteLength);
+}
 
+/**
+ * Decrypt IV followed by ciphertext
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {ArrayBuffer} combined - IV and ciphertext
+ * @param {number} [ivLength] - IV length in bytes
+ * @returns {Promise<string>}
+ */
+async function decryptBytes(key, combined, ivLength = IV_LENGTH) {
     const decrypted = await window.crypto.subtle.decrypt(
         {
             name: 'AES-GCM',
-            iv: iv
+            iv: combined.slice(0, ivLength)
         },
-        encryptionKey,
-        encryptedBytes
+        key,
+        combined.slice(ivLength)
     );
 
     const decoder = new TextDecoder();
@@ -138,36 +300,51 @@ export async function decryptData(encryptedData) {
 }
 
 /**
- * Change passphrase
+ * Change passphrase and re-encrypt all stored ciphertext
+ * `reencrypt` runs with the new keys loaded and must rewrite the stored data
+ * atomically. The previous keyring is kept until it succeeds, so an interrupted
+ * change can still be unlocked; on failure the old keys are restored.
  * @param {string} oldPassphrase - Old passphrase
  * @param {string} newPassphrase - New passphrase
+ * @param {Function} reencrypt - Async callback re-encrypting the stored data
  * @returns {Promise<void>}
  */
-export async function changePassphrase(oldPassphrase, newPassphrase) {
-    // Verify old passphrase
-    const oldKey = await deriveKey(oldPassphrase, salt);
+export async function changePassphrase(oldPassphrase, newPassphrase, reencrypt) {
+    if (!newPassphrase || newPassphrase.length < 8) {
+        throw new Error('Passphrase must be at least 8 characters');
+    }
 
-    // Test decryption with old key
-    const testData = 'test';
-    const encoder = new TextEncoder();
-    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    if (!(await verifyPassphrase(oldPassphrase))) {
+        throw new Error('Invalid old passphrase');
+    }
+
+    const previous = { encryptionKey, blindIndexKey, salt, keyring: readKeyring('') };
+
+    // Generate new salt and keys
+    const newSalt = window.crypto.getRandomValues(new Uint8Array(16));
+    const newKey = await deriveKey(newPassphrase, newSalt);
+    const newBlindIndexKey = await deriveBlindIndexKey(newPassphrase, newSalt);
+    const canary = await encryptWithKey(newKey, CANARY_PLAINTEXT);
+
+    writeKeyring('Previous', previous.keyring);
+    writeKeyring('', { salt: arrayBufferToBase64(newSalt), canary });
+    encryptionKey = newKey;
+    blindIndexKey = newBlindIndexKey;
+    salt = newSalt;
 
     try {
-        await window.crypto.subtle.encrypt(
-            { name: 'AES-GCM', iv: iv },
-            oldKey,
-            encoder.encode(testData)
-        );
+        await reencrypt();
     } catch (error) {
-        throw new Error('Invalid old passphrase');
+        // Rollback: stored data is untouched, so the old keys stay valid
+        encryptionKey = previous.encryptionKey;
+        blindIndexKey = previous.blindIndexKey;
+        salt = previous.salt;
+        writeKeyring('', previous.keyring);
+        clearKeyring('Previous');
+        throw error;
     }
 
-    // Generate new salt
-    salt = window.crypto.getRandomValues(new Uint8Array(16));
-    localStorage.setItem('encryptionSalt', arrayBufferToBase64(salt));
-
-    // Derive new key
-    encryptionKey = await deriveKey(newPassphrase, salt);
+    clearKeyring('Previous');
 }
 
 /**
@@ -175,8 +352,10 @@ export async function changePassphrase(oldPassphrase, newPassphrase) {
  */
 export function disableEncryption() {
     encryptionKey = null;
+    blindIndexKey = null;
     salt = null;
-    localStorage.removeItem('encryptionSalt');
+    clearKeyring('');
+    clearKeyring('Previous');
 
     appState.updateSettings({
         encryption: {
@@ -195,35 +374,254 @@ export function isEncryptionEnabled() {
 }
 
 /**
- * Verify passphrase
+ * Verify passphrase against the stored canary
  * @param {string} passphrase - Passphrase to verify
  * @returns {Promise<boolean>}
  */
 export async function verifyPassphrase(passphrase) {
     try {
-        const storedSalt = localStorage.getItem('encryptionSalt');
-        if (!storedSalt) {
+        const keyring = readKeyring('');
+        if (!keyring || !keyring.canary) {
             return false;
         }
 
-        const testSalt = base64ToArrayBuffer(storedSalt);
-        const testKey = await deriveKey(passphrase, testSalt);
-
-        // Test encryption
-        const encoder = new TextEncoder();
-        const iv = window.crypto.getRandomValues(new Uint8Array(12));
-        await window.crypto.subtle.encrypt(
-            { name: 'AES-GCM', iv: iv },
-            testKey,
-            encoder.encode('test')
-        );
+        const testKey = await deriveKey(passphrase, base64ToArrayBuffer(keyring.salt));
+        return await checkCanary(testKey, keyring.canary);
+    } catch (error) {
+        return false;
+    }
+}
 
-        return true;
+/**
+ * Check whether a key decrypts the canary
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} canary - Encrypted canary
+ * @returns {Promise<boolean>}
+ */
+async function checkCanary(key, canary) {
+    try {
+        return await decryptWithKey(key, canary) === CANARY_PLAINTEXT;
     } catch (error) {
+        // AES-GCM authentication fails for a wrong key
         return false;
     }
 }
 
+// ========================================
+// Export Envelope
+// ========================================
+
+/**
+ * Versioned container for exports and backups
+ *
+ * {
+ *   format: 'prompt-master-pro-export',
+ *   formatVersion: 1,
+ *   createdAt: 1735689600000,
+ *   metadata: { promptCount, versionCount, ... },       // always plaintext
+ *   encrypted: false, data: { ...exportData() }         // plaintext export
+ *   encrypted: true,                                    // or encrypted export:
+ *   kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+ *   cipher: { name: 'AES-GCM', keyLength: 256, ivLength: 12 },
+ *   payload: base64(iv + ciphertext of JSON.stringify(exportData()))
+ * }
+ *
+ * The salt travels with the file, so any device can decrypt it with the passphrase.
+ */
+export const ENVELOPE_FORMAT = 'prompt-master-pro-export';
+export const ENVELOPE_VERSION = 1;
+
+/**
+ * Wrap export data in an envelope
+ * @param {Object} data - Export data
+ * @param {Object} [metadata] - Plaintext metadata (e.g. prompt count)
+ * @param {boolean} [encrypt] - Encrypt with the loaded key (default: if a key is loaded)
+ * @returns {Promise<Object>}
+ */
+export async function sealEnvelope(data, metadata = {}, encrypt = encryptionKey !== null) {
+    const header = {
+        format: ENVELOPE_FORMAT,
+        formatVersion: ENVELOPE_VERSION,
+        createdAt: Date.now(),
+        metadata
+    };
+
+    if (!encrypt) {
+        return { ...header, encrypted: false, data };
+    }
+
+    if (!encryptionKey) {
+        throw new Error('Encryption not initialized. Call initEncryption() first.');
+    }
+
+    const combined = await encryptBytes(encryptionKey, JSON.stringify(data));
+
+    return {
+        ...header,
+        encrypted: true,
+        kdf: {
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: arrayBufferToBase64(salt)
+        },
+        cipher: {
+            name: 'AES-GCM',
+            keyLength: KEY_LENGTH,
+            ivLength: IV_LENGTH
+        },
+        payload: arrayBufferToBase64(combined)
+    };
+}
+
+/**
+ * Parse an export file
+ * Files from before the envelope (plain export or bare encryptData() output)
+ * are returned as format version 0.
+ * @param {string} text - File content
+ * @returns {Object} - Envelope
+ */
+export function parseEnvelope(text) {
+    const parsed = JSON.parse(text);
+
+    if (parsed.format === ENVELOPE_FORMAT) {
+        if (parsed.formatVersion > ENVELOPE_VERSION) {
+            throw new Error(`Unsupported export format version ${parsed.formatVersion}`);
+        }
+
+        if (parsed.encrypted && (parsed.kdf.name !== 'PBKDF2' || parsed.cipher.name !== 'AES-GCM')) {
+            throw new Error(`Unsupported cipher ${parsed.kdf.name}/${parsed.cipher.name}`);
+        }
+
+        return parsed;
+    }
+
+    const legacy = {
+        format: ENVELOPE_FORMAT,
+        formatVersion: 0,
+        createdAt: null,
+        metadata: {}
+    };
+
+    // Legacy encrypted backup: only the local salt can have been used
+    if (typeof parsed.encrypted === 'string' && parsed.iv) {
+        const localSalt = localStorage.getItem('encryptionSalt');
+        return {
+            ...legacy,
+            encrypted: true,
+            kdf: localSalt
+                ? { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: localSalt }
+                : null,
+            cipher: {
+                name: 'AES-GCM',
+                keyLength: KEY_LENGTH,
+                ivLength: base64ToArrayBuffer(parsed.iv).byteLength
+            },
+            payload: parsed.encrypted
+        };
+    }
+
+    return { ...legacy, encrypted: false, data: parsed };
+}
+
+/**
+ * Decrypt an envelope
+ * Uses the loaded key if the file was sealed with the local salt, otherwise
+ * asks for the passphrase of the device that created it.
+ * @param {Object} envelope - Parsed envelope
+ * @param {Function} [requestPassphrase] - async (attempt, envelope) => passphrase, or null to cancel
+ * @returns {Promise<Object>} - Export data
+ */
+export async function openEnvelope(envelope, requestPassphrase) {
+    if (!envelope.encrypted) {
+        return envelope.data;
+    }
+
+    const combined = base64ToArrayBuffer(envelope.payload);
+    const ivLength = envelope.cipher.ivLength || IV_LENGTH;
+
+    if (encryptionKey && envelope.kdf && envelope.kdf.salt === arrayBufferToBase64(salt)) {
+        try {
+            return JSON.parse(await decryptBytes(encryptionKey, combined, ivLength));
+        } catch (error) {
+            // Same salt but another passphrase (e.g. before a passphrase change)
+        }
+    }
+
+    if (!envelope.kdf) {
+        throw new Error('Backup was encrypted on another device without a stored salt');
+    }
+
+    if (!requestPassphrase) {
+        throw new Error('Passphrase required');
+    }
+
+    const envelopeSalt = base64ToArrayBuffer(envelope.kdf.salt);
+
+    for (let attempt = 0; ; attempt++) {
+        const passphrase = await requestPassphrase(attempt, envelope);
+        if (!passphrase) {
+            throw new Error('Import cancelled');
+        }
+
+        const key = await deriveKey(passphrase, envelopeSalt, envelope.kdf.iterations);
+        try {
+            return JSON.parse(await decryptBytes(key, combined, ivLength));
+        } catch (error) {
+            // Wrong passphrase: AES-GCM authentication failed, ask again
+        }
+    }
+}
+
+// ========================================
+// Keyring Storage
+// ========================================
+
+/**
+ * Read salt and canary from localStorage
+ * @param {string} suffix - '' for the current keyring, 'Previous' during a passphrase change
+ * @returns {{salt: string, canary: string|null}|null}
+ */
+function readKeyring(suffix) {
+    const storedSalt = localStorage.getItem(`encryptionSalt${suffix}`);
+    if (!storedSalt) {
+        return null;
+    }
+
+    return {
+        salt: storedSalt,
+        canary: localStorage.getItem(`encryptionCanary${suffix}`)
+    };
+}
+
+/**
+ * Store salt and canary in localStorage
+ * @param {string} suffix - Keyring suffix
+ * @param {{salt: string, canary: string|null}|null} keyring
+ */
+function writeKeyring(suffix, keyring) {
+    if (!keyring) {
+        clearKeyring(suffix);
+        return;
+    }
+
+    localStorage.setItem(`encryptionSalt${suffix}`, keyring.salt);
+    if (keyring.canary) {
+        localStorage.setItem(`encryptionCanary${suffix}`, keyring.canary);
+    } else {
+        localStorage.removeItem(`encryptionCanary${suffix}`);
+    }
+}
+
+/**
+ * Remove a keyring from localStorage
+ * @param {string} suffix - Keyring suffix
+ */
+function clearKeyring(suffix) {
+    localStorage.removeItem(`encryptionSalt${suffix}`);
+    localStorage.removeItem(`encryptionCanary${suffix}`);
+}
+
 // ========================================
 // Utility Functions
 // ========================================
@@ -258,10 +656,17 @@ function base64ToArrayBuffer(base64) {
 
 export default {
     initEncryption,
+    unlockEncryption,
+    lockEncryption,
+    isLocked,
+    blindIndex,
     encryptData,
     decryptData,
     changePassphrase,
     disableEncryption,
     isEncryptionEnabled,
-    verifyPassphrase
+    verifyPassphrase,
+    sealEnvelope,
+    parseEnvelope,
+    openEnvelope
 };
@@ -3,6 +3,11 @@
  * Manages Prompts and PromptVersions with CRUD operations
  */
 
+import { tokenize, EXPORT_VERSION, ImportValidationError, migrateExportData, validateExportData } from './models.js';
+import { collectTerms, queryHasTerm, parseSearchQuery } from './query.js';
+import { merge3, getHeads, findMergeBase } from './merge.js';
+import { encryptData, decryptData, blindIndex, isEncryptionEnabled, isLocked, verifyPassphrase, changePassphrase } from './crypto.js';
+
 // Dexie is loaded globally via script tag
 const db = new Dexie('PromptMasterProDB');
 
@@ -12,6 +17,91 @@ db.version(1).stores({
     versions: '&id, promptId, version, updatedAt'
 });
 
+// v2: Inverted full-text index (one row per token and prompt)
+db.version(2).stores({
+    searchIndex: '[token+promptId], token, promptId'
+}).upgrade(async tx => {
+    const prompts = await tx.table('prompts').toArray();
+    const latestByPrompt = getLatestVersions(await tx.table('versions').toArray());
+
+    const entries = prompts.flatMap(prompt =>
+        getPromptTokens(prompt, latestByPrompt.get(prompt.id))
+            .map(token => ({ token, promptId: prompt.id }))
+    );
+
+    await tx.table('searchIndex').bulkPut(entries);
+});
+
+// v3: Saved searches (user-defined smart filters)
+db.version(3).stores({
+    savedSearches: '&id, order'
+}).upgrade(async tx => {
+    await tx.table('savedSearches').bulkAdd(getDefaultSavedSearches());
+});
+
+// v4: Outbox of local changes and sync bookkeeping (see sync.js)
+db.version(4).stores({
+    outbox: '++seq, [entity+entityId]',
+    syncState: '&key',
+    syncConflicts: '&promptId'
+});
+
+// v5: Outbox becomes an append-only change log read through per-consumer cursors
+db.version(5).stores({
+    outbox: null,
+    changeLog: '++seq, [entity+entityId], timestamp',
+    changeCursors: '&consumer'
+}).upgrade(async tx => {
+    // Unsent changes stay pending for sync (its cursor starts at 0)
+    const entries = await tx.table('outbox').toArray();
+    await tx.table('changeLog').bulkAdd(entries.map(entry => ({
+        entity: entry.entity,
+        entityId: entry.entityId,
+        op: entry.op === 'delete' ? 'delete' : 'update',
+        changes: {},
+        timestamp: entry.timestamp,
+        deviceId: entry.deviceId
+    })));
+});
+
+// v6: Tombstones of deleted records (honored by import, restore and sync)
+db.version(6).stores({
+    tombstones: '&key, deletedAt'
+});
+
+// v7: File system handles (folder adapter), kept so access can be re-granted
+db.version(7).stores({
+    fileHandles: '&name'
+});
+
+// v8: Content conflicts of diverged version histories (see merge.js)
+db.version(8).stores({
+    mergeConflicts: '&promptId'
+});
+
+db.on('populate', tx => {
+    tx.table('savedSearches').bulkAdd(getDefaultSavedSearches());
+});
+
+/**
+ * Built-in smart filters, stored as regular (editable) saved searches
+ * @returns {Array<Object>}
+ */
+function getDefaultSavedSearches() {
+    const now = Date.now();
+    return [
+        { name: 'Zuletzt geändert', query: 'updated:>=7d', tags: [], sortBy: 'updatedAt' },
+        { name: 'Ohne Tags', query: 'is:untagged', tags: [], sortBy: 'updatedAt' },
+        { name: 'Archiv', query: 'is:archived', tags: [], sortBy: 'updatedAt' }
+    ].map((search, index) => ({
+        ...search,
+        id: crypto.randomUUID(),
+        order: index,
+        createdAt: now,
+        updatedAt: now
+    }));
+}
+
 // ========================================
 // CRUD Operations - Prompts
 // ========================================
@@ -30,17 +120,25 @@ export async function createPrompt(promptData) {
         title: promptData.title || 'Untitled Prompt',
         description: promptData.description || '',
         tags: promptData.tags || [],
+        variables: promptData.variables || {},
         createdAt: now,
         updatedAt: now,
         archived: false
     };
 
-    await db.prompts.add(prompt);
+    const record = await sealPrompt(prompt);
 
-    // Create initial version
-    if (promptData.content) {
-        await createVersion(id, promptData.content, promptData.notes);
-    }
+    await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.changeLog, async () => {
+        await db.prompts.add(record);
+        await recordChange('prompt', id, 'create', undefined, prompt);
+
+        // Create initial version
+        if (promptData.content) {
+            await createVersion(id, promptData.content, promptData.notes);
+        }
+
+        await indexPrompt(id);
+    });
 
     return id;
 }
@@ -51,7 +149,7 @@ export async function createPrompt(promptData) {
  * @returns {Promise<Object|null>}
  */
 export async function getPrompt(id) {
-    return await db.prompts.get(id);
+    return await openPrompt(await db.prompts.get(id));
 }
 
 /**
@@ -60,24 +158,37 @@ export async function getPrompt(id) {
  * @returns {Promise<Array>}
  */
 export async function getAllPrompts(options = {}) {
-    let collection = db.prompts.toCollection();
+    // Sorted in memory: encrypted titles are not sortable in the index
+    let prompts = await openPrompts(await db.prompts.toArray());
 
     if (options.archived === false) {
-        collection = collection.filter(p => !p.archived);
+        prompts = prompts.filter(p => !p.archived);
     } else if (options.archived === true) {
-        collection = collection.filter(p => p.archived);
+        prompts = prompts.filter(p => p.archived);
     }
 
     if (options.sortBy === 'title') {
-        collection = collection.sortBy('title');
+        return sortByField(prompts, 'title');
     } else if (options.sortBy === 'createdAt') {
-        collection = collection.sortBy('createdAt');
-    } else {
-        // Default: sort by updatedAt descending
-        collection = collection.reverse().sortBy('updatedAt');
+        return sortByField(prompts, 'createdAt');
     }
 
-    return await collection;
+    // Default: sort by updatedAt descending
+    return sortByField(prompts, 'updatedAt').reverse();
+}
+
+/**
+ * Sort records ascending by a field
+ * @param {Array<Object>} records
+ * @param {string} field
+ * @returns {Array<Object>}
+ */
+function sortByField(records, field) {
+    return records.sort((a, b) => {
+        if (a[field] < b[field]) return -1;
+        if (a[field] > b[field]) return 1;
+        return 0;
+    });
 }
 
 /**
@@ -92,7 +203,25 @@ export async function updatePrompt(id, updates) {
         updatedAt: Date.now()
     };
 
-    await db.prompts.update(id, updateData);
+    await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.changeLog, async () => {
+        // The change log needs the previous values, so the record is always read
+        const prompt = await openPrompt(await db.prompts.get(id));
+        if (!prompt) return;
+
+        const updated = { ...prompt, ...updateData };
+        if (SEALED_PROMPT_FIELDS.some(field => field in updates)) {
+            // Sealed fields are re-encrypted as a whole record
+            await db.prompts.put(await sealPrompt(updated));
+        } else {
+            await db.prompts.update(id, updateData);
+        }
+
+        await recordChange('prompt', id, 'update', prompt, updated);
+
+        if (['title', 'description', 'tags'].some(field => field in updates)) {
+            await indexPrompt(id);
+        }
+    });
 }
 
 /**
@@ -103,10 +232,9 @@ export async function updatePrompt(id, updates) {
  */
 export async function deletePrompt(id, hard = false) {
     if (hard) {
-        // Delete all versions first
-        await db.versions.where('promptId').equals(id).delete();
-        // Delete prompt
-        await db.prompts.delete(id);
+        await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.changeLog, db.tombstones, async () => {
+            await removePrompt(id, Date.now());
+        });
     } else {
         // Soft delete
         await updatePrompt(id, { archived: true });
@@ -114,29 +242,321 @@ export async function deletePrompt(id, hard = false) {
 }
 
 /**
- * Search prompts
- * @param {string} query - Search query
+ * Hard-delete a prompt with its versions and leave tombstones
+ * Runs inside a transaction with prompts, versions, searchIndex, changeLog
+ * and tombstones in scope.
+ * @param {string} id - Prompt ID
+ * @param {number} deletedAt - Deletion timestamp
+ * @returns {Promise<void>}
+ */
+async function removePrompt(id, deletedAt) {
+    const prompt = await openPrompt(await db.prompts.get(id));
+    const versionIds = await db.versions.where('promptId').equals(id).primaryKeys();
+
+    // Delete all versions first
+    await db.versions.bulkDelete(versionIds);
+    // Delete prompt
+    await db.prompts.delete(id);
+    await db.searchIndex.where('promptId').equals(id).delete();
+
+    await addTombstone('prompt', id, deletedAt);
+    for (const versionId of versionIds) {
+        await addTombstone('version', versionId, deletedAt);
+    }
+
+    // Implies the deletion of its versions (also remotely)
+    if (prompt) {
+        await recordChange('prompt', id, 'delete', prompt, undefined);
+    }
+}
+
+/**
+ * Execute a structured search query (see query.js)
+ * Archived prompts are excluded unless the query mentions is:archived
+ * @param {Object|null} query - Parsed query tree
  * @returns {Promise<Array>}
  */
-export async function searchPrompts(query) {
+export async function queryPrompts(query) {
     if (!query) {
         return await getAllPrompts({ archived: false });
     }
 
-    const lowerQuery = query.toLowerCase();
-    const prompts = await db.prompts
-        .filter(p => !p.archived)
-        .toArray();
+    const includeArchived = queryHasTerm(query, isArchivedTerm);
+    const wordMatches = await lookupQueryWords([query]);
 
-    return prompts.filter(p => {
-        const inTitle = p.title.toLowerCase().includes(lowerQuery);
-        const inDescription = p.description.toLowerCase().includes(lowerQuery);
-        const inTags = p.tags.some(tag => tag.toLowerCase().includes(lowerQuery));
+    // Only the candidates of the index are read and decrypted; queries
+    // the index cannot narrow down scan the whole table
+    const candidateIds = getCandidateIds(query, wordMatches);
+    const records = candidateIds
+        ? await db.prompts.bulkGet([...candidateIds])
+        : await db.prompts.filter(p => includeArchived || !p.archived).toArray();
+    const prompts = (await openPrompts(records)).filter(p => p && (includeArchived || !p.archived));
+    const promptIds = candidateIds ? prompts.map(prompt => prompt.id) : null;
+
+    const latestContent = queryHasTerm(query, isContentTerm) && prompts.length > 0
+        ? await loadLatestContents(promptIds)
+        : new Map();
+    const versionCounts = queryHasTerm(query, isVersionTerm) && prompts.length > 0
+        ? await loadVersionCounts(promptIds)
+        : new Map();
+
+    return prompts.filter(prompt => matchesQuery(query, {
+        prompt,
+        content: latestContent.get(prompt.id) || '',
+        versionCount: versionCounts.get(prompt.id) || 0,
+        wordMatches
+    }));
+}
+
+/**
+ * Count the results of saved searches
+ * Prompts, contents and version counts are read and decrypted once and
+ * every query is evaluated against that set
+ * @param {Array<Object>} searches - Saved searches (query, tags)
+ * @returns {Promise<Array<number|null>>} - Result count per search, null for invalid queries
+ */
+export async function countSavedSearches(searches) {
+    const parsed = searches.map(search =>
+        search.query && search.query.trim() ? parseSearchQuery(search.query) : null);
+    const queries = parsed.filter(result => result && result.valid).map(result => result.query);
+
+    const prompts = await openPrompts(await db.prompts.toArray());
+    const wordMatches = await lookupQueryWords(queries);
+    const latestContent = queries.some(query => queryHasTerm(query, isContentTerm))
+        ? await loadLatestContents(null)
+        : new Map();
+    const versionCounts = queries.some(query => queryHasTerm(query, isVersionTerm))
+        ? await loadVersionCounts(null)
+        : new Map();
 
-        return inTitle || inDescription || inTags;
+    return searches.map((search, index) => {
+        const result = parsed[index];
+        if (result && !result.valid) return null;
+
+        const includeArchived = !!result && queryHasTerm(result.query, isArchivedTerm);
+        return prompts.filter(prompt =>
+            (includeArchived || !prompt.archived)
+            && search.tags.every(tag => prompt.tags.includes(tag))
+            && (!result || matchesQuery(result.query, {
+                prompt,
+                content: latestContent.get(prompt.id) || '',
+                versionCount: versionCounts.get(prompt.id) || 0,
+                wordMatches
+            }))
+        ).length;
     });
 }
 
+// Term predicates deciding which data a query needs
+function isArchivedTerm(term) {
+    return term.field === 'is' && term.value === 'archived';
+}
+
+function isContentTerm(term) {
+    return term.field === 'content' || (term.field === null && term.valueType !== 'word');
+}
+
+function isVersionTerm(term) {
+    return term.field === 'version';
+}
+
+/**
+ * Look up the free-text words of queries in the full-text index
+ * @param {Array<Object>} queries - Query trees
+ * @returns {Promise<Map<string, Set<string>|null>>} - Index matches per word
+ */
+async function lookupQueryWords(queries) {
+    const words = queries.flatMap(query => collectTerms(query)
+        .filter(t => t.field === null && t.valueType === 'word')
+        .map(t => t.value));
+
+    const wordMatches = new Map();
+    for (const word of new Set(words)) {
+        wordMatches.set(word, await lookupIndex(word));
+    }
+    return wordMatches;
+}
+
+/**
+ * Decrypt the latest content of prompts
+ * @param {Array<string>|null} promptIds - Prompt IDs, null for all prompts
+ * @returns {Promise<Map<string, string>>} - Content per prompt ID
+ */
+async function loadLatestContents(promptIds) {
+    const versionRecords = promptIds
+        ? await db.versions.where('promptId').anyOf(promptIds).toArray()
+        : await db.versions.toArray();
+    const versions = await openVersions([...getLatestVersions(versionRecords).values()]);
+    return new Map(versions.map(version => [version.promptId, version.content]));
+}
+
+/**
+ * Count the versions of prompts
+ * @param {Array<string>|null} promptIds - Prompt IDs, null for all prompts
+ * @returns {Promise<Map<string, number>>} - Version count per prompt ID
+ */
+async function loadVersionCounts(promptIds) {
+    const versionPromptIds = promptIds
+        ? await db.versions.where('promptId').anyOf(promptIds).keys()
+        : await db.versions.orderBy('promptId').keys();
+    const counts = new Map();
+    versionPromptIds.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+    return counts;
+}
+
+/**
+ * Look up prompt IDs via the index; every token must prefix-match
+ * Returns null if the text is too short to be indexed
+ * @param {string} word - Free text
+ * @returns {Promise<Set<string>|null>}
+ */
+async function lookupIndex(word) {
+    const tokens = tokenize(word);
+    if (tokens.length === 0) return null;
+
+    let matchedIds = null;
+
+    for (const token of tokens) {
+        // Encrypted indexes store every prefix blinded, so prefix search becomes an exact lookup
+        const entries = isEncryptionEnabled()
+            ? await db.searchIndex.where('token').equals(await blindToken(token)).toArray()
+            : await db.searchIndex.where('token').startsWith(token).toArray();
+        const ids = new Set(entries.map(entry => entry.promptId));
+        matchedIds = matchedIds ? new Set([...matchedIds].filter(id => ids.has(id))) : ids;
+    }
+
+    return matchedIds;
+}
+
+/**
+ * Narrow a query down to the prompts the full-text index can find
+ * @param {Object} node - Query node
+ * @param {Map<string, Set<string>|null>} wordMatches - Index matches per free-text word
+ * @returns {Set<string>|null} - Superset of the matching prompt IDs, null if
+ *   every prompt has to be checked (negations, fields, phrases, regexes)
+ */
+function getCandidateIds(node, wordMatches) {
+    switch (node.type) {
+        case 'and': {
+            const sets = node.children
+                .map(child => getCandidateIds(child, wordMatches))
+                .filter(Boolean);
+            if (sets.length === 0) return null;
+            return sets.reduce((a, b) => new Set([...a].filter(id => b.has(id))));
+        }
+        case 'or': {
+            const sets = node.children.map(child => getCandidateIds(child, wordMatches));
+            if (sets.includes(null)) return null;
+            return new Set(sets.flatMap(set => [...set]));
+        }
+        case 'not':
+            return null;
+        default:
+            return node.field === null && node.valueType === 'word'
+                ? wordMatches.get(node.value) || null
+                : null;
+    }
+}
+
+/**
+ * Evaluate a query tree against a single prompt
+ * @param {Object} node - Query node
+ * @param {Object} ctx - Prompt, latest content, version count and index matches
+ * @returns {boolean}
+ */
+function matchesQuery(node, ctx) {
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => matchesQuery(child, ctx));
+        case 'or':
+            return node.children.some(child => matchesQuery(child, ctx));
+        case 'not':
+            return !matchesQuery(node.child, ctx);
+        default:
+            return matchesTerm(node, ctx);
+    }
+}
+
+/**
+ * Evaluate a single term
+ * @param {Object} term - Term node
+ * @param {Object} ctx - Evaluation context
+ * @returns {boolean}
+ */
+function matchesTerm(term, { prompt, content, versionCount, wordMatches }) {
+    const tags = prompt.tags.map(tag => tag.toLowerCase());
+    const textMatch = (text) => term.valueType === 'regex'
+        ? term.value.test(text || '')
+        : (text || '').toLowerCase().includes(term.value);
+
+    switch (term.field) {
+        case 'tag':
+            return term.valueType === 'regex'
+                ? tags.some(tag => term.value.test(tag))
+                : tags.includes(term.value);
+        case 'collection':
+            return term.valueType === 'regex'
+                ? tags.some(tag => tag.startsWith('collection:') && term.value.test(tag.slice(11)))
+                : tags.includes(`collection:${term.value}`);
+        case 'title':
+            return textMatch(prompt.title);
+        case 'description':
+            return textMatch(prompt.description);
+        case 'content':
+            return textMatch(content);
+        case 'updated':
+            return compareDate(prompt.updatedAt, term);
+        case 'created':
+            return compareDate(prompt.createdAt, term);
+        case 'version':
+            return compare(versionCount, term.op, term.value);
+        case 'is':
+            return term.value === 'archived' ? !!prompt.archived : prompt.tags.length === 0;
+        default: {
+            if (term.valueType === 'word') {
+                const ids = wordMatches.get(term.value);
+                if (ids) return ids.has(prompt.id);
+            }
+            return [prompt.title, prompt.description, tags.join(' '), content].some(textMatch);
+        }
+    }
+}
+
+/**
+ * Compare a timestamp against a date term (":" and "=" match the whole day)
+ * @param {number} timestamp - Epoch ms
+ * @param {Object} term - Date term
+ * @returns {boolean}
+ */
+function compareDate(timestamp, term) {
+    const dayEnd = term.value + 86400000;
+
+    switch (term.op) {
+        case '>': return timestamp >= dayEnd;
+        case '>=': return timestamp >= term.value;
+        case '<': return timestamp < term.value;
+        case '<=': return timestamp < dayEnd;
+        default: return timestamp >= term.value && timestamp < dayEnd;
+    }
+}
+
+/**
+ * Compare two numbers with an operator
+ * @param {number} a
+ * @param {string} op
+ * @param {number} b
+ * @returns {boolean}
+ */
+function compare(a, op, b) {
+    switch (op) {
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return a === b;
+    }
+}
+
 /**
  * Filter prompts by tags
  * @param {Array<string>} tags - Tags to filter by
@@ -147,13 +567,16 @@ export async function filterPromptsByTags(tags) {
         return await getAllPrompts({ archived: false });
     }
 
-    const prompts = await db.prompts
-        .filter(p => !p.archived)
-        .toArray();
+    // Narrow down via the (possibly blind) *tags index
+    const key = isEncryptionEnabled() ? await blindTag(tags[0]) : tags[0];
+    const prompts = await openPrompts(await db.prompts
+        .where('tags')
+        .equals(key)
+        .toArray());
 
     // Match prompts that have ALL selected tags
     return prompts.filter(p => {
-        return tags.every(tag => p.tags.includes(tag));
+        return !p.archived && tags.every(tag => p.tags.includes(tag));
     });
 }
 
@@ -180,6 +603,7 @@ export async function createVersion(promptId, content, notes = '') {
 
     const versionNumber = existingVersions.length + 1;
     const versionString = `v${versionNumber}`;
+    const latest = getLatestVersions(existingVersions).get(promptId);
 
     const version = {
         id,
@@ -187,14 +611,22 @@ export async function createVersion(promptId, content, notes = '') {
         version: versionString,
         content: content || '',
         notes: notes || '',
+        parentIds: latest ? [latest.id] : [],
         createdAt: now,
         updatedAt: now
     };
 
-    await db.versions.add(version);
+    const record = await sealVersion(version);
+
+    await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.changeLog, async () => {
+        await db.versions.add(record);
+        await recordChange('version', id, 'create', undefined, version);
 
-    // Update prompt's updatedAt
-    await updatePrompt(promptId, {});
+        // Update prompt's updatedAt
+        await updatePrompt(promptId, {});
+
+        await indexPrompt(promptId);
+    });
 
     return id;
 }
@@ -205,7 +637,7 @@ export async function createVersion(promptId, content, notes = '') {
  * @returns {Promise<Object|null>}
  */
 export async function getVersion(id) {
-    return await db.versions.get(id);
+    return await openVersion(await db.versions.get(id));
 }
 
 /**
@@ -214,11 +646,11 @@ export async function getVersion(id) {
  * @returns {Promise<Array>}
  */
 export async function getVersionsByPrompt(promptId) {
-    return await db.versions
+    return await openVersions(await db.versions
         .where('promptId')
         .equals(promptId)
         .reverse()
-        .sortBy('createdAt');
+        .sortBy('createdAt'));
 }
 
 /**
@@ -227,8 +659,12 @@ export async function getVersionsByPrompt(promptId) {
  * @returns {Promise<Object|null>}
  */
 export async function getLatestVersion(promptId) {
-    const versions = await getVersionsByPrompt(promptId);
-    return versions.length > 0 ? versions[0] : null;
+    const versions = await db.versions
+        .where('promptId')
+        .equals(promptId)
+        .reverse()
+        .sortBy('createdAt');
+    return versions.length > 0 ? await openVersion(versions[0]) : null;
 }
 
 /**
@@ -243,7 +679,19 @@ export async function updateVersion(id, updates) {
         updatedAt: Date.now()
     };
 
-    await db.versions.update(id, updateData);
+    await db.transaction('rw', db.versions, db.changeLog, async () => {
+        const version = await openVersion(await db.versions.get(id));
+        if (!version) return;
+
+        const updated = { ...version, ...updateData };
+        if (SEALED_VERSION_FIELDS.some(field => field in updates)) {
+            await db.versions.put(await sealVersion(updated));
+        } else {
+            await db.versions.update(id, updateData);
+        }
+
+        await recordChange('version', id, 'update', version, updated);
+    });
 }
 
 /**
@@ -252,7 +700,29 @@ export async function updateVersion(id, updates) {
  * @returns {Promise<void>}
  */
 export async function deleteVersion(id) {
+    await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.changeLog, db.tombstones, async () => {
+        await removeVersion(id, Date.now());
+    });
+}
+
+/**
+ * Delete a version and leave a tombstone
+ * Runs inside a transaction with prompts, versions, searchIndex, changeLog
+ * and tombstones in scope.
+ * @param {string} id - Version ID
+ * @param {number} deletedAt - Deletion timestamp
+ * @returns {Promise<void>}
+ */
+async function removeVersion(id, deletedAt) {
+    const version = await openVersion(await db.versions.get(id));
     await db.versions.delete(id);
+    await addTombstone('version', id, deletedAt);
+
+    // Latest content may have changed
+    if (version) {
+        await recordChange('version', id, 'delete', version, undefined);
+        await indexPrompt(version.promptId);
+    }
 }
 
 /**
@@ -275,6 +745,186 @@ export async function rollbackToVersion(versionId) {
     return newVersionId;
 }
 
+// ========================================
+// Saved Searches
+// ========================================
+
+/**
+ * Get all saved searches in sidebar order
+ * @returns {Promise<Array>}
+ */
+export async function getSavedSearches() {
+    return await openSavedSearches(await db.savedSearches.orderBy('order').toArray());
+}
+
+/**
+ * Create a saved search
+ * @param {Object} data - Name, query, tags and sortBy
+ * @returns {Promise<string>} - Saved search ID
+ */
+export async function createSavedSearch(data) {
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    const last = await db.savedSearches.orderBy('order').last();
+
+    await db.savedSearches.add(await sealSavedSearch({
+        id,
+        name: data.name || 'Neuer Filter',
+        query: data.query || '',
+        tags: data.tags || [],
+        sortBy: data.sortBy || 'updatedAt',
+        order: last ? last.order + 1 : 0,
+        createdAt: now,
+        updatedAt: now
+    }));
+    broadcast({ type: 'savedSearches' });
+
+    return id;
+}
+
+/**
+ * Update a saved search
+ * @param {string} id - Saved search ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<void>}
+ */
+export async function updateSavedSearch(id, updates) {
+    await db.transaction('rw', db.savedSearches, async () => {
+        const [search] = await openSavedSearches([await db.savedSearches.get(id)]);
+        if (!search) return;
+
+        await db.savedSearches.put(await sealSavedSearch({
+            ...search,
+            ...updates,
+            updatedAt: Date.now()
+        }));
+    });
+    broadcast({ type: 'savedSearches' });
+}
+
+/**
+ * Delete a saved search
+ * @param {string} id - Saved search ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSavedSearch(id) {
+    await db.savedSearches.delete(id);
+    broadcast({ type: 'savedSearches' });
+}
+
+/**
+ * Persist a new sidebar order
+ * @param {Array<string>} ids - Saved search IDs in the desired order
+ * @returns {Promise<void>}
+ */
+export async function reorderSavedSearches(ids) {
+    await db.transaction('rw', db.savedSearches, async () => {
+        for (let i = 0; i < ids.length; i++) {
+            await db.savedSearches.update(ids[i], { order: i });
+        }
+    });
+    broadcast({ type: 'savedSearches' });
+}
+
+// ========================================
+// Full-Text Index
+// ========================================
+
+/**
+ * Find the latest version of every prompt
+ * @param {Array<Object>} versions - Version records
+ * @returns {Map<string, Object>} - Latest version by prompt ID
+ */
+function getLatestVersions(versions) {
+    const latestByPrompt = new Map();
+
+    versions.forEach(version => {
+        const latest = latestByPrompt.get(version.promptId);
+        if (!latest || version.createdAt > latest.createdAt) {
+            latestByPrompt.set(version.promptId, version);
+        }
+    });
+
+    return latestByPrompt;
+}
+
+/**
+ * Collect unique search tokens of a prompt
+ * @param {Object} prompt - Prompt
+ * @param {Object} [version] - Latest version
+ * @returns {Array<string>}
+ */
+function getPromptTokens(prompt, version) {
+    const text = [
+        prompt.title,
+        prompt.description,
+        (prompt.tags || []).join(' '),
+        version ? version.content : ''
+    ].join(' ');
+
+    return [...new Set(tokenize(text))];
+}
+
+/**
+ * Re-index a single prompt (title, description, tags, latest content)
+ * @param {string} promptId - Prompt ID
+ * @returns {Promise<void>}
+ */
+async function indexPrompt(promptId) {
+    await db.transaction('rw', db.prompts, db.versions, db.searchIndex, async () => {
+        await db.searchIndex.where('promptId').equals(promptId).delete();
+
+        const prompt = await openPrompt(await db.prompts.get(promptId));
+        if (!prompt) return;
+
+        const latest = await getLatestVersion(promptId);
+        const entries = await Dexie.waitFor(getIndexEntries(prompt, latest));
+        await db.searchIndex.bulkPut(entries);
+    });
+}
+
+/**
+ * Build index rows for a prompt
+ * Encrypted databases store blinded prefixes instead of plaintext tokens
+ * @param {Object} prompt - Plaintext prompt
+ * @param {Object} [version] - Plaintext latest version
+ * @param {boolean} [encrypt] - Blind the tokens (defaults to whether a key is loaded)
+ * @returns {Promise<Array<{token: string, promptId: string}>>}
+ */
+async function getIndexEntries(prompt, version, encrypt = isEncryptionEnabled()) {
+    const tokens = getPromptTokens(prompt, version);
+
+    if (!encrypt) {
+        return tokens.map(token => ({ token, promptId: prompt.id }));
+    }
+
+    const prefixes = new Set();
+    tokens.forEach(token => {
+        for (let length = 2; length <= token.length; length++) {
+            prefixes.add(token.slice(0, length));
+        }
+    });
+
+    const blinded = await Promise.all([...prefixes].map(blindToken));
+    return blinded.map(token => ({ token, promptId: prompt.id }));
+}
+
+/**
+ * Rebuild the full-text index from scratch (repair action in the settings)
+ * @returns {Promise<number>} - Number of indexed prompts
+ */
+export async function rebuildSearchIndex() {
+    return await db.transaction('rw', db.prompts, db.versions, db.searchIndex, async () => {
+        // Tokens are blinded with the key, so not while it changes
+        assertWritable();
+
+        await db.searchIndex.clear();
+        const ids = await db.prompts.toCollection().primaryKeys();
+        await indexPrompts(ids);
+        return ids.length;
+    });
+}
+
 // ========================================
 // Utility Functions
 // ========================================
@@ -284,7 +934,7 @@ export async function rollbackToVersion(versionId) {
  * @returns {Promise<Array<{tag: string, count: number}>>}
  */
 export async function getAllTags() {
-    const prompts = await db.prompts.filter(p => !p.archived).toArray();
+    const prompts = await getAllPrompts({ archived: false });
     const tagMap = new Map();
 
     prompts.forEach(prompt => {
@@ -303,83 +953,1840 @@ export async function getAllTags() {
  * @returns {Promise<Object>}
  */
 export async function exportData() {
-    const prompts = await db.prompts.toArray();
-    const versions = await db.versions.toArray();
+    const prompts = await openPrompts(await db.prompts.toArray());
+    const versions = await openVersions(await db.versions.toArray());
+    const tombstones = await getTombstones();
 
     return {
-        version: 1,
+        version: EXPORT_VERSION,
         exportedAt: Date.now(),
         prompts,
-        versions
+        versions,
+        tombstones
     };
 }
 
+// Prompt fields compared between local and imported prompts
+const PREVIEW_FIELDS = ['title', 'description', 'tags', 'variables', 'archived'];
+
+// Choices for each import status, the first one is the default:
+// overwrite = take the imported prompt, merge = add its versions and merge
+// the contents (newer fields win), keepBoth = import it as a copy
+const IMPORT_ACTIONS = {
+    new: ['overwrite', 'skip'],
+    identical: ['skip'],
+    newerRemote: ['overwrite', 'merge', 'keepBoth', 'skip'],
+    newerLocal: ['skip', 'merge', 'overwrite', 'keepBoth'],
+    diverged: ['merge', 'overwrite', 'keepBoth', 'skip'],
+    deletedLocally: ['skip', 'overwrite'],
+    deleted: ['overwrite', 'skip']
+};
+
 /**
- * Import data from JSON
+ * Classify the prompts of an import against the database, without writing
+ * Statuses:
+ * - new: not in the database
+ * - identical: nothing to import
+ * - newerRemote: the import has new versions or newer fields
+ * - newerLocal: the database has versions or newer fields the import lacks
+ * - diverged: both sides were changed
+ * - deletedLocally: deleted here after the imported copy was last changed
+ * - deleted: deleted in the import (tombstone) and not changed here since
  * @param {Object} data - Data to import
- * @param {boolean} merge - Merge with existing data
- * @returns {Promise<{imported: number, skipped: number, merged: number}>}
+ * @returns {Promise<Array<Object>>} - {id, title, status, actions, fields,
+ *   importNewer, newVersions, localVersions}; actions are the choices for
+ *   applyImport() (the first is the default), fields the prompt fields that
+ *   differ, importNewer whether the imported fields are the newer ones
+ * @throws {ImportValidationError} - If the data is invalid
  */
-export async function importData(data, merge = true) {
-    let imported = 0;
-    let skipped = 0;
-    let merged = 0;
+export async function analyzeImport(data) {
+    const prepared = prepareImportData(data);
 
-    if (!data.prompts || !data.versions) {
-        throw new Error('Invalid import data format');
-    }
+    const items = await db.transaction('r', db.prompts, db.versions, db.tombstones, () => classifyImport(prepared));
 
-    for (const prompt of data.prompts) {
-        const existing = await db.prompts.get(prompt.id);
+    return items.map(({ id, title, status, actions, fields, importNewer, newVersions, localVersions }) => ({
+        id, title, status, actions, fields, importNewer, newVersions, localVersions
+    }));
+}
 
-        if (existing && !merge) {
-            skipped++;
-            continue;
-        }
+/**
+ * Import data with a choice per prompt in a single transaction
+ * Tombstones win over records that were not changed after the deletion:
+ * imported version tombstones delete such local versions, local tombstones
+ * keep such imported versions from coming back.
+ * Records are collected first and written with bulk operations in chunks;
+ * a failure or cancellation rolls everything back.
+ * @param {Object} data - Data to import
+ * @param {Object<string, string>|Function} [choices] - Action per prompt ID,
+ *   or a function item => action (see analyzeImport); invalid or missing
+ *   choices fall back to the default of the prompt's status
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Roll back at the end and only report what would happen
+ * @param {Function} [options.onProgress] - Called with (done, total, stage): 'prepare'
+ *   counts prompts, 'write' records
+ * @param {AbortSignal} [options.signal] - Cancels the import (rejects with the abort reason)
+ * @returns {Promise<{imported: number, skipped: number, merged: number, deleted: number, conflicts: number}>}
+ *   merged counts updated prompts, conflicts those whose contents could not
+ *   be merged automatically
+ * @throws {ImportValidationError} - If the data is invalid (nothing is written)
+ */
+export async function applyImport(data, choices = {}, { dryRun = false, onProgress = () => {}, signal } = {}) {
+    const prepared = prepareImportData(data);
+
+    const choose = typeof choices === 'function' ? choices : item => choices[item.id];
+    const result = { imported: 0, skipped: 0, merged: 0, deleted: 0, conflicts: 0 };
+    const rollback = new Error('Import dry run');
 
-        if (existing && merge) {
-            // Check if content is different
-            const existingVersions = await getVersionsByPrompt(prompt.id);
-            const importVersions = data.versions.filter(v => v.promptId === prompt.id);
-
-            // Import new versions
-            for (const version of importVersions) {
-                const versionExists = existingVersions.some(v => v.id === version.id);
-                if (!versionExists) {
-                    await db.versions.add(version);
-                    merged++;
+    try {
+        await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.changeLog, db.tombstones, db.mergeConflicts, async () => {
+            // Classified before anything is written, like in the preview
+            const items = await classifyImport(prepared);
+            const itemIds = new Set(items.map(item => item.id));
+
+            for (const tombstone of prepared.tombstones) {
+                if (tombstone.entity === 'prompt' && itemIds.has(tombstone.entityId)) continue;
+                await applyTombstone(tombstone);
+            }
+
+            const batch = createImportBatch();
+            for (let i = 0; i < items.length; i++) {
+                signal?.throwIfAborted();
+
+                const item = items[i];
+                const choice = choose(item);
+                const action = item.actions.includes(choice) ? choice : item.actions[0];
+
+                // Only awaited for database work: after about a hundred awaits
+                // of other promises in a row Dexie loses the transaction
+                const work = applyImportItem(item, action, result, batch);
+                if (work) {
+                    await work;
                 }
+                onProgress(i + 1, items.length, 'prepare');
             }
 
-            // Update prompt metadata
-            await db.prompts.update(prompt.id, {
-                ...prompt,
-                updatedAt: Date.now()
+            await writeImportBatch(batch, (done, total) => {
+                signal?.throwIfAborted();
+                onProgress(done, total, 'write');
             });
-        } else {
-            // New prompt
-            await db.prompts.add(prompt);
 
-            // Add all versions
-            const versions = data.versions.filter(v => v.promptId === prompt.id);
-            for (const version of versions) {
-                await db.versions.add(version);
+            // Contents of existing prompts, now that their new versions are stored
+            for (const { item, action } of batch.pending) {
+                if (action === 'overwrite') {
+                    await restoreImportedContent(item);
+                } else if (await mergeVersionHeads(item.id, new Set(item.addedIds)) === 'conflict') {
+                    result.conflicts++;
+                }
             }
 
-            imported++;
-        }
+            await indexPrompts([...batch.indexIds]);
+
+            if (dryRun) {
+                throw rollback;
+            }
+        });
+    } catch (error) {
+        if (error !== rollback) throw error;
     }
 
-    return { imported, skipped, merged };
+    return result;
 }
 
 /**
- * Clear all data (for testing/reset)
- * @returns {Promise<void>}
+ * Import data from JSON with the default choice for every prompt
+ * (see analyzeImport): new and newer prompts are imported, diverged ones
+ * merged, prompts changed only here are kept
+ * @param {Object} data - Data to import
+ * @param {boolean} merge - Merge with existing data (false: skip prompts that exist)
+ * @param {Object} [options] - onProgress and signal (see applyImport)
+ * @returns {Promise<{imported: number, skipped: number, merged: number, deleted: number, conflicts: number}>}
  */
-export async function clearAllData() {
-    await db.prompts.clear();
-    await db.versions.clear();
+export async function importData(data, merge = true, options = {}) {
+    return await applyImport(data, merge ? {} : item => (item.local && item.status !== 'deleted' ? 'skip' : undefined), options);
+}
+
+/**
+ * Describe what importData() would change, without writing anything
+ * @param {Object} data - Data to import
+ * @param {boolean} [merge=true] - Merge with existing data
+ * @returns {Promise<{added: Array, updated: Array, unchanged: number, deleted: Array, skipped: Array}>}
+ *   Entries are {id, title}; updated entries also list the changed `fields`
+ *   and the number of `newVersions`, skipped entries a `reason` ('deleted'
+ *   here, 'exists' without merge, 'newer' here)
+ */
+export async function previewImport(data, merge = true) {
+    const preview = { added: [], updated: [], unchanged: 0, deleted: [], skipped: [] };
+
+    (await analyzeImport(data)).forEach(item => {
+        const entry = { id: item.id, title: item.title };
+
+        if (item.status === 'new') {
+            preview.added.push(entry);
+        } else if (item.status === 'deleted') {
+            preview.deleted.push(entry);
+        } else if (item.status === 'deletedLocally') {
+            preview.skipped.push({ ...entry, reason: 'deleted' });
+        } else if (item.status === 'identical') {
+            preview.unchanged++;
+        } else if (!merge) {
+            preview.skipped.push({ ...entry, reason: 'exists' });
+        } else if (item.status === 'newerLocal') {
+            preview.skipped.push({ ...entry, reason: 'newer' });
+        } else {
+            preview.updated.push({
+                ...entry,
+                fields: item.importNewer ? item.fields : [],
+                newVersions: item.newVersions
+            });
+        }
+    });
+
+    return preview;
+}
+
+/**
+ * Upgrade import data to the current format and validate every record
+ * @param {Object} data - Data to import
+ * @returns {Object} - Data in the current format
+ * @throws {ImportValidationError} - With one message per invalid record
+ */
+function prepareImportData(data) {
+    const migrated = migrateExportData(data);
+    const { valid, errors } = validateExportData(migrated);
+
+    if (!valid) {
+        throw new ImportValidationError(errors);
+    }
+    return migrated;
+}
+
+/**
+ * Classify every imported prompt and every prompt deleted by the import
+ * Runs inside a transaction with prompts, versions and tombstones in scope.
+ * @param {Object} data - Data to import (see prepareImportData)
+ * @returns {Promise<Array<Object>>} - Items of analyzeImport() plus the
+ *   imported `prompt` and `versions`, the `local` prompt and the `tombstone`
+ */
+async function classifyImport(data) {
+    const items = [];
+
+    for (const tombstone of data.tombstones) {
+        if (tombstone.entity !== 'prompt') continue;
+
+        const record = await db.prompts.get(tombstone.entityId);
+        if (!record || (record.updatedAt || record.createdAt || 0) > tombstone.deletedAt) continue;
+
+        const local = await openPrompt(record);
+        items.push(createImportItem('deleted', { id: local.id, title: local.title, local, tombstone }));
+    }
+
+    const deletedIds = new Set(items.map(item => item.id));
+    const versionsByPrompt = new Map();
+    data.versions.forEach(version => {
+        if (!versionsByPrompt.has(version.promptId)) {
+            versionsByPrompt.set(version.promptId, []);
+        }
+        versionsByPrompt.get(version.promptId).push(version);
+    });
+
+    // Read in bulk: large imports are mostly new prompts
+    const locals = await openPrompts(await db.prompts.bulkGet(data.prompts.map(prompt => prompt.id)));
+    const promptTombstones = await db.tombstones.bulkGet(data.prompts.map(prompt => `prompt:${prompt.id}`));
+
+    for (let i = 0; i < data.prompts.length; i++) {
+        const prompt = data.prompts[i];
+        // Deleted by the import itself
+        if (deletedIds.has(prompt.id)) continue;
+
+        const versions = versionsByPrompt.get(prompt.id) || [];
+        const entry = { id: prompt.id, title: prompt.title, prompt, versions };
+        const local = locals[i];
+
+        if (!local) {
+            const tombstone = promptTombstones[i];
+            const buried = tombstone && tombstone.deletedAt >= (prompt.updatedAt || prompt.createdAt || 0);
+            items.push(createImportItem(buried ? 'deletedLocally' : 'new', { ...entry, newVersions: versions.length }));
+            continue;
+        }
+
+        const localIds = new Set(await db.versions.where('promptId').equals(prompt.id).primaryKeys());
+        const importIds = new Set(versions.map(version => version.id));
+
+        let newVersions = 0;
+        for (const version of versions) {
+            if (localIds.has(version.id)) continue;
+            const tombstone = await db.tombstones.get(`version:${version.id}`);
+            if (!tombstone || tombstone.deletedAt < (version.updatedAt || version.createdAt || 0)) {
+                newVersions++;
+            }
+        }
+
+        const localVersions = [...localIds].filter(id => !importIds.has(id)).length;
+        const fields = Object.keys(diffFields(local, prompt))
+            .filter(field => PREVIEW_FIELDS.includes(field) && field in prompt);
+        const importNewer = (prompt.updatedAt || 0) > (local.updatedAt || 0);
+
+        const importChanged = newVersions > 0 || (fields.length > 0 && importNewer);
+        const localChanged = localVersions > 0 || (fields.length > 0 && !importNewer);
+        let status = 'identical';
+        if (importChanged && localChanged) {
+            status = 'diverged';
+        } else if (importChanged) {
+            status = 'newerRemote';
+        } else if (localChanged) {
+            status = 'newerLocal';
+        }
+
+        items.push(createImportItem(status, { ...entry, local, fields, importNewer, newVersions, localVersions }));
+    }
+
+    return items;
+}
+
+/**
+ * @param {string} status
+ * @param {Object} fields - Item fields
+ * @returns {Object} - Import item with defaults and the possible actions
+ */
+function createImportItem(status, fields) {
+    return {
+        status,
+        actions: IMPORT_ACTIONS[status],
+        prompt: null,
+        versions: [],
+        local: null,
+        tombstone: null,
+        fields: [],
+        importNewer: false,
+        newVersions: 0,
+        localVersions: 0,
+        ...fields
+    };
+}
+
+/**
+ * Apply the chosen action to one import item
+ * Runs inside the transaction of applyImport(). Records are queued in the
+ * batch; merging and restoring contents wait until they are written.
+ * @param {Object} item - From classifyImport()
+ * @param {string} action - 'overwrite', 'merge', 'keepBoth' or 'skip'
+ * @param {Object} result - Counters (mutated)
+ * @param {Object} batch - See createImportBatch()
+ * @returns {Promise<void>|undefined} - A promise only if the database is read or written
+ */
+function applyImportItem(item, action, result, batch) {
+    if (action === 'skip') {
+        result.skipped++;
+        return;
+    }
+
+    if (item.status === 'deleted') {
+        result.deleted++;
+        return removePrompt(item.id, item.tombstone.deletedAt);
+    }
+
+    if (action === 'keepBoth') {
+        queueImportedCopy(item, batch);
+        result.imported++;
+        return;
+    }
+
+    if (!item.local) {
+        // New, or deleted here and restored
+        batch.tombstoneKeys.push(`prompt:${item.id}`, ...item.versions.map(version => `version:${version.id}`));
+        queueImportRecord(batch, 'prompt', item.prompt);
+        item.versions.forEach(version => queueImportRecord(batch, 'version', version));
+        result.imported++;
+        return;
+    }
+
+    return queueImportedUpdate(item, action, result, batch);
+}
+
+/**
+ * Queue the changes to a prompt that exists here
+ * @param {Object} item - Import item of an existing prompt
+ * @param {string} action - 'overwrite' or 'merge'
+ * @param {Object} result - Counters (mutated)
+ * @param {Object} batch - See createImportBatch()
+ * @returns {Promise<void>}
+ */
+async function queueImportedUpdate(item, action, result, batch) {
+    item.addedIds = await queueImportedVersions(item, batch);
+    const takeFields = action === 'overwrite' || (item.importNewer && item.fields.length > 0);
+
+    if (takeFields) {
+        const updated = {
+            ...item.local,
+            ...item.prompt,
+            updatedAt: Date.now()
+        };
+        queueImportRecord(batch, 'prompt', updated, item.local);
+    }
+
+    if (action === 'overwrite' || item.addedIds.length > 0) {
+        batch.pending.push({ item, action });
+    }
+    batch.indexIds.add(item.id);
+
+    if (takeFields || item.addedIds.length > 0 || action === 'overwrite') {
+        result.merged++;
+    } else {
+        result.skipped++;
+    }
+}
+
+/**
+ * Queue the imported versions missing here (unless deleted here after their last change)
+ * @param {Object} item - Import item of an existing prompt
+ * @param {Object} batch - See createImportBatch()
+ * @returns {Promise<Array<string>>} - IDs of the queued versions
+ */
+async function queueImportedVersions(item, batch) {
+    const present = await db.versions.bulkGet(item.versions.map(version => version.id));
+    const addedIds = [];
+
+    for (let i = 0; i < item.versions.length; i++) {
+        const version = item.versions[i];
+        if (present[i] || await isBuried('version', version)) continue;
+
+        queueImportRecord(batch, 'version', version);
+        addedIds.push(version.id);
+    }
+
+    return addedIds;
+}
+
+/**
+ * Make the latest imported content the current one when local versions are
+ * newer (saved as a new version continuing all heads, nothing is deleted)
+ * @param {Object} item - Import item of an existing prompt
+ * @returns {Promise<void>}
+ */
+async function restoreImportedContent(item) {
+    const source = [...item.versions].sort((a, b) => b.createdAt - a.createdAt)[0];
+    if (!source) return;
+
+    const versions = await openVersions(await db.versions.where('promptId').equals(item.id).toArray());
+    const latest = getLatestVersions(versions).get(item.id);
+    if (!latest || latest.id === source.id || latest.content === source.content) return;
+
+    const now = Math.max(Date.now(), latest.createdAt + 1);
+    const version = {
+        id: crypto.randomUUID(),
+        promptId: item.id,
+        version: `v${versions.length + 1}`,
+        content: source.content,
+        notes: `Overwritten by import (${source.version})`,
+        parentIds: getHeads(versions).map(head => head.id).sort(),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await db.versions.add(await sealVersion(version));
+    await recordChange('version', version.id, 'create', undefined, version);
+    await db.mergeConflicts.delete(item.id);
+}
+
+/**
+ * Queue a prompt as a copy next to the local one (new IDs)
+ * @param {Object} item - Import item
+ * @param {Object} batch - See createImportBatch()
+ */
+function queueImportedCopy(item, batch) {
+    const ids = new Map(item.versions.map(version => [version.id, crypto.randomUUID()]));
+    const prompt = {
+        ...item.prompt,
+        id: crypto.randomUUID(),
+        title: `${item.prompt.title} (Import-Kopie)`
+    };
+
+    queueImportRecord(batch, 'prompt', prompt);
+
+    item.versions.forEach(source => {
+        const version = { ...source, id: ids.get(source.id), promptId: prompt.id };
+        if (Array.isArray(source.parentIds)) {
+            version.parentIds = source.parentIds.map(id => ids.get(id) || id);
+        }
+        queueImportRecord(batch, 'version', version);
+    });
+}
+
+// ========================================
+// Import Batch
+// ========================================
+
+// Records per bulk write of an import (progress is reported in between)
+const IMPORT_CHUNK_SIZE = 500;
+
+/**
+ * Collects the writes of an import for bulk operations
+ * @returns {{prompts: Array, versions: Array, changes: Array, tombstoneKeys: Array<string>,
+ *   indexIds: Set<string>, pending: Array<{item: Object, action: string}>}}
+ *   pending holds existing prompts whose contents are merged or restored
+ *   after the write
+ */
+function createImportBatch() {
+    return {
+        prompts: [],
+        versions: [],
+        changes: [],
+        tombstoneKeys: [],
+        indexIds: new Set(),
+        pending: []
+    };
+}
+
+/**
+ * Queue a plaintext record and its change log entry
+ * @param {Object} batch - See createImportBatch()
+ * @param {'prompt'|'version'} entity
+ * @param {Object} record - Plaintext prompt or version
+ * @param {Object} [before] - Stored state of an updated record
+ */
+function queueImportRecord(batch, entity, record, before) {
+    batch[`${entity}s`].push(record);
+    batch.changes.push({ entity, entityId: record.id, op: before ? 'update' : 'create', before, after: record });
+    batch.indexIds.add(entity === 'prompt' ? record.id : record.promptId);
+}
+
+/**
+ * Seal and write the queued records in chunks
+ * Runs inside a transaction with prompts, versions, changeLog and tombstones in scope.
+ * @param {Object} batch - See createImportBatch()
+ * @param {Function} onProgress - Called with (done, total) records after every chunk
+ * @returns {Promise<void>}
+ */
+async function writeImportBatch(batch, onProgress) {
+    const total = batch.prompts.length + batch.versions.length;
+    let done = 0;
+
+    await db.tombstones.bulkDelete(batch.tombstoneKeys);
+
+    for (const [table, records, seal] of [[db.prompts, batch.prompts, sealPrompt], [db.versions, batch.versions, sealVersion]]) {
+        for (let start = 0; start < records.length; start += IMPORT_CHUNK_SIZE) {
+            const chunk = records.slice(start, start + IMPORT_CHUNK_SIZE);
+
+            const sealed = [];
+            for (const record of chunk) {
+                sealed.push(await seal(record));
+            }
+            await table.bulkPut(sealed);
+
+            done += chunk.length;
+            onProgress(done, total);
+        }
+    }
+
+    for (let start = 0; start < batch.changes.length; start += IMPORT_CHUNK_SIZE) {
+        await recordChanges(batch.changes.slice(start, start + IMPORT_CHUNK_SIZE));
+    }
+}
+
+/**
+ * Re-index several prompts with bulk reads and writes (see indexPrompt)
+ * Runs inside a transaction with prompts, versions and searchIndex in scope.
+ * @param {Array<string>} promptIds
+ * @returns {Promise<void>}
+ */
+async function indexPrompts(promptIds) {
+    for (let start = 0; start < promptIds.length; start += IMPORT_CHUNK_SIZE) {
+        const ids = promptIds.slice(start, start + IMPORT_CHUNK_SIZE);
+        await db.searchIndex.where('promptId').anyOf(ids).delete();
+
+        const prompts = await openPrompts(await db.prompts.bulkGet(ids));
+        const latestByPrompt = getLatestVersions(await openVersions(await db.versions.where('promptId').anyOf(ids).toArray()));
+
+        const entries = [];
+        for (const prompt of prompts.filter(Boolean)) {
+            entries.push(...await Dexie.waitFor(getIndexEntries(prompt, latestByPrompt.get(prompt.id))));
+        }
+        await db.searchIndex.bulkPut(entries);
+    }
+}
+
+// ========================================
+// Tombstones
+// ========================================
+
+/**
+ * Remember the deletion of a record (the latest deletion time wins)
+ * Runs inside a transaction with tombstones in scope.
+ * @param {'prompt'|'version'} entity
+ * @param {string} entityId
+ * @param {number} deletedAt
+ * @returns {Promise<void>}
+ */
+async function addTombstone(entity, entityId, deletedAt) {
+    const key = `${entity}:${entityId}`;
+    const existing = await db.tombstones.get(key);
+    if (existing && existing.deletedAt >= deletedAt) return;
+
+    await db.tombstones.put({ key, entity, entityId, deletedAt, deviceId: getDeviceId() });
+}
+
+/**
+ * Check whether an incoming record was deleted here after its last change
+ * A tombstone older than the record is dropped: the record was edited
+ * elsewhere after the deletion and comes back.
+ * Runs inside a transaction with tombstones in scope.
+ * @param {'prompt'|'version'} entity
+ * @param {Object} record - Incoming prompt or version
+ * @returns {Promise<boolean>} - True if the record must not be written
+ */
+async function isBuried(entity, record) {
+    const key = `${entity}:${record.id}`;
+    const tombstone = await db.tombstones.get(key);
+    if (!tombstone) return false;
+
+    if (tombstone.deletedAt >= (record.updatedAt || record.createdAt || 0)) {
+        return true;
+    }
+
+    await db.tombstones.delete(key);
+    return false;
+}
+
+/**
+ * Apply an imported tombstone: delete the local record unless it was changed
+ * after the deletion, and remember the deletion otherwise
+ * Runs inside a transaction with prompts, versions, searchIndex, changeLog
+ * and tombstones in scope.
+ * @param {{entity: string, entityId: string, deletedAt: number}} tombstone
+ * @returns {Promise<boolean>} - True if a local record was deleted
+ */
+async function applyTombstone({ entity, entityId, deletedAt }) {
+    const table = entity === 'prompt' ? db.prompts : entity === 'version' ? db.versions : null;
+    if (!table || !entityId || typeof deletedAt !== 'number') return false;
+
+    const record = await table.get(entityId);
+    if (!record) {
+        await addTombstone(entity, entityId, deletedAt);
+        return false;
+    }
+
+    if ((record.updatedAt || record.createdAt || 0) > deletedAt) return false;
+
+    if (entity === 'prompt') {
+        await removePrompt(entityId, deletedAt);
+    } else {
+        await removeVersion(entityId, deletedAt);
+    }
+    return true;
+}
+
+/**
+ * Get all tombstones (included in exports)
+ * @returns {Promise<Array<{entity: string, entityId: string, deletedAt: number}>>}
+ */
+export async function getTombstones() {
+    const tombstones = await db.tombstones.orderBy('deletedAt').toArray();
+    return tombstones.map(({ entity, entityId, deletedAt }) => ({ entity, entityId, deletedAt }));
+}
+
+/**
+ * Get the tombstone of a record
+ * @param {'prompt'|'version'} entity
+ * @param {string} entityId
+ * @returns {Promise<{entity: string, entityId: string, deletedAt: number}|null>}
+ */
+export async function getTombstone(entity, entityId) {
+    return (await db.tombstones.get(`${entity}:${entityId}`)) || null;
+}
+
+/**
+ * Garbage-collect old tombstones
+ * Backups older than the retention can bring such records back.
+ * @param {number} maxAge - Minimum age in milliseconds
+ * @returns {Promise<number>} - Number of removed tombstones
+ */
+export async function purgeTombstones(maxAge) {
+    return await db.tombstones.where('deletedAt').below(Date.now() - maxAge).delete();
+}
+
+// ========================================
+// Change Log
+// ========================================
+
+// Acknowledged entries are kept this long (history for undo / activity views)
+const CHANGE_LOG_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+const localChangeListeners = new Set();
+
+/**
+ * Stable ID of this browser profile (stored with every change)
+ * @returns {string}
+ */
+export function getDeviceId() {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = crypto.randomUUID();
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
+}
+
+/**
+ * Append a change to the change log
+ * Must run inside the transaction of the mutation (with db.changeLog in scope),
+ * so the log never disagrees with the tables; listeners are notified once that
+ * transaction has committed.
+ * @param {'prompt'|'version'} entity
+ * @param {string} entityId
+ * @param {'create'|'update'|'delete'} op
+ * @param {Object|undefined} before - Plaintext record before the change
+ * @param {Object|undefined} after - Plaintext record after the change
+ * @returns {Promise<void>}
+ */
+async function recordChange(entity, entityId, op, before, after) {
+    await db.changeLog.add(await sealChange({
+        entity,
+        entityId,
+        op,
+        changes: diffFields(before, after),
+        timestamp: Date.now(),
+        deviceId: getDeviceId()
+    }));
+
+    notifyOnCommit(entity === 'prompt' ? entityId : (after || before).promptId, true);
+}
+
+/**
+ * Log several changes with one bulk write (see recordChange)
+ * @param {Array<{entity: string, entityId: string, op: string, before: Object, after: Object}>} entries
+ * @returns {Promise<void>}
+ */
+async function recordChanges(entries) {
+    const timestamp = Date.now();
+    const records = [];
+
+    for (const { entity, entityId, op, before, after } of entries) {
+        records.push(await sealChange({
+            entity,
+            entityId,
+            op,
+            changes: diffFields(before, after),
+            timestamp,
+            deviceId: getDeviceId()
+        }));
+        notifyOnCommit(entity === 'prompt' ? entityId : (after || before).promptId, true);
+    }
+
+    await db.changeLog.bulkAdd(records);
+}
+
+/**
+ * Field deltas between two states of a record
+ * @param {Object} [before]
+ * @param {Object} [after]
+ * @returns {Object<string, {from: *, to: *}>} - Changed fields (`from` is
+ *   missing for created, `to` for deleted fields)
+ */
+function diffFields(before = {}, after = {}) {
+    const changes = {};
+
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+        if (field === 'id') return;
+        if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+            changes[field] = { from: before[field], to: after[field] };
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Notify listeners about committed local changes
+ */
+function notifyLocalChange() {
+    localChangeListeners.forEach(callback => {
+        try {
+            callback();
+        } catch (error) {
+            console.error('Error in local change listener:', error);
+        }
+    });
+}
+
+/**
+ * Subscribe to committed local changes (change log appends)
+ * @param {Function} callback
+ * @returns {Function} - Unsubscribe function
+ */
+export function onLocalChange(callback) {
+    localChangeListeners.add(callback);
+    return () => localChangeListeners.delete(callback);
+}
+
+// ========================================
+// Cross-Tab Notifications
+// ========================================
+
+// Other tabs of the app are told about committed changes (not received by the sender)
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('prompt-master-pro') : null;
+
+// Root transaction -> changes waiting for its commit
+const pendingNotifications = new WeakMap();
+
+/**
+ * Notify local listeners (for logged changes) and other tabs once the
+ * running transaction has committed; one notification per transaction
+ * @param {string|undefined} promptId - Prompt the change belongs to
+ * @param {boolean} logged - Recorded in the change log
+ */
+function notifyOnCommit(promptId, logged) {
+    let transaction = Dexie.currentTransaction;
+    while (transaction && transaction.parent) {
+        transaction = transaction.parent;
+    }
+
+    let pending = pendingNotifications.get(transaction);
+    if (!pending) {
+        pending = { promptIds: new Set(), logged: false };
+        pendingNotifications.set(transaction, pending);
+
+        transaction.on('complete', () => {
+            if (pending.logged) {
+                notifyLocalChange();
+            }
+            broadcast({ type: 'changed', promptIds: [...pending.promptIds] });
+        });
+    }
+
+    if (promptId) {
+        pending.promptIds.add(promptId);
+    }
+    pending.logged = pending.logged || logged;
+}
+
+/**
+ * Send a message to the other tabs
+ * @param {Object} message - {type: 'changed', promptIds: Array|null} (null = everything),
+ *   {type: 'savedSearches'}, {type: 'keyChanging'} or {type: 'keyChanged'}
+ */
+function broadcast(message) {
+    if (!channel) return;
+
+    try {
+        channel.postMessage(message);
+    } catch (error) {
+        console.error('Broadcasting change failed:', error);
+    }
+}
+
+/**
+ * Subscribe to changes committed by other tabs of the app
+ * @param {Function} callback - Called with the message (see broadcast)
+ * @returns {Function} - Unsubscribe function
+ */
+export function onExternalChange(callback) {
+    if (!channel) {
+        return () => {};
+    }
+
+    const listener = (event) => callback(event.data);
+    channel.addEventListener('message', listener);
+    return () => channel.removeEventListener('message', listener);
+}
+
+/**
+ * Get the changes after a cursor, oldest first
+ * @param {number} [cursor=0] - Sequence number of the last change already seen
+ * @param {number} [limit] - Maximum number of changes
+ * @returns {Promise<Array<{seq: number, entity: string, entityId: string, op: string, changes: Object, timestamp: number, deviceId: string}>>}
+ */
+export async function getChangesSince(cursor = 0, limit) {
+    let collection = db.changeLog.where('seq').above(cursor);
+    if (limit) {
+        collection = collection.limit(limit);
+    }
+    return await openChanges(await collection.toArray());
+}
+
+/**
+ * Get the changes a consumer has not acknowledged yet
+ * @param {string} consumer - Consumer name (e.g. 'sync')
+ * @param {number} [limit] - Maximum number of changes
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getPendingChanges(consumer, limit) {
+    return await getChangesSince(await getChangeCursor(consumer), limit);
+}
+
+/**
+ * Count the changes a consumer has not acknowledged yet
+ * @param {string} consumer
+ * @returns {Promise<number>}
+ */
+export async function countPendingChanges(consumer) {
+    return await db.changeLog.where('seq').above(await getChangeCursor(consumer)).count();
+}
+
+/**
+ * Get the cursor of a consumer
+ * @param {string} consumer
+ * @returns {Promise<number>} - Last acknowledged sequence number (0 = none)
+ */
+export async function getChangeCursor(consumer) {
+    const cursor = await db.changeCursors.get(consumer);
+    return cursor ? cursor.seq : 0;
+}
+
+/**
+ * Acknowledge all changes up to a sequence number (cursors only move forward)
+ * @param {string} consumer
+ * @param {number} seq - Sequence number of the last processed change
+ * @returns {Promise<void>}
+ */
+export async function acknowledgeChanges(consumer, seq) {
+    await db.transaction('rw', db.changeCursors, async () => {
+        if (seq > await getChangeCursor(consumer)) {
+            await db.changeCursors.put({ consumer, seq, acknowledgedAt: Date.now() });
+        }
+    });
+}
+
+/**
+ * Forget a consumer (its cursor no longer holds back compaction)
+ * @param {string} consumer
+ * @returns {Promise<void>}
+ */
+export async function removeChangeCursor(consumer) {
+    await db.changeCursors.delete(consumer);
+}
+
+/**
+ * Get the sequence number of the latest change
+ * @returns {Promise<number>} - 0 if the log is empty
+ */
+export async function getLatestChangeSeq() {
+    return (await db.changeLog.orderBy('seq').lastKey()) || 0;
+}
+
+/**
+ * Check for changes of a record a consumer has not acknowledged yet
+ * @param {string} consumer
+ * @param {string} entity
+ * @param {string} entityId
+ * @returns {Promise<boolean>}
+ */
+export async function hasPendingChanges(consumer, entity, entityId) {
+    const cursor = await getChangeCursor(consumer);
+    const seqs = await db.changeLog.where('[entity+entityId]').equals([entity, entityId]).primaryKeys();
+    return seqs.some(seq => seq > cursor);
+}
+
+/**
+ * Drop old changes that every consumer has acknowledged
+ * @param {number} [maxAge] - Minimum age in milliseconds
+ * @returns {Promise<number>} - Number of removed changes
+ */
+export async function compactChangeLog(maxAge = CHANGE_LOG_RETENTION) {
+    const cursors = await db.changeCursors.toArray();
+    const acknowledged = cursors.length > 0
+        ? Math.min(...cursors.map(cursor => cursor.seq))
+        : Infinity;
+    const cutoff = Date.now() - maxAge;
+
+    return await db.changeLog
+        .where('seq').belowOrEqual(acknowledged)
+        .filter(entry => entry.timestamp < cutoff)
+        .delete();
+}
+
+// ========================================
+// Sync Bookkeeping
+// ========================================
+
+/**
+ * Get the remote revision a record was last synced at
+ * @param {string} entity
+ * @param {string} entityId
+ * @returns {Promise<number|null>} - Null if never synced
+ */
+export async function getSyncedRevision(entity, entityId) {
+    const state = await db.syncState.get(`${entity}:${entityId}`);
+    return state ? state.rev : null;
+}
+
+/**
+ * Remember the remote revision a record is in sync with
+ * @param {string} entity
+ * @param {string} entityId
+ * @param {number} rev
+ * @returns {Promise<void>}
+ */
+export async function setSyncedRevision(entity, entityId, rev) {
+    await db.syncState.put({ key: `${entity}:${entityId}`, rev, syncedAt: Date.now() });
+}
+
+/**
+ * Forget the synced revision of a record (deleted on both sides)
+ * @param {string} entity
+ * @param {string} entityId
+ * @returns {Promise<void>}
+ */
+export async function forgetSyncedRevision(entity, entityId) {
+    await db.syncState.delete(`${entity}:${entityId}`);
+}
+
+/**
+ * Get the IDs of records that were never synced
+ * @returns {Promise<{prompts: Array<string>, versions: Array<string>}>}
+ */
+export async function getUnsyncedIds() {
+    const synced = new Set(await db.syncState.toCollection().primaryKeys());
+    const promptIds = await db.prompts.toCollection().primaryKeys();
+    const versionIds = await db.versions.toCollection().primaryKeys();
+
+    return {
+        prompts: promptIds.filter(id => !synced.has(`prompt:${id}`)),
+        versions: versionIds.filter(id => !synced.has(`version:${id}`))
+    };
+}
+
+/**
+ * Forget all sync bookkeeping (other account or backend)
+ * The consumer's cursor skips all logged changes: every record counts as
+ * unsynced again anyway.
+ * @param {string} consumer - Change log consumer of the sync engine
+ * @returns {Promise<void>}
+ */
+export async function resetSyncState(consumer) {
+    await db.transaction('rw', db.changeLog, db.changeCursors, db.syncState, db.syncConflicts, async () => {
+        await acknowledgeChanges(consumer, await getLatestChangeSeq());
+        await db.syncState.clear();
+        await db.syncConflicts.clear();
+    });
+}
+
+/**
+ * Write a prompt received from the sync backend (not recorded in the change log)
+ * @param {Object} prompt - Plaintext prompt
+ * @param {number} rev - Remote revision
+ * @returns {Promise<void>}
+ */
+export async function applyRemotePrompt(prompt, rev) {
+    const record = await sealPrompt(prompt);
+
+    await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.syncState, db.tombstones, async () => {
+        await db.prompts.put(record);
+        await db.tombstones.delete(`prompt:${prompt.id}`);
+        await setSyncedRevision('prompt', prompt.id, rev);
+        await indexPrompt(prompt.id);
+        notifyOnCommit(prompt.id, false);
+    });
+}
+
+/**
+ * Write a version received from the sync backend (not recorded in the change log)
+ * @param {Object} version - Plaintext version
+ * @param {number} rev - Remote revision
+ * @returns {Promise<void>}
+ */
+export async function applyRemoteVersion(version, rev) {
+    const record = await sealVersion(version);
+
+    await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.syncState, db.tombstones, async () => {
+        await db.versions.put(record);
+        await db.tombstones.delete(`version:${version.id}`);
+        await setSyncedRevision('version', version.id, rev);
+        await indexPrompt(version.promptId);
+        notifyOnCommit(version.promptId, false);
+    });
+}
+
+/**
+ * Delete a record removed on the sync backend (not recorded in the change log,
+ * but tombstoned like a local deletion)
+ * @param {'prompt'|'version'} entity
+ * @param {string} entityId
+ * @returns {Promise<void>}
+ */
+export async function applyRemoteDeletion(entity, entityId) {
+    const now = Date.now();
+
+    await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.syncState, db.tombstones, async () => {
+        if (entity === 'prompt') {
+            const versionIds = await db.versions.where('promptId').equals(entityId).primaryKeys();
+            await db.versions.bulkDelete(versionIds);
+            await db.prompts.delete(entityId);
+            await db.searchIndex.where('promptId').equals(entityId).delete();
+            await db.syncState.bulkDelete([
+                `prompt:${entityId}`,
+                ...versionIds.map(id => `version:${id}`)
+            ]);
+            await addTombstone('prompt', entityId, now);
+            for (const versionId of versionIds) {
+                await addTombstone('version', versionId, now);
+            }
+            notifyOnCommit(entityId, false);
+        } else {
+            const version = await db.versions.get(entityId);
+            await db.versions.delete(entityId);
+            await db.syncState.delete(`version:${entityId}`);
+            await addTombstone('version', entityId, now);
+            if (version) {
+                await indexPrompt(version.promptId);
+                notifyOnCommit(version.promptId, false);
+            }
+        }
+    });
+}
+
+/**
+ * Get unresolved sync conflicts
+ * @returns {Promise<Array<{promptId: string, remote: Object|null, remoteRev: number|null, detectedAt: number}>>}
+ */
+export async function getSyncConflicts() {
+    const conflicts = await db.syncConflicts.toArray();
+    const remotes = await openPrompts(conflicts.map(conflict => conflict.remote || undefined));
+
+    return conflicts.map((conflict, i) => ({ ...conflict, remote: remotes[i] || null }));
+}
+
+/**
+ * Store a conflict between the local prompt and its remote counterpart
+ * @param {string} promptId
+ * @param {Object|null} remote - Remote prompt (null if deleted remotely)
+ * @param {number|null} remoteRev - Remote revision
+ * @returns {Promise<void>}
+ */
+export async function saveSyncConflict(promptId, remote, remoteRev) {
+    await db.syncConflicts.put({
+        promptId,
+        remote: remote ? await sealPrompt(remote) : null,
+        remoteRev,
+        detectedAt: Date.now()
+    });
+}
+
+/**
+ * Remove a resolved conflict
+ * @param {string} promptId
+ * @returns {Promise<void>}
+ */
+export async function deleteSyncConflict(promptId) {
+    await db.syncConflicts.delete(promptId);
+}
+
+// ========================================
+// Version Merges
+// ========================================
+
+/**
+ * Merge diverged version histories of a prompt
+ * When local and incoming versions both continue from a common version,
+ * their contents are merged three-way: a clean merge is saved as a new
+ * version, overlapping edits are kept as a merge conflict for the user.
+ * Versions of both sides are kept in every case.
+ * @param {string} promptId
+ * @param {Array<string>} incomingIds - Versions just received (import, restore, sync)
+ * @returns {Promise<'none'|'merged'|'conflict'>}
+ */
+export async function mergeVersions(promptId, incomingIds) {
+    return await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.changeLog, db.mergeConflicts, async () => {
+        return await mergeVersionHeads(promptId, new Set(incomingIds));
+    });
+}
+
+/**
+ * Merge the newest incoming head with the newest local head until the
+ * history has a single head again or a merge has conflicts
+ * Runs inside a transaction with prompts, versions, searchIndex, changeLog
+ * and mergeConflicts in scope.
+ * @param {string} promptId
+ * @param {Set<string>} incomingIds
+ * @returns {Promise<'none'|'merged'|'conflict'>}
+ */
+async function mergeVersionHeads(promptId, incomingIds) {
+    let outcome = 'none';
+
+    for (;;) {
+        const versions = await openVersions(await db.versions.where('promptId').equals(promptId).toArray());
+        const heads = getHeads(versions);
+        const theirs = heads.find(version => incomingIds.has(version.id));
+        const ours = heads.find(version => !incomingIds.has(version.id));
+        const base = ours && theirs ? findMergeBase(versions, ours.id, theirs.id) : null;
+
+        // Not diverged, or unrelated histories (kept side by side)
+        if (!base) break;
+
+        const { text, conflicts } = merge3(base.content, ours.content, theirs.content);
+        if (conflicts > 0) {
+            await db.mergeConflicts.put({
+                promptId,
+                baseId: base.id,
+                oursId: ours.id,
+                theirsId: theirs.id,
+                detectedAt: Date.now()
+            });
+            return 'conflict';
+        }
+
+        // Devices merging the same heads write the same version
+        const now = Math.max(Date.now(), ours.createdAt + 1, theirs.createdAt + 1);
+        const version = {
+            id: await getMergeVersionId(ours.id, theirs.id),
+            promptId,
+            version: `v${versions.length + 1}`,
+            content: text,
+            notes: `Merged ${ours.version} and ${theirs.version}`,
+            parentIds: [ours.id, theirs.id].sort(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await db.versions.put(await sealVersion(version));
+        await recordChange('version', version.id, 'create', undefined, version);
+        await indexPrompt(promptId);
+        outcome = 'merged';
+    }
+
+    await db.mergeConflicts.delete(promptId);
+    return outcome;
+}
+
+/**
+ * ID of the version merging two versions, the same on every device
+ * @param {string} aId
+ * @param {string} bId
+ * @returns {Promise<string>} - UUID-formatted hash of both IDs
+ */
+function getMergeVersionId(aId, bId) {
+    return Dexie.waitFor((async () => {
+        const input = new TextEncoder().encode([aId, bId].sort().join('\n'));
+        const hex = Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', input)))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+
+        return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20, 32)].join('-');
+    })());
+}
+
+/**
+ * Get unresolved merge conflicts
+ * Conflicts whose versions were deleted meanwhile are left out.
+ * @returns {Promise<Array<{promptId: string, base: Object, ours: Object, theirs: Object, detectedAt: number}>>}
+ */
+export async function getMergeConflicts() {
+    const conflicts = await db.mergeConflicts.toArray();
+    const versions = await openVersions(await db.versions.bulkGet(
+        conflicts.flatMap(conflict => [conflict.baseId, conflict.oursId, conflict.theirsId])
+    ));
+
+    return conflicts
+        .map((conflict, i) => ({
+            promptId: conflict.promptId,
+            base: versions[i * 3],
+            ours: versions[i * 3 + 1],
+            theirs: versions[i * 3 + 2],
+            detectedAt: conflict.detectedAt
+        }))
+        .filter(conflict => conflict.base && conflict.ours && conflict.theirs);
+}
+
+/**
+ * Resolve a merge conflict with the merged content
+ * Saved as a new version that continues both sides.
+ * @param {string} promptId
+ * @param {string} content - Merged content
+ * @returns {Promise<string>} - Version ID
+ */
+export async function resolveMergeConflict(promptId, content) {
+    const conflict = await db.mergeConflicts.get(promptId);
+    if (!conflict) {
+        throw new Error('Merge conflict not found');
+    }
+
+    const [ours, theirs] = await openVersions(await db.versions.bulkGet([conflict.oursId, conflict.theirsId]));
+    if (!ours || !theirs) {
+        throw new Error('Merged versions not found');
+    }
+
+    const versionCount = await db.versions.where('promptId').equals(promptId).count();
+    const now = Math.max(Date.now(), ours.createdAt + 1, theirs.createdAt + 1);
+    const version = {
+        id: crypto.randomUUID(),
+        promptId,
+        version: `v${versionCount + 1}`,
+        content,
+        notes: `Merged ${ours.version} and ${theirs.version}`,
+        parentIds: [ours.id, theirs.id].sort(),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const record = await sealVersion(version);
+
+    await db.transaction('rw', db.prompts, db.versions, db.searchIndex, db.changeLog, db.mergeConflicts, async () => {
+        await db.versions.add(record);
+        await recordChange('version', version.id, 'create', undefined, version);
+        await db.mergeConflicts.delete(promptId);
+
+        // Update prompt's updatedAt
+        await updatePrompt(promptId, {});
+
+        await indexPrompt(promptId);
+    });
+
+    return version.id;
+}
+
+// ========================================
+// File Handles
+// ========================================
+
+/**
+ * Get a stored file system handle
+ * Permissions are not stored with it: check queryPermission() before use.
+ * @param {string} name - e.g. 'folder'
+ * @returns {Promise<FileSystemHandle|null>}
+ */
+export async function getFileHandle(name) {
+    const entry = await db.fileHandles.get(name);
+    return entry ? entry.handle : null;
+}
+
+/**
+ * Store a file system handle (handles are structured-cloneable)
+ * @param {string} name
+ * @param {FileSystemHandle} handle
+ * @returns {Promise<void>}
+ */
+export async function saveFileHandle(name, handle) {
+    await db.fileHandles.put({ name, handle, savedAt: Date.now() });
+}
+
+/**
+ * Forget a file system handle
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export async function deleteFileHandle(name) {
+    await db.fileHandles.delete(name);
+}
+
+// ========================================
+// Encryption at Rest
+// ========================================
+
+// Fields that are stored encrypted (tags additionally as blind indexes)
+const SEALED_PROMPT_FIELDS = ['title', 'description', 'tags', 'variables'];
+const SEALED_VERSION_FIELDS = ['content', 'notes'];
+
+// Set while this tab ('local') or another one ('remote') re-encrypts the database
+let keyChange = null;
+const keyChangeListeners = new Set();
+
+// Another tab starts re-encrypting: stop writing until the page starts over
+onExternalChange(message => {
+    if (message.type === 'keyChanging') {
+        setKeyChange('remote');
+    }
+});
+
+/**
+ * Encrypt a prompt for storage
+ * `tags` holds blind indexes so the *tags index keeps working; the
+ * real tags are kept in `sealedTags`. Crypto runs via Dexie.waitFor()
+ * so this is safe inside transactions.
+ * @param {Object} prompt - Plaintext prompt
+ * @param {boolean} [encrypt] - Defaults to whether a key is loaded
+ * @param {boolean} [resealing] - Part of a re-encryption (see runKeyChange)
+ * @returns {Promise<Object>} - Record to store
+ */
+function sealPrompt(prompt, encrypt = isEncryptionEnabled(), resealing = false) {
+    return Dexie.waitFor((async () => {
+        assertWritable(resealing);
+
+        const record = { ...prompt };
+        delete record.encrypted;
+        delete record.sealedTags;
+        if (!encrypt) return record;
+
+        const tags = prompt.tags || [];
+        return {
+            ...record,
+            title: await encryptData(prompt.title || ''),
+            description: await encryptData(prompt.description || ''),
+            tags: await Promise.all(tags.map(blindTag)),
+            sealedTags: await encryptData(JSON.stringify(tags)),
+            variables: await encryptData(JSON.stringify(prompt.variables || {})),
+            encrypted: true
+        };
+    })());
+}
+
+/**
+ * Decrypt prompt records (plaintext records pass through)
+ * @param {Array<Object|undefined>} records - Stored records
+ * @returns {Promise<Array<Object|undefined>>}
+ */
+function openPrompts(records) {
+    return Dexie.waitFor(Promise.all(records.map(async record => {
+        if (!record || !record.encrypted) return record;
+        assertUnlocked();
+
+        const prompt = { ...record };
+        delete prompt.encrypted;
+        delete prompt.sealedTags;
+        return {
+            ...prompt,
+            title: await decryptData(record.title),
+            description: await decryptData(record.description),
+            tags: JSON.parse(await decryptData(record.sealedTags)),
+            variables: JSON.parse(await decryptData(record.variables))
+        };
+    })));
+}
+
+/**
+ * Decrypt a single prompt record
+ * @param {Object|undefined} record - Stored record
+ * @returns {Promise<Object|undefined>}
+ */
+async function openPrompt(record) {
+    const [prompt] = await openPrompts([record]);
+    return prompt;
+}
+
+/**
+ * Encrypt a version for storage
+ * @param {Object} version - Plaintext version
+ * @param {boolean} [encrypt] - Defaults to whether a key is loaded
+ * @param {boolean} [resealing] - Part of a re-encryption (see runKeyChange)
+ * @returns {Promise<Object>} - Record to store
+ */
+function sealVersion(version, encrypt = isEncryptionEnabled(), resealing = false) {
+    return Dexie.waitFor((async () => {
+        assertWritable(resealing);
+
+        const record = { ...version };
+        delete record.encrypted;
+        if (!encrypt) return record;
+
+        return {
+            ...record,
+            content: await encryptData(version.content || ''),
+            notes: await encryptData(version.notes || ''),
+            encrypted: true
+        };
+    })());
+}
+
+/**
+ * Decrypt version records (plaintext records pass through)
+ * @param {Array<Object|undefined>} records - Stored records
+ * @returns {Promise<Array<Object|undefined>>}
+ */
+function openVersions(records) {
+    return Dexie.waitFor(Promise.all(records.map(async record => {
+        if (!record || !record.encrypted) return record;
+        assertUnlocked();
+
+        const version = { ...record };
+        delete version.encrypted;
+        return {
+            ...version,
+            content: await decryptData(record.content),
+            notes: await decryptData(record.notes)
+        };
+    })));
+}
+
+/**
+ * Decrypt a single version record
+ * @param {Object|undefined} record - Stored record
+ * @returns {Promise<Object|undefined>}
+ */
+async function openVersion(record) {
+    const [version] = await openVersions([record]);
+    return version;
+}
+
+/**
+ * Encrypt a change log entry for storage (the field deltas hold prompt data)
+ * @param {Object} entry - Plaintext entry
+ * @param {boolean} [encrypt] - Defaults to whether a key is loaded
+ * @param {boolean} [resealing] - Part of a re-encryption (see runKeyChange)
+ * @returns {Promise<Object>} - Record to store
+ */
+function sealChange(entry, encrypt = isEncryptionEnabled(), resealing = false) {
+    return Dexie.waitFor((async () => {
+        assertWritable(resealing);
+
+        const record = { ...entry };
+        delete record.encrypted;
+        if (!encrypt) return record;
+
+        return {
+            ...record,
+            changes: await encryptData(JSON.stringify(entry.changes || {})),
+            encrypted: true
+        };
+    })());
+}
+
+/**
+ * Decrypt change log entries (plaintext entries pass through)
+ * @param {Array<Object>} records - Stored entries
+ * @returns {Promise<Array<Object>>}
+ */
+function openChanges(records) {
+    return Dexie.waitFor(Promise.all(records.map(async record => {
+        if (!record.encrypted) return record;
+        assertUnlocked();
+
+        const entry = { ...record };
+        delete entry.encrypted;
+        return {
+            ...entry,
+            changes: JSON.parse(await decryptData(record.changes))
+        };
+    })));
+}
+
+/**
+ * Encrypt a saved search for storage (queries and tags name prompt tags)
+ * @param {Object} search - Plaintext saved search
+ * @param {boolean} [encrypt] - Defaults to whether a key is loaded
+ * @param {boolean} [resealing] - Part of a re-encryption (see runKeyChange)
+ * @returns {Promise<Object>} - Record to store
+ */
+function sealSavedSearch(search, encrypt = isEncryptionEnabled(), resealing = false) {
+    return Dexie.waitFor((async () => {
+        assertWritable(resealing);
+
+        const record = { ...search };
+        delete record.encrypted;
+        if (!encrypt) return record;
+
+        return {
+            ...record,
+            name: await encryptData(search.name || ''),
+            query: await encryptData(search.query || ''),
+            tags: await encryptData(JSON.stringify(search.tags || [])),
+            encrypted: true
+        };
+    })());
+}
+
+/**
+ * Decrypt saved search records (plaintext records pass through)
+ * @param {Array<Object|undefined>} records - Stored records
+ * @returns {Promise<Array<Object|undefined>>}
+ */
+function openSavedSearches(records) {
+    return Dexie.waitFor(Promise.all(records.map(async record => {
+        if (!record || !record.encrypted) return record;
+        assertUnlocked();
+
+        const search = { ...record };
+        delete search.encrypted;
+        return {
+            ...search,
+            name: await decryptData(record.name),
+            query: await decryptData(record.query),
+            tags: JSON.parse(await decryptData(record.tags))
+        };
+    })));
+}
+
+/**
+ * Blind index of a tag
+ * @param {string} tag
+ * @returns {Promise<string>}
+ */
+function blindTag(tag) {
+    return blindIndex(`tag:${tag}`);
+}
+
+/**
+ * Blind index of a search token (or token prefix)
+ * @param {string} token
+ * @returns {Promise<string>}
+ */
+function blindToken(token) {
+    return blindIndex(`token:${token}`);
+}
+
+/**
+ * Refuse to read encrypted records without a key
+ */
+function assertUnlocked() {
+    if (!isEncryptionEnabled()) {
+        throw new Error('Database is locked');
+    }
+}
+
+/**
+ * Refuse to write plaintext while encryption is enabled but locked, and
+ * anything but the re-encryption itself while the key changes
+ * @param {boolean} [resealing] - Part of a re-encryption
+ */
+function assertWritable(resealing = false) {
+    if (isLocked()) {
+        throw new Error('Database is locked');
+    }
+    if (keyChange && !resealing) {
+        throw new Error('Database is being re-encrypted');
+    }
+}
+
+/**
+ * Check the loaded key against the stored data
+ * @returns {Promise<boolean>} - False if an encrypted record cannot be decrypted
+ */
+export async function verifyEncryptionKey() {
+    const record = await db.prompts.filter(p => !!p.encrypted).first();
+    if (!record) return true;
+
+    try {
+        await openPrompt(record);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check for records that are not encrypted yet
+ * (databases from before encryption at rest, or an interrupted migration)
+ * @returns {Promise<boolean>}
+ */
+export async function hasPlaintextRecords() {
+    const prompts = await db.prompts.filter(p => !p.encrypted).count();
+    const versions = await db.versions.filter(v => !v.encrypted).count();
+    const changes = await db.changeLog.filter(c => !c.encrypted).count();
+    const savedSearches = await db.savedSearches.filter(s => !s.encrypted).count();
+    return prompts + versions + changes + savedSearches > 0;
+}
+
+/**
+ * Encrypt or decrypt the whole database and rebuild the search index
+ * Needs the key in both directions.
+ * @param {boolean} encrypt - Target state
+ * @param {Function} [onProgress] - Called with (done, total)
+ * @returns {Promise<{prompts: number, versions: number}>}
+ */
+export async function migrateEncryption(encrypt, onProgress) {
+    return await runKeyChange(async () => {
+        const records = await readDatabase();
+        await writeSealedDatabase(records, encrypt, onProgress);
+
+        return { prompts: records.prompts.length, versions: records.versions.length };
+    });
+}
+
+/**
+ * Change the passphrase and re-encrypt all stored ciphertext
+ * Everything is decrypted with the current key first; changePassphrase()
+ * then switches keys and restores them if writing fails.
+ * @param {string} oldPassphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase
+ * @param {Function} [onProgress] - Called with (done, total)
+ * @returns {Promise<{prompts: number, versions: number}>}
+ */
+export async function rotateEncryptionKey(oldPassphrase, newPassphrase, onProgress) {
+    if (!(await verifyPassphrase(oldPassphrase))) {
+        throw new Error('Invalid old passphrase');
+    }
+
+    return await runKeyChange(async () => {
+        const records = await readDatabase();
+        await changePassphrase(oldPassphrase, newPassphrase, async () => {
+            await writeSealedDatabase(records, true, onProgress);
+        });
+
+        return { prompts: records.prompts.length, versions: records.versions.length };
+    });
+}
+
+/**
+ * Check whether a re-encryption is running in this or another tab
+ * @returns {boolean}
+ */
+export function isKeyChanging() {
+    return keyChange !== null;
+}
+
+/**
+ * Subscribe to re-encryptions starting and ending (in any tab)
+ * Sync and scheduled backups pause meanwhile.
+ * @param {Function} callback - Called with true when one starts, false when it ends
+ * @returns {Function} - Unsubscribe function
+ */
+export function onKeyChange(callback) {
+    keyChangeListeners.add(callback);
+    return () => keyChangeListeners.delete(callback);
+}
+
+/**
+ * Run a re-encryption with writes suspended in every tab
+ * Records sealed meanwhile would end up under the old key. Other tabs stay
+ * suspended until they start over ('keyChanged'), also if the change fails.
+ * @param {Function} task - Async re-encryption
+ * @returns {Promise<*>} - Result of the task
+ */
+async function runKeyChange(task) {
+    if (keyChange) {
+        throw new Error('Database is being re-encrypted');
+    }
+
+    setKeyChange('local');
+    broadcast({ type: 'keyChanging' });
+
+    try {
+        return await task();
+    } finally {
+        setKeyChange(null);
+        broadcast({ type: 'keyChanged' });
+    }
+}
+
+/**
+ * Set the re-encryption state and notify listeners
+ * @param {'local'|'remote'|null} state - Tab running it, null when done
+ */
+function setKeyChange(state) {
+    keyChange = state;
+    keyChangeListeners.forEach(callback => {
+        try {
+            callback(state !== null);
+        } catch (error) {
+            console.error('Error in key change listener:', error);
+        }
+    });
+}
+
+// Tables holding ciphertext (the search index is rebuilt from them)
+const SEALED_TABLES = ['prompts', 'versions', 'syncConflicts', 'changeLog', 'savedSearches'];
+
+/**
+ * Read and decrypt every record that may hold ciphertext
+ * The stored records are kept to detect concurrent writes (see writeSealedDatabase).
+ * @returns {Promise<{prompts: Array, versions: Array, conflicts: Array, changes: Array, savedSearches: Array, stored: Object}>}
+ */
+async function readDatabase() {
+    const stored = await db.transaction('r', SEALED_TABLES, readStoredRecords);
+    const remotes = await openPrompts(stored.syncConflicts.map(conflict => conflict.remote || undefined));
+
+    return {
+        prompts: await openPrompts(stored.prompts),
+        versions: await openVersions(stored.versions),
+        conflicts: stored.syncConflicts.map((conflict, i) => ({ ...conflict, remote: remotes[i] || null })),
+        changes: await openChanges(stored.changeLog),
+        savedSearches: await openSavedSearches(stored.savedSearches),
+        stored
+    };
+}
+
+/**
+ * Read the raw records of all sealed tables
+ * @returns {Promise<Object<string, Array>>} - Records per table name
+ */
+async function readStoredRecords() {
+    const stored = {};
+    for (const name of SEALED_TABLES) {
+        stored[name] = await db.table(name).toArray();
+    }
+    return stored;
+}
+
+/**
+ * Re-seal plaintext records and replace the stored ones
+ * Records are sealed in memory first and written in a single transaction,
+ * so a failure leaves the database untouched. The write is aborted if
+ * anything was written since readDatabase() (sync, import, other tabs):
+ * it would be overwritten or stay under the old key.
+ * @param {Object} records - Plaintext records (see readDatabase)
+ * @param {boolean} encrypt - Encrypt with the loaded key
+ * @param {Function} [onProgress] - Called with (done, total)
+ * @returns {Promise<void>}
+ * @throws {Error} - If the database changed meanwhile
+ */
+async function writeSealedDatabase({ prompts, versions, conflicts, changes, savedSearches, stored }, encrypt, onProgress = () => {}) {
+    const latestByPrompt = getLatestVersions(versions);
+    const total = prompts.length + versions.length;
+    let done = 0;
+
+    const promptRecords = [];
+    const entries = [];
+    for (const prompt of prompts) {
+        promptRecords.push(await sealPrompt(prompt, encrypt, true));
+        entries.push(...await getIndexEntries(prompt, latestByPrompt.get(prompt.id), encrypt));
+        onProgress(++done, total);
+    }
+
+    const versionRecords = [];
+    for (const version of versions) {
+        versionRecords.push(await sealVersion(version, encrypt, true));
+        onProgress(++done, total);
+    }
+
+    const conflictRecords = [];
+    for (const conflict of conflicts) {
+        const remote = conflict.remote ? await sealPrompt(conflict.remote, encrypt, true) : null;
+        conflictRecords.push({ ...conflict, remote });
+    }
+
+    const changeRecords = [];
+    for (const entry of changes) {
+        changeRecords.push(await sealChange(entry, encrypt, true));
+    }
+
+    const searchRecords = [];
+    for (const search of savedSearches) {
+        searchRecords.push(await sealSavedSearch(search, encrypt, true));
+    }
+
+    await db.transaction('rw', [...SEALED_TABLES, 'searchIndex'], async () => {
+        if (!sameRecords(stored, await readStoredRecords())) {
+            throw new Error('Database changed during re-encryption');
+        }
+
+        await db.prompts.bulkPut(promptRecords);
+        await db.versions.bulkPut(versionRecords);
+        await db.searchIndex.clear();
+        await db.searchIndex.bulkPut(entries);
+        await db.syncConflicts.bulkPut(conflictRecords);
+        await db.changeLog.bulkPut(changeRecords);
+        await db.savedSearches.bulkPut(searchRecords);
+    });
+}
+
+/**
+ * Compare two reads of the sealed tables (see readStoredRecords)
+ * @param {Object<string, Array>} a
+ * @param {Object<string, Array>} b
+ * @returns {boolean}
+ */
+function sameRecords(a, b) {
+    return SEALED_TABLES.every(name => a[name].length === b[name].length &&
+        a[name].every((record, i) => JSON.stringify(record) === JSON.stringify(b[name][i])));
+}
+
+/**
+ * Clear all data (for testing/reset)
+ * Every table is cleared in one transaction; the default saved searches are
+ * created again like in a new database.
+ * @returns {Promise<void>}
+ */
+export async function clearAllData() {
+    await db.transaction('rw', db.tables, async () => {
+        for (const table of db.tables) {
+            await table.clear();
+        }
+
+        const searches = [];
+        for (const search of getDefaultSavedSearches()) {
+            searches.push(await sealSavedSearch(search));
+        }
+        await db.savedSearches.bulkAdd(searches);
+    });
+    broadcast({ type: 'changed', promptIds: null });
+    broadcast({ type: 'savedSearches' });
 }
 
 /**
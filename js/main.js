@@ -5,15 +5,24 @@
 
 import { initLayout } from './ui/layout.js';
 import { renderPromptList } from './ui/list.js';
-import { renderEditor } from './ui/editor.js';
-import { renderFilters, initSmartFilters } from './ui/filters.js';
+import { renderEditor, hasUnsavedChanges, showReloadWarning } from './ui/editor.js';
+import { renderFilters, initSmartFilters, renderSmartFilters } from './ui/filters.js';
 import { renderSettings } from './ui/settings.js';
+import { renderCompare } from './ui/compare.js';
+import { showUnlockScreen, initAutoLock } from './ui/lock.js';
 import { performSearch } from './search.js';
 import { appState, eventBus, navigate, showToast } from './state.js';
 import { registerServiceWorker, initInstallPrompt } from './pwa.js';
-import { getStats, exportData } from './db.js';
-import { generateExportFilename } from './models.js';
-import localAdapter from './adapters/local.js';
+import { isLocked } from './crypto.js';
+import { compactChangeLog, purgeTombstones, onExternalChange, onKeyChange, isKeyChanging } from './db.js';
+import { exportToFile, importFromFile } from './ui/transfer.js';
+import { initAdapters, getActiveAdapter, getSelectedAdapter, getAdapterConfig, hasCapability, storage } from './adapters/registry.js';
+import { startSync, stopSync, resetSync, refreshConflicts } from './sync.js';
+import { startScheduler, stopScheduler, resetScheduler } from './scheduler.js';
+import { showSyncStatus, getSyncIndicator } from './ui/status.js';
+
+// Delay before changes from other tabs refresh the views (ms)
+const CROSS_TAB_DELAY = 300;
 
 // ========================================
 // Application Bootstrap
@@ -29,6 +38,27 @@ async function init() {
     await registerServiceWorker();
     initInstallPrompt();
 
+    // Encrypted database: nothing may be read before it is unlocked
+    if (isLocked()) {
+        await showUnlockScreen();
+    }
+    initAutoLock();
+
+    compactChangeLog().catch(error => console.error('Change log compaction failed:', error));
+    const { tombstoneRetentionDays } = appState.get('settings').data;
+    if (tombstoneRetentionDays > 0) {
+        purgeTombstones(tombstoneRetentionDays * 24 * 60 * 60 * 1000)
+            .catch(error => console.error('Tombstone cleanup failed:', error));
+    }
+
+    // Select the storage/sync adapter chosen in the settings
+    await initAdapters();
+    initSync();
+    initScheduler();
+    initCrossTab();
+    // Conflicts left by an import also count while no sync is running
+    refreshConflicts(false).catch(error => console.error('Counting conflicts failed:', error));
+
     // Initialize router
     initRouter();
 
@@ -45,19 +75,38 @@ async function init() {
     // Listen to state changes
     appState.subscribe((newState, oldState) => {
         if (newState.route !== oldState.route ||
-            newState.routeParams !== oldState.routeParams) {
+            newState.routeParams !== oldState.routeParams ||
+            (oldState.locked && !newState.locked)) {
             handleRouteChange();
         }
+
+        if (newState.searchError !== oldState.searchError) {
+            renderSearchError(newState.searchError);
+        }
+
+        if (['syncAdapter', 'syncInProgress', 'syncError', 'syncConflicts', 'syncPaused', 'autoSync']
+            .some(key => newState[key] !== oldState[key])) {
+            updateSyncButton();
+        }
     });
 
     // Listen to filter changes
     eventBus.on('filtersChanged', async () => {
+        if (appState.get('locked')) return;
+
         if (appState.get('route') === 'home') {
             await renderHome();
         }
         await renderFilters();
     });
 
+    // Reads come from another adapter now (switched, signed in or out)
+    eventBus.on('adapterChanged', () => {
+        if (appState.get('route') !== 'settings') {
+            handleRouteChange();
+        }
+    });
+
     // Check for first run and show onboarding
     const settings = appState.get('settings');
     if (!settings.onboarding.completed) {
@@ -85,6 +134,8 @@ function initRouter() {
             window.location.hash = '';
         } else if (route === 'editor' && params.id) {
             window.location.hash = `#/editor/${params.id}`;
+        } else if (route === 'compare' && params.id) {
+            window.location.hash = `#/compare/${params.id}/${params.a || ''}/${params.b || ''}`;
         } else if (route === 'settings') {
             window.location.hash = '#/settings';
         }
@@ -99,6 +150,9 @@ function handleHashChange() {
     } else if (hash.startsWith('/editor/')) {
         const id = hash.replace('/editor/', '');
         appState.setState({ route: 'editor', routeParams: { id } });
+    } else if (hash.startsWith('/compare/')) {
+        const [id, a, b] = hash.replace('/compare/', '').split('/');
+        appState.setState({ route: 'compare', routeParams: { id, a, b } });
     } else if (hash === '/settings') {
         appState.setState({ route: 'settings', routeParams: {} });
     }
@@ -107,16 +161,23 @@ function handleHashChange() {
 }
 
 async function handleRouteChange() {
-    const { route, routeParams } = appState.getState();
+    const { route, routeParams, locked } = appState.getState();
     const container = document.getElementById('app-view');
 
+    // Nothing renders while locked; the route is rendered again on unlock
+    if (locked) return;
+
     switch (route) {
         case 'home':
             await renderHome();
+            await renderFilters();
             break;
         case 'editor':
             await renderEditor(routeParams.id || 'new', container);
             break;
+        case 'compare':
+            await renderCompare(routeParams.id, routeParams.a, routeParams.b, container);
+            break;
         case 'settings':
             renderSettings(container);
             break;
@@ -202,6 +263,13 @@ function initTopBarActions() {
         syncBtn.addEventListener('click', () => {
             showSyncMenu();
         });
+
+        // Icon follows the sync state
+        window.addEventListener('online', updateSyncButton);
+        window.addEventListener('offline', updateSyncButton);
+        eventBus.on('adapterChanged', updateSyncButton);
+        eventBus.on('adapterAuthChanged', updateSyncButton);
+        updateSyncButton();
     }
 
     // Import button
@@ -229,13 +297,190 @@ function initTopBarActions() {
     }
 }
 
+/**
+ * Show query syntax errors inline below the search box
+ * @param {string|null} message - Error message
+ */
+function renderSearchError(message) {
+    const searchInput = document.getElementById('search-input');
+    const errorEl = document.getElementById('search-error');
+
+    if (searchInput) {
+        searchInput.classList.toggle('invalid', !!message);
+        searchInput.setAttribute('aria-invalid', message ? 'true' : 'false');
+    }
+
+    if (errorEl) {
+        errorEl.textContent = message || '';
+        errorEl.style.display = message ? 'block' : 'none';
+    }
+}
+
 // ========================================
-// Sync Menu
+// Sync
 // ========================================
 
+/**
+ * Run the sync engine while a realtime adapter is active, signed in and unlocked
+ * (paused while the database is re-encrypted)
+ */
+function initSync() {
+    const updateSync = () => {
+        const adapter = getActiveAdapter();
+
+        if (!appState.get('locked') && !appState.get('syncPaused') && !isKeyChanging() && hasCapability(adapter, 'realtime')) {
+            startSync(adapter).catch(error => {
+                console.error('Sync start failed:', error);
+                showToast('Synchronisierung konnte nicht gestartet werden', 'error');
+            });
+        } else {
+            stopSync();
+        }
+
+        // Signed out or not yet signed in keeps the progress, switching adapters does not
+        if (!hasCapability(getSelectedAdapter(), 'realtime')) {
+            resetSync().catch(error => console.error('Resetting sync failed:', error));
+        }
+    };
+
+    eventBus.on('adapterChanged', updateSync);
+    eventBus.on('adapterAuthChanged', updateSync);
+    eventBus.on('locked', updateSync);
+    onKeyChange(updateSync);
+    appState.subscribe((newState, oldState) => {
+        if ((oldState.locked && !newState.locked) || newState.syncPaused !== oldState.syncPaused) {
+            updateSync();
+        }
+    });
+
+    // Remote edits landed in IndexedDB
+    eventBus.on('remoteChanges', async () => {
+        if (appState.get('locked')) return;
+
+        if (appState.get('route') === 'home') {
+            await renderHome();
+        }
+        await renderFilters();
+    });
+
+    updateSync();
+}
+
+/**
+ * Follow changes committed in other tabs of the app: they reach the views
+ * like changes from the sync backend
+ */
+function initCrossTab() {
+    // Changes arriving in quick succession (e.g. an import) refresh the views once
+    let promptIds = new Set();
+    let everything = false;
+    let timer = null;
+
+    const emitChanges = () => {
+        eventBus.emit('remoteChanges', { promptIds: everything ? null : [...promptIds] });
+        promptIds = new Set();
+        everything = false;
+    };
+
+    // Start over once the editor no longer holds unsaved edits
+    let reloadHeld = false;
+    const reload = () => window.location.reload();
+    appState.subscribe((newState, oldState) => {
+        if (reloadHeld && newState.route !== oldState.route) {
+            reload();
+        }
+    });
+
+    onExternalChange(message => {
+        if (message.type === 'keyChanged') {
+            // Encryption switched on/off or passphrase changed: start over with the
+            // new key, unless that would discard unsaved edits
+            if (hasUnsavedChanges()) {
+                reloadHeld = true;
+                showReloadWarning(reload);
+            } else {
+                reload();
+            }
+            return;
+        }
+
+        if (appState.get('locked')) return;
+
+        if (message.type === 'savedSearches') {
+            renderSmartFilters().catch(error => console.error('Rendering smart filters failed:', error));
+        } else if (message.type === 'changed') {
+            if (message.promptIds) {
+                message.promptIds.forEach(id => promptIds.add(id));
+            } else {
+                everything = true;
+            }
+            clearTimeout(timer);
+            timer = setTimeout(emitChanges, CROSS_TAB_DELAY);
+        }
+    });
+}
+
+/**
+ * Run the auto-sync of the selected backup adapter (e.g. Google Drive) in the
+ * background while it is enabled in the adapter's settings
+ */
+function initScheduler() {
+    const updateScheduler = () => {
+        const adapter = getSelectedAdapter();
+
+        if (!appState.get('locked') &&
+            !appState.get('syncPaused') &&
+            !isKeyChanging() &&
+            hasCapability(adapter, 'backup') &&
+            typeof adapter.autoSync === 'function' &&
+            getAdapterConfig(adapter.name).autoSync) {
+            startScheduler(adapter);
+        } else {
+            stopScheduler();
+        }
+    };
+
+    eventBus.on('adapterChanged', updateScheduler);
+    eventBus.on('adapterAuthChanged', updateScheduler);
+    eventBus.on('locked', updateScheduler);
+    onKeyChange(updateScheduler);
+    appState.subscribe((newState, oldState) => {
+        if ((oldState.locked && !newState.locked) || newState.syncPaused !== oldState.syncPaused) {
+            updateScheduler();
+        }
+
+        if (newState.settings !== oldState.settings) {
+            const { name } = getSelectedAdapter();
+            if (oldState.settings[name]?.autoSync && !newState.settings[name]?.autoSync) {
+                resetScheduler(name).catch(error => console.error('Resetting auto-sync failed:', error));
+            }
+            updateScheduler();
+        }
+    });
+
+    updateScheduler();
+}
+
+/**
+ * Show the sync status panel
+ */
 function showSyncMenu() {
-    // Simple sync status for now
-    showToast('Lokale Daten sind immer synchronisiert', 'info');
+    showSyncStatus().catch(error => console.error('Showing sync status failed:', error));
+}
+
+/**
+ * Reflect the sync state (idle, syncing, error, offline) in the sync button
+ */
+function updateSyncButton() {
+    const syncBtn = document.getElementById('sync-btn');
+    if (!syncBtn) return;
+
+    const { state, label } = getSyncIndicator();
+    ['syncing', 'error', 'offline'].forEach(name => {
+        syncBtn.classList.toggle(`sync-${name}`, state === name);
+    });
+    syncBtn.classList.toggle('has-conflicts', appState.get('syncConflicts') > 0);
+    syncBtn.title = label;
 }
 
 // ========================================
@@ -243,47 +488,18 @@ function showSyncMenu() {
 // ========================================
 
 async function handleExport() {
-    try {
-        const data = await exportData();
-        const json = JSON.stringify(data, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = generateExportFilename();
-        a.click();
-        URL.revokeObjectURL(url);
-        showToast('Export erfolgreich', 'success');
-    } catch (error) {
-        console.error('Export failed:', error);
-        showToast('Export fehlgeschlagen', 'error');
-    }
+    await exportToFile();
 }
 
-function handleImport() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = 'application/json';
-    input.onchange = async (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
-
-        try {
-            const text = await file.text();
-            const data = JSON.parse(text);
-            const { importData } = await import('./db.js');
-            const result = await importData(data, true);
-            showToast(`Import erfolgreich: ${result.imported} neu, ${result.merged} aktualisiert`, 'success');
-
-            // Refresh view
-            await renderHome();
-            await renderFilters();
-        } catch (error) {
-            console.error('Import failed:', error);
-            showToast('Import fehlgeschlagen', 'error');
-        }
-    };
-    input.click();
+async function handleImport() {
+    const result = await importFromFile();
+
+    if (result) {
+        // Refresh view
+        await renderHome();
+        await renderFilters();
+        await refreshConflicts(false);
+    }
 }
 
 // ========================================
@@ -291,7 +507,7 @@ function handleImport() {
 // ========================================
 
 async function checkAndSeedData() {
-    const stats = await getStats();
+    const stats = await storage.getStats();
 
     if (stats.prompts === 0) {
         console.log('Seeding initial data...');
@@ -300,10 +516,8 @@ async function checkAndSeedData() {
 }
 
 async function seedInitialData() {
-    const { createPrompt } = await import('./db.js');
-
     // Seed 3 example prompts
-    await createPrompt({
+    await storage.createPrompt({
         title: 'Website-Copywriting',
         description: 'Prompt für überzeugende Website-Texte',
         tags: ['copy', 'website', 'collection:marketing'],
@@ -311,7 +525,7 @@ async function seedInitialData() {
         notes: 'Erste Version - Basis-Template'
     });
 
-    await createPrompt({
+    await storage.createPrompt({
         title: 'Code Review Assistant',
         description: 'Detaillierte Code-Reviews mit Best Practices',
         tags: ['code', 'review', 'ai', 'collection:development'],
@@ -319,11 +533,16 @@ async function seedInitialData() {
         notes: 'Verwendbar für verschiedene Programmiersprachen'
     });
 
-    await createPrompt({
+    await storage.createPrompt({
         title: 'Social Media Post Generator',
         description: 'Engagement-optimierte Social Media Posts',
         tags: ['social-media', 'marketing', 'collection:marketing'],
         content: 'Erstelle einen ansprechenden Social Media Post für [PLATTFORM] zu folgendem Thema:\n\n[THEMA]\n\nZielgruppe: [ZIELGRUPPE]\nTon: [TON]\n\nInkludiere:\n- Hook im ersten Satz\n- Relevante Hashtags\n- Call-to-Action\n- Emoji wo passend',
+        variables: {
+            PLATTFORM: { type: 'enum', choices: ['LinkedIn', 'Twitter', 'Instagram'], default: 'LinkedIn' },
+            THEMA: { type: 'multiline', description: 'Worum geht es im Post?' },
+            TON: { type: 'text', default: 'locker' }
+        },
         notes: 'Funktioniert gut für LinkedIn, Twitter, Instagram'
     });
 
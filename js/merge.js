@@ -0,0 +1,245 @@
+/**
+ * Three-Way Merge
+ * Merges two versions of a prompt's content against their common ancestor
+ * (diff3 on lines, built on the Myers diff of ui/diff.js) and finds that
+ * ancestor in the version history.
+ *
+ * Versions point to the version(s) they were created from in `parentIds`:
+ * one parent for an edit, two for a merge. Versions written before this
+ * field existed follow the previous version by creation time.
+ */
+
+import { diffSequences } from './ui/diff.js';
+
+// ========================================
+// Text Merge
+// ========================================
+
+/**
+ * Merge two texts that were both changed from a common base
+ * Changes in different places of the text are combined; changes of the same
+ * lines on both sides become conflict chunks (unless they are identical).
+ * @param {string} base - Common ancestor
+ * @param {string} ours - One side
+ * @param {string} theirs - Other side
+ * @returns {{chunks: Array<Object>, conflicts: number, text: string|null}}
+ *   chunks are {type: 'ok', lines} or {type: 'conflict', base, ours, theirs}
+ *   (arrays of lines); text is the merged text if there are no conflicts
+ */
+export function merge3(base, ours, theirs) {
+    const baseLines = splitLines(base);
+    const oursLines = splitLines(ours);
+    const theirsLines = splitLines(theirs);
+
+    const oursMatch = matchLines(baseLines, oursLines);
+    const theirsMatch = matchLines(baseLines, theirsLines);
+
+    const chunks = [];
+    const pushLines = (lines) => {
+        if (lines.length === 0) return;
+        const last = chunks[chunks.length - 1];
+        if (last && last.type === 'ok') {
+            last.lines.push(...lines);
+        } else {
+            chunks.push({ type: 'ok', lines: [...lines] });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    let k = 0;
+
+    while (i < baseLines.length || j < oursLines.length || k < theirsLines.length) {
+        // Base line kept in place on both sides
+        if (i < baseLines.length && oursMatch[i] === j && theirsMatch[i] === k) {
+            pushLines([baseLines[i]]);
+            i++;
+            j++;
+            k++;
+            continue;
+        }
+
+        // Changed region: up to the next base line that both sides kept
+        let end = i;
+        while (end < baseLines.length && (oursMatch[end] === -1 || theirsMatch[end] === -1)) {
+            end++;
+        }
+
+        const oursEnd = end < baseLines.length ? oursMatch[end] : oursLines.length;
+        const theirsEnd = end < baseLines.length ? theirsMatch[end] : theirsLines.length;
+
+        const region = {
+            base: baseLines.slice(i, end),
+            ours: oursLines.slice(j, oursEnd),
+            theirs: theirsLines.slice(k, theirsEnd)
+        };
+
+        if (sameLines(region.ours, region.base)) {
+            pushLines(region.theirs);
+        } else if (sameLines(region.theirs, region.base) || sameLines(region.ours, region.theirs)) {
+            pushLines(region.ours);
+        } else {
+            chunks.push({ type: 'conflict', ...region });
+        }
+
+        i = end;
+        j = oursEnd;
+        k = theirsEnd;
+    }
+
+    const conflicts = chunks.filter(chunk => chunk.type === 'conflict').length;
+
+    return {
+        chunks,
+        conflicts,
+        text: conflicts === 0 ? joinLines(chunks.flatMap(chunk => chunk.lines)) : null
+    };
+}
+
+/**
+ * Build the merged text with a choice for every conflict chunk
+ * @param {Array<Object>} chunks - Result of merge3()
+ * @param {Array<'ours'|'theirs'|'both'>} choices - One per conflict chunk, in order
+ * @returns {string}
+ */
+export function resolveMerge(chunks, choices) {
+    let conflict = 0;
+
+    const lines = chunks.flatMap(chunk => {
+        if (chunk.type === 'ok') return chunk.lines;
+
+        const choice = choices[conflict++];
+        if (choice === 'theirs') return chunk.theirs;
+        if (choice === 'both') return [...chunk.ours, ...chunk.theirs];
+        return chunk.ours;
+    });
+
+    return joinLines(lines);
+}
+
+/**
+ * Map every base line to its index on the other side
+ * @param {Array<string>} base
+ * @param {Array<string>} side
+ * @returns {Array<number>} - Index in side, -1 if removed or changed
+ */
+function matchLines(base, side) {
+    const match = new Array(base.length).fill(-1);
+
+    diffSequences(base, side).forEach(op => {
+        if (op.type === 'unchanged') {
+            match[op.oldIndex] = op.newIndex;
+        }
+    });
+
+    return match;
+}
+
+/**
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @returns {boolean}
+ */
+function sameLines(a, b) {
+    return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Split text into lines (like the diff view)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+    return text ? text.split('\n') : [];
+}
+
+/**
+ * @param {Array<string>} lines
+ * @returns {string}
+ */
+function joinLines(lines) {
+    return lines.join('\n');
+}
+
+// ========================================
+// Version History
+// ========================================
+
+/**
+ * Get the versions a version was created from
+ * @param {Object} version
+ * @param {Array<Object>} versions - All versions of the prompt
+ * @returns {Array<string>} - Parent version IDs
+ */
+export function getParentIds(version, versions) {
+    if (Array.isArray(version.parentIds)) {
+        return version.parentIds;
+    }
+
+    // Written before parents were recorded: follows the previous version
+    const previous = versions
+        .filter(v => v.createdAt < version.createdAt)
+        .sort((a, b) => b.createdAt - a.createdAt)[0];
+    return previous ? [previous.id] : [];
+}
+
+/**
+ * Get the versions no other version was created from, newest first
+ * More than one head means the history has diverged.
+ * @param {Array<Object>} versions - All versions of the prompt
+ * @returns {Array<Object>}
+ */
+export function getHeads(versions) {
+    const parents = new Set(versions.flatMap(version => getParentIds(version, versions)));
+
+    return versions
+        .filter(version => !parents.has(version.id))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Find the newest version both versions descend from
+ * @param {Array<Object>} versions - All versions of the prompt
+ * @param {string} aId
+ * @param {string} bId
+ * @returns {Object|null} - Common ancestor, null if the histories are unrelated
+ */
+export function findMergeBase(versions, aId, bId) {
+    const ancestorsOfA = getAncestorIds(versions, aId);
+    const common = [...getAncestorIds(versions, bId)].filter(id => ancestorsOfA.has(id));
+
+    return versions
+        .filter(version => common.includes(version.id))
+        .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+}
+
+/**
+ * Collect a version and all versions it descends from
+ * Parents missing from the list (e.g. deleted) end the walk.
+ * @param {Array<Object>} versions
+ * @param {string} id
+ * @returns {Set<string>}
+ */
+function getAncestorIds(versions, id) {
+    const byId = new Map(versions.map(version => [version.id, version]));
+    const ancestors = new Set();
+    const queue = [id];
+
+    while (queue.length > 0) {
+        const version = byId.get(queue.pop());
+        if (!version || ancestors.has(version.id)) continue;
+
+        ancestors.add(version.id);
+        queue.push(...getParentIds(version, versions));
+    }
+
+    return ancestors;
+}
+
+export default {
+    merge3,
+    resolveMerge,
+    getParentIds,
+    getHeads,
+    findMergeBase
+};
@@ -16,6 +16,15 @@
  * @property {number} createdAt - Timestamp (epoch ms)
  * @property {number} updatedAt - Timestamp (epoch ms)
  * @property {boolean} [archived] - Soft delete flag
+ * @property {Object<string, TemplateVariable>} [variables] - Metadata for template placeholders, keyed by name
+ */
+
+/**
+ * @typedef {Object} TemplateVariable
+ * @property {string} [type] - One of TEMPLATE_VARIABLE_TYPES (default: "text")
+ * @property {string} [default] - Default value used when the field is left empty
+ * @property {string[]} [choices] - Allowed values for type "enum"
+ * @property {string} [description] - Help text shown in the fill-in form
  */
 
 /**
@@ -25,10 +34,20 @@
  * @property {string} version - Version string (e.g., "v1", "v2")
  * @property {string} content - Prompt content (multiline)
  * @property {string} [notes] - Optional notes
+ * @property {string[]} [parentIds] - Version(s) this one was created from
  * @property {number} createdAt - Timestamp (epoch ms)
  * @property {number} updatedAt - Timestamp (epoch ms)
  */
 
+/**
+ * @typedef {Object} ExportData
+ * @property {number} version - Format version (EXPORT_VERSION)
+ * @property {number} exportedAt - Timestamp (epoch ms)
+ * @property {Prompt[]} prompts
+ * @property {PromptVersion[]} versions
+ * @property {Array<{entity: string, entityId: string, deletedAt: number}>} tombstones - Deletions
+ */
+
 // ========================================
 // Validators
 // ========================================
@@ -55,6 +74,10 @@ export function validatePrompt(data) {
         errors.push('Description must be less than 500 characters');
     }
 
+    if (data.variables !== undefined) {
+        errors.push(...validateTemplateVariables(data.variables));
+    }
+
     if (data.tags) {
         if (!Array.isArray(data.tags)) {
             errors.push('Tags must be an array');
@@ -87,8 +110,9 @@ export function validateVersion(data) {
         errors.push('Prompt ID is required and must be a string');
     }
 
-    if (!data.content || typeof data.content !== 'string') {
-        errors.push('Content is required and must be a string');
+    // Empty content is allowed (a version can be saved from an empty editor)
+    if (typeof data.content !== 'string') {
+        errors.push('Content must be a string');
     } else if (data.content.length > 100000) {
         errors.push('Content must be less than 100,000 characters');
     }
@@ -103,6 +127,40 @@ export function validateVersion(data) {
     };
 }
 
+/**
+ * Validate template variable metadata
+ * @param {Object} variables - Map of variable name to metadata
+ * @returns {string[]} - Error messages
+ */
+function validateTemplateVariables(variables) {
+    const errors = [];
+
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+        return ['Variables must be an object'];
+    }
+
+    Object.entries(variables).forEach(([name, meta]) => {
+        if (!meta || typeof meta !== 'object') {
+            errors.push(`Variable "${name}" must be an object`);
+            return;
+        }
+
+        if (meta.type && !TEMPLATE_VARIABLE_TYPES.includes(meta.type)) {
+            errors.push(`Variable "${name}" has unknown type "${meta.type}"`);
+        }
+
+        if (meta.type === 'enum' && (!Array.isArray(meta.choices) || meta.choices.length === 0)) {
+            errors.push(`Variable "${name}" of type enum needs at least one choice`);
+        }
+
+        if (meta.default !== undefined && typeof meta.default !== 'string') {
+            errors.push(`Default of variable "${name}" must be a string`);
+        }
+    });
+
+    return errors;
+}
+
 /**
  * Sanitize user input (basic XSS prevention)
  * @param {string} str - String to sanitize
@@ -165,6 +223,22 @@ export function getCollectionName(tag) {
     return tag.replace('collection:', '');
 }
 
+/**
+ * Tokenize text into searchable terms
+ * Keeps letters and digits of all scripts (umlauts etc.), drops punctuation
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    return text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(token => token.length >= 2);
+}
+
 /**
  * Format timestamp to readable date
  * @param {number} timestamp - Epoch timestamp
@@ -247,17 +321,331 @@ export function generateExportFilename(prefix = 'prompt-master-pro') {
     return `${prefix}_${date}_${time}.json`;
 }
 
+/**
+ * Summarize an import result for a toast
+ * @param {{imported: number, merged: number, deleted?: number, conflicts?: number}} result
+ * @returns {string}
+ */
+export function formatImportResult(result) {
+    const parts = [`${result.imported} neu`, `${result.merged} aktualisiert`];
+    if (result.deleted) {
+        parts.push(`${result.deleted} gelöscht`);
+    }
+    if (result.conflicts) {
+        parts.push(`${result.conflicts} mit Konflikten`);
+    }
+    return parts.join(', ');
+}
+
+// ========================================
+// Export Data
+// ========================================
+
+/**
+ * Format version of exportData()
+ * 1: prompts and versions
+ * 2: tombstones and version parents
+ */
+export const EXPORT_VERSION = 2;
+
+// Upgrades to the next format version, by the version they upgrade from
+const EXPORT_MIGRATIONS = {
+    // Files from before deletions were exported; prompts may also lack
+    // fields that were added since
+    1: data => ({
+        ...data,
+        version: 2,
+        prompts: Array.isArray(data.prompts)
+            ? data.prompts.map(prompt => (isPlainObject(prompt) ? { description: '', tags: [], archived: false, ...prompt } : prompt))
+            : data.prompts,
+        tombstones: data.tombstones || []
+    })
+};
+
+/**
+ * Raised for import data that fails validation; nothing has been written
+ */
+export class ImportValidationError extends Error {
+    /**
+     * @param {string[]} errors - One message per problem
+     */
+    constructor(errors) {
+        super(`Invalid import data (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+        this.name = 'ImportValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Upgrade export data of an older format version to EXPORT_VERSION
+ * Data of an unknown version is returned as it is (validateExportData reports it).
+ * @param {Object} data - Export data
+ * @returns {Object} - Upgraded copy, or data itself if nothing had to change
+ */
+export function migrateExportData(data) {
+    let migrated = data;
+
+    while (isPlainObject(migrated) && Number.isInteger(migrated.version) && EXPORT_MIGRATIONS[migrated.version]) {
+        migrated = EXPORT_MIGRATIONS[migrated.version](migrated);
+    }
+
+    return migrated;
+}
+
+/**
+ * Validate export data of the current format version record by record
+ * Besides validatePrompt() and validateVersion() of every record, checks
+ * IDs, duplicates, versions of prompts missing from the file and tombstones.
+ * @param {Object} data - Export data (see migrateExportData)
+ * @returns {{valid: boolean, errors: string[]}} - Errors name the record
+ */
+export function validateExportData(data) {
+    if (!isPlainObject(data)) {
+        return { valid: false, errors: ['Import data must be an object'] };
+    }
+
+    if (data.version === undefined) {
+        return { valid: false, errors: ['Export format version is missing'] };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        return { valid: false, errors: [`Unknown export format version ${JSON.stringify(data.version)}`] };
+    }
+    if (data.version > EXPORT_VERSION) {
+        return { valid: false, errors: [`Export format version ${data.version} is newer than supported (${EXPORT_VERSION}), please update the app`] };
+    }
+
+    const errors = [];
+
+    ['prompts', 'versions', 'tombstones'].forEach(key => {
+        if (!Array.isArray(data[key])) {
+            errors.push(`"${key}" must be an array`);
+        }
+    });
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    const promptIds = new Set();
+    const versionIds = new Set();
+
+    data.prompts.forEach((prompt, index) => {
+        const label = `Prompt ${index + 1}`;
+        if (!isPlainObject(prompt)) {
+            errors.push(`${label}: Must be an object`);
+            return;
+        }
+
+        const name = typeof prompt.title === 'string' && prompt.title.trim() ? `${label} "${prompt.title}"` : label;
+        const problems = [
+            ...checkId(prompt.id, promptIds),
+            ...validatePrompt(prompt).errors,
+            ...checkTimestamps(prompt)
+        ];
+        if (prompt.archived !== undefined && typeof prompt.archived !== 'boolean') {
+            problems.push('Archived must be a boolean');
+        }
+
+        problems.forEach(problem => errors.push(`${name}: ${problem}`));
+    });
+
+    data.versions.forEach((version, index) => {
+        const label = `Version ${index + 1}`;
+        if (!isPlainObject(version)) {
+            errors.push(`${label}: Must be an object`);
+            return;
+        }
+
+        const name = typeof version.version === 'string' ? `${label} (${version.version})` : label;
+        const problems = [
+            ...checkId(version.id, versionIds),
+            ...validateVersion(version).errors,
+            ...checkTimestamps(version)
+        ];
+        if (typeof version.promptId === 'string' && !promptIds.has(version.promptId)) {
+            problems.push(`Belongs to prompt ${version.promptId}, which is not in the file`);
+        }
+        if (version.version !== undefined && typeof version.version !== 'string') {
+            problems.push('Version must be a string');
+        }
+        if (version.parentIds !== undefined && (!Array.isArray(version.parentIds) || version.parentIds.some(id => typeof id !== 'string'))) {
+            problems.push('Parent IDs must be an array of strings');
+        }
+
+        problems.forEach(problem => errors.push(`${name}: ${problem}`));
+    });
+
+    data.tombstones.forEach((tombstone, index) => {
+        const label = `Deletion ${index + 1}`;
+        if (!isPlainObject(tombstone)) {
+            errors.push(`${label}: Must be an object`);
+            return;
+        }
+
+        if (!['prompt', 'version'].includes(tombstone.entity)) {
+            errors.push(`${label}: Unknown entity ${JSON.stringify(tombstone.entity)}`);
+        }
+        if (!tombstone.entityId || typeof tombstone.entityId !== 'string') {
+            errors.push(`${label}: ID is required and must be a string`);
+        }
+        if (!Number.isFinite(tombstone.deletedAt)) {
+            errors.push(`${label}: Deletion time must be a timestamp`);
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Check a record ID and remember it
+ * @param {*} id
+ * @param {Set<string>} seen - IDs of the records before
+ * @returns {string[]} - Error messages
+ */
+function checkId(id, seen) {
+    if (!id || typeof id !== 'string') {
+        return ['ID is required and must be a string'];
+    }
+    if (seen.has(id)) {
+        return [`Duplicate ID ${id}`];
+    }
+
+    seen.add(id);
+    return [];
+}
+
+/**
+ * @param {Object} record - Prompt or version
+ * @returns {string[]} - Error messages
+ */
+function checkTimestamps(record) {
+    return ['createdAt', 'updatedAt']
+        .filter(key => record[key] !== undefined && !Number.isFinite(record[key]))
+        .map(key => `${key} must be a timestamp`);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ========================================
+// Template Variables
+// ========================================
+
+/**
+ * Supported variable types for the fill-in form
+ */
+export const TEMPLATE_VARIABLE_TYPES = ['text', 'multiline', 'number', 'enum'];
+
+// [NAME] placeholders are upper-case only, so Markdown links, checkboxes ("[ ]", "[x]")
+// and footnotes ("[1]") are ignored
+const PLACEHOLDER_PATTERN = /\[([A-ZÄÖÜ][A-ZÄÖÜ0-9 _/.-]*)\]|\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Parse template placeholders from version content
+ * Supports both "[NAME]" and "{{name}}" syntax
+ * @param {string} content - Version content
+ * @returns {Array<{name: string, syntax: string, occurrences: number}>} - Unique variables in order of appearance
+ */
+export function parseTemplateVariables(content) {
+    if (!content || typeof content !== 'string') {
+        return [];
+    }
+
+    const found = new Map();
+
+    for (const match of content.matchAll(PLACEHOLDER_PATTERN)) {
+        const name = (match[1] || match[2]).trim();
+
+        if (found.has(name)) {
+            found.get(name).occurrences++;
+        } else {
+            found.set(name, {
+                name,
+                syntax: match[1] ? 'bracket' : 'mustache',
+                occurrences: 1
+            });
+        }
+    }
+
+    return Array.from(found.values());
+}
+
+/**
+ * Validate values entered for template variables
+ * @param {Array<{name: string}>} variables - Parsed variables
+ * @param {Object<string, TemplateVariable>} meta - Variable metadata from the prompt
+ * @param {Object<string, string>} values - Entered values
+ * @returns {{valid: boolean, errors: Object<string, string>}} - Errors keyed by variable name
+ */
+export function validateTemplateValues(variables, meta = {}, values = {}) {
+    const errors = {};
+
+    variables.forEach(({ name }) => {
+        const config = meta[name] || {};
+        const raw = values[name];
+        const value = raw !== undefined && raw !== '' ? raw : (config.default || '');
+
+        if (String(value).trim().length === 0) {
+            errors[name] = 'Wert erforderlich';
+        } else if (config.type === 'number' && !Number.isFinite(Number(value))) {
+            errors[name] = 'Muss eine Zahl sein';
+        } else if (config.type === 'enum' && Array.isArray(config.choices) && !config.choices.includes(value)) {
+            errors[name] = 'Ungültige Auswahl';
+        }
+    });
+
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Replace placeholders in content with the given values
+ * Placeholders without a value (and without default) are left untouched
+ * @param {string} content - Version content
+ * @param {Object<string, string>} values - Values keyed by variable name
+ * @param {Object<string, TemplateVariable>} meta - Variable metadata (for defaults)
+ * @returns {string}
+ */
+export function renderTemplate(content, values = {}, meta = {}) {
+    if (!content) return '';
+
+    return content.replace(PLACEHOLDER_PATTERN, (match, bracketName, mustacheName) => {
+        const name = (bracketName || mustacheName).trim();
+        const value = values[name] !== undefined && values[name] !== ''
+            ? values[name]
+            : meta[name]?.default;
+
+        return value !== undefined && value !== '' ? String(value) : match;
+    });
+}
+
 export default {
     validatePrompt,
     validateVersion,
+    validateExportData,
+    migrateExportData,
+    parseTemplateVariables,
+    validateTemplateValues,
+    renderTemplate,
     sanitizeString,
     parseTags,
     formatTags,
     isCollectionTag,
     getCollectionName,
+    tokenize,
     formatDate,
     formatDateTime,
     truncate,
     slugify,
-    generateExportFilename
+    generateExportFilename,
+    formatImportResult
 };
@@ -0,0 +1,395 @@
+/**
+ * Search Query Language
+ * Parses queries like `tag:seo -tag:draft title:"code review" updated:>2026-01-01 OR content:/regex/`
+ * into a structured query tree that db.js executes
+ */
+
+// ========================================
+// Type Definitions (JSDoc)
+// ========================================
+
+/**
+ * @typedef {Object} QueryNode
+ * @property {string} type - "and", "or", "not" or "term"
+ * @property {QueryNode[]} [children] - Operands of "and" / "or"
+ * @property {QueryNode} [child] - Operand of "not"
+ * @property {string|null} [field] - Field of a term (null = free text)
+ * @property {string} [op] - Comparator: ":", "=", ">", ">=", "<", "<="
+ * @property {string} [valueType] - "word", "phrase", "regex", "date" or "number"
+ * @property {*} [value] - Lower-cased string, RegExp, epoch ms (date) or number
+ */
+
+/**
+ * Fields that can be qualified in a query
+ */
+export const QUERY_FIELDS = ['tag', 'collection', 'title', 'description', 'content', 'updated', 'created', 'version', 'is'];
+
+const FIELD_ALIASES = {
+    tags: 'tag',
+    desc: 'description',
+    text: 'content',
+    modified: 'updated',
+    versions: 'version'
+};
+
+const DATE_FIELDS = ['updated', 'created'];
+const COMPARATORS = ['>=', '<=', '>', '<', '='];
+const IS_VALUES = ['archived', 'untagged'];
+
+// ========================================
+// Public API
+// ========================================
+
+/**
+ * Parse a search query
+ * @param {string} input - Raw query string
+ * @returns {{valid: boolean, errors: string[], query: QueryNode|null}}
+ */
+export function parseSearchQuery(input) {
+    if (!input || !input.trim()) {
+        return { valid: true, errors: [], query: null };
+    }
+
+    try {
+        const parser = new Parser(lex(input));
+        const query = parser.parseExpression();
+
+        if (!parser.atEnd()) {
+            const token = parser.peek();
+            throw syntaxError(token.pos, token.type === ')' ? 'Unerwartete ")"' : 'Unerwartetes Element');
+        }
+
+        return { valid: true, errors: [], query };
+    } catch (error) {
+        return { valid: false, errors: [error.message], query: null };
+    }
+}
+
+/**
+ * Collect all term nodes of a query tree
+ * @param {QueryNode|null} node - Query tree
+ * @returns {QueryNode[]}
+ */
+export function collectTerms(node) {
+    if (!node) return [];
+
+    switch (node.type) {
+        case 'and':
+        case 'or':
+            return node.children.flatMap(collectTerms);
+        case 'not':
+            return collectTerms(node.child);
+        default:
+            return [node];
+    }
+}
+
+/**
+ * Check whether a query tree contains a term matching the predicate
+ * @param {QueryNode|null} node - Query tree
+ * @param {Function} predicate - Called with every term node
+ * @returns {boolean}
+ */
+export function queryHasTerm(node, predicate) {
+    return collectTerms(node).some(predicate);
+}
+
+// ========================================
+// Lexer
+// ========================================
+
+/**
+ * Split input into tokens: "(", ")", "AND", "OR", "NOT" and "term"
+ * @param {string} input - Raw query
+ * @returns {Array<Object>}
+ */
+function lex(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char, pos: i });
+            i++;
+            continue;
+        }
+
+        // "-term" negates the following term
+        if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+            tokens.push({ type: 'NOT', pos: i });
+            i++;
+            continue;
+        }
+
+        const start = i;
+        const fieldMatch = /^([a-z]+):/i.exec(input.slice(i));
+        let field = null;
+        let op = ':';
+
+        if (fieldMatch) {
+            const name = fieldMatch[1].toLowerCase();
+            field = FIELD_ALIASES[name] || name;
+
+            if (!QUERY_FIELDS.includes(field)) {
+                throw syntaxError(start, `Unbekanntes Feld "${fieldMatch[1]}"`);
+            }
+
+            i += fieldMatch[0].length;
+
+            const comparator = COMPARATORS.find(c => input.startsWith(c, i));
+            if (comparator) {
+                op = comparator;
+                i += comparator.length;
+            }
+        }
+
+        const { raw, valueType, end } = readValue(input, i, start);
+        i = end;
+
+        // Bare upper-case keywords are boolean operators
+        if (!field && valueType === 'word' && ['AND', 'OR', 'NOT'].includes(raw)) {
+            tokens.push({ type: raw, pos: start });
+            continue;
+        }
+
+        tokens.push({ type: 'term', pos: start, ...buildTerm(field, op, raw, valueType, start) });
+    }
+
+    return tokens;
+}
+
+/**
+ * Read a value: "quoted phrase", /regex/flags or bare word
+ * @param {string} input - Raw query
+ * @param {number} i - Start index of the value
+ * @param {number} termStart - Start index of the whole term (for errors)
+ * @returns {{raw: *, valueType: string, end: number}}
+ */
+function readValue(input, i, termStart) {
+    const char = input[i];
+
+    if (char === '"') {
+        let j = i + 1;
+        let value = '';
+        while (j < input.length && input[j] !== '"') {
+            if (input[j] === '\\' && j + 1 < input.length) {
+                j++;
+            }
+            value += input[j];
+            j++;
+        }
+        if (j >= input.length) {
+            throw syntaxError(i, 'Nicht geschlossenes Anführungszeichen');
+        }
+        return { raw: value, valueType: 'phrase', end: j + 1 };
+    }
+
+    if (char === '/') {
+        let j = i + 1;
+        while (j < input.length && input[j] !== '/') {
+            if (input[j] === '\\') j++;
+            j++;
+        }
+        if (j >= input.length) {
+            throw syntaxError(i, 'Nicht geschlossener regulärer Ausdruck');
+        }
+        const source = input.slice(i + 1, j);
+        const flagsMatch = /^[a-z]*/i.exec(input.slice(j + 1));
+        const flags = flagsMatch[0];
+        let regex;
+
+        try {
+            // Case-insensitive by default; "g"/"y" would make test() stateful
+            regex = new RegExp(source, (flags || 'i').replace(/[gy]/g, ''));
+        } catch (error) {
+            throw syntaxError(i, `Ungültiger regulärer Ausdruck: ${error.message}`);
+        }
+
+        return { raw: regex, valueType: 'regex', end: j + 1 + flags.length };
+    }
+
+    let j = i;
+    while (j < input.length && !/[\s()]/.test(input[j])) {
+        j++;
+    }
+
+    if (j === i) {
+        throw syntaxError(termStart, 'Wert fehlt');
+    }
+
+    return { raw: input.slice(i, j), valueType: 'word', end: j };
+}
+
+/**
+ * Validate and normalize a term
+ * @returns {{field: string|null, op: string, value: *, valueType: string}}
+ */
+function buildTerm(field, op, raw, valueType, pos) {
+    if (op !== ':' && !DATE_FIELDS.includes(field) && field !== 'version') {
+        throw syntaxError(pos, `Vergleich "${op}" ist nur für Datum und Version möglich`);
+    }
+
+    if (valueType === 'regex') {
+        if (DATE_FIELDS.includes(field) || field === 'version' || field === 'is') {
+            throw syntaxError(pos, `Feld "${field}" unterstützt keine regulären Ausdrücke`);
+        }
+        return { field, op, value: raw, valueType };
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+        const date = parseDateValue(raw);
+        if (date === null) {
+            throw syntaxError(pos, `Ungültiges Datum "${raw}" (erwartet JJJJ-MM-TT oder z.B. 7d)`);
+        }
+        return { field, op, value: date, valueType: 'date' };
+    }
+
+    if (field === 'version') {
+        const number = Number(raw.replace(/^v/i, ''));
+        if (!Number.isInteger(number) || number < 0) {
+            throw syntaxError(pos, `Ungültige Versionsnummer "${raw}"`);
+        }
+        return { field, op: op === ':' ? '=' : op, value: number, valueType: 'number' };
+    }
+
+    const value = raw.toLowerCase();
+
+    if (field === 'is' && !IS_VALUES.includes(value)) {
+        throw syntaxError(pos, `Unbekannter Wert für is: "${raw}" (erlaubt: ${IS_VALUES.join(', ')})`);
+    }
+
+    return { field, op, value, valueType };
+}
+
+/**
+ * Parse "YYYY-MM-DD" (local midnight) or a relative "<n>d" / "<n>w" value
+ * @param {string} raw - Raw date value
+ * @returns {number|null} - Epoch ms
+ */
+function parseDateValue(raw) {
+    const relative = /^(\d+)([dw])$/i.exec(raw);
+    if (relative) {
+        const days = Number(relative[1]) * (relative[2].toLowerCase() === 'w' ? 7 : 1);
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() - days);
+        return date.getTime();
+    }
+
+    const absolute = /^(\d{4})-(\d{2})-(\d{2})$/.exec(raw);
+    if (absolute) {
+        const [, year, month, day] = absolute.map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1) return null;
+        return date.getTime();
+    }
+
+    return null;
+}
+
+/**
+ * Create a syntax error with position
+ * @param {number} pos - Character index
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function syntaxError(pos, message) {
+    const error = new Error(`Zeichen ${pos + 1}: ${message}`);
+    error.position = pos;
+    return error;
+}
+
+// ========================================
+// Parser
+// ========================================
+
+/**
+ * Recursive descent parser
+ * expression := and ("OR" and)*
+ * and        := unary (["AND"] unary)*
+ * unary      := ("NOT" | "-") unary | "(" expression ")" | term
+ */
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    atEnd() {
+        return this.index >= this.tokens.length;
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    parseExpression() {
+        const children = [this.parseAnd()];
+
+        while (!this.atEnd() && this.peek().type === 'OR') {
+            this.next();
+            children.push(this.parseAnd());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    parseAnd() {
+        const children = [this.parseUnary()];
+
+        while (!this.atEnd() && !['OR', ')'].includes(this.peek().type)) {
+            if (this.peek().type === 'AND') {
+                this.next();
+            }
+            children.push(this.parseUnary());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    parseUnary() {
+        const token = this.next();
+
+        if (!token) {
+            const last = this.tokens[this.tokens.length - 1];
+            throw syntaxError(last ? last.pos : 0, 'Ausdruck erwartet');
+        }
+
+        switch (token.type) {
+            case 'NOT':
+                return { type: 'not', child: this.parseUnary() };
+            case '(': {
+                const expression = this.parseExpression();
+                const closing = this.next();
+                if (!closing || closing.type !== ')') {
+                    throw syntaxError(token.pos, 'Fehlende ")"');
+                }
+                return expression;
+            }
+            case 'term': {
+                const { field, op, value, valueType } = token;
+                return { type: 'term', field, op, value, valueType };
+            }
+            default:
+                throw syntaxError(token.pos, `Unerwartetes "${token.type}"`);
+        }
+    }
+}
+
+export default {
+    parseSearchQuery,
+    collectTerms,
+    queryHasTerm,
+    QUERY_FIELDS
+};
@@ -0,0 +1,256 @@
+/**
+ * Auto-Sync Scheduler
+ * Runs autoSync() of a backup adapter (e.g. Google Drive) while auto-sync is
+ * enabled in its settings:
+ * - at most every syncInterval minutes, and only if something changed since
+ *   the last successful run (tracked as change log consumer 'backup:<name>')
+ * - not before local edits have settled for a minute
+ * - paused while offline or signed out, retried with exponential backoff
+ * Status is published as appState.autoSync.
+ */
+
+import * as db from './db.js';
+import { appState } from './state.js';
+
+const DEFAULT_INTERVAL = 30; // minutes
+const CHANGE_DEBOUNCE = 60 * 1000;
+const RETRY_BASE = 60 * 1000;
+const RETRY_MAX = 60 * 60 * 1000;
+
+let adapter = null;
+let timer = null;
+let running = false;
+let failures = 0;
+let lastFailureAt = 0;
+let lastChangeAt = 0;
+let unsubscribeLocal = null;
+
+// ========================================
+// Lifecycle
+// ========================================
+
+/**
+ * Start (or re-plan) scheduled runs for an adapter
+ * @param {Object} backupAdapter - Adapter with the backup capability and autoSync()
+ */
+export function startScheduler(backupAdapter) {
+    if (adapter !== backupAdapter) {
+        stopScheduler();
+
+        adapter = backupAdapter;
+        failures = 0;
+        unsubscribeLocal = db.onLocalChange(handleLocalChange);
+        window.addEventListener('online', replan);
+        window.addEventListener('offline', replan);
+    }
+
+    replan();
+}
+
+/**
+ * Stop scheduled runs
+ */
+export function stopScheduler() {
+    if (!adapter) return;
+
+    clearTimeout(timer);
+    timer = null;
+    adapter = null;
+
+    if (unsubscribeLocal) {
+        unsubscribeLocal();
+        unsubscribeLocal = null;
+    }
+    window.removeEventListener('online', replan);
+    window.removeEventListener('offline', replan);
+
+    appState.setState({ autoSync: null });
+}
+
+/**
+ * Forget the progress of an adapter (auto-sync switched off), so its change
+ * log cursor does not keep old entries from being compacted
+ * @param {string} name - Adapter name
+ * @returns {Promise<void>}
+ */
+export async function resetScheduler(name) {
+    localStorage.removeItem(`autoSync:${name}`);
+    await db.removeChangeCursor(getConsumer(name));
+}
+
+/**
+ * Run immediately (e.g. "Jetzt sichern" in the sync menu)
+ * @returns {Promise<void>}
+ */
+export async function runNow() {
+    failures = 0;
+    await run();
+}
+
+/**
+ * Result of the last runs of an adapter (also while the scheduler is stopped)
+ * @param {string} name - Adapter name
+ * @returns {{lastSuccessAt: number|null, lastError: string|null, lastErrorAt: number|null}}
+ */
+export function getLastRun(name) {
+    return loadRecord(name);
+}
+
+/**
+ * Count the changes made since the last successful run
+ * @param {string} name - Adapter name
+ * @returns {Promise<number>}
+ */
+export async function countPendingBackupChanges(name) {
+    return await db.countPendingChanges(getConsumer(name));
+}
+
+// ========================================
+// Planning
+// ========================================
+
+/**
+ * Change log consumer of an adapter
+ * @param {string} name
+ * @returns {string}
+ */
+function getConsumer(name) {
+    return `backup:${name}`;
+}
+
+/**
+ * Persisted result of the last runs
+ * @param {string} name
+ * @returns {{lastSuccessAt: number|null, lastError: string|null, lastErrorAt: number|null}}
+ */
+function loadRecord(name) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(`autoSync:${name}`));
+        return { lastSuccessAt: null, lastError: null, lastErrorAt: null, ...saved };
+    } catch (error) {
+        return { lastSuccessAt: null, lastError: null, lastErrorAt: null };
+    }
+}
+
+/**
+ * @param {string} name
+ * @param {Object} record
+ */
+function saveRecord(name, record) {
+    localStorage.setItem(`autoSync:${name}`, JSON.stringify(record));
+}
+
+/**
+ * Publish the scheduler status (appState.autoSync)
+ * @param {Object} status - {state: 'scheduled'|'idle'|'running'|'paused'|'error', ...}
+ */
+function setStatus(status) {
+    appState.setState({
+        autoSync: {
+            adapter: adapter.name,
+            nextRunAt: null,
+            pausedReason: null,
+            ...loadRecord(adapter.name),
+            ...status
+        }
+    });
+}
+
+/**
+ * Local edit: run once edits have settled
+ */
+function handleLocalChange() {
+    lastChangeAt = Date.now();
+    replan();
+}
+
+/**
+ * Plan the next run (errors are logged, the next change or event plans again)
+ */
+function replan() {
+    plan().catch(error => console.error('Planning auto-sync failed:', error));
+}
+
+/**
+ * Compute when to run next and set the timer
+ * @returns {Promise<void>}
+ */
+async function plan() {
+    clearTimeout(timer);
+    timer = null;
+
+    if (!adapter || running) return;
+
+    if (!navigator.onLine) {
+        setStatus({ state: 'paused', pausedReason: 'offline' });
+        return;
+    }
+    if (!adapter.isAuthenticated()) {
+        setStatus({ state: 'paused', pausedReason: 'auth' });
+        return;
+    }
+
+    const { lastSuccessAt } = loadRecord(adapter.name);
+    const changed = lastSuccessAt === null ||
+        await db.getLatestChangeSeq() > await db.getChangeCursor(getConsumer(adapter.name));
+
+    if (!adapter) return;
+    if (!changed) {
+        setStatus({ state: 'idle' });
+        return;
+    }
+
+    let nextRunAt;
+    if (failures > 0) {
+        nextRunAt = lastFailureAt + Math.min(RETRY_BASE * 2 ** (failures - 1), RETRY_MAX);
+    } else {
+        const interval = (parseInt(appState.get('settings')[adapter.name]?.syncInterval, 10) || DEFAULT_INTERVAL) * 60 * 1000;
+        nextRunAt = Math.max((lastSuccessAt || 0) + interval, lastChangeAt + CHANGE_DEBOUNCE);
+    }
+
+    setStatus({ state: failures > 0 ? 'error' : 'scheduled', nextRunAt });
+    timer = setTimeout(run, Math.max(0, nextRunAt - Date.now()));
+}
+
+/**
+ * Run the adapter's autoSync() and record the outcome
+ * @returns {Promise<void>}
+ */
+async function run() {
+    if (!adapter || running) return;
+
+    const current = adapter;
+    running = true;
+    setStatus({ state: 'running' });
+
+    try {
+        // Everything logged until now is contained in this backup
+        const seq = await db.getLatestChangeSeq();
+        await current.autoSync();
+        await db.acknowledgeChanges(getConsumer(current.name), seq);
+
+        failures = 0;
+        saveRecord(current.name, { ...loadRecord(current.name), lastSuccessAt: Date.now(), lastError: null });
+    } catch (error) {
+        console.error(`Auto-sync with ${current.displayName} failed:`, error);
+
+        failures++;
+        lastFailureAt = Date.now();
+        saveRecord(current.name, { ...loadRecord(current.name), lastError: error.message, lastErrorAt: lastFailureAt });
+    } finally {
+        running = false;
+    }
+
+    if (adapter === current) {
+        await plan();
+    }
+}
+
+export default {
+    startScheduler,
+    stopScheduler,
+    resetScheduler,
+    runNow,
+    getLastRun,
+    countPendingBackupChanges
+};
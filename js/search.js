@@ -1,9 +1,10 @@
 /**
  * Search & Filter Engine
- * Fulltext search, tag filtering, and sorting
+ * Fulltext search (persisted index in db.js), tag filtering, and sorting
  */
 
-import { getAllPrompts, searchPrompts, filterPromptsByTags } from './db.js';
+import { storage } from './adapters/registry.js';
+import { parseSearchQuery } from './query.js';
 import { appState } from './state.js';
 
 // ========================================
@@ -12,44 +13,52 @@ import { appState } from './state.js';
 
 /**
  * Perform search and filtering based on current state
+ * Query syntax errors are stored in appState.searchError and yield no results
  * @returns {Promise<Array>} - Filtered prompts
  */
 export async function performSearch() {
-    const { searchQuery, selectedTags, smartFilter, sortBy } = appState.getState();
+    const { searchQuery, selectedTags, sortBy } = appState.getState();
+    const { results, error } = await runSearch({ query: searchQuery, tags: selectedTags, sortBy });
 
+    if (error !== appState.get('searchError')) {
+        appState.setState({ searchError: error });
+    }
+
+    return results;
+}
+
+/**
+ * Run a search for a query / tag / sort combination
+ * (the current search box state or a saved search)
+ * @param {Object} search - Search definition
+ * @param {string} [search.query] - Query in search syntax (see query.js)
+ * @param {Array<string>} [search.tags] - Tags that must all be present
+ * @param {string} [search.sortBy] - Sort field
+ * @returns {Promise<{results: Array, error: string|null}>}
+ */
+export async function runSearch({ query = '', tags = [], sortBy = 'updatedAt' } = {}) {
     let results = [];
 
-    // Apply smart filter
-    if (smartFilter === 'recent') {
-        results = await getAllPrompts({ archived: false, sortBy: 'updatedAt' });
-        results = results.slice(0, 20); // Limit to 20 most recent
-    } else if (smartFilter === 'untagged') {
-        const allPrompts = await getAllPrompts({ archived: false });
-        results = allPrompts.filter(p => p.tags.length === 0);
-    } else if (smartFilter === 'archived') {
-        results = await getAllPrompts({ archived: true });
-    } else {
-        // Normal search/filter
-        if (searchQuery && searchQuery.trim()) {
-            results = await searchPrompts(searchQuery.trim());
-        } else if (selectedTags.length > 0) {
-            results = await filterPromptsByTags(selectedTags);
-        } else {
-            results = await getAllPrompts({ archived: false });
+    if (query && query.trim()) {
+        const parsed = parseSearchQuery(query);
+        if (!parsed.valid) {
+            return { results: [], error: parsed.errors[0] };
         }
+        results = await storage.queryPrompts(parsed.query);
+    } else if (tags.length > 0) {
+        results = await storage.filterPromptsByTags(tags);
+    } else {
+        results = await storage.getAllPrompts({ archived: false });
     }
 
-    // Apply tag filter if tags are selected (and not already filtered)
-    if (selectedTags.length > 0 && !smartFilter) {
+    // Apply tag filter if tags are selected
+    if (tags.length > 0) {
         results = results.filter(prompt => {
-            return selectedTags.every(tag => prompt.tags.includes(tag));
+            return tags.every(tag => prompt.tags.includes(tag));
         });
     }
 
-    // Apply sorting
-    results = sortPrompts(results, sortBy);
-
-    return results;
+    return { results: sortPrompts(results, sortBy), error: null };
 }
 
 /**
@@ -110,7 +119,7 @@ export async function getSearchSuggestions(query) {
     }
 
     const lowerQuery = query.toLowerCase();
-    const prompts = await getAllPrompts({ archived: false });
+    const prompts = await storage.getAllPrompts({ archived: false });
     const suggestions = new Set();
 
     // Add matching titles
@@ -141,7 +150,7 @@ export async function getRelatedPrompts(prompt, limit = 5) {
         return [];
     }
 
-    const allPrompts = await getAllPrompts({ archived: false });
+    const allPrompts = await storage.getAllPrompts({ archived: false });
 
     // Calculate relevance score based on shared tags
     const scored = allPrompts
@@ -197,74 +206,12 @@ export function groupByCollections(prompts) {
     return result;
 }
 
-/**
- * Build search index for faster search (optional enhancement)
- * @param {Array} prompts - Prompts to index
- * @returns {Object} - Search index
- */
-export function buildSearchIndex(prompts) {
-    const index = new Map();
-
-    prompts.forEach(prompt => {
-        // Tokenize text
-        const tokens = tokenize(
-            `${prompt.title} ${prompt.description} ${prompt.tags.join(' ')}`
-        );
-
-        tokens.forEach(token => {
-            if (!index.has(token)) {
-                index.set(token, new Set());
-            }
-            index.get(token).add(prompt.id);
-        });
-    });
-
-    return index;
-}
-
-/**
- * Tokenize text into searchable terms
- * @param {string} text - Text to tokenize
- * @returns {Array<string>}
- */
-function tokenize(text) {
-    return text
-        .toLowerCase()
-        .replace(/[^\w\s]/g, ' ')
-        .split(/\s+/)
-        .filter(token => token.length > 2);
-}
-
-/**
- * Search using index (faster for large datasets)
- * @param {string} query - Search query
- * @param {Object} index - Search index
- * @param {Array} prompts - All prompts
- * @returns {Array}
- */
-export function searchWithIndex(query, index, prompts) {
-    const queryTokens = tokenize(query);
-    const matchedIds = new Set();
-
-    queryTokens.forEach(token => {
-        if (index.has(token)) {
-            index.get(token).forEach(id => matchedIds.add(id));
-        }
-    });
-
-    const promptMap = new Map(prompts.map(p => [p.id, p]));
-    return Array.from(matchedIds)
-        .map(id => promptMap.get(id))
-        .filter(Boolean);
-}
-
 export default {
     performSearch,
+    runSearch,
     sortPrompts,
     highlightText,
     getSearchSuggestions,
     getRelatedPrompts,
-    groupByCollections,
-    buildSearchIndex,
-    searchWithIndex
+    groupByCollections
 };
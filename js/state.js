@@ -96,14 +96,23 @@ class AppState {
 
             // Filters
             searchQuery: '',
+            searchError: null,
             selectedTags: [],
             smartFilter: null,
             sortBy: 'updatedAt',
 
+            // Encryption lock (no decrypted data may be rendered while true)
+            locked: false,
+
             // Sync state
             syncAdapter: localStorage.getItem('syncAdapter') || 'local',
             syncInProgress: false,
             lastSyncAt: null,
+            syncError: null,
+            syncErrorAt: null,
+            syncConflicts: 0,
+            syncPaused: localStorage.getItem('syncPaused') === 'true',
+            autoSync: null, // scheduler status, see scheduler.js
 
             // Settings
             settings: this.loadSettings()
@@ -120,12 +129,37 @@ class AppState {
         const defaults = {
             encryption: {
                 enabled: false,
-                hasPassphrase: false
+                hasPassphrase: false,
+                autoLockMinutes: 15, // 0 = never
+                lockOnHidden: false
             },
             drive: {
                 enabled: false,
                 autoSync: false,
-                syncInterval: 30 // minutes
+                syncInterval: 30, // minutes
+                keepHourly: 24, // hours of hourly backups
+                keepDaily: 30 // days of daily backups
+            },
+            webdav: {
+                enabled: false,
+                url: '',
+                username: '',
+                password: '',
+                token: '',
+                autoSync: false,
+                syncInterval: 30, // minutes
+                keepHourly: 24,
+                keepDaily: 30
+            },
+            folder: {
+                enabled: false,
+                pollInterval: 5 // seconds
+            },
+            rest: {
+                enabled: false,
+                url: '',
+                token: '',
+                pollInterval: 15 // seconds
             },
             firebase: {
                 enabled: false,
@@ -137,6 +171,9 @@ class AppState {
             privacy: {
                 bannerDismissed: false
             },
+            data: {
+                tombstoneRetentionDays: 90 // 0 = keep forever
+            },
             onboarding: {
                 completed: false,
                 step: 0
@@ -207,6 +244,11 @@ class AppState {
             localStorage.setItem('syncAdapter', updates.syncAdapter);
         }
 
+        // Save sync pause (survives reloads until resumed)
+        if ('syncPaused' in updates) {
+            localStorage.setItem('syncPaused', String(!!updates.syncPaused));
+        }
+
         // Notify subscribers
         this.notifySubscribers(oldState, this.state);
 
@@ -285,12 +327,18 @@ class AppState {
             currentPrompt: null,
             currentVersion: null,
             searchQuery: '',
+            searchError: null,
             selectedTags: [],
             smartFilter: null,
             sortBy: 'updatedAt',
             syncAdapter: 'local',
             syncInProgress: false,
             lastSyncAt: null,
+            syncError: null,
+            syncErrorAt: null,
+            syncConflicts: 0,
+            syncPaused: false,
+            autoSync: null,
             settings: this.loadSettings()
         };
 
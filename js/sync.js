@@ -0,0 +1,607 @@
+/**
+ * Sync Engine
+ * Local-first sync between IndexedDB (source of truth) and a realtime adapter:
+ * pushes the change log (as consumer 'sync'), applies remote changes and
+ * detects concurrent edits (prompt fields become conflicts, diverged version
+ * contents are merged three-way, see merge.js)
+ *
+ * Adapters with the `realtime` capability provide the remote side:
+ * - pushPrompt(prompt, baseRev) -> new rev; throws SyncConflictError if the
+ *   remote revision is not baseRev (null = never synced)
+ * - pushVersion(version) -> rev (versions are append-only and never conflict)
+ * - deleteRemote(entity, id, baseRev) (prompts may throw SyncConflictError)
+ * - observeRemoteChanges(callback) with
+ *   {entity: 'prompt'|'version', type: 'put'|'delete', id, data, rev, deviceId}
+ * - stopListening()
+ * - getAccountId() (optional): sync bookkeeping is reset when the account changes
+ * - pushChanges(changes) (optional): pushes several records in one request
+ *   instead of pushPrompt/pushVersion/deleteRemote; called with
+ *   [{entity, id, type: 'put'|'delete', data, baseRev}] and resolves with one
+ *   result per change in the same order: {rev} or {conflict: SyncConflictError}
+ * - pushBatchSize (optional): changes per pushChanges call (default 100)
+ */
+
+import * as db from './db.js';
+import { appState, eventBus, showToast } from './state.js';
+
+// Cursor name in the change log (see db.js)
+const CHANGE_CONSUMER = 'sync';
+
+const FLUSH_DELAY = 500;
+const RETRY_DELAY = 30000;
+const PUSH_BATCH_SIZE = 100;
+
+// Prompt fields compared to decide whether two copies differ
+const PROMPT_FIELDS = ['title', 'description', 'tags', 'variables', 'archived'];
+
+/**
+ * Raised by an adapter when the remote record changed since the last sync
+ */
+export class SyncConflictError extends Error {
+    /**
+     * @param {Object|null} remote - Remote prompt (null if deleted remotely)
+     * @param {number|null} remoteRev - Remote revision
+     */
+    constructor(remote, remoteRev) {
+        super('Sync conflict');
+        this.name = 'SyncConflictError';
+        this.remote = remote;
+        this.remoteRev = remoteRev;
+    }
+}
+
+let adapter = null;
+let unsubscribeLocal = null;
+let flushTimer = null;
+let retryTimer = null;
+let flushing = false;
+let flushQueued = false;
+let remoteChangedIds = new Set();
+let remoteVersionIds = new Map();
+let remoteNotifyTimer = null;
+
+// ========================================
+// Lifecycle
+// ========================================
+
+/**
+ * Start syncing with a realtime adapter (restarts if another one is running)
+ * @param {Object} syncAdapter - Authenticated adapter with the realtime capability
+ * @returns {Promise<void>}
+ */
+export async function startSync(syncAdapter) {
+    if (adapter === syncAdapter) return;
+    stopSync();
+
+    adapter = syncAdapter;
+
+    // Revisions and conflicts refer to one remote account
+    const account = `${adapter.name}:${adapter.getAccountId ? adapter.getAccountId() : ''}`;
+    if (localStorage.getItem('syncAccount') !== account) {
+        await db.resetSyncState(CHANGE_CONSUMER);
+        localStorage.setItem('syncAccount', account);
+    }
+
+    unsubscribeLocal = db.onLocalChange(scheduleFlush);
+    window.addEventListener('online', scheduleFlush);
+
+    adapter.observeRemoteChanges(change => {
+        handleRemoteChange(change).catch(error => {
+            console.error('Applying remote change failed:', error);
+            appState.setState({ syncError: error.message, syncErrorAt: Date.now() });
+        });
+    });
+
+    await refreshConflicts();
+    scheduleFlush();
+}
+
+/**
+ * Stop syncing; unacknowledged changes are pushed on the next start
+ */
+export function stopSync() {
+    if (!adapter) return;
+
+    adapter.stopListening();
+    adapter = null;
+
+    if (unsubscribeLocal) {
+        unsubscribeLocal();
+        unsubscribeLocal = null;
+    }
+    window.removeEventListener('online', scheduleFlush);
+    clearTimeout(flushTimer);
+    clearTimeout(retryTimer);
+}
+
+/**
+ * Forget the sync progress once no realtime adapter is selected anymore, so
+ * the change log cursor does not keep old entries from being compacted
+ * (not on lock or pause: pending changes are pushed when syncing resumes).
+ * The next realtime adapter starts with a full sync (see startSync).
+ * @returns {Promise<void>}
+ */
+export async function resetSync() {
+    localStorage.removeItem('syncAccount');
+    await db.removeChangeCursor(CHANGE_CONSUMER);
+}
+
+/**
+ * Check whether the engine is running
+ * @returns {boolean}
+ */
+export function isSyncRunning() {
+    return adapter !== null;
+}
+
+/**
+ * Forget all sync bookkeeping and sync every record again
+ * Records that differ on both sides become conflicts, identical ones are
+ * matched up when the remote copies arrive.
+ * @returns {Promise<void>}
+ */
+export async function resync() {
+    const current = adapter;
+    if (!current) return;
+
+    stopSync();
+    await db.resetSyncState(CHANGE_CONSUMER);
+    await startSync(current);
+}
+
+// ========================================
+// Push (Change Log)
+// ========================================
+
+/**
+ * Push local changes shortly (changes in quick succession are pushed together)
+ */
+export function scheduleFlush() {
+    clearTimeout(flushTimer);
+    flushTimer = setTimeout(flush, FLUSH_DELAY);
+}
+
+/**
+ * Push unacknowledged changes and all records that were never synced
+ * The cursor only moves once everything was pushed; pushing a record twice
+ * after a failure is harmless.
+ * @returns {Promise<void>}
+ */
+export async function flush() {
+    if (!adapter) return;
+    if (flushing) {
+        flushQueued = true;
+        return;
+    }
+    if (!navigator.onLine) return;
+
+    flushing = true;
+    clearTimeout(retryTimer);
+    appState.setState({ syncInProgress: true });
+
+    let conflicts = 0;
+
+    try {
+        const conflicted = new Set((await db.getSyncConflicts()).map(conflict => conflict.promptId));
+        const { changes, lastSeq } = await collectChanges();
+
+        // Conflicted prompts are pushed with the resolution (the conflict marks them as pending;
+        // a deletion made meanwhile is pushed by resolveConflict)
+        const pushable = changes.filter(change => !(change.entity === 'prompt' && conflicted.has(change.entityId)));
+
+        conflicts = typeof adapter.pushChanges === 'function'
+            ? await pushBatches(pushable)
+            : await pushEach(pushable);
+
+        await db.acknowledgeChanges(CHANGE_CONSUMER, lastSeq);
+
+        appState.setState({ lastSyncAt: Date.now(), syncError: null, syncErrorAt: null });
+    } catch (error) {
+        console.error('Sync push failed:', error);
+        appState.setState({ syncError: error.message, syncErrorAt: Date.now() });
+        retryTimer = setTimeout(flush, RETRY_DELAY);
+    } finally {
+        flushing = false;
+        appState.setState({ syncInProgress: false });
+    }
+
+    if (conflicts > 0) {
+        await refreshConflicts();
+    }
+
+    if (flushQueued) {
+        flushQueued = false;
+        scheduleFlush();
+    }
+}
+
+/**
+ * Count the records waiting to be pushed
+ * @returns {Promise<number>}
+ */
+export async function countPendingChanges() {
+    return (await collectChanges()).changes.length;
+}
+
+/**
+ * Coalesce unacknowledged changes into one per record (the last operation
+ * wins) and add records that were never synced; prompts go first
+ * @returns {Promise<{changes: Array<{entity: string, entityId: string, op: string}>, lastSeq: number}>}
+ */
+async function collectChanges() {
+    const changes = new Map();
+    let lastSeq = 0;
+
+    for (const entry of await db.getPendingChanges(CHANGE_CONSUMER)) {
+        changes.set(`${entry.entity}:${entry.entityId}`, {
+            entity: entry.entity,
+            entityId: entry.entityId,
+            op: entry.op
+        });
+        lastSeq = entry.seq;
+    }
+
+    const unsynced = await db.getUnsyncedIds();
+    unsynced.prompts.forEach(id => {
+        if (!changes.has(`prompt:${id}`)) {
+            changes.set(`prompt:${id}`, { entity: 'prompt', entityId: id, op: 'update' });
+        }
+    });
+    unsynced.versions.forEach(id => {
+        if (!changes.has(`version:${id}`)) {
+            changes.set(`version:${id}`, { entity: 'version', entityId: id, op: 'update' });
+        }
+    });
+
+    const sorted = [...changes.values()].sort((a, b) => {
+        if (a.entity === b.entity) return 0;
+        return a.entity === 'prompt' ? -1 : 1;
+    });
+
+    return { changes: sorted, lastSeq };
+}
+
+/**
+ * Push changes one by one
+ * @param {Array<Object>} changes - Coalesced changes
+ * @returns {Promise<number>} - Number of new conflicts
+ */
+async function pushEach(changes) {
+    let conflicts = 0;
+
+    for (const change of changes) {
+        try {
+            await pushChange(change);
+        } catch (error) {
+            if (!(error instanceof SyncConflictError)) throw error;
+
+            await db.saveSyncConflict(change.entityId, error.remote, error.remoteRev);
+            conflicts++;
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Push a single coalesced change
+ * @param {Object} change
+ * @returns {Promise<void>}
+ */
+async function pushChange({ entity, entityId, op }) {
+    const baseRev = await db.getSyncedRevision(entity, entityId);
+
+    if (op === 'delete') {
+        await adapter.deleteRemote(entity, entityId, baseRev);
+        await db.forgetSyncedRevision(entity, entityId);
+        return;
+    }
+
+    if (entity === 'prompt') {
+        const prompt = await db.getPrompt(entityId);
+        if (!prompt) return; // Deleted meanwhile, the delete follows
+
+        const rev = await adapter.pushPrompt(prompt, baseRev);
+        await db.setSyncedRevision('prompt', entityId, rev);
+    } else {
+        const version = await db.getVersion(entityId);
+        if (!version) return;
+
+        const rev = await adapter.pushVersion(version);
+        await db.setSyncedRevision('version', entityId, rev);
+    }
+}
+
+/**
+ * Push changes in batches (adapters with pushChanges)
+ * Revisions are recorded after every batch, so a failed request only
+ * repeats its own batch on the next attempt.
+ * @param {Array<Object>} changes - Coalesced changes
+ * @returns {Promise<number>} - Number of new conflicts
+ */
+async function pushBatches(changes) {
+    const size = adapter.pushBatchSize || PUSH_BATCH_SIZE;
+    let conflicts = 0;
+
+    for (let start = 0; start < changes.length; start += size) {
+        const batch = [];
+
+        for (const { entity, entityId, op } of changes.slice(start, start + size)) {
+            const baseRev = await db.getSyncedRevision(entity, entityId);
+
+            if (op === 'delete') {
+                batch.push({ entity, id: entityId, type: 'delete', data: null, baseRev });
+                continue;
+            }
+
+            const data = entity === 'prompt' ? await db.getPrompt(entityId) : await db.getVersion(entityId);
+            // Deleted meanwhile, the delete follows
+            if (data) {
+                batch.push({ entity, id: entityId, type: 'put', data, baseRev });
+            }
+        }
+
+        if (batch.length === 0) continue;
+
+        const results = await adapter.pushChanges(batch);
+
+        for (let i = 0; i < batch.length; i++) {
+            const { entity, id, type } = batch[i];
+            const result = results[i];
+
+            if (result.conflict) {
+                await db.saveSyncConflict(id, result.conflict.remote, result.conflict.remoteRev);
+                conflicts++;
+            } else if (type === 'delete') {
+                await db.forgetSyncedRevision(entity, id);
+            } else {
+                await db.setSyncedRevision(entity, id, result.rev);
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+// ========================================
+// Pull (Remote Changes)
+// ========================================
+
+/**
+ * Apply a change reported by the adapter
+ * Prompts with unacknowledged local edits (or local copies never synced) are not
+ * overwritten: a differing remote copy becomes a conflict. Remote copies of
+ * records deleted here later are deleted remotely instead.
+ * @param {Object} change - {entity, type, id, data, rev, deviceId}
+ * @returns {Promise<void>}
+ */
+async function handleRemoteChange({ entity, type, id, data, rev, deviceId }) {
+    // Echo of our own push
+    if (deviceId && deviceId === db.getDeviceId()) return;
+
+    const baseRev = await db.getSyncedRevision(entity, id);
+    if (type === 'put' && baseRev !== null && rev <= baseRev) return;
+
+    // Deleted here after the remote change (e.g. the remote copy predates a reset)
+    const tombstone = await db.getTombstone(entity, id);
+    if (type === 'put' && tombstone && tombstone.deletedAt >= (data.updatedAt || data.createdAt || 0)) {
+        try {
+            await adapter.deleteRemote(entity, id, rev);
+        } catch (error) {
+            // Changed remotely meanwhile: the newer change arrives separately
+            if (!(error instanceof SyncConflictError)) throw error;
+        }
+        return;
+    }
+
+    const pending = await db.hasPendingChanges(CHANGE_CONSUMER, entity, id);
+
+    if (entity === 'version') {
+        // Our own pending edit of the version is pushed and wins
+        if (pending) return;
+
+        if (type === 'delete') {
+            await db.applyRemoteDeletion('version', id);
+        } else {
+            await db.applyRemoteVersion(data, rev);
+
+            // Merged with local versions once the batch is in (see mergeRemoteVersions)
+            if (!remoteVersionIds.has(data.promptId)) {
+                remoteVersionIds.set(data.promptId, new Set());
+            }
+            remoteVersionIds.get(data.promptId).add(id);
+        }
+        notifyRemoteChange(data ? data.promptId : null);
+        return;
+    }
+
+    const local = await db.getPrompt(id);
+    const unsynced = local && baseRev === null;
+    const conflicted = (await db.getSyncConflicts()).some(conflict => conflict.promptId === id);
+
+    if (type === 'delete') {
+        if (!local) {
+            await db.forgetSyncedRevision('prompt', id);
+        } else if (pending || conflicted) {
+            await db.saveSyncConflict(id, null, null);
+            await refreshConflicts();
+        } else {
+            await db.applyRemoteDeletion('prompt', id);
+            notifyRemoteChange(id);
+        }
+        return;
+    }
+
+    if (pending || unsynced || conflicted) {
+        if (local && isSamePrompt(local, data)) {
+            // Both sides made the same edit (a pending push then only bumps the revision)
+            await db.setSyncedRevision('prompt', id, rev);
+            await db.deleteSyncConflict(id);
+        } else {
+            await db.saveSyncConflict(id, data, rev);
+        }
+        await refreshConflicts();
+        return;
+    }
+
+    await db.applyRemotePrompt(data, rev);
+    notifyRemoteChange(id);
+}
+
+/**
+ * Compare the synced fields of two prompts
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isSamePrompt(a, b) {
+    return PROMPT_FIELDS.every(field => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+}
+
+/**
+ * Tell the UI about applied remote changes (batched)
+ * @param {string|null} promptId
+ */
+function notifyRemoteChange(promptId) {
+    if (promptId) {
+        remoteChangedIds.add(promptId);
+    }
+
+    clearTimeout(remoteNotifyTimer);
+    remoteNotifyTimer = setTimeout(async () => {
+        const versionIds = remoteVersionIds;
+        remoteVersionIds = new Map();
+        try {
+            await mergeRemoteVersions(versionIds);
+        } catch (error) {
+            console.error('Merging remote versions failed:', error);
+        }
+
+        const promptIds = [...remoteChangedIds];
+        remoteChangedIds = new Set();
+        appState.setState({ lastSyncAt: Date.now() });
+        eventBus.emit('remoteChanges', { promptIds });
+    }, FLUSH_DELAY);
+}
+
+/**
+ * Merge received versions into local version histories that diverged from
+ * them (both devices edited the same version); merged versions are pushed
+ * like local edits
+ * @param {Map<string, Set<string>>} versionIds - Received version IDs by prompt
+ * @returns {Promise<void>}
+ */
+async function mergeRemoteVersions(versionIds) {
+    if (versionIds.size === 0) return;
+
+    for (const [promptId, ids] of versionIds) {
+        await db.mergeVersions(promptId, [...ids]);
+    }
+    await refreshConflicts();
+}
+
+// ========================================
+// Conflicts
+// ========================================
+
+/**
+ * Publish the number of unresolved conflicts (appState.syncConflicts):
+ * sync conflicts of prompt fields and merge conflicts of prompt contents
+ * @param {boolean} [notify=true] - Show a toast if there are new conflicts
+ * @returns {Promise<void>}
+ */
+export async function refreshConflicts(notify = true) {
+    const count = (await db.getSyncConflicts()).length + (await db.getMergeConflicts()).length;
+    const previous = appState.get('syncConflicts');
+
+    appState.setState({ syncConflicts: count });
+
+    if (notify && count > previous) {
+        showToast(`Sync-Konflikt: ${count} Prompt(s) wurden auf mehreren Geräten geändert`, 'warning', 6000);
+    }
+}
+
+/**
+ * Resolve a conflict
+ * - local: keep this device's copy and overwrite the remote one (or delete
+ *   it, if the prompt was deleted here meanwhile)
+ * - remote: take the remote copy and drop unsent local edits
+ * - both: take the remote copy and save the local one as a new prompt
+ * Versions are append-only, so versions of both sides are kept in every case.
+ * @param {string} promptId
+ * @param {'local'|'remote'|'both'} choice
+ * @returns {Promise<void>}
+ */
+export async function resolveConflict(promptId, choice) {
+    const conflict = (await db.getSyncConflicts()).find(c => c.promptId === promptId);
+    if (!conflict) return;
+
+    const local = await db.getPrompt(promptId);
+
+    if (choice === 'local' && !local) {
+        // Deleted here during the conflict: flush() acknowledged the deletion
+        // without pushing it, so it is pushed now
+        if (!adapter) {
+            throw new Error('Sync is not running');
+        }
+
+        try {
+            await adapter.deleteRemote('prompt', promptId, conflict.remoteRev);
+        } catch (error) {
+            if (!(error instanceof SyncConflictError)) throw error;
+
+            // Changed remotely again meanwhile: the new state replaces the conflict
+            await db.saveSyncConflict(promptId, error.remote, error.remoteRev);
+            await refreshConflicts();
+            return;
+        }
+        await db.forgetSyncedRevision('prompt', promptId);
+    } else if (choice === 'local') {
+        // Push on top of the remote revision
+        if (conflict.remoteRev !== null) {
+            await db.setSyncedRevision('prompt', promptId, conflict.remoteRev);
+        } else {
+            await db.forgetSyncedRevision('prompt', promptId);
+        }
+        await db.updatePrompt(promptId, {});
+    } else {
+        if (choice === 'both' && local) {
+            const latest = await db.getLatestVersion(promptId);
+            await db.createPrompt({
+                title: `${local.title} (Konflikt-Kopie)`,
+                description: local.description,
+                tags: local.tags,
+                variables: local.variables,
+                content: latest ? latest.content : '',
+                notes: 'Lokale Fassung aus einem Sync-Konflikt'
+            });
+        }
+
+        // Unsent local edits are overwritten as well
+        if (conflict.remote) {
+            await db.applyRemotePrompt(conflict.remote, conflict.remoteRev);
+        } else {
+            await db.applyRemoteDeletion('prompt', promptId);
+        }
+    }
+
+    await db.deleteSyncConflict(promptId);
+    await refreshConflicts();
+    notifyRemoteChange(promptId);
+    scheduleFlush();
+}
+
+export default {
+    SyncConflictError,
+    startSync,
+    stopSync,
+    resetSync,
+    isSyncRunning,
+    resync,
+    scheduleFlush,
+    countPendingChanges,
+    flush,
+    isSamePrompt,
+    refreshConflicts,
+    resolveConflict
+};
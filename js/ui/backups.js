@@ -0,0 +1,223 @@
+/**
+ * Backup History Component
+ * Lists the backup generations of an adapter (versionedBackups capability)
+ * and restores a selected one after previewing the changes
+ */
+
+import { previewImport, getDeviceId } from '../db.js';
+import { storage } from '../adapters/registry.js';
+import { refreshConflicts } from '../sync.js';
+import { formatDateTime, formatImportResult, ImportValidationError } from '../models.js';
+import { showToast } from '../state.js';
+import { showModal, closeModal, showLoading, hideLoading } from './layout.js';
+import { requestPassphrase } from './transfer.js';
+import { showImportErrors } from './import.js';
+
+// Titles listed per preview group before "und N weitere"
+const PREVIEW_LIMIT = 8;
+
+const FIELD_LABELS = {
+    title: 'Titel',
+    description: 'Beschreibung',
+    tags: 'Tags',
+    variables: 'Variablen',
+    archived: 'Archiviert'
+};
+
+/**
+ * Show the backups of an adapter
+ * @param {Object} adapter - Adapter with the versionedBackups capability
+ * @returns {Promise<void>}
+ */
+export async function showBackupHistory(adapter) {
+    let backups;
+    try {
+        backups = await adapter.listBackups();
+    } catch (error) {
+        console.error(`${adapter.displayName} listing backups failed:`, error);
+        showToast('Backups konnten nicht geladen werden', 'error');
+        return;
+    }
+
+    const content = document.createElement('div');
+    content.className = 'backup-history';
+    const overlay = showModal(content, { title: `Backups in ${adapter.displayName}` });
+
+    renderBackupList(content, overlay, adapter, backups);
+}
+
+/**
+ * Render the list of backup generations
+ * @param {HTMLElement} content - Dialog body
+ * @param {HTMLElement} overlay - Modal overlay
+ * @param {Object} adapter
+ * @param {Array<Object>} backups - BackupInfo entries, newest first
+ */
+function renderBackupList(content, overlay, adapter, backups) {
+    if (backups.length === 0) {
+        content.innerHTML = '<p>Keine Backups vorhanden</p>';
+        return;
+    }
+
+    const deviceId = getDeviceId();
+
+    content.innerHTML = `
+        <ul class="backup-list">
+            ${backups.map((backup, i) => `
+                <li>
+                    <div class="backup-info">
+                        <strong>${formatDateTime(backup.createdAt)}${backup.encrypted ? ' 🔒' : ''}</strong>
+                        <small>
+                            ${[
+                                backup.promptCount !== null ? `${backup.promptCount} Prompts` : null,
+                                formatSize(backup.size),
+                                backup.device
+                                    ? escapeHtml(backup.device) + (backup.deviceId === deviceId ? ' (dieses Gerät)' : '')
+                                    : null
+                            ].filter(Boolean).join(' · ')}
+                        </small>
+                    </div>
+                    <button class="secondary-button" data-index="${i}">Vorschau</button>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    content.querySelectorAll('[data-index]').forEach(button => {
+        button.addEventListener('click', () => {
+            showRestorePreview(content, overlay, adapter, backups, backups[button.dataset.index]);
+        });
+    });
+}
+
+/**
+ * Load a backup and show what restoring it would change
+ * @param {HTMLElement} content - Dialog body
+ * @param {HTMLElement} overlay - Modal overlay
+ * @param {Object} adapter
+ * @param {Array<Object>} backups - All backups (for going back)
+ * @param {Object} backup - Selected backup
+ * @returns {Promise<void>}
+ */
+async function showRestorePreview(content, overlay, adapter, backups, backup) {
+    let data;
+    let preview;
+
+    showLoading('Backup wird geladen...');
+    try {
+        data = await adapter.loadBackup(backup.id, requestPassphrase);
+        preview = await previewImport(data, true);
+    } catch (error) {
+        if (error.message === 'Import cancelled') {
+            showToast('Wiederherstellung abgebrochen', 'info');
+        } else if (error instanceof ImportValidationError) {
+            showImportErrors(error);
+        } else {
+            console.error(`${adapter.displayName} loading backup failed:`, error);
+            showToast('Backup konnte nicht gelesen werden: ' + error.message, 'error');
+        }
+        return;
+    } finally {
+        hideLoading();
+    }
+
+    const hasChanges = preview.added.length + preview.updated.length + preview.deleted.length > 0;
+
+    content.innerHTML = `
+        <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
+            Backup vom ${formatDateTime(backup.createdAt)}.
+            Wiederherstellen führt das Backup mit den aktuellen Daten zusammen.
+        </p>
+        ${renderPreviewGroup('Neu', preview.added)}
+        ${renderPreviewGroup('Aktualisiert', preview.updated, entry => [
+            ...entry.fields.map(field => FIELD_LABELS[field]),
+            entry.newVersions > 0 ? `${entry.newVersions} neue Version(en)` : null
+        ].filter(Boolean).join(', '))}
+        ${renderPreviewGroup('Gelöscht', preview.deleted)}
+        ${renderPreviewGroup('Übersprungen (hier gelöscht)', preview.skipped.filter(entry => entry.reason === 'deleted'))}
+        ${renderPreviewGroup('Behalten (hier neuer)', preview.skipped.filter(entry => entry.reason === 'newer'))}
+        ${preview.unchanged > 0 ? `
+            <p style="color: var(--fg-tertiary); font-size: 0.875rem;">${preview.unchanged} Prompt(s) unverändert</p>
+        ` : ''}
+        ${hasChanges ? '' : '<p>Das Backup enthält keine Änderungen gegenüber den aktuellen Daten.</p>'}
+        <div class="backup-actions">
+            <button class="secondary-button" data-action="back">Zurück</button>
+            <button class="primary-button" data-action="restore" ${hasChanges ? '' : 'disabled'}>Wiederherstellen</button>
+        </div>
+    `;
+
+    content.querySelector('[data-action="back"]').addEventListener('click', () => {
+        renderBackupList(content, overlay, adapter, backups);
+    });
+
+    content.querySelector('[data-action="restore"]').addEventListener('click', async () => {
+        showLoading('Wird wiederhergestellt...');
+        try {
+            const result = await storage.importData(data, true);
+            closeModal(overlay);
+            showToast(`Wiederherstellung erfolgreich: ${formatImportResult(result)}`, result.conflicts ? 'warning' : 'success');
+            await refreshConflicts(false);
+        } catch (error) {
+            console.error(`${adapter.displayName} restore failed:`, error);
+            showToast('Wiederherstellung fehlgeschlagen: ' + error.message, 'error');
+        } finally {
+            hideLoading();
+        }
+    });
+}
+
+/**
+ * Render one group of the restore preview
+ * @param {string} label
+ * @param {Array<{title: string}>} entries
+ * @param {Function} [describe] - Details of an entry
+ * @returns {string} - HTML
+ */
+function renderPreviewGroup(label, entries, describe) {
+    if (entries.length === 0) return '';
+
+    const more = entries.length - PREVIEW_LIMIT;
+
+    return `
+        <div class="backup-preview-group">
+            <h4>${label} (${entries.length})</h4>
+            <ul>
+                ${entries.slice(0, PREVIEW_LIMIT).map(entry => `
+                    <li>
+                        ${escapeHtml(entry.title)}
+                        ${describe ? `<small>${escapeHtml(describe(entry))}</small>` : ''}
+                    </li>
+                `).join('')}
+                ${more > 0 ? `<li><small>und ${more} weitere</small></li>` : ''}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Format a file size
+ * @param {number|null} bytes
+ * @returns {string|null}
+ */
+function formatSize(bytes) {
+    if (bytes === null || bytes === undefined) return null;
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Escape HTML
+ * @param {string} str - String to escape
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+export default {
+    showBackupHistory
+};
@@ -0,0 +1,315 @@
+/**
+ * Version Compare View
+ * Compare any two versions of a prompt (unified or side by side)
+ * Route: #/compare/:promptId/:a/:b
+ */
+
+import { storage } from '../adapters/registry.js';
+import { formatDateTime } from '../models.js';
+import { appState, eventBus, navigate, showToast } from '../state.js';
+import { renderDiff, renderSideBySide, diffWords } from './diff.js';
+
+let currentPrompt = null;
+let currentVersions = [];
+let selection = { a: null, b: null };
+let changeIndex = -1;
+let hotkeysInitialized = false;
+
+// Drop decrypted data when the app locks
+eventBus.on('locked', () => {
+    currentPrompt = null;
+    currentVersions = [];
+});
+
+/**
+ * Render compare view
+ * @param {string} promptId - Prompt ID
+ * @param {string} [a] - Version ID (or label like "v3") of the old side
+ * @param {string} [b] - Version ID (or label) of the new side
+ * @param {HTMLElement} container - Container element
+ */
+export async function renderCompare(promptId, a, b, container) {
+    if (!container) {
+        container = document.getElementById('app-view');
+    }
+
+    currentPrompt = await storage.getPrompt(promptId);
+    if (!currentPrompt) {
+        showToast('Prompt nicht gefunden', 'error');
+        navigate('home');
+        return;
+    }
+
+    // Oldest first, so the select order matches the timeline
+    currentVersions = (await storage.getVersionsByPrompt(promptId)).reverse();
+
+    if (currentVersions.length < 2) {
+        showToast('Mindestens zwei Versionen zum Vergleichen nötig', 'warning');
+        navigate('editor', { id: promptId });
+        return;
+    }
+
+    const latest = currentVersions[currentVersions.length - 1];
+    const versionA = findVersion(a) || currentVersions[currentVersions.length - 2];
+    const versionB = findVersion(b) || latest;
+    selection = { a: versionA.id, b: versionB.id };
+    changeIndex = -1;
+
+    initCompareHotkeys();
+    renderCompareUI(container);
+}
+
+/**
+ * Find a version by ID or label
+ * @param {string} ref - Version ID or label ("v3")
+ * @returns {Object|undefined}
+ */
+function findVersion(ref) {
+    if (!ref) return undefined;
+    return currentVersions.find(v => v.id === ref) || currentVersions.find(v => v.version === ref);
+}
+
+/**
+ * Render compare UI
+ * @param {HTMLElement} container
+ */
+function renderCompareUI(container) {
+    const versionA = findVersion(selection.a);
+    const versionB = findVersion(selection.b);
+    const { compareLayout, compareGranularity } = getPreferences();
+    const options = { granularity: compareGranularity };
+
+    const versionOptions = (selectedId) => currentVersions.map(version => `
+        <option value="${version.id}" ${version.id === selectedId ? 'selected' : ''}>
+            ${version.version} – ${formatDateTime(version.createdAt)}
+        </option>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="compare-container">
+            <div class="compare-header">
+                <div>
+                    <h2>${escapeHtml(currentPrompt.title)}</h2>
+                    <p class="compare-hint">Tastenkürzel: <kbd>n</kbd>/<kbd>p</kbd> nächste/vorherige Änderung, <kbd>s</kbd> Ansicht wechseln</p>
+                </div>
+                <button class="secondary-button" id="compare-back">Zurück zum Editor</button>
+            </div>
+
+            <div class="compare-toolbar">
+                <select id="compare-a" aria-label="Alte Version">${versionOptions(versionA.id)}</select>
+                <button class="icon-button" id="compare-swap" title="Seiten tauschen" aria-label="Seiten tauschen">⇄</button>
+                <select id="compare-b" aria-label="Neue Version">${versionOptions(versionB.id)}</select>
+
+                <div class="compare-toggles">
+                    <button class="secondary-button ${compareLayout === 'unified' ? 'active' : ''}" data-layout="unified">Unified</button>
+                    <button class="secondary-button ${compareLayout === 'split' ? 'active' : ''}" data-layout="split">Nebeneinander</button>
+                    <select id="compare-granularity" aria-label="Hervorhebung">
+                        <option value="word" ${compareGranularity === 'word' ? 'selected' : ''}>Wörter</option>
+                        <option value="char" ${compareGranularity === 'char' ? 'selected' : ''}>Zeichen</option>
+                    </select>
+                </div>
+            </div>
+
+            ${renderMetadata(versionA, versionB)}
+
+            <div id="compare-diff">
+                ${compareLayout === 'split'
+                    ? renderSideBySide(versionA.content, versionB.content, options)
+                    : renderDiff(versionA.content, versionB.content, options)}
+            </div>
+        </div>
+    `;
+
+    attachCompareHandlers(container);
+}
+
+/**
+ * Render metadata comparison table
+ * @param {Object} versionA - Old version
+ * @param {Object} versionB - New version
+ * @returns {string} - HTML string
+ */
+function renderMetadata(versionA, versionB) {
+    const rows = [
+        ['Version', versionA.version, versionB.version],
+        ['Erstellt', formatDateTime(versionA.createdAt), formatDateTime(versionB.createdAt)],
+        ['Geändert', formatDateTime(versionA.updatedAt), formatDateTime(versionB.updatedAt)],
+        ['Notizen', versionA.notes || '', versionB.notes || '']
+    ];
+
+    const renderNotes = (segments, exclude) => segments
+        .filter(segment => segment.type !== exclude)
+        .map(segment => segment.type === 'unchanged'
+            ? escapeHtml(segment.text)
+            : `<span class="diff-inline ${segment.type}">${escapeHtml(segment.text)}</span>`)
+        .join('');
+
+    return `
+        <table class="compare-meta">
+            <tbody>
+                ${rows.map(([label, left, right]) => {
+                    const differs = left !== right;
+                    let leftHtml = escapeHtml(left);
+                    let rightHtml = escapeHtml(right);
+
+                    if (differs && label === 'Notizen') {
+                        const segments = diffWords(left, right);
+                        leftHtml = renderNotes(segments, 'added');
+                        rightHtml = renderNotes(segments, 'removed');
+                    }
+
+                    return `
+                        <tr class="${differs ? 'differs' : ''}">
+                            <th>${label}</th>
+                            <td>${leftHtml || '–'}</td>
+                            <td>${rightHtml || '–'}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Attach event handlers
+ * @param {HTMLElement} container
+ */
+function attachCompareHandlers(container) {
+    container.querySelector('#compare-back').addEventListener('click', () => {
+        navigate('editor', { id: currentPrompt.id });
+    });
+
+    const selectA = container.querySelector('#compare-a');
+    const selectB = container.querySelector('#compare-b');
+
+    // Goes through the router so the URL stays shareable
+    const updateSelection = (a, b) => {
+        navigate('compare', { id: currentPrompt.id, a, b });
+    };
+
+    selectA.addEventListener('change', () => updateSelection(selectA.value, selectB.value));
+    selectB.addEventListener('change', () => updateSelection(selectA.value, selectB.value));
+
+    container.querySelector('#compare-swap').addEventListener('click', () => {
+        updateSelection(selection.b, selection.a);
+    });
+
+    container.querySelectorAll('[data-layout]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setPreference('compareLayout', btn.dataset.layout);
+            renderCompareUI(container);
+        });
+    });
+
+    container.querySelector('#compare-granularity').addEventListener('change', (e) => {
+        setPreference('compareGranularity', e.target.value);
+        renderCompareUI(container);
+    });
+}
+
+/**
+ * Keyboard navigation: n/j next change, p/k previous change, s toggle layout
+ */
+function initCompareHotkeys() {
+    if (hotkeysInitialized) return;
+    hotkeysInitialized = true;
+
+    document.addEventListener('keydown', (e) => {
+        if (appState.get('route') !== 'compare' || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const target = e.target;
+        if (target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+        const container = document.getElementById('app-view');
+
+        switch (e.key) {
+            case 'n':
+            case 'j':
+                e.preventDefault();
+                jumpToChange(container, 1);
+                break;
+            case 'p':
+            case 'k':
+                e.preventDefault();
+                jumpToChange(container, -1);
+                break;
+            case 's':
+                e.preventDefault();
+                setPreference('compareLayout', getPreferences().compareLayout === 'split' ? 'unified' : 'split');
+                renderCompareUI(container);
+                break;
+        }
+    });
+}
+
+/**
+ * Scroll to the next/previous change block
+ * @param {HTMLElement} container
+ * @param {number} direction - 1 or -1
+ */
+function jumpToChange(container, direction) {
+    const changes = getChangeStarts(container);
+    if (changes.length === 0) return;
+
+    changeIndex = (changeIndex + direction + changes.length) % changes.length;
+
+    container.querySelectorAll('.diff-focus').forEach(el => el.classList.remove('diff-focus'));
+    const target = changes[changeIndex];
+
+    // Changes inside collapsed context are never targets, but make sure parents are open
+    const details = target.closest('details');
+    if (details) details.open = true;
+
+    target.classList.add('diff-focus');
+    target.scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+/**
+ * First element of every change block (unified lines or split rows)
+ * @param {HTMLElement} container
+ * @returns {Array<HTMLElement>}
+ */
+function getChangeStarts(container) {
+    const selector = '.diff-line.added, .diff-line.removed, .diff-row.changed';
+    return Array.from(container.querySelectorAll(selector)).filter(el => {
+        const previous = el.previousElementSibling;
+        return !previous || !previous.matches(selector);
+    });
+}
+
+/**
+ * Read layout preferences
+ * @returns {{compareLayout: string, compareGranularity: string}}
+ */
+function getPreferences() {
+    return {
+        compareLayout: localStorage.getItem('compareLayout') || 'unified',
+        compareGranularity: localStorage.getItem('compareGranularity') || 'word'
+    };
+}
+
+/**
+ * Persist a layout preference
+ * @param {string} key - Preference key
+ * @param {string} value - Preference value
+ */
+function setPreference(key, value) {
+    localStorage.setItem(key, value);
+}
+
+/**
+ * Escape HTML
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+export default {
+    renderCompare
+};
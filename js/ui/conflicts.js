@@ -0,0 +1,197 @@
+/**
+ * Sync Conflicts Component
+ * Lists prompts edited on several devices and lets the user pick a side
+ * (contents that could not be merged open the merge editor)
+ */
+
+import { getSyncConflicts, getMergeConflicts } from '../db.js';
+import { storage } from '../adapters/registry.js';
+import { resolveConflict } from '../sync.js';
+import { formatDateTime, formatTags } from '../models.js';
+import { eventBus, showToast } from '../state.js';
+import { showModal, closeModal } from './layout.js';
+import { showMergeEditor } from './merge.js';
+
+const FIELD_LABELS = {
+    title: 'Titel',
+    description: 'Beschreibung',
+    tags: 'Tags',
+    variables: 'Variablen',
+    archived: 'Archiviert'
+};
+
+/**
+ * Show the conflict dialog
+ * @returns {Promise<void>}
+ */
+export async function showConflictDialog() {
+    const content = document.createElement('div');
+    content.className = 'conflict-list';
+
+    const overlay = showModal(content, { title: 'Sync-Konflikte' });
+    await renderConflicts(content, overlay);
+}
+
+/**
+ * Render all unresolved conflicts into the dialog
+ * @param {HTMLElement} content - Dialog body
+ * @param {HTMLElement} overlay - Modal overlay
+ * @returns {Promise<void>}
+ */
+async function renderConflicts(content, overlay) {
+    const conflicts = await getSyncConflicts();
+    const mergeConflicts = await getMergeConflicts();
+
+    if (conflicts.length === 0 && mergeConflicts.length === 0) {
+        closeModal(overlay);
+        showToast('Alle Konflikte gelöst', 'success');
+        return;
+    }
+
+    const locals = await Promise.all(conflicts.map(conflict => storage.getPrompt(conflict.promptId)));
+    const merged = await Promise.all(mergeConflicts.map(conflict => storage.getPrompt(conflict.promptId)));
+
+    content.innerHTML = `
+        ${conflicts.length > 0 ? `
+            <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
+                Diese Prompts wurden auf diesem und einem anderen Gerät geändert.
+                Versionen beider Geräte bleiben in jedem Fall erhalten.
+            </p>
+            ${conflicts.map((conflict, i) => renderConflict(conflict, locals[i])).join('')}
+        ` : ''}
+        ${mergeConflicts.length > 0 ? `
+            <p style="color: var(--fg-secondary); font-size: 0.875rem; margin: 1rem 0;">
+                Der Inhalt dieser Prompts wurde an zwei Stellen an denselben Zeilen geändert
+                und konnte nicht automatisch zusammengeführt werden.
+            </p>
+            ${mergeConflicts.map((conflict, i) => renderMergeConflict(conflict, merged[i])).join('')}
+        ` : ''}
+    `;
+
+    content.querySelectorAll('[data-merge]').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (await showMergeEditor(button.dataset.merge)) {
+                eventBus.emit('remoteChanges', { promptIds: [button.dataset.merge] });
+                await renderConflicts(content, overlay);
+            }
+        });
+    });
+
+    content.querySelectorAll('[data-resolve]').forEach(button => {
+        button.addEventListener('click', async () => {
+            content.querySelectorAll('button').forEach(b => { b.disabled = true; });
+
+            try {
+                await resolveConflict(button.dataset.promptId, button.dataset.resolve);
+            } catch (error) {
+                console.error('Resolving conflict failed:', error);
+                showToast('Konflikt konnte nicht gelöst werden', 'error');
+            }
+
+            await renderConflicts(content, overlay);
+        });
+    });
+}
+
+/**
+ * Render one conflict as a field comparison
+ * @param {Object} conflict - {promptId, remote, detectedAt}
+ * @param {Object|undefined} local - Local prompt (undefined if deleted locally)
+ * @returns {string} - HTML
+ */
+function renderConflict(conflict, local) {
+    const { promptId, remote, detectedAt } = conflict;
+    const title = escapeHtml((local || remote || {}).title || promptId);
+
+    let rows;
+    if (!local || !remote) {
+        rows = `
+            <tr>
+                <td>Status</td>
+                <td>${local ? 'geändert' : 'gelöscht'}</td>
+                <td>${remote ? 'geändert' : 'gelöscht'}</td>
+            </tr>
+        `;
+    } else {
+        rows = Object.keys(FIELD_LABELS)
+            .filter(field => JSON.stringify(local[field] ?? null) !== JSON.stringify(remote[field] ?? null))
+            .map(field => `
+                <tr>
+                    <td>${FIELD_LABELS[field]}</td>
+                    <td>${formatField(field, local[field])}</td>
+                    <td>${formatField(field, remote[field])}</td>
+                </tr>
+            `).join('');
+    }
+
+    return `
+        <div class="conflict-item">
+            <h4>${title}</h4>
+            <small style="color: var(--fg-tertiary);">Erkannt ${formatDateTime(detectedAt)}</small>
+            <table class="conflict-table">
+                <thead>
+                    <tr><th></th><th>Dieses Gerät</th><th>Anderes Gerät</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="conflict-actions">
+                <button class="secondary-button" data-resolve="local" data-prompt-id="${promptId}">Meine behalten</button>
+                <button class="secondary-button" data-resolve="remote" data-prompt-id="${promptId}">Andere übernehmen</button>
+                ${local && remote ? `
+                    <button class="secondary-button" data-resolve="both" data-prompt-id="${promptId}">Beide behalten</button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render one content conflict
+ * @param {Object} conflict - {promptId, ours, theirs, detectedAt}
+ * @param {Object|undefined} prompt - Local prompt
+ * @returns {string} - HTML
+ */
+function renderMergeConflict(conflict, prompt) {
+    const { promptId, ours, theirs, detectedAt } = conflict;
+
+    return `
+        <div class="conflict-item">
+            <h4>${escapeHtml(prompt ? prompt.title : promptId)}</h4>
+            <small style="color: var(--fg-tertiary);">
+                ${escapeHtml(ours.version)} und ${escapeHtml(theirs.version)} · Erkannt ${formatDateTime(detectedAt)}
+            </small>
+            <div class="conflict-actions" style="margin-top: 0.75rem;">
+                <button class="secondary-button" data-merge="${promptId}">Zusammenführen...</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Format a prompt field for the comparison table
+ * @param {string} field
+ * @param {*} value
+ * @returns {string} - HTML
+ */
+function formatField(field, value) {
+    if (field === 'tags') return escapeHtml(formatTags(value));
+    if (field === 'variables') return escapeHtml(Object.keys(value || {}).join(', '));
+    if (field === 'archived') return value ? 'Ja' : 'Nein';
+    return escapeHtml(value || '');
+}
+
+/**
+ * Escape HTML
+ * @param {string} str - String to escape
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+export default {
+    showConflictDialog
+};
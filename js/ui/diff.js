@@ -1,38 +1,407 @@
 /**
  * Diff View Component
- * Line-by-line diff visualization
+ * Myers O(ND) line diff with word-/character-level highlighting and hunk grouping
+ * All diff functions are pure and can be reused outside the view (e.g. merge/import)
  */
 
+const DEFAULT_CONTEXT = 3;
+
+// Intra-line highlighting is skipped for line pairs that share too little
+const MIN_LINE_SIMILARITY = 0.4;
+
+// Character diff falls back to word diff above this line length
+const MAX_CHAR_DIFF_LENGTH = 2000;
+
+// ========================================
+// Core Algorithm
+// ========================================
+
+/**
+ * Compute the shortest edit script between two sequences (Myers, O(ND))
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @returns {Array<{type: string, value: *, oldIndex: number|null, newIndex: number|null}>}
+ *          type is "unchanged", "removed" or "added"
+ */
+export function diffSequences(a, b) {
+    // Trim common prefix and suffix, they never take part in the edit script
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const result = [];
+    for (let i = 0; i < start; i++) {
+        result.push({ type: 'unchanged', value: a[i], oldIndex: i, newIndex: i });
+    }
+
+    const middle = myers(a.slice(start, endA), b.slice(start, endB));
+    middle.forEach(op => {
+        result.push({
+            ...op,
+            oldIndex: op.oldIndex === null ? null : op.oldIndex + start,
+            newIndex: op.newIndex === null ? null : op.newIndex + start
+        });
+    });
+
+    for (let i = 0; i < a.length - endA; i++) {
+        result.push({ type: 'unchanged', value: a[endA + i], oldIndex: endA + i, newIndex: endB + i });
+    }
+
+    return result;
+}
+
+/**
+ * Myers greedy algorithm with trace-based backtracking
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @returns {Array} - Edit script
+ */
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    if (n === 0) {
+        return b.map((value, j) => ({ type: 'added', value, oldIndex: null, newIndex: j }));
+    }
+    if (m === 0) {
+        return a.map((value, i) => ({ type: 'removed', value, oldIndex: i, newIndex: null }));
+    }
+
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    outer:
+    for (let d = 0; d <= max; d++) {
+        // Only diagonals -d..d are relevant in step d
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                break outer;
+            }
+        }
+    }
+
+    // Backtrack from (n, m) to (0, 0)
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const get = (k) => snapshot[k + d + 1];
+        const k = x - y;
+
+        const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : get(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            ops.push({ type: 'unchanged', value: a[x], oldIndex: x, newIndex: y });
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                y--;
+                ops.push({ type: 'added', value: b[y], oldIndex: null, newIndex: y });
+            } else {
+                x--;
+                ops.push({ type: 'removed', value: a[x], oldIndex: x, newIndex: null });
+            }
+        }
+    }
+
+    return ops.reverse();
+}
+
+// ========================================
+// Line / Word / Character Diffs
+// ========================================
+
+/**
+ * Line diff with intra-line highlighting for modified lines
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @param {Object} [options]
+ * @param {string} [options.granularity] - "word" (default), "char" or "none"
+ * @returns {Array<{type: string, content: string, oldLine: number|null, newLine: number|null, segments?: Array}>}
+ *          Line numbers are 1-based; segments are only set on paired modified lines
+ */
+export function diffLines(oldText, newText, options = {}) {
+    const granularity = options.granularity || 'word';
+    const ops = diffSequences(splitLines(oldText), splitLines(newText));
+
+    const lines = ops.map(op => ({
+        type: op.type,
+        content: op.value,
+        oldLine: op.oldIndex === null ? null : op.oldIndex + 1,
+        newLine: op.newIndex === null ? null : op.newIndex + 1
+    }));
+
+    if (granularity !== 'none') {
+        highlightModifiedLines(lines, granularity);
+    }
+
+    return lines;
+}
+
+/**
+ * Word-level diff of two strings
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {Array<{type: string, text: string}>}
+ */
+export function diffWords(oldText, newText) {
+    return mergeSegments(diffSequences(splitWords(oldText), splitWords(newText)));
+}
+
+/**
+ * Character-level diff of two strings
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {Array<{type: string, text: string}>}
+ */
+export function diffChars(oldText, newText) {
+    return mergeSegments(diffSequences(Array.from(oldText || ''), Array.from(newText || '')));
+}
+
+/**
+ * Pair removed/added lines within each change block and attach intra-line segments
+ * @param {Array} lines - Line diff (mutated)
+ * @param {string} granularity - "word" or "char"
+ */
+function highlightModifiedLines(lines, granularity) {
+    let i = 0;
+
+    while (i < lines.length) {
+        if (lines[i].type === 'unchanged') {
+            i++;
+            continue;
+        }
+
+        const removed = [];
+        const added = [];
+        while (i < lines.length && lines[i].type !== 'unchanged') {
+            (lines[i].type === 'removed' ? removed : added).push(lines[i]);
+            i++;
+        }
+
+        const pairs = Math.min(removed.length, added.length);
+        for (let p = 0; p < pairs; p++) {
+            const oldContent = removed[p].content;
+            const newContent = added[p].content;
+            const useChars = granularity === 'char' &&
+                oldContent.length + newContent.length <= MAX_CHAR_DIFF_LENGTH;
+            const segments = useChars ? diffChars(oldContent, newContent) : diffWords(oldContent, newContent);
+
+            if (similarity(segments) < MIN_LINE_SIMILARITY) {
+                continue;
+            }
+
+            removed[p].segments = sideSegments(segments, 'added');
+            added[p].segments = sideSegments(segments, 'removed');
+        }
+    }
+}
+
+/**
+ * Segments of one side (drop the other side's changes, re-join unchanged runs)
+ * @param {Array<{type: string, text: string}>} segments
+ * @param {string} exclude - Segment type to drop
+ * @returns {Array<{type: string, text: string}>}
+ */
+function sideSegments(segments, exclude) {
+    return mergeSegments(segments
+        .filter(segment => segment.type !== exclude)
+        .map(segment => ({ type: segment.type, value: segment.text })));
+}
+
+/**
+ * Share of unchanged text in a segment list
+ * @param {Array<{type: string, text: string}>} segments
+ * @returns {number} - 0..1
+ */
+function similarity(segments) {
+    let same = 0;
+    let total = 0;
+
+    segments.forEach(segment => {
+        const length = segment.text.trim().length;
+        total += length;
+        if (segment.type === 'unchanged') {
+            same += length * 2;
+            total += length;
+        }
+    });
+
+    return total === 0 ? 1 : same / total;
+}
+
+/**
+ * Merge consecutive ops of the same type into text segments
+ * @param {Array} ops - Edit script of string tokens
+ * @returns {Array<{type: string, text: string}>}
+ */
+function mergeSegments(ops) {
+    const segments = [];
+
+    ops.forEach(op => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === op.type) {
+            last.text += op.value;
+        } else {
+            segments.push({ type: op.type, text: op.value });
+        }
+    });
+
+    return segments;
+}
+
+/**
+ * Split text into lines
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+    return text ? text.split('\n') : [];
+}
+
+/**
+ * Split text into words, whitespace runs and single punctuation characters
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitWords(text) {
+    return text ? text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) : [];
+}
+
+// ========================================
+// Hunks
+// ========================================
+
+/**
+ * Group a line diff into hunks with surrounding context
+ * Unchanged lines outside the context are returned as collapsed blocks
+ * @param {Array} lines - Result of diffLines()
+ * @param {number} [context] - Unchanged lines to keep around each change
+ * @returns {Array<{type: string, lines: Array, oldStart?: number, oldCount?: number, newStart?: number, newCount?: number}>}
+ *          type is "hunk" or "collapsed"
+ */
+export function groupHunks(lines, context = DEFAULT_CONTEXT) {
+    const changed = lines.map(line => line.type !== 'unchanged');
+    const visible = lines.map((_, index) => {
+        const from = Math.max(0, index - context);
+        const to = Math.min(lines.length - 1, index + context);
+        for (let i = from; i <= to; i++) {
+            if (changed[i]) return true;
+        }
+        return false;
+    });
+
+    const blocks = [];
+    lines.forEach((line, index) => {
+        const type = visible[index] ? 'hunk' : 'collapsed';
+        const last = blocks[blocks.length - 1];
+
+        if (last && last.type === type) {
+            last.lines.push(line);
+        } else {
+            blocks.push({ type, lines: [line] });
+        }
+    });
+
+    blocks.filter(block => block.type === 'hunk').forEach(hunk => {
+        const oldLines = hunk.lines.filter(l => l.oldLine !== null);
+        const newLines = hunk.lines.filter(l => l.newLine !== null);
+        hunk.oldStart = oldLines.length > 0 ? oldLines[0].oldLine : 0;
+        hunk.oldCount = oldLines.length;
+        hunk.newStart = newLines.length > 0 ? newLines[0].newLine : 0;
+        hunk.newCount = newLines.length;
+    });
+
+    return blocks;
+}
+
+/**
+ * Compute a complete diff (lines, hunks and stats)
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @param {Object} [options]
+ * @param {string} [options.granularity] - "word" (default), "char" or "none"
+ * @param {number} [options.context] - Context lines around changes
+ * @returns {{lines: Array, hunks: Array, stats: {added: number, removed: number, unchanged: number}}}
+ */
+export function computeDiff(oldText, newText, options = {}) {
+    const lines = diffLines(oldText || '', newText || '', options);
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+    lines.forEach(line => stats[line.type]++);
+
+    return {
+        lines,
+        hunks: groupHunks(lines, options.context ?? DEFAULT_CONTEXT),
+        stats
+    };
+}
+
+// ========================================
+// Rendering
+// ========================================
+
 /**
  * Render diff between two texts
  * @param {string} oldText - Old text
  * @param {string} newText - New text
+ * @param {Object} [options] - See computeDiff()
  * @returns {string} - HTML string
  */
-export function renderDiff(oldText, newText) {
-    const oldLines = oldText.split('\n');
-    const newLines = newText.split('\n');
+export function renderDiff(oldText, newText, options = {}) {
+    const { hunks, stats } = computeDiff(oldText, newText, options);
 
-    const diff = computeDiff(oldLines, newLines);
+    if (stats.added === 0 && stats.removed === 0) {
+        return '<div class="diff-container"><p class="diff-empty">Keine Unterschiede</p></div>';
+    }
 
     const html = `
         <div class="diff-container">
-            ${diff.map(line => {
-                let className = 'diff-line';
-                let prefix = ' ';
-
-                if (line.type === 'added') {
-                    className += ' added';
-                    prefix = '+';
-                } else if (line.type === 'removed') {
-                    className += ' removed';
-                    prefix = '-';
-                } else {
-                    className += ' unchanged';
-                }
-
-                return `<div class="${className}">${prefix} ${escapeHtml(line.content)}</div>`;
-            }).join('')}
+            <div class="diff-stats">
+                <span class="diff-stat-added">+${stats.added}</span>
+                <span class="diff-stat-removed">−${stats.removed}</span>
+            </div>
+            ${hunks.map(block => block.type === 'hunk' ? `
+                <div class="diff-hunk">
+                    <div class="diff-hunk-header">@@ -${block.oldStart},${block.oldCount} +${block.newStart},${block.newCount} @@</div>
+                    ${block.lines.map(renderLine).join('')}
+                </div>
+            ` : `
+                <details class="diff-collapsed">
+                    <summary>${block.lines.length} unveränderte Zeile${block.lines.length === 1 ? '' : 'n'}</summary>
+                    ${block.lines.map(renderLine).join('')}
+                </details>
+            `).join('')}
         </div>
     `;
 
@@ -40,60 +409,124 @@ export function renderDiff(oldText, newText) {
 }
 
 /**
- * Compute diff (simple line-based algorithm)
- * @param {Array<string>} oldLines - Old lines
- * @param {Array<string>} newLines - New lines
- * @returns {Array<{type: string, content: string}>}
+ * Render two texts side by side (old left, new right)
+ * Paired modified lines share a row
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @param {Object} [options] - See computeDiff()
+ * @returns {string} - HTML string
  */
-function computeDiff(oldLines, newLines) {
-    const result = [];
-    const maxLen = Math.max(oldLines.length, newLines.length);
+export function renderSideBySide(oldText, newText, options = {}) {
+    const { hunks, stats } = computeDiff(oldText, newText, options);
+
+    if (stats.added === 0 && stats.removed === 0) {
+        return '<div class="diff-container"><p class="diff-empty">Keine Unterschiede</p></div>';
+    }
+
+    const renderTable = (lines) => `
+        <table class="diff-table">
+            <colgroup><col class="diff-num-col"><col><col class="diff-num-col"><col></colgroup>
+            <tbody>
+                ${buildRows(lines).map(({ left, right }) => `
+                    <tr class="diff-row ${left?.type !== 'unchanged' || right?.type !== 'unchanged' ? 'changed' : ''}">
+                        ${renderCell(left, 'oldLine')}
+                        ${renderCell(right, 'newLine')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    return `
+        <div class="diff-container diff-split">
+            <div class="diff-stats">
+                <span class="diff-stat-added">+${stats.added}</span>
+                <span class="diff-stat-removed">−${stats.removed}</span>
+            </div>
+            ${hunks.map(block => block.type === 'hunk' ? `
+                <div class="diff-hunk">
+                    <div class="diff-hunk-header">@@ -${block.oldStart},${block.oldCount} +${block.newStart},${block.newCount} @@</div>
+                    ${renderTable(block.lines)}
+                </div>
+            ` : `
+                <details class="diff-collapsed">
+                    <summary>${block.lines.length} unveränderte Zeile${block.lines.length === 1 ? '' : 'n'}</summary>
+                    ${renderTable(block.lines)}
+                </details>
+            `).join('')}
+        </div>
+    `;
+}
 
+/**
+ * Build side-by-side rows: unchanged lines on both sides, change blocks paired up
+ * @param {Array} lines - Diff lines
+ * @returns {Array<{left: Object|null, right: Object|null}>}
+ */
+function buildRows(lines) {
+    const rows = [];
     let i = 0;
-    let j = 0;
-
-    while (i < oldLines.length || j < newLines.length) {
-        const oldLine = oldLines[i];
-        const newLine = newLines[j];
-
-        if (i >= oldLines.length) {
-            // Only new lines left
-            result.push({ type: 'added', content: newLine });
-            j++;
-        } else if (j >= newLines.length) {
-            // Only old lines left
-            result.push({ type: 'removed', content: oldLine });
+
+    while (i < lines.length) {
+        if (lines[i].type === 'unchanged') {
+            rows.push({ left: lines[i], right: lines[i] });
             i++;
-        } else if (oldLine === newLine) {
-            // Lines match
-            result.push({ type: 'unchanged', content: oldLine });
+            continue;
+        }
+
+        const removed = [];
+        const added = [];
+        while (i < lines.length && lines[i].type !== 'unchanged') {
+            (lines[i].type === 'removed' ? removed : added).push(lines[i]);
             i++;
-            j++;
-        } else {
-            // Lines differ - use LCS approach
-            // For simplicity, we'll check if the next line matches
-            const oldMatchesNext = oldLines[i + 1] === newLine;
-            const newMatchesNext = newLines[j + 1] === oldLine;
-
-            if (oldMatchesNext && !newMatchesNext) {
-                // Old line was removed
-                result.push({ type: 'removed', content: oldLine });
-                i++;
-            } else if (newMatchesNext && !oldMatchesNext) {
-                // New line was added
-                result.push({ type: 'added', content: newLine });
-                j++;
-            } else {
-                // Both lines changed
-                result.push({ type: 'removed', content: oldLine });
-                result.push({ type: 'added', content: newLine });
-                i++;
-                j++;
-            }
+        }
+
+        for (let r = 0; r < Math.max(removed.length, added.length); r++) {
+            rows.push({ left: removed[r] || null, right: added[r] || null });
         }
     }
 
-    return result;
+    return rows;
+}
+
+/**
+ * Render line number and content cells of one side
+ * @param {Object|null} line - Diff line (null = empty filler)
+ * @param {string} numberField - "oldLine" or "newLine"
+ * @returns {string} - HTML string
+ */
+function renderCell(line, numberField) {
+    if (!line) {
+        return '<td class="diff-num"></td><td class="diff-cell empty"></td>';
+    }
+
+    return `<td class="diff-num">${line[numberField]}</td><td class="diff-cell ${line.type}">${renderContent(line)}</td>`;
+}
+
+/**
+ * Render a single diff line
+ * @param {Object} line - Diff line
+ * @returns {string} - HTML string
+ */
+export function renderLine(line) {
+    const prefix = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+    return `<div class="diff-line ${line.type}">${prefix} ${renderContent(line)}</div>`;
+}
+
+/**
+ * Render line content with intra-line highlights
+ * @param {Object} line - Diff line
+ * @returns {string} - HTML string
+ */
+function renderContent(line) {
+    if (!line.segments) {
+        return escapeHtml(line.content);
+    }
+
+    return line.segments.map(segment => segment.type === 'unchanged'
+        ? escapeHtml(segment.text)
+        : `<span class="diff-inline ${segment.type}">${escapeHtml(segment.text)}</span>`
+    ).join('');
 }
 
 /**
@@ -112,5 +545,13 @@ function escapeHtml(str) {
 }
 
 export default {
-    renderDiff
+    diffSequences,
+    diffLines,
+    diffWords,
+    diffChars,
+    groupHunks,
+    computeDiff,
+    renderDiff,
+    renderSideBySide,
+    renderLine
 };
@@ -3,14 +3,44 @@
  * Edit prompts, manage versions, view diffs
  */
 
-import { getPrompt, updatePrompt, createPrompt, createVersion, getVersionsByPrompt, getLatestVersion, rollbackToVersion, deletePrompt } from '../db.js';
+import { storage } from '../adapters/registry.js';
+import { getMergeConflicts } from '../db.js';
+import { encryptData, decryptData } from '../crypto.js';
 import { formatDate, formatDateTime, parseTags } from '../models.js';
-import { navigate, showToast, showConfirm } from '../state.js';
-import { renderDiff } from './diff.js';
+import { appState, eventBus, navigate, showToast, showConfirm } from '../state.js';
+import { renderVariablesEditor, readVariablesEditor, showTemplateDialog } from './variables.js';
+import { showMergeEditor } from './merge.js';
 
 let currentPrompt = null;
 let currentVersions = [];
 let currentTab = 'content';
+let hasMergeConflict = false;
+
+// Form values edited but not saved yet, kept while switching tabs
+// ({title, description, tags, content, notes, variables}, each only once edited)
+let unsavedForm = {};
+
+// Unsaved edits of the open prompt while the app is locked ({promptId, tab, data}),
+// unsavedForm encrypted with the key of the locked session
+let lockedDraft = null;
+
+// Reload held back for unsaved edits (see showReloadWarning)
+let pendingReload = null;
+
+// Drop decrypted data when the app locks
+eventBus.on('locked', () => {
+    currentPrompt = null;
+    currentVersions = [];
+    unsavedForm = {};
+});
+
+// The open prompt may have been changed in another tab or on another device
+eventBus.on('remoteChanges', ({ promptIds }) => {
+    if (!currentPrompt || appState.get('route') !== 'editor') return;
+    if (promptIds && !promptIds.includes(currentPrompt.id)) return;
+
+    handleChangedElsewhere().catch(error => console.error('Refreshing editor failed:', error));
+});
 
 /**
  * Render editor view
@@ -26,17 +56,27 @@ export async function renderEditor(promptId, container) {
         currentPrompt = null;
         currentVersions = [];
         currentTab = 'content';
+        hasMergeConflict = false;
     } else {
-        currentPrompt = await getPrompt(promptId);
+        currentPrompt = await storage.getPrompt(promptId);
         if (!currentPrompt) {
             showToast('Prompt nicht gefunden', 'error');
             navigate('home');
             return;
         }
-        currentVersions = await getVersionsByPrompt(promptId);
+        currentVersions = await storage.getVersionsByPrompt(promptId);
+        hasMergeConflict = (await getMergeConflicts()).some(conflict => conflict.promptId === promptId);
+    }
+
+    const draft = lockedDraft && lockedDraft.promptId === promptId ? lockedDraft : null;
+    lockedDraft = null;
+    unsavedForm = {};
+    if (draft) {
+        currentTab = draft.tab;
+        await restoreDraft(draft);
     }
 
-    renderEditorUI(container);
+    await renderEditorUI(container);
 }
 
 /**
@@ -45,28 +85,36 @@ export async function renderEditor(promptId, container) {
  */
 async function renderEditorUI(container) {
     const isNew = !currentPrompt;
-    const latestVersion = !isNew ? await getLatestVersion(currentPrompt.id) : null;
+    const latestVersion = !isNew ? await storage.getLatestVersion(currentPrompt.id) : null;
 
     const html = `
         <div class="editor-container">
+            ${hasMergeConflict ? `
+                <div class="editor-merge-warning" role="alert">
+                    <span>Der Inhalt wurde an zwei Stellen an denselben Zeilen geändert und konnte nicht automatisch zusammengeführt werden.</span>
+                    <button class="secondary-button" id="editor-merge">Zusammenführen</button>
+                </div>
+            ` : ''}
             <div class="editor-header">
                 <input
                     type="text"
                     id="editor-title"
                     placeholder="Prompt Titel"
-                    value="${isNew ? '' : escapeHtml(currentPrompt.title)}"
+                    maxlength="200"
+                    value="${escapeHtml(unsavedForm.title ?? (isNew ? '' : currentPrompt.title))}"
                     style="font-size: 1.5rem; font-weight: 600;"
                 >
                 <textarea
                     id="editor-description"
                     placeholder="Kurzbeschreibung (optional)"
+                    maxlength="500"
                     rows="2"
-                >${isNew ? '' : escapeHtml(currentPrompt.description)}</textarea>
+                >${escapeHtml(unsavedForm.description ?? (isNew ? '' : currentPrompt.description))}</textarea>
                 <input
                     type="text"
                     id="editor-tags"
                     placeholder="Tags (kommagetrennt, z.B. ai, copy, collection:website)"
-                    value="${isNew ? '' : currentPrompt.tags.join(', ')}"
+                    value="${escapeHtml(unsavedForm.tags ?? (isNew ? '' : currentPrompt.tags.join(', ')))}"
                 >
             </div>
 
@@ -81,6 +129,9 @@ async function renderEditorUI(container) {
                     <button class="editor-tab ${currentTab === 'notes' ? 'active' : ''}" data-tab="notes">
                         Notizen
                     </button>
+                    <button class="editor-tab ${currentTab === 'variables' ? 'active' : ''}" data-tab="variables">
+                        Variablen
+                    </button>
                 </div>
             ` : ''}
 
@@ -93,6 +144,9 @@ async function renderEditorUI(container) {
                     Abbrechen
                 </button>
                 ${!isNew ? `
+                    <button class="secondary-button" id="editor-use">
+                        Verwenden
+                    </button>
                     <button class="secondary-button" id="editor-new-version">
                         Neue Version
                     </button>
@@ -109,6 +163,10 @@ async function renderEditorUI(container) {
 
     container.innerHTML = html;
     attachEditorHandlers(container);
+
+    if (pendingReload) {
+        showReloadWarning(pendingReload);
+    }
 }
 
 /**
@@ -123,20 +181,18 @@ function renderTabContent() {
                 id="editor-content"
                 placeholder="Prompt-Inhalt..."
                 style="width: 100%; min-height: 400px;"
-            ></textarea>
+            >${escapeHtml(unsavedForm.content)}</textarea>
         `;
     }
 
     switch (currentTab) {
-        case 'content': {
-            const latestVersion = currentVersions.length > 0 ? currentVersions[0] : null;
+        case 'content':
             return `
                 <textarea
                     id="editor-content"
                     placeholder="Prompt-Inhalt..."
-                >${latestVersion ? escapeHtml(latestVersion.content) : ''}</textarea>
+                >${escapeHtml(getEditorContent())}</textarea>
             `;
-        }
 
         case 'versions':
             return renderVersionsList();
@@ -148,10 +204,14 @@ function renderTabContent() {
                     id="editor-notes"
                     placeholder="Notizen zur aktuellen Version..."
                     style="width: 100%; min-height: 400px;"
-                >${latest && latest.notes ? escapeHtml(latest.notes) : ''}</textarea>
+                >${escapeHtml(unsavedForm.notes ?? (latest ? latest.notes : ''))}</textarea>
             `;
         }
 
+        case 'variables':
+            // Placeholders of the edited content, not only of the saved version
+            return renderVariablesEditor(getEditorContent(), unsavedForm.variables ?? currentPrompt.variables);
+
         default:
             return '';
     }
@@ -167,6 +227,11 @@ function renderVersionsList() {
     }
 
     return `
+        ${currentVersions.length > 1 ? `
+            <div class="version-list-actions">
+                <button class="secondary-button" id="editor-compare">Versionen vergleichen</button>
+            </div>
+        ` : ''}
         <div class="version-list">
             ${currentVersions.map((version, index) => `
                 <div class="version-item ${index === 0 ? 'current' : ''}" data-version-id="${version.id}">
@@ -202,6 +267,7 @@ function attachEditorHandlers(container) {
     // Tab switching
     container.querySelectorAll('.editor-tab').forEach(tab => {
         tab.addEventListener('click', () => {
+            keepUnsavedForm(container);
             currentTab = tab.dataset.tab;
             renderEditorUI(container);
         });
@@ -221,12 +287,36 @@ function attachEditorHandlers(container) {
         saveBtn.addEventListener('click', () => handleSave(container));
     }
 
+    // Merge button (content edited on two sides)
+    const mergeBtn = container.querySelector('#editor-merge');
+    if (mergeBtn) {
+        mergeBtn.addEventListener('click', async () => {
+            if (await showMergeEditor(currentPrompt.id)) {
+                await renderEditor(currentPrompt.id, container);
+            }
+        });
+    }
+
     // New version button
     const newVersionBtn = container.querySelector('#editor-new-version');
     if (newVersionBtn) {
         newVersionBtn.addEventListener('click', () => handleNewVersion(container));
     }
 
+    // Compare button (versions tab)
+    const compareBtn = container.querySelector('#editor-compare');
+    if (compareBtn) {
+        compareBtn.addEventListener('click', () => {
+            navigate('compare', { id: currentPrompt.id });
+        });
+    }
+
+    // Use button (fill in template variables and copy)
+    const useBtn = container.querySelector('#editor-use');
+    if (useBtn) {
+        useBtn.addEventListener('click', () => handleUse(container));
+    }
+
     // Delete button
     const deleteBtn = container.querySelector('#editor-delete');
     if (deleteBtn) {
@@ -254,17 +344,284 @@ function attachEditorHandlers(container) {
     }
 }
 
+// ========================================
+// Changes Made Elsewhere
+// ========================================
+
+/**
+ * Check whether a stored prompt differs from the one loaded into the editor
+ * @param {Object|undefined} prompt - Stored prompt
+ * @param {Array<Object>} versions - Stored versions, newest first
+ * @returns {boolean}
+ */
+function isChangedSinceLoad(prompt, versions) {
+    const latest = versions[0];
+    const loadedLatest = currentVersions[0];
+
+    return !prompt ||
+        prompt.updatedAt !== currentPrompt.updatedAt ||
+        versions.length !== currentVersions.length ||
+        (latest ? latest.id : null) !== (loadedLatest ? loadedLatest.id : null);
+}
+
+/**
+ * Keep the values of the rendered form before the editor is rendered again
+ * (tab switch), so edits on other tabs are not lost
+ * @param {HTMLElement} container
+ */
+function keepUnsavedForm(container) {
+    const value = selector => container.querySelector(selector)?.value;
+    const values = {
+        title: value('#editor-title'),
+        description: value('#editor-description'),
+        tags: value('#editor-tags'),
+        content: value('#editor-content'),
+        notes: value('#editor-notes'),
+        variables: readVariablesEditor(container)
+    };
+
+    Object.entries(values).forEach(([field, fieldValue]) => {
+        if (fieldValue !== undefined && fieldValue !== null) {
+            unsavedForm[field] = fieldValue;
+        }
+    });
+}
+
+/**
+ * Content of the editor: the textarea if shown, else the content edited
+ * before switching tabs, else the latest version
+ * @param {HTMLElement} [container]
+ * @returns {string}
+ */
+function getEditorContent(container) {
+    const contentArea = container && container.querySelector('#editor-content');
+    if (contentArea) return contentArea.value;
+
+    const latest = currentVersions[0];
+    return unsavedForm.content ?? (latest ? latest.content : '');
+}
+
+/**
+ * Read the editor form, including edits made on tabs that are not shown
+ * @param {HTMLElement} container
+ * @returns {{title: string, description: string, tags: Array<string>, variables: Object|null, content: string|null}}
+ *   variables and content are null if they were not edited
+ */
+function readForm(container) {
+    const contentArea = container.querySelector('#editor-content');
+
+    return {
+        title: container.querySelector('#editor-title').value.trim(),
+        description: container.querySelector('#editor-description').value.trim(),
+        tags: parseTags(container.querySelector('#editor-tags').value),
+        variables: currentPrompt ? readVariablesEditor(container) ?? unsavedForm.variables ?? null : null,
+        content: contentArea ? contentArea.value : unsavedForm.content ?? null
+    };
+}
+
+/**
+ * Fields of the open prompt the user changed since it was loaded
+ * @param {Object} form - See readForm
+ * @returns {Object} - Prompt fields (title, description, tags, variables) and content
+ */
+function getEditedFields(form) {
+    const latest = currentVersions[0];
+    const edited = {};
+
+    ['title', 'description', 'tags', 'variables'].forEach(field => {
+        if (form[field] !== null && JSON.stringify(form[field]) !== JSON.stringify(currentPrompt[field] ?? (field === 'variables' ? {} : ''))) {
+            edited[field] = form[field];
+        }
+    });
+
+    if (form.content !== null && form.content !== (latest ? latest.content : '')) {
+        edited.content = form.content;
+    }
+
+    return edited;
+}
+
+/**
+ * Reload the editor with the stored prompt, or warn if the user has
+ * unsaved edits that a reload would discard
+ * @returns {Promise<void>}
+ */
+async function handleChangedElsewhere() {
+    const container = document.getElementById('app-view');
+    const promptId = currentPrompt.id;
+    const prompt = await storage.getPrompt(promptId);
+    const versions = prompt ? await storage.getVersionsByPrompt(promptId) : [];
+
+    // Navigated away or already up to date (e.g. reloaded meanwhile)
+    if (!currentPrompt || currentPrompt.id !== promptId || !isChangedSinceLoad(prompt, versions)) return;
+    if (!container.querySelector('#editor-title')) return;
+
+    if (Object.keys(getEditedFields(readForm(container))).length > 0) {
+        showStaleWarning(container, !prompt);
+        return;
+    }
+
+    if (!prompt) {
+        showToast('Der Prompt wurde an anderer Stelle gelöscht', 'warning');
+        navigate('home');
+        return;
+    }
+
+    await renderEditor(promptId, container);
+    showToast('Der Prompt wurde an anderer Stelle geändert und neu geladen', 'info');
+}
+
+/**
+ * Show a warning above the form that the prompt changed elsewhere
+ * @param {HTMLElement} container
+ * @param {boolean} deleted - The prompt was deleted
+ */
+function showStaleWarning(container, deleted) {
+    const editor = container.querySelector('.editor-container');
+    if (!editor) return;
+
+    let warning = editor.querySelector('.editor-stale-warning');
+    if (!warning) {
+        warning = document.createElement('div');
+        warning.className = 'editor-stale-warning';
+        warning.setAttribute('role', 'alert');
+        editor.prepend(warning);
+    }
+
+    warning.innerHTML = `
+        <span>${deleted
+            ? 'Dieser Prompt wurde in einem anderen Tab oder auf einem anderen Gerät gelöscht.'
+            : 'Dieser Prompt wurde in einem anderen Tab oder auf einem anderen Gerät geändert. Beim Speichern werden nur deine Änderungen übernommen.'}</span>
+        <button class="secondary-button">${deleted ? 'Schließen' : 'Neu laden'}</button>
+    `;
+
+    warning.querySelector('button').addEventListener('click', () => {
+        if (deleted) {
+            navigate('home');
+        } else {
+            renderEditor(currentPrompt.id, container);
+        }
+    });
+}
+
+// ========================================
+// Unsaved Changes (Lock, Key Change)
+// ========================================
+
+/**
+ * Keep unsaved edits of the open editor across a lock
+ * Runs before the key is discarded: the form is held encrypted with it and
+ * filled in again when the prompt is rendered after unlocking.
+ * @returns {Promise<void>}
+ */
+export async function stashDraft() {
+    const container = document.getElementById('app-view');
+    if (appState.get('route') !== 'editor' || !container || !container.querySelector('#editor-title')) return;
+    if (!hasUnsavedEdits(container)) return;
+
+    keepUnsavedForm(container);
+    lockedDraft = {
+        promptId: currentPrompt ? currentPrompt.id : 'new',
+        tab: currentTab,
+        data: await encryptData(JSON.stringify(unsavedForm))
+    };
+}
+
+/**
+ * Check whether the open editor holds edits that are not saved
+ * @returns {boolean}
+ */
+export function hasUnsavedChanges() {
+    const container = document.getElementById('app-view');
+    if (appState.get('route') !== 'editor' || !container || !container.querySelector('#editor-title')) return false;
+
+    return hasUnsavedEdits(container);
+}
+
+/**
+ * Warn that the page must reload (the key changed in another tab) before
+ * unsaved edits can be saved; they can be copied first
+ * @param {Function} reload - Reloads the page
+ */
+export function showReloadWarning(reload) {
+    pendingReload = reload;
+
+    const container = document.getElementById('app-view');
+    const editor = container && container.querySelector('.editor-container');
+    if (!editor || editor.querySelector('.editor-reload-warning')) return;
+
+    const warning = document.createElement('div');
+    warning.className = 'editor-reload-warning';
+    warning.setAttribute('role', 'alert');
+    warning.innerHTML = `
+        <span>Das Passwort der Datenbank wurde in einem anderen Tab geändert. Änderungen lassen sich erst nach dem Neuladen speichern, ungespeicherte Änderungen gehen dabei verloren.</span>
+        <button class="secondary-button" data-action="copy">Änderungen kopieren</button>
+        <button class="secondary-button" data-action="reload">Neu laden</button>
+    `;
+    editor.prepend(warning);
+
+    warning.querySelector('[data-action="copy"]').addEventListener('click', async () => {
+        const form = readForm(container);
+        const text = [form.title, form.description, form.tags.join(', '), form.content]
+            .filter(Boolean)
+            .join('\n\n');
+
+        try {
+            await navigator.clipboard.writeText(text);
+            showToast('Änderungen in die Zwischenablage kopiert', 'success');
+        } catch (error) {
+            console.error('Copy failed:', error);
+            showToast('Kopieren fehlgeschlagen', 'error');
+        }
+    });
+    warning.querySelector('[data-action="reload"]').addEventListener('click', reload);
+}
+
+/**
+ * Check whether the rendered editor holds edits that are not saved
+ * @param {HTMLElement} container
+ * @returns {boolean}
+ */
+function hasUnsavedEdits(container) {
+    const form = readForm(container);
+
+    if (currentPrompt) {
+        return Object.keys(getEditedFields(form)).length > 0;
+    }
+    return !!(form.title || form.description || form.tags.length > 0 || form.content);
+}
+
+/**
+ * Take over a stashed draft as the unsaved form before the editor is rendered
+ * @param {Object} draft - See stashDraft
+ * @returns {Promise<void>}
+ */
+async function restoreDraft(draft) {
+    try {
+        unsavedForm = JSON.parse(await decryptData(draft.data));
+        showToast('Ungespeicherte Änderungen wiederhergestellt', 'info');
+    } catch (error) {
+        console.error('Restoring draft failed:', error);
+        showToast('Ungespeicherte Änderungen konnten nicht wiederhergestellt werden', 'warning');
+    }
+}
+
+// ========================================
+// Actions
+// ========================================
+
 /**
  * Handle save
+ * Only fields changed in this editor are written, so edits made meanwhile in
+ * another tab or on another device are kept unless the same field was changed
+ * (then the user is asked first).
  * @param {HTMLElement} container
  */
 async function handleSave(container) {
-    const title = container.querySelector('#editor-title').value.trim();
-    const description = container.querySelector('#editor-description').value.trim();
-    const tagsInput = container.querySelector('#editor-tags').value;
-    const tags = parseTags(tagsInput);
-    const content = container.querySelector('#editor-content')?.value || '';
-    const notes = container.querySelector('#editor-notes')?.value || '';
+    const form = readForm(container);
+    const { title, description, tags } = form;
+    const content = form.content || '';
+    const notes = container.querySelector('#editor-notes')?.value ?? unsavedForm.notes ?? '';
 
     if (!title) {
         showToast('Bitte Titel eingeben', 'warning');
@@ -274,7 +631,7 @@ async function handleSave(container) {
     try {
         if (!currentPrompt) {
             // Create new prompt
-            const promptId = await createPrompt({
+            const promptId = await storage.createPrompt({
                 title,
                 description,
                 tags,
@@ -284,17 +641,62 @@ async function handleSave(container) {
             showToast('Prompt erstellt', 'success');
             navigate('editor', { id: promptId });
         } else {
+            const edited = getEditedFields(form);
+            const stored = await storage.getPrompt(currentPrompt.id);
+
+            if (!stored) {
+                const confirmed = await showConfirm(
+                    'Dieser Prompt wurde in einem anderen Tab oder auf einem anderen Gerät gelöscht. Als neuen Prompt speichern?',
+                    'Prompt wurde gelöscht'
+                );
+                if (!confirmed) return;
+
+                const promptId = await storage.createPrompt({
+                    title,
+                    description,
+                    tags,
+                    variables: form.variables || currentPrompt.variables,
+                    content: form.content !== null ? form.content : (currentVersions[0] ? currentVersions[0].content : ''),
+                    notes
+                });
+                showToast('Prompt neu angelegt', 'success');
+                navigate('editor', { id: promptId });
+                return;
+            }
+
+            const storedVersions = await storage.getVersionsByPrompt(currentPrompt.id);
+            const storedLatest = storedVersions[0];
+
+            if (isChangedSinceLoad(stored, storedVersions)) {
+                const loadedLatest = currentVersions[0];
+                const overlapping = Object.keys(edited).filter(field => field === 'content'
+                    ? (storedLatest ? storedLatest.content : '') !== (loadedLatest ? loadedLatest.content : '')
+                    : JSON.stringify(stored[field]) !== JSON.stringify(currentPrompt[field]));
+
+                if (overlapping.length > 0) {
+                    const confirmed = await showConfirm(
+                        'Dieser Prompt wurde seit dem Öffnen in einem anderen Tab oder auf einem anderen Gerät geändert, ' +
+                        'teils in denselben Feldern. Deine Fassung überschreibt diese Felder; geänderter Inhalt wird als neue Version gespeichert, ' +
+                        'die andere Fassung bleibt in den Versionen erhalten.',
+                        'Trotzdem speichern?'
+                    );
+                    if (!confirmed) return;
+                }
+            }
+
             // Update existing prompt
-            await updatePrompt(currentPrompt.id, {
-                title,
-                description,
-                tags
+            const updates = {};
+            ['title', 'description', 'tags', 'variables'].forEach(field => {
+                if (field in edited) {
+                    updates[field] = edited[field];
+                }
             });
 
-            // Update content in latest version if changed
-            const latestVersion = currentVersions[0];
-            if (latestVersion && currentTab === 'content' && content !== latestVersion.content) {
-                await createVersion(currentPrompt.id, content, `Aktualisiert am ${formatDateTime(Date.now())}`);
+            await storage.updatePrompt(currentPrompt.id, updates);
+
+            // New version if the content was edited here (compared with what is stored now)
+            if (storedLatest && 'content' in edited && edited.content !== storedLatest.content) {
+                await storage.createVersion(currentPrompt.id, edited.content, `Aktualisiert am ${formatDateTime(Date.now())}`);
             }
 
             showToast('Prompt gespeichert', 'success');
@@ -311,10 +713,10 @@ async function handleSave(container) {
  * @param {HTMLElement} container
  */
 async function handleNewVersion(container) {
-    const content = container.querySelector('#editor-content')?.value || '';
+    const content = getEditorContent(container);
 
     try {
-        await createVersion(currentPrompt.id, content, `Neue Version erstellt am ${formatDateTime(Date.now())}`);
+        await storage.createVersion(currentPrompt.id, content, `Neue Version erstellt am ${formatDateTime(Date.now())}`);
         showToast('Neue Version erstellt', 'success');
         renderEditor(currentPrompt.id, container);
     } catch (error) {
@@ -323,6 +725,15 @@ async function handleNewVersion(container) {
     }
 }
 
+/**
+ * Handle use: open fill-in dialog for the current content
+ * @param {HTMLElement} container
+ */
+function handleUse(container) {
+    const variables = readForm(container).variables ?? currentPrompt.variables;
+    showTemplateDialog(getEditorContent(container), variables);
+}
+
 /**
  * Handle delete
  */
@@ -331,7 +742,7 @@ async function handleDelete() {
 
     if (confirmed) {
         try {
-            await deletePrompt(currentPrompt.id, false); // Soft delete
+            await storage.deletePrompt(currentPrompt.id, false); // Soft delete
             showToast('Prompt gelöscht', 'success');
             navigate('home');
         } catch (error) {
@@ -365,21 +776,16 @@ async function handleVersionAction(action, versionId, container) {
             break;
         }
 
-        case 'diff': {
-            // Show diff with current version
-            currentTab = 'diff';
-            const diffContainer = container.querySelector('#editor-tab-content');
-            if (diffContainer && currentVersions[0]) {
-                diffContainer.innerHTML = renderDiff(currentVersions[0].content, version.content);
-            }
+        case 'diff':
+            // Compare selected version with the current one
+            navigate('compare', { id: currentPrompt.id, a: version.id, b: currentVersions[0].id });
             break;
-        }
 
         case 'rollback': {
             const confirmed = await showConfirm(`Rollback zu ${version.version}?`, 'Version wiederherstellen');
             if (confirmed) {
                 try {
-                    await rollbackToVersion(versionId);
+                    await storage.rollbackToVersion(versionId);
                     showToast('Rollback erfolgreich', 'success');
                     renderEditor(currentPrompt.id, container);
                 } catch (error) {
@@ -405,5 +811,8 @@ function escapeHtml(str) {
 }
 
 export default {
-    renderEditor
+    renderEditor,
+    stashDraft,
+    hasUnsavedChanges,
+    showReloadWarning
 };
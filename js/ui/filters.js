@@ -1,10 +1,20 @@
 /**
  * Filters Component
- * Tag filters and smart filters in sidebar
+ * Tag filters, sort order and saved searches (smart filters) in sidebar
  */
 
-import { getAllTags } from '../db.js';
-import { appState, eventBus } from '../state.js';
+import { getSavedSearches, countSavedSearches, createSavedSearch, updateSavedSearch, deleteSavedSearch, reorderSavedSearches } from '../db.js';
+import { storage } from '../adapters/registry.js';
+import { parseSearchQuery } from '../query.js';
+import { parseTags, formatTags } from '../models.js';
+import { appState, eventBus, navigate, showToast, showConfirm } from '../state.js';
+import { showModal, closeModal } from './layout.js';
+
+const SORT_LABELS = {
+    updatedAt: 'Zuletzt geändert',
+    createdAt: 'Zuletzt erstellt',
+    title: 'Titel (A–Z)'
+};
 
 /**
  * Render tag filters in sidebar
@@ -13,9 +23,12 @@ export async function renderFilters() {
     const container = document.getElementById('tag-filters');
     if (!container) return;
 
-    const tags = await getAllTags();
+    const tags = await storage.getAllTags();
     const selectedTags = appState.get('selectedTags');
 
+    // Result counts of saved searches depend on the same data
+    await renderSmartFilters();
+
     if (tags.length === 0) {
         container.innerHTML = '<p style="color: var(--fg-tertiary); font-size: 0.875rem;">Keine Tags vorhanden</p>';
         return;
@@ -55,29 +68,254 @@ function handleTagFilterChange() {
 }
 
 /**
- * Initialize smart filters
+ * Initialize smart filters (saved searches) and sort select
  */
 export function initSmartFilters() {
-    const smartFilters = document.querySelectorAll('.smart-filters button');
+    const saveBtn = document.getElementById('save-search-btn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            const { searchQuery, selectedTags, sortBy } = appState.getState();
+            showSavedSearchDialog(
+                { name: '', query: searchQuery, tags: selectedTags, sortBy },
+                'Suche speichern',
+                async (data) => {
+                    const id = await createSavedSearch(data);
+                    appState.setState({ smartFilter: id });
+                    showToast('Smart Filter gespeichert', 'success');
+                }
+            );
+        });
+    }
 
-    smartFilters.forEach(button => {
-        button.addEventListener('click', () => {
-            const filter = button.dataset.filter;
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) {
+        sortSelect.value = appState.get('sortBy');
+        sortSelect.addEventListener('change', () => {
+            appState.setState({ sortBy: sortSelect.value, smartFilter: null });
+            eventBus.emit('filtersChanged');
+        });
+    }
+}
 
-            // Update active state
-            smartFilters.forEach(btn => btn.classList.remove('active'));
-            button.classList.add('active');
+/**
+ * Render saved searches with live result counts
+ */
+export async function renderSmartFilters() {
+    const container = document.getElementById('smart-filters');
+    if (!container) return;
 
-            // Clear tag filters
-            const tagCheckboxes = document.querySelectorAll('#tag-filters input[type="checkbox"]');
-            tagCheckboxes.forEach(cb => cb.checked = false);
+    const searches = await getSavedSearches();
+    const activeId = appState.get('smartFilter');
 
-            appState.setState({ smartFilter: filter, selectedTags: [] });
-            eventBus.emit('filtersChanged');
+    if (searches.length === 0) {
+        container.innerHTML = '<li><p style="color: var(--fg-tertiary); font-size: 0.875rem;">Keine Smart Filter gespeichert</p></li>';
+        return;
+    }
+
+    // All saved searches are evaluated against a single read of the prompts
+    const counts = (await countSavedSearches(searches)).map(count => count === null ? '!' : count);
+
+    container.innerHTML = searches.map((search, index) => `
+        <li class="smart-filter-item" data-search-id="${search.id}">
+            <button class="smart-filter-apply ${search.id === activeId ? 'active' : ''}" title="${escapeHtml(search.query)}">
+                <span>${escapeHtml(search.name)}</span>
+                <span class="tag-count">${counts[index]}</span>
+            </button>
+            <div class="smart-filter-actions">
+                <button data-action="up" aria-label="Nach oben" title="Nach oben" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button data-action="down" aria-label="Nach unten" title="Nach unten" ${index === searches.length - 1 ? 'disabled' : ''}>↓</button>
+                <button data-action="edit" aria-label="Bearbeiten" title="Bearbeiten">✎</button>
+                <button data-action="delete" aria-label="Löschen" title="Löschen">×</button>
+            </div>
+        </li>
+    `).join('');
+
+    container.querySelectorAll('.smart-filter-item').forEach(item => {
+        const search = searches.find(s => s.id === item.dataset.searchId);
+
+        item.querySelector('.smart-filter-apply').addEventListener('click', () => {
+            applySavedSearch(search);
+        });
+
+        item.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                handleSmartFilterAction(btn.dataset.action, search, searches);
+            });
         });
     });
 }
 
+/**
+ * Apply a saved search to the current state
+ * @param {Object} search - Saved search
+ */
+function applySavedSearch(search) {
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+        searchInput.value = search.query;
+    }
+
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) {
+        sortSelect.value = search.sortBy;
+    }
+
+    appState.setState({
+        smartFilter: search.id,
+        searchQuery: search.query,
+        selectedTags: [...search.tags],
+        sortBy: search.sortBy
+    });
+
+    if (appState.get('route') !== 'home') {
+        navigate('home');
+    }
+    eventBus.emit('filtersChanged');
+}
+
+/**
+ * Handle edit / delete / reorder of a saved search
+ * @param {string} action - Action type
+ * @param {Object} search - Saved search
+ * @param {Array} searches - All saved searches in current order
+ */
+async function handleSmartFilterAction(action, search, searches) {
+    switch (action) {
+        case 'up':
+        case 'down': {
+            const ids = searches.map(s => s.id);
+            const index = ids.indexOf(search.id);
+            const target = action === 'up' ? index - 1 : index + 1;
+            [ids[index], ids[target]] = [ids[target], ids[index]];
+            await reorderSavedSearches(ids);
+            await renderSmartFilters();
+            break;
+        }
+
+        case 'edit':
+            showSavedSearchDialog(search, 'Smart Filter bearbeiten', async (data) => {
+                await updateSavedSearch(search.id, data);
+                if (appState.get('smartFilter') === search.id) {
+                    applySavedSearch({ ...search, ...data });
+                }
+            });
+            break;
+
+        case 'delete': {
+            const confirmed = await showConfirm(`Smart Filter "${escapeHtml(search.name)}" löschen?`, 'Smart Filter löschen');
+            if (confirmed) {
+                await deleteSavedSearch(search.id);
+                if (appState.get('smartFilter') === search.id) {
+                    appState.setState({ smartFilter: null });
+                }
+                await renderSmartFilters();
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Show dialog to create or edit a saved search
+ * @param {Object} initial - Initial values (name, query, tags, sortBy)
+ * @param {string} title - Dialog title
+ * @param {Function} onSave - Called with the entered data
+ */
+function showSavedSearchDialog(initial, title, onSave) {
+    const form = document.createElement('form');
+    form.innerHTML = `
+        <div class="settings-field">
+            <label for="saved-search-name">Name</label>
+            <input type="text" id="saved-search-name" value="${escapeHtml(initial.name)}" placeholder="z.B. Meine SEO-Prompts" required>
+        </div>
+        <div class="settings-field">
+            <label for="saved-search-query">Suchanfrage</label>
+            <input type="text" id="saved-search-query" value="${escapeHtml(initial.query)}" placeholder="tag:seo -tag:draft">
+            <small class="field-error" id="saved-search-error"></small>
+        </div>
+        <div class="settings-field">
+            <label for="saved-search-tags">Tags (kommagetrennt)</label>
+            <input type="text" id="saved-search-tags" value="${escapeHtml(formatTags(initial.tags))}">
+        </div>
+        <div class="settings-field">
+            <label for="saved-search-sort">Sortierung</label>
+            <select id="saved-search-sort">
+                ${Object.entries(SORT_LABELS).map(([value, label]) => `
+                    <option value="${value}" ${value === initial.sortBy ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+        </div>
+    `;
+
+    const footer = document.createElement('div');
+    footer.style.display = 'flex';
+    footer.style.gap = '0.75rem';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'secondary-button';
+    cancelBtn.textContent = 'Abbrechen';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'primary-button';
+    saveBtn.textContent = 'Speichern';
+
+    footer.appendChild(cancelBtn);
+    footer.appendChild(saveBtn);
+
+    const overlay = showModal(form, { title, footer });
+
+    const submit = async () => {
+        const data = {
+            name: form.querySelector('#saved-search-name').value.trim(),
+            query: form.querySelector('#saved-search-query').value.trim(),
+            tags: parseTags(form.querySelector('#saved-search-tags').value),
+            sortBy: form.querySelector('#saved-search-sort').value
+        };
+
+        if (!data.name) {
+            showToast('Bitte Namen eingeben', 'warning');
+            return;
+        }
+
+        const { valid, errors } = parseSearchQuery(data.query);
+        form.querySelector('#saved-search-error').textContent = valid ? '' : errors[0];
+        if (!valid) return;
+
+        try {
+            await onSave(data);
+            closeModal(overlay);
+            await renderSmartFilters();
+        } catch (error) {
+            console.error('Saving smart filter failed:', error);
+            showToast('Smart Filter konnte nicht gespeichert werden', 'error');
+        }
+    };
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submit();
+    });
+    cancelBtn.onclick = () => closeModal(overlay);
+    saveBtn.onclick = submit;
+
+    form.querySelector('#saved-search-name').focus();
+}
+
+/**
+ * Escape HTML
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
 /**
  * Slugify tag name for ID
  * @param {string} tag
@@ -89,5 +327,6 @@ function slugify(tag) {
 
 export default {
     renderFilters,
-    initSmartFilters
+    initSmartFilters,
+    renderSmartFilters
 };
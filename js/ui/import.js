@@ -0,0 +1,308 @@
+/**
+ * Import Preview Component
+ * Shows how every prompt of an import file relates to the database and lets
+ * the user choose per prompt what happens, with a dry run before importing;
+ * invalid files are rejected with a list of their errors
+ */
+
+import { analyzeImport, applyImport } from '../db.js';
+import { formatImportResult } from '../models.js';
+import { showToast } from '../state.js';
+import { showModal, closeModal } from './layout.js';
+
+// Groups in display order
+const STATUS_LABELS = {
+    diverged: 'Beidseitig geändert',
+    newerRemote: 'Im Import neuer',
+    newerLocal: 'Hier neuer',
+    new: 'Neu',
+    deletedLocally: 'Hier gelöscht',
+    deleted: 'Im Import gelöscht',
+    identical: 'Unverändert'
+};
+
+const ACTION_LABELS = {
+    overwrite: 'Übernehmen',
+    merge: 'Versionen zusammenführen',
+    keepBoth: 'Beide behalten',
+    skip: 'Überspringen'
+};
+
+// Clearer labels for some statuses
+const STATUS_ACTION_LABELS = {
+    new: { overwrite: 'Importieren' },
+    deletedLocally: { overwrite: 'Wiederherstellen' },
+    deleted: { overwrite: 'Hier löschen', skip: 'Behalten' }
+};
+
+const FIELD_LABELS = {
+    title: 'Titel',
+    description: 'Beschreibung',
+    tags: 'Tags',
+    variables: 'Variablen',
+    archived: 'Archiviert'
+};
+
+// Larger groups start collapsed
+const OPEN_GROUP_LIMIT = 50;
+
+// Validation errors listed before the rest is summarized
+const ERROR_LIST_LIMIT = 50;
+
+/**
+ * Analyze import data and let the user decide per prompt
+ * @param {Object} data - Export data
+ * @returns {Promise<Object|null>} - Import result, or null if cancelled
+ */
+export async function showImportPreview(data) {
+    const items = await analyzeImport(data);
+    const choices = Object.fromEntries(items.map(item => [item.id, item.actions[0]]));
+
+    const groups = Object.keys(STATUS_LABELS)
+        .map(status => ({ status, items: items.filter(item => item.status === status) }))
+        .filter(group => group.items.length > 0);
+
+    const content = document.createElement('div');
+    content.className = 'import-preview';
+    content.innerHTML = `
+        <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
+            Die Datei enthält ${data.prompts.length} Prompt(s). Wähle je Prompt, was beim Import passieren soll.
+            Versionen werden nie gelöscht; "Übernehmen" macht den importierten Inhalt zum aktuellen.
+        </p>
+        ${items.length > 0 ? groups.map(renderGroup).join('') : '<p>Die Datei enthält keine Prompts.</p>'}
+        <p class="import-dry-run" aria-live="polite"></p>
+        <div class="import-progress" style="display: none;">
+            <progress value="0" max="1"></progress>
+            <span></span>
+        </div>
+    `;
+
+    return new Promise(resolve => {
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = '0.75rem';
+        footer.innerHTML = `
+            <button class="secondary-button" data-action="cancel">Abbrechen</button>
+            <button class="secondary-button" data-action="dry-run">Probelauf</button>
+            <button class="primary-button" data-action="import">Importieren</button>
+        `;
+
+        const overlay = showModal(content, { title: 'Import-Vorschau', footer });
+        overlay.querySelector('.modal').classList.add('import-modal');
+
+        const dryRunResult = content.querySelector('.import-dry-run');
+
+        content.querySelectorAll('select[data-id]').forEach(select => {
+            select.addEventListener('change', () => {
+                choices[select.dataset.id] = select.value;
+                dryRunResult.textContent = '';
+            });
+        });
+
+        // Apply a choice to every prompt of a group
+        content.querySelectorAll('select[data-group]').forEach(select => {
+            select.addEventListener('change', () => {
+                if (!select.value) return;
+
+                content.querySelectorAll(`select[data-status="${select.dataset.group}"]`).forEach(item => {
+                    item.value = select.value;
+                    choices[item.dataset.id] = select.value;
+                });
+                select.value = '';
+                dryRunResult.textContent = '';
+            });
+        });
+
+        const progress = content.querySelector('.import-progress');
+        const bar = progress.querySelector('progress');
+        const label = progress.querySelector('span');
+        let controller = null;
+
+        const run = async (dryRun) => {
+            controller = new AbortController();
+            footer.querySelectorAll('button:not([data-action="cancel"])').forEach(b => { b.disabled = true; });
+            progress.style.display = 'flex';
+            bar.removeAttribute('value');
+            label.textContent = dryRun ? 'Probelauf wird vorbereitet...' : 'Import wird vorbereitet...';
+
+            try {
+                return await applyImport(data, choices, {
+                    dryRun,
+                    signal: controller.signal,
+                    onProgress: (done, total, stage) => {
+                        bar.max = total;
+                        bar.value = done;
+                        label.textContent = stage === 'prepare'
+                            ? `${done} / ${total} Prompts vorbereitet`
+                            : `${done} / ${total} Datensätze geschrieben`;
+                    }
+                });
+            } finally {
+                controller = null;
+                progress.style.display = 'none';
+                footer.querySelectorAll('button').forEach(b => { b.disabled = false; });
+            }
+        };
+
+        // Cancels a running import (rolled back), otherwise closes the preview
+        footer.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            if (controller) {
+                controller.abort();
+                return;
+            }
+            closeModal(overlay);
+            resolve(null);
+        });
+
+        footer.querySelector('[data-action="dry-run"]').addEventListener('click', async () => {
+            try {
+                const result = await run(true);
+                dryRunResult.textContent = `Probelauf: ${formatImportResult(result)}, ${result.skipped} übersprungen. Es wurde nichts geändert.`;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    showToast('Probelauf abgebrochen', 'info');
+                    return;
+                }
+                console.error('Import dry run failed:', error);
+                showToast('Probelauf fehlgeschlagen: ' + error.message, 'error');
+            }
+        });
+
+        footer.querySelector('[data-action="import"]').addEventListener('click', async () => {
+            try {
+                const result = await run(false);
+                closeModal(overlay);
+                resolve(result);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    showToast('Import abgebrochen, es wurde nichts geändert', 'info');
+                    return;
+                }
+                console.error('Import failed:', error);
+                showToast('Import fehlgeschlagen, es wurde nichts geändert: ' + error.message, 'error');
+            }
+        });
+    });
+}
+
+/**
+ * List what is wrong with an import file
+ * @param {ImportValidationError} error
+ */
+export function showImportErrors(error) {
+    const shown = error.errors.slice(0, ERROR_LIST_LIMIT);
+    const more = error.errors.length - shown.length;
+
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
+            Die Datei enthält ${error.errors.length} Fehler und wurde nicht importiert. Es wurde nichts geändert.
+        </p>
+        <ul class="import-errors">
+            ${shown.map(message => `<li>${escapeHtml(message)}</li>`).join('')}
+            ${more > 0 ? `<li><small>und ${more} weitere</small></li>` : ''}
+        </ul>
+    `;
+
+    const footer = document.createElement('div');
+    footer.innerHTML = '<button class="primary-button">OK</button>';
+
+    const overlay = showModal(content, { title: 'Importdatei ungültig', footer });
+    footer.querySelector('button').addEventListener('click', () => closeModal(overlay));
+}
+
+/**
+ * Render the prompts of one status
+ * @param {{status: string, items: Array<Object>}} group
+ * @returns {string} - HTML
+ */
+function renderGroup({ status, items }) {
+    const actions = items[0].actions;
+
+    return `
+        <details class="import-group" ${items.length <= OPEN_GROUP_LIMIT ? 'open' : ''}>
+            <summary>${STATUS_LABELS[status]} (${items.length})</summary>
+            ${actions.length > 1 && items.length > 1 ? `
+                <div class="import-group-actions">
+                    <select data-group="${status}" aria-label="Für alle in dieser Gruppe">
+                        <option value="">Für alle...</option>
+                        ${actions.map(action => `<option value="${action}">${getActionLabel(status, action)}</option>`).join('')}
+                    </select>
+                </div>
+            ` : ''}
+            <ul class="import-items">
+                ${items.map(renderItem).join('')}
+            </ul>
+        </details>
+    `;
+}
+
+/**
+ * Render one prompt with its choices
+ * @param {Object} item - From analyzeImport()
+ * @returns {string} - HTML
+ */
+function renderItem(item) {
+    const details = describeItem(item);
+
+    return `
+        <li class="import-item">
+            <div>
+                <span>${escapeHtml(item.title || item.id)}</span>
+                ${details ? `<small>${escapeHtml(details)}</small>` : ''}
+            </div>
+            ${item.actions.length > 1 ? `
+                <select data-id="${escapeHtml(item.id)}" data-status="${item.status}" aria-label="Aktion für ${escapeHtml(item.title || item.id)}">
+                    ${item.actions.map(action => `<option value="${action}">${getActionLabel(item.status, action)}</option>`).join('')}
+                </select>
+            ` : ''}
+        </li>
+    `;
+}
+
+/**
+ * Summarize what differs between the imported and the local prompt
+ * @param {Object} item
+ * @returns {string}
+ */
+function describeItem(item) {
+    const parts = [];
+
+    if (item.fields.length > 0) {
+        parts.push(`${item.fields.map(field => FIELD_LABELS[field]).join(', ')} (${item.importNewer ? 'im Import' : 'hier'} neuer)`);
+    }
+    if (item.newVersions > 0 && item.status !== 'new') {
+        parts.push(`${item.newVersions} neue Version(en)`);
+    }
+    if (item.localVersions > 0) {
+        parts.push(`${item.localVersions} Version(en) nur hier`);
+    }
+
+    return parts.join(' · ');
+}
+
+/**
+ * @param {string} status
+ * @param {string} action
+ * @returns {string}
+ */
+function getActionLabel(status, action) {
+    return (STATUS_ACTION_LABELS[status] || {})[action] || ACTION_LABELS[action];
+}
+
+/**
+ * Escape HTML
+ * @param {string} str - String to escape
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+export default {
+    showImportPreview,
+    showImportErrors
+};
@@ -0,0 +1,177 @@
+/**
+ * Lock Screen & Auto-Lock
+ * Asks for the passphrase before the encrypted database is read and locks
+ * the app again after inactivity, when the tab is hidden or after system sleep
+ */
+
+import { unlockEncryption, lockEncryption, isEncryptionEnabled } from '../crypto.js';
+import { verifyEncryptionKey, hasPlaintextRecords, migrateEncryption } from '../db.js';
+import { appState, eventBus } from '../state.js';
+import { stashDraft } from './editor.js';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+const CHECK_INTERVAL = 15000;
+
+// A timer tick arriving this much later than scheduled means the system slept
+const SLEEP_THRESHOLD = 60000;
+
+let lastActivity = Date.now();
+let lastTick = Date.now();
+let autoLockInitialized = false;
+
+/**
+ * Start watching for inactivity, hidden tabs and system sleep
+ */
+export function initAutoLock() {
+    if (autoLockInitialized) return;
+    autoLockInitialized = true;
+
+    const markActive = () => {
+        lastActivity = Date.now();
+    };
+
+    ACTIVITY_EVENTS.forEach(event => {
+        document.addEventListener(event, markActive, { capture: true, passive: true });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden && getAutoLockSettings().lockOnHidden) {
+            lockApp();
+        }
+    });
+
+    setInterval(() => {
+        const now = Date.now();
+        const { autoLockMinutes, lockOnHidden } = getAutoLockSettings();
+        const slept = now - lastTick > CHECK_INTERVAL + SLEEP_THRESHOLD;
+        lastTick = now;
+
+        if (slept && lockOnHidden) {
+            lockApp();
+        } else if (autoLockMinutes > 0 && now - lastActivity >= autoLockMinutes * 60000) {
+            lockApp();
+        }
+    }, CHECK_INTERVAL);
+}
+
+/**
+ * Lock the app: discard the key, purge decrypted data and ask for the passphrase
+ * Unsaved edits in the editor are restored after unlocking (see stashDraft)
+ * @returns {Promise<void>} - Resolves once unlocked again
+ */
+export async function lockApp() {
+    if (!isEncryptionEnabled() || appState.get('locked')) return;
+
+    // Unsaved editor changes are kept, encrypted with the key about to be discarded
+    try {
+        await stashDraft();
+    } catch (error) {
+        console.error('Keeping unsaved changes failed:', error);
+    }
+    if (appState.get('locked')) return;
+
+    lockEncryption();
+    purgeDecryptedData();
+
+    // Modules holding decrypted records drop them on this event
+    eventBus.emit('locked');
+
+    await showUnlockScreen();
+}
+
+/**
+ * Auto-lock settings with defaults for settings saved by older versions
+ * @returns {{autoLockMinutes: number, lockOnHidden: boolean}}
+ */
+function getAutoLockSettings() {
+    const { autoLockMinutes = 15, lockOnHidden = false } = appState.get('settings').encryption;
+    return { autoLockMinutes: Number(autoLockMinutes) || 0, lockOnHidden };
+}
+
+/**
+ * Remove decrypted data from the app state and the DOM
+ */
+function purgeDecryptedData() {
+    appState.setState({
+        locked: true,
+        prompts: [],
+        currentPrompt: null,
+        currentVersion: null,
+        searchQuery: '',
+        selectedTags: []
+    });
+
+    ['app-view', 'tag-filters', 'modal-container'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.innerHTML = '';
+        }
+    });
+
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+        searchInput.value = '';
+    }
+}
+
+/**
+ * Show the unlock screen and wait for the correct passphrase
+ * @returns {Promise<void>} - Resolves once the database is unlocked
+ */
+export function showUnlockScreen() {
+    const overlay = document.getElementById('unlock-overlay');
+    const form = document.getElementById('unlock-form');
+    const input = document.getElementById('unlock-passphrase');
+    const errorEl = document.getElementById('unlock-error');
+    const submitBtn = form.querySelector('button[type="submit"]');
+
+    appState.setState({ locked: true });
+    overlay.style.display = 'flex';
+    input.value = '';
+    errorEl.textContent = '';
+    input.focus();
+
+    return new Promise(resolve => {
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            submitBtn.disabled = true;
+            errorEl.textContent = '';
+
+            try {
+                // Checks the canary and the stored records
+                await unlockEncryption(input.value, verifyEncryptionKey);
+
+                // Encryption was enabled before records were encrypted at rest
+                if (await hasPlaintextRecords()) {
+                    await migrateEncryption(true);
+                }
+
+                overlay.style.display = 'none';
+                input.value = '';
+                form.onsubmit = null;
+                lastActivity = Date.now();
+                appState.setState({ locked: false });
+                resolve();
+                return;
+            } catch (error) {
+                lockEncryption();
+                if (error.message === 'Invalid passphrase') {
+                    errorEl.textContent = 'Falsches Passwort';
+                } else {
+                    console.error('Unlock failed:', error);
+                    errorEl.textContent = 'Entsperren fehlgeschlagen';
+                }
+            } finally {
+                submitBtn.disabled = false;
+            }
+
+            input.select();
+        };
+    });
+}
+
+export default {
+    showUnlockScreen,
+    initAutoLock,
+    lockApp
+};
@@ -0,0 +1,199 @@
+/**
+ * Merge Conflict Editor
+ * Resolve the content of a prompt whose versions were edited on two sides:
+ * changes in different places are already merged, for each overlapping
+ * change the user keeps this side, the other side or both.
+ */
+
+import { getMergeConflicts, resolveMergeConflict } from '../db.js';
+import { merge3, resolveMerge } from '../merge.js';
+import { refreshConflicts } from '../sync.js';
+import { formatDateTime } from '../models.js';
+import { showToast } from '../state.js';
+import { showModal, closeModal } from './layout.js';
+import { renderDiff, renderLine } from './diff.js';
+
+// Merged lines around a conflict that stay visible
+const CONTEXT_LINES = 3;
+
+/**
+ * Show the merge editor for a prompt
+ * @param {string} promptId
+ * @returns {Promise<boolean>} - True if the conflict was resolved
+ */
+export async function showMergeEditor(promptId) {
+    const conflict = (await getMergeConflicts()).find(c => c.promptId === promptId);
+    if (!conflict) {
+        showToast('Kein offener Konflikt für diesen Prompt', 'info');
+        return false;
+    }
+
+    const { base, ours, theirs } = conflict;
+    const { chunks, conflicts } = merge3(base.content, ours.content, theirs.content);
+    const choices = new Array(conflicts).fill('ours');
+
+    const content = document.createElement('div');
+    content.className = 'merge-editor';
+    content.innerHTML = `
+        <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
+            Der Inhalt wurde ausgehend von ${escapeHtml(base.version)} an zwei Stellen weiterbearbeitet:
+            ${renderSide('Diese Fassung', ours)} und ${renderSide('Andere Fassung', theirs)}.
+            Änderungen an verschiedenen Stellen sind bereits zusammengeführt,
+            bei ${conflicts} Stelle${conflicts === 1 ? '' : 'n'} musst du entscheiden.
+        </p>
+        ${renderChunks(chunks, conflicts)}
+        <label for="merge-result" class="merge-result-label">Ergebnis (kann vor dem Speichern bearbeitet werden)</label>
+        <textarea id="merge-result" rows="10"></textarea>
+    `;
+
+    const result = content.querySelector('#merge-result');
+    const updateResult = () => {
+        result.value = resolveMerge(chunks, choices);
+    };
+    updateResult();
+
+    return new Promise(resolve => {
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = '0.75rem';
+        footer.innerHTML = `
+            <button class="secondary-button" data-action="cancel">Später</button>
+            <button class="primary-button" data-action="save">Zusammenführen</button>
+        `;
+
+        const overlay = showModal(content, { title: 'Inhalte zusammenführen', footer });
+        overlay.querySelector('.modal').classList.add('merge-modal');
+
+        content.querySelectorAll('[data-choice]').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = Number(button.dataset.conflict);
+                choices[index] = button.dataset.choice;
+
+                content.querySelectorAll(`[data-conflict="${index}"]`).forEach(b => {
+                    b.classList.toggle('active', b === button);
+                });
+                updateResult();
+            });
+        });
+
+        footer.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            closeModal(overlay);
+            resolve(false);
+        });
+
+        footer.querySelector('[data-action="save"]').addEventListener('click', async () => {
+            footer.querySelectorAll('button').forEach(b => { b.disabled = true; });
+
+            try {
+                await resolveMergeConflict(promptId, result.value);
+            } catch (error) {
+                console.error('Resolving merge conflict failed:', error);
+                showToast('Zusammenführen fehlgeschlagen', 'error');
+                footer.querySelectorAll('button').forEach(b => { b.disabled = false; });
+                return;
+            }
+
+            closeModal(overlay);
+            showToast('Inhalte zusammengeführt', 'success');
+            await refreshConflicts(false);
+            resolve(true);
+        });
+    });
+}
+
+/**
+ * Describe one side of the merge
+ * @param {string} label
+ * @param {Object} version
+ * @returns {string} - HTML
+ */
+function renderSide(label, version) {
+    return `<strong>${label}</strong> (${escapeHtml(version.version)}, ${formatDateTime(version.createdAt)})`;
+}
+
+/**
+ * Render merged text and conflicts; long merged stretches are collapsed
+ * like unchanged lines in the diff view
+ * @param {Array<Object>} chunks - Result of merge3()
+ * @param {number} conflicts - Number of conflict chunks
+ * @returns {string} - HTML
+ */
+function renderChunks(chunks, conflicts) {
+    let index = 0;
+
+    const html = chunks.map((chunk, i) => {
+        if (chunk.type === 'conflict') {
+            return renderConflict(chunk, index++, conflicts);
+        }
+
+        const lines = chunk.lines.map(content => ({ type: 'unchanged', content }));
+        const head = i > 0 ? lines.slice(0, CONTEXT_LINES) : [];
+        const tail = i < chunks.length - 1 ? lines.slice(-CONTEXT_LINES) : [];
+        if (lines.length <= head.length + tail.length + 1) {
+            return lines.map(renderLine).join('');
+        }
+
+        const hidden = lines.slice(head.length, lines.length - tail.length);
+        return `
+            ${head.map(renderLine).join('')}
+            <details class="diff-collapsed">
+                <summary>${hidden.length} übernommene Zeile${hidden.length === 1 ? '' : 'n'}</summary>
+                ${hidden.map(renderLine).join('')}
+            </details>
+            ${tail.map(renderLine).join('')}
+        `;
+    }).join('');
+
+    return `<div class="diff-container merge-chunks">${html}</div>`;
+}
+
+/**
+ * Render a conflict: both sides as a diff against the base, with the choice
+ * @param {Object} chunk - {base, ours, theirs}
+ * @param {number} index - Conflict number (0-based)
+ * @param {number} total - Number of conflicts
+ * @returns {string} - HTML
+ */
+function renderConflict(chunk, index, total) {
+    const base = chunk.base.join('\n');
+    const choice = (value, label) => `
+        <button class="secondary-button ${value === 'ours' ? 'active' : ''}" data-conflict="${index}" data-choice="${value}">${label}</button>
+    `;
+
+    return `
+        <div class="merge-conflict">
+            <div class="diff-hunk-header">Konflikt ${index + 1} von ${total}</div>
+            <div class="merge-sides">
+                <div>
+                    <h5>Diese Fassung</h5>
+                    ${renderDiff(base, chunk.ours.join('\n'), { context: Infinity })}
+                </div>
+                <div>
+                    <h5>Andere Fassung</h5>
+                    ${renderDiff(base, chunk.theirs.join('\n'), { context: Infinity })}
+                </div>
+            </div>
+            <div class="conflict-actions">
+                ${choice('ours', 'Diese behalten')}
+                ${choice('theirs', 'Andere übernehmen')}
+                ${choice('both', 'Beide behalten')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Escape HTML
+ * @param {string} str - String to escape
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+export default {
+    showMergeEditor
+};
@@ -1,13 +1,26 @@
 /**
  * Settings Component
- * Encryption, Drive, Firebase settings
+ * Encryption, storage/sync adapters, export/import
+ * Adapter sections are rendered from each adapter's settingsFields and capabilities
  */
 
 import { appState, showToast } from '../state.js';
 import * as crypto from '../crypto.js';
-import driveAdapter from '../adapters/drive.js';
-import { exportData } from '../db.js';
-import { generateExportFilename } from '../models.js';
+import {
+    getAdapters,
+    getAdapter,
+    getActiveAdapter,
+    getSelectedAdapter,
+    hasCapability,
+    setActiveAdapter,
+    connectAdapter,
+    disconnectAdapter
+} from '../adapters/registry.js';
+import { migrateEncryption, rotateEncryptionKey, rebuildSearchIndex } from '../db.js';
+import { showConfirmDialog, showLoading, hideLoading } from './layout.js';
+import { lockApp } from './lock.js';
+import { exportToFile, importFromFile, requestPassphrase } from './transfer.js';
+import { showBackupHistory } from './backups.js';
 
 /**
  * Render settings view
@@ -19,6 +32,8 @@ export function renderSettings(container) {
     }
 
     const settings = appState.get('settings');
+    const selected = getSelectedAdapter();
+    const active = getActiveAdapter();
 
     const html = `
         <div class="settings-container">
@@ -29,6 +44,7 @@ export function renderSettings(container) {
                 <h3>🔒 Lokale Verschlüsselung</h3>
                 <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
                     Verschlüssele deine Prompts lokal mit einem Passwort. Der Schlüssel wird nie gespeichert.
+                    Ohne Passwort sind die Daten nicht wiederherstellbar.
                 </p>
 
                 <div class="settings-toggle">
@@ -41,121 +57,220 @@ export function renderSettings(container) {
                 </div>
 
                 <div id="encryption-config" style="display: ${settings.encryption.enabled ? 'block' : 'none'}; margin-top: 1rem;">
-                    <div class="settings-field">
-                        <label>Passwort</label>
-                        <input type="password" id="encryption-passphrase" placeholder="Mindestens 8 Zeichen">
-                    </div>
-                    <button class="primary-button" id="set-passphrase">Passwort setzen</button>
+                    ${settings.encryption.enabled ? `
+                        <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
+                            ✓ Prompts und Versionen werden verschlüsselt gespeichert.
+                            Deaktivieren entschlüsselt die Datenbank wieder.
+                        </p>
+                        <div class="settings-field">
+                            <label>Automatisch sperren nach (Minuten, 0 = nie)</label>
+                            <input
+                                type="number"
+                                id="autolock-minutes"
+                                min="0"
+                                max="1440"
+                                value="${settings.encryption.autoLockMinutes ?? 15}"
+                            >
+                        </div>
+                        <div class="settings-toggle" style="margin-bottom: 1rem;">
+                            <input
+                                type="checkbox"
+                                id="lock-on-hidden"
+                                ${settings.encryption.lockOnHidden ? 'checked' : ''}
+                            >
+                            <label for="lock-on-hidden">Sperren, wenn der Tab verborgen wird oder das Gerät schläft</label>
+                        </div>
+                        <button class="secondary-button" id="lock-now" style="margin-bottom: 1.5rem;">Jetzt sperren</button>
+                        <div class="settings-field">
+                            <label>Aktuelles Passwort</label>
+                            <input type="password" id="passphrase-current" autocomplete="current-password">
+                        </div>
+                        <div class="settings-field">
+                            <label>Neues Passwort</label>
+                            <input type="password" id="passphrase-new" placeholder="Mindestens 8 Zeichen" autocomplete="new-password">
+                        </div>
+                        <div class="settings-field">
+                            <label>Neues Passwort wiederholen</label>
+                            <input type="password" id="passphrase-confirm" autocomplete="new-password">
+                        </div>
+                        <button class="primary-button" id="change-passphrase">Passwort ändern</button>
+                        <div id="passphrase-progress" class="passphrase-progress" style="display: none;">
+                            <progress value="0" max="1"></progress>
+                            <span></span>
+                        </div>
+                    ` : `
+                        <div class="settings-field">
+                            <label>Passwort</label>
+                            <input type="password" id="encryption-passphrase" placeholder="Mindestens 8 Zeichen">
+                        </div>
+                        <button class="primary-button" id="set-passphrase">Passwort setzen</button>
+                    `}
                 </div>
             </div>
 
-            <!-- Google Drive Section -->
+            <!-- Storage & Sync Section -->
             <div class="settings-section">
-                <h3>☁️ Google Drive Backup</h3>
+                <h3>🔌 Speicher & Sync</h3>
                 <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
-                    Sichere deine Prompts automatisch in Google Drive AppData.
+                    Wähle, über welchen Adapter Prompts gelesen und gespeichert werden.
                 </p>
 
                 <div class="settings-field">
-                    <label>Google Client ID</label>
-                    <input
-                        type="text"
-                        id="drive-client-id"
-                        placeholder="123456789-abc.apps.googleusercontent.com"
-                        value="${settings.drive.clientId || ''}"
-                    >
-                    <small style="color: var(--fg-tertiary);">
-                        Erstelle eine OAuth Client ID in der Google Cloud Console
-                    </small>
+                    <label>Aktiver Adapter</label>
+                    <select id="adapter-select">
+                        ${getAdapters().map(adapter => `
+                            <option value="${adapter.name}" ${adapter === selected ? 'selected' : ''}>${adapter.displayName}</option>
+                        `).join('')}
+                    </select>
+                    ${selected !== active ? `
+                        <small style="color: var(--fg-tertiary);">
+                            Bis zur Anmeldung bei ${selected.displayName} wird lokal gespeichert.
+                        </small>
+                    ` : ''}
                 </div>
+            </div>
 
-                <div style="margin-top: 1rem; display: flex; gap: 0.75rem;">
-                    <button class="primary-button" id="drive-signin">Mit Google anmelden</button>
-                    <button class="secondary-button" id="drive-signout">Abmelden</button>
-                </div>
+            ${getAdapters()
+                .filter(adapter => adapter.name !== 'local')
+                .map(adapter => renderAdapterSection(adapter, settings[adapter.name] || {}))
+                .join('')}
 
-                <div style="margin-top: 1rem; display: flex; gap: 0.75rem;">
-                    <button class="secondary-button" id="drive-backup">Jetzt sichern</button>
-                    <button class="secondary-button" id="drive-restore">Wiederherstellen</button>
+            <!-- Export/Import Section -->
+            <div class="settings-section">
+                <h3>📦 Export & Import</h3>
+                <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
+                    Exportiere oder importiere deine Prompts als JSON-Datei.
+                </p>
+
+                <div style="display: flex; gap: 0.75rem; margin-bottom: 1rem;">
+                    <button class="secondary-button" id="export-json">Als JSON exportieren</button>
+                    <button class="secondary-button" id="import-json">JSON importieren</button>
                 </div>
 
-                <div class="settings-toggle" style="margin-top: 1rem;">
+                <div class="settings-field">
+                    <label>Gelöschte Prompts merken (Tage, 0 = immer)</label>
                     <input
-                        type="checkbox"
-                        id="drive-autosync"
-                        ${settings.drive.autoSync ? 'checked' : ''}
+                        type="number"
+                        id="tombstone-retention"
+                        min="0"
+                        max="3650"
+                        value="${settings.data.tombstoneRetentionDays ?? 90}"
                     >
-                    <label for="drive-autosync">Auto-Sync aktivieren</label>
+                    <small style="color: var(--fg-tertiary);">
+                        Solange bringen Importe und Backups gelöschte Prompts nicht zurück.
+                    </small>
                 </div>
 
-                ${settings.drive.autoSync ? `
-                    <div class="settings-field" style="margin-top: 0.75rem;">
-                        <label>Sync-Intervall (Minuten)</label>
-                        <input
-                            type="number"
-                            id="drive-interval"
-                            min="5"
-                            max="1440"
-                            value="${settings.drive.syncInterval || 30}"
-                        >
+                <div class="settings-field">
+                    <label>Suche</label>
+                    <div>
+                        <button class="secondary-button" id="rebuild-search-index">Suchindex neu aufbauen</button>
                     </div>
-                ` : ''}
+                    <small style="color: var(--fg-tertiary);">
+                        Falls die Suche Prompts nicht oder veraltet findet.
+                    </small>
+                </div>
             </div>
+        </div>
+    `;
 
-            <!-- Firebase Section -->
-            <div class="settings-section">
-                <h3>🔥 Firebase Cloud Sync (Optional)</h3>
+    container.innerHTML = html;
+    attachSettingsHandlers(container);
+}
+
+/**
+ * Render the section of a storage/sync adapter
+ * @param {Object} adapter - Registered adapter
+ * @param {Object} config - appState.settings[adapter.name]
+ * @returns {string} - HTML
+ */
+function renderAdapterSection(adapter, config) {
+    const authenticated = adapter.isAuthenticated();
+    const fields = adapter.settingsFields || [];
+
+    return `
+        <div class="settings-section" data-adapter="${adapter.name}">
+            <h3>${adapter.icon || '🔌'} ${adapter.displayName}</h3>
+            ${adapter.description ? `
                 <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
-                    Synchronisiere deine Prompts in Echtzeit über Firebase.
+                    ${adapter.description}
                 </p>
+            ` : ''}
 
-                <div class="settings-toggle">
-                    <input
-                        type="checkbox"
-                        id="firebase-enabled"
-                        ${settings.firebase.enabled ? 'checked' : ''}
-                    >
-                    <label for="firebase-enabled">Firebase Sync aktivieren</label>
-                </div>
+            ${fields.map(field => renderAdapterField(adapter, field, config[field.key])).join('')}
 
-                <div id="firebase-config" style="display: ${settings.firebase.enabled ? 'block' : 'none'}; margin-top: 1rem;">
-                    <div class="settings-field">
-                        <label>API Key</label>
-                        <input type="text" id="firebase-apiKey" value="${settings.firebase.apiKey || ''}" placeholder="AIzaSy...">
-                    </div>
-                    <div class="settings-field">
-                        <label>Auth Domain</label>
-                        <input type="text" id="firebase-authDomain" value="${settings.firebase.authDomain || ''}" placeholder="your-app.firebaseapp.com">
-                    </div>
-                    <div class="settings-field">
-                        <label>Project ID</label>
-                        <input type="text" id="firebase-projectId" value="${settings.firebase.projectId || ''}" placeholder="your-project-id">
-                    </div>
-                    <div class="settings-field">
-                        <label>App ID</label>
-                        <input type="text" id="firebase-appId" value="${settings.firebase.appId || ''}" placeholder="1:123:web:abc">
-                    </div>
-                    <button class="primary-button" id="firebase-save">Firebase Config speichern</button>
-                </div>
-            </div>
+            ${hasCapability(adapter, 'realtime') ? `
+                <p style="color: var(--fg-tertiary); font-size: 0.875rem; margin-top: 0.75rem;">
+                    Änderungen werden in Echtzeit übertragen.
+                </p>
+            ` : ''}
 
-            <!-- Export/Import Section -->
-            <div class="settings-section">
-                <h3>📦 Export & Import</h3>
-                <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-bottom: 1rem;">
-                    Exportiere oder importiere deine Prompts als JSON-Datei.
+            ${hasCapability(adapter, 'authRequired') ? `
+                <p style="color: var(--fg-secondary); font-size: 0.875rem; margin-top: 1rem;">
+                    ${authenticated ? '✓ Angemeldet' : 'Nicht angemeldet'}
                 </p>
+                <div style="margin-top: 0.75rem; display: flex; gap: 0.75rem;">
+                    <button class="primary-button" data-action="signin">Anmelden</button>
+                    <button class="secondary-button" data-action="signout">Abmelden</button>
+                </div>
+            ` : ''}
 
-                <div style="display: flex; gap: 0.75rem;">
-                    <button class="secondary-button" id="export-json">Als JSON exportieren</button>
-                    <button class="secondary-button" id="import-json">JSON importieren</button>
+            ${hasCapability(adapter, 'backup') ? `
+                <div style="margin-top: 1rem; display: flex; gap: 0.75rem;">
+                    <button class="secondary-button" data-action="backup">Jetzt sichern</button>
+                    <button class="secondary-button" data-action="restore">Wiederherstellen</button>
+                    ${hasCapability(adapter, 'versionedBackups') ? `
+                        <button class="secondary-button" data-action="list-backups">Backups anzeigen</button>
+                    ` : ''}
                 </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Render one config field of an adapter
+ * @param {Object} adapter - Registered adapter
+ * @param {Object} field - Entry of adapter.settingsFields
+ * @param {*} value - Current value
+ * @returns {string} - HTML
+ */
+function renderAdapterField(adapter, field, value) {
+    const id = `adapter-${adapter.name}-${field.key}`;
+
+    if (field.type === 'checkbox') {
+        return `
+            <div class="settings-toggle" style="margin-top: 1rem;">
+                <input type="checkbox" id="${id}" data-key="${field.key}" ${value ? 'checked' : ''}>
+                <label for="${id}">${field.label}</label>
             </div>
+        `;
+    }
+
+    return `
+        <div class="settings-field">
+            <label for="${id}">${field.label}</label>
+            <input
+                type="${field.type || 'text'}"
+                id="${id}"
+                data-key="${field.key}"
+                placeholder="${field.placeholder || ''}"
+                value="${value ?? ''}"
+            >
+            ${field.hint ? `<small style="color: var(--fg-tertiary);">${field.hint}</small>` : ''}
+            ${field.unencrypted ? `<small style="color: var(--warning); display: block;">${getUnencryptedWarning()}</small>` : ''}
         </div>
     `;
+}
 
-    container.innerHTML = html;
-    attachSettingsHandlers(container);
+/**
+ * Warning for credentials stored in plaintext (see AdapterSettingsField.unencrypted)
+ * @returns {string}
+ */
+function getUnencryptedWarning() {
+    return appState.get('settings').encryption.enabled
+        ? '⚠️ Wird unverschlüsselt in diesem Browser gespeichert, die Verschlüsselung der Datenbank gilt nicht für Zugangsdaten'
+        : '⚠️ Wird unverschlüsselt in diesem Browser gespeichert';
 }
 
 /**
@@ -168,157 +283,283 @@ function attachSettingsHandlers(container) {
     const encryptionConfig = container.querySelector('#encryption-config');
 
     encryptionToggle.addEventListener('change', () => {
+        if (!encryptionToggle.checked && appState.get('settings').encryption.enabled) {
+            encryptionToggle.checked = true;
+            confirmDisableEncryption(container);
+            return;
+        }
+
         encryptionConfig.style.display = encryptionToggle.checked ? 'block' : 'none';
     });
 
-    // Set passphrase
+    // Set passphrase (enables encryption and encrypts the existing database)
     const setPassphraseBtn = container.querySelector('#set-passphrase');
-    setPassphraseBtn.addEventListener('click', async () => {
-        const passphrase = container.querySelector('#encryption-passphrase').value;
+    if (setPassphraseBtn) {
+        setPassphraseBtn.addEventListener('click', async () => {
+            const passphrase = container.querySelector('#encryption-passphrase').value;
 
-        if (!passphrase || passphrase.length < 8) {
-            showToast('Passwort muss mindestens 8 Zeichen haben', 'warning');
-            return;
+            if (!passphrase || passphrase.length < 8) {
+                showToast('Passwort muss mindestens 8 Zeichen haben', 'warning');
+                return;
+            }
+
+            showLoading('Datenbank wird verschlüsselt...');
+
+            try {
+                await crypto.initEncryption(passphrase);
+                const result = await migrateEncryption(true);
+                showToast(`Verschlüsselung aktiviert: ${result.prompts} Prompts verschlüsselt`, 'success');
+            } catch (error) {
+                console.error('Encryption init failed:', error);
+                crypto.disableEncryption();
+                showToast('Fehler beim Aktivieren der Verschlüsselung', 'error');
+            } finally {
+                hideLoading();
+            }
+
+            renderSettings(container);
+        });
+    }
+
+    // Auto-lock
+    const autoLockInput = container.querySelector('#autolock-minutes');
+    if (autoLockInput) {
+        autoLockInput.addEventListener('change', () => {
+            const minutes = Math.max(0, Math.min(1440, parseInt(autoLockInput.value, 10) || 0));
+            autoLockInput.value = minutes;
+            appState.updateSettings({ encryption: { autoLockMinutes: minutes } });
+        });
+
+        container.querySelector('#lock-on-hidden').addEventListener('change', (e) => {
+            appState.updateSettings({ encryption: { lockOnHidden: e.target.checked } });
+        });
+
+        container.querySelector('#lock-now').addEventListener('click', () => {
+            lockApp();
+        });
+    }
+
+    // Change passphrase (re-encrypts the database)
+    const changePassphraseBtn = container.querySelector('#change-passphrase');
+    if (changePassphraseBtn) {
+        changePassphraseBtn.addEventListener('click', () => handleChangePassphrase(container));
+    }
+
+    // Active adapter
+    container.querySelector('#adapter-select').addEventListener('change', async (e) => {
+        const adapter = getAdapter(e.target.value);
+
+        try {
+            await setActiveAdapter(adapter.name);
+            showToast(`${adapter.displayName} ist jetzt aktiv`, 'success');
+        } catch (error) {
+            console.error('Adapter switch failed:', error);
+            showToast(`${adapter.displayName} konnte nicht gestartet werden, bitte Konfiguration prüfen`, 'error');
         }
 
+        renderSettings(container);
+    });
+
+    container.querySelectorAll('[data-adapter]').forEach(section => {
+        attachAdapterHandlers(container, section, getAdapter(section.dataset.adapter));
+    });
+
+    // Export JSON
+    container.querySelector('#export-json').addEventListener('click', () => {
+        exportToFile();
+    });
+
+    // Import JSON
+    container.querySelector('#import-json').addEventListener('click', () => {
+        importFromFile();
+    });
+
+    // Tombstone retention (old tombstones are purged on startup)
+    const retentionInput = container.querySelector('#tombstone-retention');
+    retentionInput.addEventListener('change', () => {
+        const days = Math.max(0, Math.min(3650, parseInt(retentionInput.value, 10) || 0));
+        retentionInput.value = days;
+        appState.updateSettings({ data: { tombstoneRetentionDays: days } });
+    });
+
+    // Rebuild the full-text index (repair)
+    container.querySelector('#rebuild-search-index').addEventListener('click', async () => {
+        showLoading('Suchindex wird neu aufgebaut...');
+
         try {
-            await crypto.initEncryption(passphrase);
-            showToast('Verschlüsselung aktiviert', 'success');
+            const count = await rebuildSearchIndex();
+            showToast(`Suchindex neu aufgebaut (${count} Prompts)`, 'success');
         } catch (error) {
-            console.error('Encryption init failed:', error);
-            showToast('Fehler beim Aktivieren der Verschlüsselung', 'error');
+            console.error('Rebuilding search index failed:', error);
+            showToast('Suchindex konnte nicht neu aufgebaut werden', 'error');
+        } finally {
+            hideLoading();
         }
     });
+}
 
-    // Drive sign in
-    const driveSignInBtn = container.querySelector('#drive-signin');
-    driveSignInBtn.addEventListener('click', async () => {
-        const clientId = container.querySelector('#drive-client-id').value;
+/**
+ * Attach the handlers of an adapter section
+ * @param {HTMLElement} container - Settings view
+ * @param {HTMLElement} section - Adapter section
+ * @param {Object} adapter - Registered adapter
+ */
+function attachAdapterHandlers(container, section, adapter) {
+    const { name, displayName } = adapter;
+
+    // Config fields are saved on change
+    section.querySelectorAll('input[data-key]').forEach(input => {
+        input.addEventListener('change', () => {
+            let value = input.value.trim();
+            if (input.type === 'checkbox') {
+                value = input.checked;
+            } else if (input.type === 'number') {
+                // Empty means "use the default" (the placeholder), not 0
+                value = value === '' ? null : parseInt(value, 10) || 0;
+            }
 
-        if (!clientId) {
-            showToast('Bitte Google Client ID eingeben', 'warning');
-            return;
+            appState.updateSettings({ [name]: { [input.dataset.key]: value } });
+        });
+    });
+
+    const on = (action, handler) => {
+        const button = section.querySelector(`[data-action="${action}"]`);
+        if (button) {
+            button.addEventListener('click', handler);
         }
+    };
 
+    on('signin', async () => {
         try {
-            await driveAdapter.init(clientId);
-            await driveAdapter.signIn();
-
-            // Save client ID
-            appState.updateSettings({
-                drive: { ...appState.get('settings').drive, clientId, enabled: true }
-            });
+            await connectAdapter(name);
+            appState.updateSettings({ [name]: { enabled: true } });
         } catch (error) {
-            console.error('Drive sign in failed:', error);
-            showToast('Google Drive Anmeldung fehlgeschlagen', 'error');
+            console.error(`${displayName} sign in failed:`, error);
+            showToast(`${displayName} Anmeldung fehlgeschlagen`, 'error');
         }
+
+        renderSettings(container);
     });
 
-    // Drive sign out
-    const driveSignOutBtn = container.querySelector('#drive-signout');
-    driveSignOutBtn.addEventListener('click', () => {
-        driveAdapter.signOut();
+    on('signout', async () => {
+        await disconnectAdapter(name);
+        appState.updateSettings({ [name]: { enabled: false } });
+        renderSettings(container);
     });
 
-    // Drive backup
-    const driveBackupBtn = container.querySelector('#drive-backup');
-    driveBackupBtn.addEventListener('click', async () => {
+    on('backup', async () => {
         try {
             const encrypted = appState.get('settings').encryption.enabled;
-            await driveAdapter.backup(encrypted);
+            await adapter.backup(encrypted);
         } catch (error) {
-            console.error('Drive backup failed:', error);
+            console.error(`${displayName} backup failed:`, error);
             showToast('Backup fehlgeschlagen: ' + error.message, 'error');
         }
     });
 
-    // Drive restore
-    const driveRestoreBtn = container.querySelector('#drive-restore');
-    driveRestoreBtn.addEventListener('click', async () => {
+    on('restore', async () => {
         try {
-            await driveAdapter.restore();
+            await adapter.restore(requestPassphrase);
         } catch (error) {
-            console.error('Drive restore failed:', error);
+            console.error(`${displayName} restore failed:`, error);
             showToast('Wiederherstellung fehlgeschlagen: ' + error.message, 'error');
         }
     });
 
-    // Drive auto-sync
-    const driveAutoSyncToggle = container.querySelector('#drive-autosync');
-    driveAutoSyncToggle.addEventListener('change', () => {
-        appState.updateSettings({
-            drive: { ...appState.get('settings').drive, autoSync: driveAutoSyncToggle.checked }
-        });
-        renderSettings(container);
+    on('list-backups', () => {
+        showBackupHistory(adapter);
     });
+}
+
+/**
+ * Change the passphrase, re-encrypt the database and refresh the backups
+ * @param {HTMLElement} container
+ */
+async function handleChangePassphrase(container) {
+    const current = container.querySelector('#passphrase-current').value;
+    const next = container.querySelector('#passphrase-new').value;
+    const confirmation = container.querySelector('#passphrase-confirm').value;
+    const button = container.querySelector('#change-passphrase');
+    const progress = container.querySelector('#passphrase-progress');
+    const bar = progress.querySelector('progress');
+    const label = progress.querySelector('span');
+
+    if (!next || next.length < 8) {
+        showToast('Passwort muss mindestens 8 Zeichen haben', 'warning');
+        return;
+    }
 
-    // Firebase toggle
-    const firebaseToggle = container.querySelector('#firebase-enabled');
-    const firebaseConfig = container.querySelector('#firebase-config');
+    if (next !== confirmation) {
+        showToast('Die neuen Passwörter stimmen nicht überein', 'warning');
+        return;
+    }
 
-    firebaseToggle.addEventListener('change', () => {
-        firebaseConfig.style.display = firebaseToggle.checked ? 'block' : 'none';
-    });
+    button.disabled = true;
+    progress.style.display = 'flex';
+    label.textContent = 'Passwort wird geprüft...';
 
-    // Firebase save
-    const firebaseSaveBtn = container.querySelector('#firebase-save');
-    if (firebaseSaveBtn) {
-        firebaseSaveBtn.addEventListener('click', () => {
-            const config = {
-                enabled: true,
-                apiKey: container.querySelector('#firebase-apiKey').value,
-                authDomain: container.querySelector('#firebase-authDomain').value,
-                projectId: container.querySelector('#firebase-projectId').value,
-                appId: container.querySelector('#firebase-appId').value
-            };
-
-            appState.updateSettings({ firebase: config });
-            showToast('Firebase Konfiguration gespeichert', 'success');
+    try {
+        await rotateEncryptionKey(current, next, (done, total) => {
+            bar.max = total;
+            bar.value = done;
+            label.textContent = `${done} / ${total} Datensätze neu verschlüsselt`;
         });
+        showToast('Passwort geändert', 'success');
+    } catch (error) {
+        if (error.message === 'Invalid old passphrase') {
+            showToast('Aktuelles Passwort ist falsch', 'error');
+        } else if (error.message === 'Database changed during re-encryption') {
+            showToast('Daten wurden währenddessen geändert, Passwort ist unverändert. Bitte erneut versuchen', 'warning');
+        } else {
+            console.error('Passphrase change failed:', error);
+            showToast('Passwort ändern fehlgeschlagen, Daten sind unverändert', 'error');
+        }
+        button.disabled = false;
+        progress.style.display = 'none';
+        return;
     }
 
-    // Export JSON
-    const exportBtn = container.querySelector('#export-json');
-    exportBtn.addEventListener('click', async () => {
+    // Backups are encrypted with the old key: replace them
+    const backupAdapters = getAdapters()
+        .filter(adapter => hasCapability(adapter, 'backup') && adapter.isAuthenticated());
+
+    for (const adapter of backupAdapters) {
+        label.textContent = `${adapter.displayName} Backup wird neu verschlüsselt...`;
         try {
-            const data = await exportData();
-            const json = JSON.stringify(data, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = generateExportFilename();
-            a.click();
-            URL.revokeObjectURL(url);
-            showToast('Export erfolgreich', 'success');
+            await adapter.backup(true);
         } catch (error) {
-            console.error('Export failed:', error);
-            showToast('Export fehlgeschlagen', 'error');
+            console.error(`${adapter.displayName} backup after passphrase change failed:`, error);
+            showToast(`${adapter.displayName}-Backup ist noch mit dem alten Passwort verschlüsselt, bitte erneut sichern`, 'warning', 6000);
         }
-    });
+    }
 
-    // Import JSON
-    const importBtn = container.querySelector('#import-json');
-    importBtn.addEventListener('click', () => {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = 'application/json';
-        input.onchange = async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
+    renderSettings(container);
+}
+
+/**
+ * Ask for confirmation, then decrypt the database and disable encryption
+ * @param {HTMLElement} container
+ */
+function confirmDisableEncryption(container) {
+    showConfirmDialog({
+        title: 'Verschlüsselung deaktivieren?',
+        message: 'Alle Prompts und Versionen werden entschlüsselt und im Klartext gespeichert.',
+        onConfirm: async () => {
+            showLoading('Datenbank wird entschlüsselt...');
 
             try {
-                const text = await file.text();
-                const data = JSON.parse(text);
-                const { importData } = await import('../db.js');
-                const result = await importData(data, true);
-                showToast(`Import erfolgreich: ${result.imported} neu, ${result.merged} aktualisiert`, 'success');
+                await migrateEncryption(false);
+                crypto.disableEncryption();
+                showToast('Verschlüsselung deaktiviert', 'success');
             } catch (error) {
-                console.error('Import failed:', error);
-                showToast('Import fehlgeschlagen', 'error');
+                console.error('Decryption failed:', error);
+                showToast('Fehler beim Entschlüsseln der Datenbank', 'error');
+            } finally {
+                hideLoading();
             }
-        };
-        input.click();
+
+            renderSettings(container);
+        }
     });
 }
 
@@ -0,0 +1,367 @@
+/**
+ * Sync Status Component
+ * Panel behind the top-bar sync button: state of every configured adapter
+ * with sync now, pause and full resync, and the state shown by the button
+ */
+
+import { getAdapters, getSelectedAdapter, getAdapterConfig, hasCapability } from '../adapters/registry.js';
+import { isSyncRunning, flush, resync, countPendingChanges } from '../sync.js';
+import { runNow, getLastRun, countPendingBackupChanges } from '../scheduler.js';
+import { formatDateTime } from '../models.js';
+import { appState, showToast, showConfirm } from '../state.js';
+import { showModal, closeModal } from './layout.js';
+import { showConflictDialog } from './conflicts.js';
+
+// State keys that change what the panel shows
+const WATCHED_KEYS = [
+    'syncAdapter',
+    'syncInProgress',
+    'lastSyncAt',
+    'syncError',
+    'syncConflicts',
+    'syncPaused',
+    'autoSync',
+    'settings'
+];
+
+const STATE_LABELS = {
+    local: 'Immer verfügbar',
+    inactive: 'Nicht ausgewählt',
+    signedOut: 'Nicht angemeldet',
+    paused: 'Pausiert',
+    offline: 'Offline',
+    syncing: 'Synchronisiert...',
+    error: 'Fehler',
+    connected: 'Verbunden'
+};
+
+// ========================================
+// Sync Button
+// ========================================
+
+/**
+ * State of the selected adapter for the sync button
+ * @returns {{state: 'idle'|'syncing'|'error'|'offline', label: string}}
+ */
+export function getSyncIndicator() {
+    const adapter = getSelectedAdapter();
+    const autoSync = appState.get('autoSync');
+
+    if (adapter.name === 'local') {
+        return { state: 'idle', label: 'Lokale Daten sind immer synchronisiert' };
+    }
+    if (appState.get('syncPaused')) {
+        return { state: 'idle', label: `${adapter.displayName}: pausiert` };
+    }
+    if (!navigator.onLine) {
+        return { state: 'offline', label: `${adapter.displayName}: offline` };
+    }
+    if (hasCapability(adapter, 'authRequired') && !adapter.isAuthenticated()) {
+        return { state: 'error', label: `${adapter.displayName}: nicht angemeldet` };
+    }
+    if (appState.get('syncInProgress') || (autoSync && autoSync.state === 'running')) {
+        return { state: 'syncing', label: `${adapter.displayName}: synchronisiert...` };
+    }
+    if (appState.get('syncError') || (autoSync && autoSync.state === 'error')) {
+        return { state: 'error', label: `${adapter.displayName}: Fehler beim Synchronisieren` };
+    }
+
+    return { state: 'idle', label: `${adapter.displayName}: synchronisiert` };
+}
+
+// ========================================
+// Status Panel
+// ========================================
+
+/**
+ * Show the sync status panel
+ * @returns {Promise<void>}
+ */
+export async function showSyncStatus() {
+    const content = document.createElement('div');
+    content.className = 'sync-status';
+
+    const overlay = showModal(content, { title: 'Synchronisierung' });
+
+    const update = () => {
+        if (!overlay.isConnected) {
+            unsubscribe();
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+            return;
+        }
+        renderStatus(content, overlay).catch(error => console.error('Rendering sync status failed:', error));
+    };
+
+    const unsubscribe = appState.subscribe((newState, oldState) => {
+        if (WATCHED_KEYS.some(key => newState[key] !== oldState[key])) {
+            update();
+        }
+    });
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+
+    await renderStatus(content, overlay);
+}
+
+/**
+ * Adapters shown in the panel: local storage, the selected adapter and
+ * adapters enabled in the settings
+ * @returns {Array<Object>}
+ */
+function getConfiguredAdapters() {
+    const selected = getSelectedAdapter();
+
+    return getAdapters().filter(adapter =>
+        adapter.name === 'local' ||
+        adapter === selected ||
+        getAdapterConfig(adapter.name).enabled
+    );
+}
+
+/**
+ * Collect what the panel shows for one adapter
+ * @param {Object} adapter
+ * @returns {Promise<Object>} - {state, account, lastSync, pending, error, errorAt, retryAt}
+ */
+async function getAdapterStatus(adapter) {
+    const status = adapter.getSyncStatus();
+    const selected = adapter === getSelectedAdapter();
+    const info = {
+        state: 'connected',
+        account: status.account || null,
+        lastSync: null,
+        pending: null,
+        error: null,
+        errorAt: null,
+        retryAt: null
+    };
+
+    if (adapter.name === 'local') {
+        info.state = 'local';
+        return info;
+    }
+
+    if (hasCapability(adapter, 'realtime')) {
+        if (selected) {
+            info.lastSync = status.lastSync;
+            info.pending = isSyncRunning() ? await countPendingChanges() : null;
+            info.error = appState.get('syncError');
+            info.errorAt = appState.get('syncErrorAt');
+        }
+    } else if (hasCapability(adapter, 'backup')) {
+        const lastRun = getLastRun(adapter.name);
+        const autoSync = appState.get('autoSync');
+
+        info.lastSync = lastRun.lastSuccessAt || status.lastSync;
+        if (getAdapterConfig(adapter.name).autoSync) {
+            info.pending = await countPendingBackupChanges(adapter.name);
+        }
+        if (lastRun.lastError && lastRun.lastErrorAt > (lastRun.lastSuccessAt || 0)) {
+            info.error = lastRun.lastError;
+            info.errorAt = lastRun.lastErrorAt;
+        }
+        if (autoSync && autoSync.adapter === adapter.name && autoSync.state === 'error') {
+            info.retryAt = autoSync.nextRunAt;
+        }
+    }
+
+    if (!selected) {
+        info.state = 'inactive';
+    } else if (hasCapability(adapter, 'authRequired') && !adapter.isAuthenticated()) {
+        info.state = 'signedOut';
+    } else if (appState.get('syncPaused')) {
+        info.state = 'paused';
+    } else if (!navigator.onLine) {
+        info.state = 'offline';
+    } else if (status.inProgress) {
+        info.state = 'syncing';
+    } else if (info.error) {
+        info.state = 'error';
+    }
+
+    return info;
+}
+
+/**
+ * Render the panel
+ * @param {HTMLElement} content - Dialog body
+ * @param {HTMLElement} overlay - Modal overlay
+ * @returns {Promise<void>}
+ */
+async function renderStatus(content, overlay) {
+    const adapters = getConfiguredAdapters();
+    const statuses = await Promise.all(adapters.map(getAdapterStatus));
+    const conflicts = appState.get('syncConflicts');
+
+    content.innerHTML = `
+        ${conflicts > 0 ? `
+            <div class="sync-status-conflicts">
+                <span>${conflicts} Sync-Konflikt(e) warten auf eine Entscheidung</span>
+                <button class="secondary-button" data-action="conflicts">Konflikte lösen</button>
+            </div>
+        ` : ''}
+        <ul class="sync-status-list">
+            ${adapters.map((adapter, i) => renderAdapter(adapter, statuses[i])).join('')}
+        </ul>
+    `;
+
+    const conflictsBtn = content.querySelector('[data-action="conflicts"]');
+    if (conflictsBtn) {
+        conflictsBtn.addEventListener('click', () => {
+            closeModal(overlay);
+            showConflictDialog();
+        });
+    }
+
+    const adapter = getSelectedAdapter();
+
+    content.querySelectorAll('[data-action="sync-now"]').forEach(button => {
+        button.addEventListener('click', () => syncNow(adapter, button));
+    });
+    content.querySelectorAll('[data-action="pause"]').forEach(button => {
+        button.addEventListener('click', () => {
+            const paused = !appState.get('syncPaused');
+            appState.setState({ syncPaused: paused });
+            showToast(paused ? 'Synchronisierung pausiert' : 'Synchronisierung fortgesetzt', 'info');
+        });
+    });
+    content.querySelectorAll('[data-action="resync"]').forEach(button => {
+        button.addEventListener('click', () => forceResync(button));
+    });
+}
+
+/**
+ * Render one adapter
+ * @param {Object} adapter
+ * @param {Object} info - See getAdapterStatus
+ * @returns {string} - HTML
+ */
+function renderAdapter(adapter, info) {
+    const selected = adapter === getSelectedAdapter();
+    const paused = appState.get('syncPaused');
+    const usable = info.state !== 'signedOut' && info.state !== 'offline';
+
+    const rows = [
+        info.account ? ['Konto', escapeHtml(info.account)] : null,
+        info.state !== 'local'
+            ? ['Zuletzt synchronisiert', info.lastSync ? formatDateTime(info.lastSync) : 'noch nie']
+            : null,
+        info.pending !== null
+            ? ['Ausstehende Änderungen', String(info.pending)]
+            : null
+    ].filter(Boolean);
+
+    return `
+        <li class="sync-status-item">
+            <div class="sync-status-heading">
+                <strong>${adapter.icon || ''} ${escapeHtml(adapter.displayName)}</strong>
+                <span class="sync-status-state state-${info.state}">${STATE_LABELS[info.state]}</span>
+            </div>
+            ${info.state === 'local' ? `
+                <small>Prompts liegen immer auf diesem Gerät (IndexedDB)</small>
+            ` : ''}
+            ${rows.length > 0 ? `
+                <dl class="sync-status-details">
+                    ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+                </dl>
+            ` : ''}
+            ${info.error ? `
+                <details class="sync-status-error">
+                    <summary>Letzter Fehler${info.errorAt ? ' · ' + formatDateTime(info.errorAt) : ''}</summary>
+                    <pre>${escapeHtml(info.error)}</pre>
+                    ${info.retryAt ? `<small>Nächster Versuch ${formatDateTime(info.retryAt)}</small>` : ''}
+                </details>
+            ` : ''}
+            ${selected && info.state !== 'local' ? `
+                <div class="sync-status-actions">
+                    <button class="primary-button" data-action="sync-now" ${usable && !paused ? '' : 'disabled'}>
+                        ${hasCapability(adapter, 'realtime') ? 'Jetzt synchronisieren' : 'Jetzt sichern'}
+                    </button>
+                    <button class="secondary-button" data-action="pause">${paused ? 'Fortsetzen' : 'Pausieren'}</button>
+                    ${hasCapability(adapter, 'realtime') ? `
+                        <button class="secondary-button" data-action="resync" ${usable && !paused ? '' : 'disabled'}>
+                            Vollständig neu synchronisieren
+                        </button>
+                    ` : ''}
+                </div>
+            ` : ''}
+        </li>
+    `;
+}
+
+// ========================================
+// Actions
+// ========================================
+
+/**
+ * Push pending changes (realtime) or write a backup now
+ * @param {Object} adapter - Selected adapter
+ * @param {HTMLButtonElement} button
+ * @returns {Promise<void>}
+ */
+async function syncNow(adapter, button) {
+    button.disabled = true;
+
+    try {
+        if (hasCapability(adapter, 'realtime')) {
+            if (!isSyncRunning()) {
+                showToast('Synchronisierung ist nicht aktiv', 'warning');
+                return;
+            }
+            await flush();
+        } else if (appState.get('autoSync')) {
+            // Recorded by the scheduler, errors end up in the panel
+            await runNow();
+        } else {
+            await adapter.backup(appState.get('settings').encryption.enabled);
+        }
+    } catch (error) {
+        console.error(`${adapter.displayName} sync failed:`, error);
+        showToast('Synchronisierung fehlgeschlagen: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Forget the sync bookkeeping and compare every record with the remote side again
+ * @param {HTMLButtonElement} button
+ * @returns {Promise<void>}
+ */
+async function forceResync(button) {
+    const confirmed = await showConfirm(
+        'Alle Prompts werden erneut mit dem Server abgeglichen. Abweichende Fassungen erscheinen als Konflikte.',
+        'Vollständig neu synchronisieren'
+    );
+    if (!confirmed) return;
+
+    button.disabled = true;
+
+    try {
+        await resync();
+        showToast('Vollständige Synchronisierung gestartet', 'info');
+    } catch (error) {
+        console.error('Full resync failed:', error);
+        showToast('Synchronisierung fehlgeschlagen: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Escape HTML
+ * @param {string} str - String to escape
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+export default {
+    getSyncIndicator,
+    showSyncStatus
+};
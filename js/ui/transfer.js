@@ -0,0 +1,168 @@
+/**
+ * Import/Export Component
+ * File export and import in the envelope format (see crypto.js)
+ */
+
+import { storage } from '../adapters/registry.js';
+import { sealEnvelope, parseEnvelope, openEnvelope } from '../crypto.js';
+import { generateExportFilename, formatDateTime, formatImportResult, ImportValidationError } from '../models.js';
+import { appState, showToast } from '../state.js';
+import { showModal, closeModal } from './layout.js';
+import { showImportPreview, showImportErrors } from './import.js';
+
+/**
+ * Build an export envelope of the whole database
+ * Encrypted when local encryption is enabled
+ * @returns {Promise<Object>}
+ */
+export async function createExportEnvelope() {
+    const data = await storage.exportData();
+    const encrypt = appState.get('settings').encryption.enabled;
+
+    return await sealEnvelope(data, {
+        promptCount: data.prompts.length,
+        versionCount: data.versions.length
+    }, encrypt);
+}
+
+/**
+ * Read export data from a file or backup, asking for a passphrase if needed
+ * @param {string} text - File content
+ * @returns {Promise<Object>} - Export data
+ */
+export async function readExportFile(text) {
+    const envelope = parseEnvelope(text);
+    return await openEnvelope(envelope, requestPassphrase);
+}
+
+/**
+ * Download the database as an export file
+ * @returns {Promise<void>}
+ */
+export async function exportToFile() {
+    try {
+        const envelope = await createExportEnvelope();
+        const json = JSON.stringify(envelope, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = generateExportFilename();
+        a.click();
+        URL.revokeObjectURL(url);
+        showToast(envelope.encrypted ? 'Verschlüsselter Export erfolgreich' : 'Export erfolgreich', 'success');
+    } catch (error) {
+        console.error('Export failed:', error);
+        showToast('Export fehlgeschlagen', 'error');
+    }
+}
+
+/**
+ * Pick an export file, preview it and import it with the user's choices
+ * @returns {Promise<Object|null>} - Import result, or null if nothing was imported
+ */
+export function importFromFile() {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const text = await file.text();
+                const data = await readExportFile(text);
+                const result = await showImportPreview(data);
+                if (!result) {
+                    throw new Error('Import cancelled');
+                }
+                showToast(`Import erfolgreich: ${formatImportResult(result)}`, result.conflicts ? 'warning' : 'success');
+                resolve(result);
+            } catch (error) {
+                if (error.message === 'Import cancelled') {
+                    showToast('Import abgebrochen', 'info');
+                } else if (error instanceof ImportValidationError) {
+                    showImportErrors(error);
+                } else {
+                    console.error('Import failed:', error);
+                    showToast('Import fehlgeschlagen', 'error');
+                }
+                resolve(null);
+            }
+        };
+        input.click();
+    });
+}
+
+/**
+ * Ask for the passphrase of an encrypted export (callback for openEnvelope)
+ * @param {number} attempt - 0 for the first request
+ * @param {Object} envelope - Parsed envelope (for metadata)
+ * @returns {Promise<string|null>} - Passphrase, or null if cancelled
+ */
+export function requestPassphrase(attempt, envelope) {
+    return new Promise(resolve => {
+        const { promptCount } = envelope.metadata || {};
+        const details = [
+            envelope.createdAt && `erstellt ${formatDateTime(envelope.createdAt)}`,
+            promptCount !== undefined && `${promptCount} Prompts`
+        ].filter(Boolean).join(', ');
+
+        const form = document.createElement('form');
+        form.className = 'unlock-form';
+        form.innerHTML = `
+            <p style="color: var(--fg-secondary);">
+                Diese Datei ist verschlüsselt${details ? ` (${details})` : ''}.
+                Gib das Passwort des Geräts ein, auf dem sie erstellt wurde.
+            </p>
+            <input type="password" autocomplete="current-password" placeholder="Passwort">
+            <p class="unlock-error" role="alert">${attempt > 0 ? 'Falsches Passwort' : ''}</p>
+        `;
+
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.gap = '0.75rem';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'secondary-button';
+        cancelBtn.type = 'button';
+        cancelBtn.textContent = 'Abbrechen';
+
+        const submitBtn = document.createElement('button');
+        submitBtn.className = 'primary-button';
+        submitBtn.type = 'button';
+        submitBtn.textContent = 'Entschlüsseln';
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(submitBtn);
+
+        const overlay = showModal(form, { title: 'Passwort erforderlich', footer });
+        const input = form.querySelector('input');
+
+        const finish = (value) => {
+            closeModal(overlay);
+            resolve(value);
+        };
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            finish(input.value);
+        });
+        submitBtn.onclick = () => finish(input.value);
+        cancelBtn.onclick = () => finish(null);
+
+        input.focus();
+    });
+}
+
+export default {
+    createExportEnvelope,
+    readExportFile,
+    exportToFile,
+    importFromFile,
+    requestPassphrase
+};
@@ -0,0 +1,271 @@
+/**
+ * Template Variables Component
+ * Variable metadata editor and fill-in dialog for placeholders
+ */
+
+import { parseTemplateVariables, validateTemplateValues, renderTemplate, TEMPLATE_VARIABLE_TYPES } from '../models.js';
+import { showToast } from '../state.js';
+import { showModal, closeModal } from './layout.js';
+
+const TYPE_LABELS = {
+    text: 'Text',
+    multiline: 'Mehrzeilig',
+    number: 'Zahl',
+    enum: 'Auswahl'
+};
+
+/**
+ * Render the variable metadata editor (editor tab)
+ * @param {string} content - Version content to parse placeholders from
+ * @param {Object} meta - Stored variable metadata of the prompt
+ * @returns {string} - HTML string
+ */
+export function renderVariablesEditor(content, meta = {}) {
+    const variables = parseTemplateVariables(content);
+
+    if (variables.length === 0) {
+        return `
+            <p style="color: var(--fg-tertiary); text-align: center; padding: 2rem;">
+                Keine Platzhalter gefunden. Nutze <code>[NAME]</code> oder <code>{{name}}</code> im Inhalt.
+            </p>
+        `;
+    }
+
+    return `
+        <div class="variable-list" id="editor-variables">
+            ${variables.map(({ name, occurrences }) => {
+                const config = meta[name] || {};
+                const type = config.type || 'text';
+                return `
+                    <div class="variable-item" data-variable="${escapeHtml(name)}">
+                        <h4>${escapeHtml(name)} <span class="tag-count">${occurrences}×</span></h4>
+                        <div class="variable-fields">
+                            <div class="settings-field">
+                                <label>Typ</label>
+                                <select data-field="type">
+                                    ${TEMPLATE_VARIABLE_TYPES.map(t => `
+                                        <option value="${t}" ${t === type ? 'selected' : ''}>${TYPE_LABELS[t]}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="settings-field">
+                                <label>Standardwert</label>
+                                <input type="text" data-field="default" value="${escapeHtml(config.default || '')}">
+                            </div>
+                            <div class="settings-field">
+                                <label>Auswahlwerte (kommagetrennt, nur für Auswahl)</label>
+                                <input type="text" data-field="choices" value="${escapeHtml((config.choices || []).join(', '))}">
+                            </div>
+                            <div class="settings-field">
+                                <label>Beschreibung</label>
+                                <input type="text" data-field="description" value="${escapeHtml(config.description || '')}">
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Read variable metadata from the editor tab
+ * @param {HTMLElement} container - Container holding the variables editor
+ * @returns {Object|null} - Metadata keyed by variable name, or null if the tab is not rendered
+ */
+export function readVariablesEditor(container) {
+    const list = container.querySelector('#editor-variables');
+    if (!list) return null;
+
+    const variables = {};
+
+    list.querySelectorAll('.variable-item').forEach(item => {
+        const field = (name) => item.querySelector(`[data-field="${name}"]`).value.trim();
+        const config = { type: field('type') };
+
+        if (field('default')) {
+            config.default = field('default');
+        }
+
+        if (field('description')) {
+            config.description = field('description');
+        }
+
+        if (config.type === 'enum') {
+            config.choices = field('choices')
+                .split(',')
+                .map(choice => choice.trim())
+                .filter(choice => choice.length > 0);
+        }
+
+        variables[item.dataset.variable] = config;
+    });
+
+    return variables;
+}
+
+/**
+ * Show fill-in dialog, validate values and copy the rendered prompt
+ * @param {string} content - Version content
+ * @param {Object} meta - Stored variable metadata of the prompt
+ */
+export function showTemplateDialog(content, meta = {}) {
+    const variables = parseTemplateVariables(content);
+
+    if (variables.length === 0) {
+        copyToClipboard(content);
+        return;
+    }
+
+    const form = document.createElement('form');
+    form.className = 'template-form';
+    form.innerHTML = `
+        ${variables.map(({ name }) => renderInput(name, meta[name] || {})).join('')}
+        <div class="settings-field">
+            <label>Vorschau</label>
+            <pre class="template-preview"></pre>
+        </div>
+    `;
+
+    const readValues = () => {
+        const values = {};
+        form.querySelectorAll('[data-variable]').forEach(input => {
+            values[input.dataset.variable] = input.value;
+        });
+        return values;
+    };
+
+    const updatePreview = () => {
+        form.querySelector('.template-preview').textContent = renderTemplate(content, readValues(), meta);
+    };
+
+    const footer = document.createElement('div');
+    footer.style.display = 'flex';
+    footer.style.gap = '0.75rem';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'secondary-button';
+    cancelBtn.type = 'button';
+    cancelBtn.textContent = 'Abbrechen';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'primary-button';
+    copyBtn.type = 'button';
+    copyBtn.textContent = 'Kopieren';
+
+    footer.appendChild(cancelBtn);
+    footer.appendChild(copyBtn);
+
+    const overlay = showModal(form, { title: 'Prompt verwenden', footer });
+
+    const submit = async () => {
+        const values = readValues();
+        const { valid, errors } = validateTemplateValues(variables, meta, values);
+
+        form.querySelectorAll('.field-error').forEach(el => {
+            el.textContent = errors[el.dataset.errorFor] || '';
+        });
+
+        if (!valid) {
+            showToast('Bitte alle Platzhalter korrekt ausfüllen', 'warning');
+            return;
+        }
+
+        const copied = await copyToClipboard(renderTemplate(content, values, meta));
+        if (copied) {
+            closeModal(overlay);
+        }
+    };
+
+    form.addEventListener('input', updatePreview);
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submit();
+    });
+    cancelBtn.onclick = () => closeModal(overlay);
+    copyBtn.onclick = submit;
+
+    updatePreview();
+    const firstInput = form.querySelector('[data-variable]');
+    if (firstInput) {
+        firstInput.focus();
+    }
+}
+
+/**
+ * Render a single form input for a variable
+ * @param {string} name - Variable name
+ * @param {Object} config - Variable metadata
+ * @returns {string} - HTML string
+ */
+function renderInput(name, config) {
+    const attrs = `data-variable="${escapeHtml(name)}" placeholder="${escapeHtml(config.default || '')}"`;
+    let input;
+
+    switch (config.type) {
+        case 'multiline':
+            input = `<textarea ${attrs} rows="4"></textarea>`;
+            break;
+        case 'number':
+            input = `<input type="number" step="any" ${attrs}>`;
+            break;
+        case 'enum':
+            input = `
+                <select ${attrs}>
+                    ${(config.choices || []).map(choice => `
+                        <option value="${escapeHtml(choice)}" ${choice === config.default ? 'selected' : ''}>${escapeHtml(choice)}</option>
+                    `).join('')}
+                </select>
+            `;
+            break;
+        default:
+            input = `<input type="text" ${attrs}>`;
+    }
+
+    return `
+        <div class="settings-field">
+            <label>${escapeHtml(name)}</label>
+            ${input}
+            ${config.description ? `<small style="color: var(--fg-tertiary);">${escapeHtml(config.description)}</small>` : ''}
+            <small class="field-error" data-error-for="${escapeHtml(name)}"></small>
+        </div>
+    `;
+}
+
+/**
+ * Copy text to clipboard
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>}
+ */
+async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        showToast('Prompt in die Zwischenablage kopiert', 'success');
+        return true;
+    } catch (error) {
+        console.error('Copy failed:', error);
+        showToast('Kopieren fehlgeschlagen', 'error');
+        return false;
+    }
+}
+
+/**
+ * Escape HTML
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+export default {
+    renderVariablesEditor,
+    readVariablesEditor,
+    showTemplateDialog
+};
@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/**
+ * Prompt Master Pro Sync Server
+ * Reference implementation of the REST sync protocol (see README.md in this
+ * folder) used by js/adapters/rest.js. No dependencies: Node.js >= 18.
+ *
+ * Every account is one JSON file in the data directory, holding the current
+ * state of each record (deleted records stay as tombstones) and a change
+ * counter that serves as the pull cursor.
+ *
+ * Configuration (environment):
+ *   PMP_TOKENS        "account=token,..." (required; several tokens may share an account)
+ *   PMP_DATA_DIR      Storage directory (default ./data)
+ *   PORT              Port (default 8787)
+ *   HOST              Interface (default 127.0.0.1, put a TLS proxy in front)
+ *   PMP_ALLOW_ORIGIN  Allowed origin for CORS (default *)
+ */
+
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const PROTOCOL_PREFIX = '/v1/';
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+const MAX_PUSH_CHANGES = 500;
+const DEFAULT_PULL_LIMIT = 500;
+const MAX_PULL_LIMIT = 1000;
+const ENTITIES = ['prompt', 'version'];
+
+/**
+ * Error answered with an HTTP status
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} message
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// ========================================
+// Configuration
+// ========================================
+
+/**
+ * Parse PMP_TOKENS
+ * @param {string} value - "account=token,..."
+ * @returns {Array<{account: string, hash: Buffer}>}
+ * @throws {Error} - If no token is configured or an entry is malformed
+ */
+export function parseTokens(value) {
+    const tokens = (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf('=');
+        const account = entry.slice(0, separator).trim();
+        const token = entry.slice(separator + 1).trim();
+
+        if (separator === -1 || !/^[\w.-]+$/.test(account) || !token) {
+            throw new Error(`Invalid PMP_TOKENS entry "${entry}" (expected account=token)`);
+        }
+        return { account, hash: hashToken(token) };
+    });
+
+    if (tokens.length === 0) {
+        throw new Error('PMP_TOKENS is required, e.g. PMP_TOKENS="team=$(openssl rand -hex 32)"');
+    }
+    return tokens;
+}
+
+/**
+ * @param {string} token
+ * @returns {Buffer} - SHA-256 (equal length for timing-safe comparison)
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest();
+}
+
+// ========================================
+// Storage
+// ========================================
+
+/**
+ * File-based store: one JSON file per account, cached in memory
+ * Writes of an account are serialized and replace the file atomically.
+ */
+export class FileStore {
+    /**
+     * @param {string} directory
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.accounts = new Map();
+        this.queues = new Map();
+    }
+
+    /**
+     * @param {string} account
+     * @returns {string}
+     */
+    getFile(account) {
+        return path.join(this.directory, `${account}.json`);
+    }
+
+    /**
+     * Load an account
+     * @param {string} account
+     * @returns {Promise<{seq: number, records: Object}>}
+     */
+    async load(account) {
+        if (!this.accounts.has(account)) {
+            let data = { seq: 0, records: {} };
+            try {
+                data = JSON.parse(await fs.readFile(this.getFile(account), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            this.accounts.set(account, data);
+        }
+        return this.accounts.get(account);
+    }
+
+    /**
+     * Run a change of an account after the previous ones and persist it
+     * @param {string} account
+     * @param {function(Object): *} change - Mutates the account data
+     * @returns {Promise<*>} - Result of change
+     */
+    update(account, change) {
+        const previous = this.queues.get(account) || Promise.resolve();
+
+        const next = previous.catch(() => {}).then(async () => {
+            const data = await this.load(account);
+            // Work on a copy: a failed write must not leave half-applied changes in memory
+            const draft = structuredClone(data);
+            const result = change(draft);
+
+            await fs.mkdir(this.directory, { recursive: true });
+            const file = this.getFile(account);
+            const temp = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(temp, JSON.stringify(draft));
+            await fs.rename(temp, file);
+
+            this.accounts.set(account, draft);
+            return result;
+        });
+
+        this.queues.set(account, next);
+        return next;
+    }
+}
+
+// ========================================
+// Protocol
+// ========================================
+
+/**
+ * Record as reported by GET /changes
+ * @param {Object} record - Stored record
+ * @returns {Object} - {entity, id, type, data, rev, deviceId, seq}
+ */
+function toChange(record) {
+    return {
+        entity: record.entity,
+        id: record.id,
+        type: record.deleted ? 'delete' : 'put',
+        data: record.deleted ? null : record.data,
+        rev: record.rev,
+        deviceId: record.deviceId,
+        seq: record.seq
+    };
+}
+
+/**
+ * GET /v1/changes?since=<cursor>&limit=<n>
+ * @param {Object} data - Account data
+ * @param {URLSearchParams} params
+ * @returns {Object} - {changes, cursor, hasMore}
+ */
+function pullChanges(data, params) {
+    const since = Number(params.get('since') || 0);
+    const limit = Math.min(Number(params.get('limit') || DEFAULT_PULL_LIMIT), MAX_PULL_LIMIT);
+
+    if (!Number.isInteger(since) || since < 0 || !Number.isInteger(limit) || limit < 1) {
+        throw new HttpError(400, 'since and limit must be non-negative integers');
+    }
+
+    const records = Object.values(data.records)
+        .filter(record => record.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+    const page = records.slice(0, limit);
+    const hasMore = records.length > limit;
+
+    return {
+        changes: page.map(toChange),
+        cursor: hasMore ? page[page.length - 1].seq : data.seq,
+        hasMore
+    };
+}
+
+/**
+ * Check a push request body
+ * @param {Object} body
+ * @throws {HttpError} - 400 with the first problem found
+ */
+function validatePush(body) {
+    if (!body || !Array.isArray(body.changes)) {
+        throw new HttpError(400, 'changes must be an array');
+    }
+    if (body.changes.length > MAX_PUSH_CHANGES) {
+        throw new HttpError(413, `At most ${MAX_PUSH_CHANGES} changes per request`);
+    }
+
+    body.changes.forEach((change, i) => {
+        const problem = getChangeProblem(change);
+        if (problem) {
+            throw new HttpError(400, `changes[${i}]: ${problem}`);
+        }
+    });
+}
+
+/**
+ * Check one pushed change
+ * @param {Object} change
+ * @returns {string|null} - Problem found
+ */
+function getChangeProblem(change) {
+    if (!change || typeof change !== 'object') {
+        return 'must be an object';
+    }
+    if (!ENTITIES.includes(change.entity)) {
+        return 'entity must be "prompt" or "version"';
+    }
+    if (typeof change.id !== 'string' || !change.id) {
+        return 'id is required';
+    }
+    if (change.type !== 'put' && change.type !== 'delete') {
+        return 'type must be "put" or "delete"';
+    }
+    if (change.baseRev !== null && change.baseRev !== undefined && !Number.isInteger(change.baseRev)) {
+        return 'baseRev must be an integer or null';
+    }
+    if (change.type === 'put' && (!change.data || typeof change.data !== 'object' || change.data.id !== change.id)) {
+        return 'data must be the record with the same id';
+    }
+    return null;
+}
+
+/**
+ * POST /v1/changes
+ * Prompts are only written when the stored revision is still baseRev,
+ * otherwise the stored copy is returned as a conflict. Versions are
+ * append-only and always written. Deleting a prompt deletes its versions.
+ * @param {Object} data - Account data (mutated)
+ * @param {Object} body - {deviceId, changes: [{entity, id, type, data, baseRev}]}
+ * @returns {Object} - {results: [{rev} | {conflict: {remote, remoteRev}}], cursor}
+ */
+function pushChanges(data, { deviceId = null, changes }) {
+    const write = (entity, id, fields) => {
+        const key = `${entity}:${id}`;
+        const current = data.records[key];
+        const rev = (current ? current.rev : 0) + 1;
+
+        data.seq++;
+        data.records[key] = { entity, id, rev, seq: data.seq, deviceId, deleted: false, data: null, ...fields };
+        return rev;
+    };
+
+    const results = changes.map(({ entity, id, type, data: record, baseRev = null }) => {
+        const current = data.records[`${entity}:${id}`];
+
+        if (entity === 'version') {
+            if (type === 'delete') {
+                return { rev: current && !current.deleted ? write(entity, id, { deleted: true }) : (current ? current.rev : 0) };
+            }
+            return { rev: write(entity, id, { data: record }) };
+        }
+
+        const currentRev = current ? current.rev : null;
+
+        if (type === 'delete') {
+            if (!current || current.deleted) {
+                return { rev: currentRev || 0 };
+            }
+            if (baseRev !== null && currentRev !== baseRev) {
+                return { conflict: { remote: current.data, remoteRev: currentRev } };
+            }
+
+            Object.values(data.records)
+                .filter(other => other.entity === 'version' && !other.deleted && other.data.promptId === id)
+                .forEach(version => write('version', version.id, { deleted: true }));
+            return { rev: write(entity, id, { deleted: true }) };
+        }
+
+        if (currentRev !== baseRev) {
+            return { conflict: { remote: current.deleted ? null : current.data, remoteRev: currentRev } };
+        }
+        return { rev: write(entity, id, { data: record }) };
+    });
+
+    return { results, cursor: data.seq };
+}
+
+// ========================================
+// HTTP
+// ========================================
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<Object>}
+ * @throws {HttpError} - 413 if too large, 400 if not JSON
+ */
+async function readJson(request) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            throw new HttpError(413, 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Request body is not valid JSON');
+    }
+}
+
+/**
+ * Create the request handler
+ * @param {Object} options
+ * @param {Array<{account: string, hash: Buffer}>} options.tokens
+ * @param {FileStore} options.store
+ * @param {string} options.allowOrigin
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<void>}
+ */
+export function createHandler({ tokens, store, allowOrigin }) {
+    const authenticate = (request) => {
+        const match = /^Bearer\s+(.+)$/i.exec(request.headers.authorization || '');
+        const hash = match ? hashToken(match[1].trim()) : null;
+        const entry = hash && tokens.find(candidate => crypto.timingSafeEqual(candidate.hash, hash));
+
+        if (!entry) {
+            throw new HttpError(401, 'Missing or invalid token');
+        }
+        return entry.account;
+    };
+
+    return async (request, response) => {
+        const send = (status, body) => {
+            response.writeHead(status, {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Cache-Control': 'no-store',
+                'Access-Control-Allow-Origin': allowOrigin,
+                'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Max-Age': '86400',
+                ...(allowOrigin !== '*' ? { Vary: 'Origin' } : {})
+            });
+            response.end(body === undefined ? undefined : JSON.stringify(body));
+        };
+
+        try {
+            if (request.method === 'OPTIONS') {
+                send(204);
+                return;
+            }
+
+            const url = new URL(request.url, 'http://localhost');
+            if (!url.pathname.startsWith(PROTOCOL_PREFIX)) {
+                throw new HttpError(404, 'Not found');
+            }
+
+            const route = `${request.method} ${url.pathname.slice(PROTOCOL_PREFIX.length)}`;
+            const account = authenticate(request);
+
+            if (route === 'GET account') {
+                const data = await store.load(account);
+                send(200, { account, cursor: data.seq });
+            } else if (route === 'GET changes') {
+                send(200, pullChanges(await store.load(account), url.searchParams));
+            } else if (route === 'POST changes') {
+                const body = await readJson(request);
+                validatePush(body);
+                send(200, await store.update(account, data => pushChanges(data, body)));
+            } else {
+                throw new HttpError(404, 'Not found');
+            }
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(`${request.method} ${request.url} failed:`, error);
+            }
+            send(error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal server error' });
+        }
+    };
+}
+
+// ========================================
+// Startup
+// ========================================
+
+// Started directly (not imported, e.g. by a test)
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+    try {
+        const tokens = parseTokens(process.env.PMP_TOKENS);
+        const store = new FileStore(path.resolve(process.env.PMP_DATA_DIR || 'data'));
+        const port = Number(process.env.PORT || 8787);
+        const host = process.env.HOST || '127.0.0.1';
+
+        http.createServer(createHandler({
+            tokens,
+            store,
+            allowOrigin: process.env.PMP_ALLOW_ORIGIN || '*'
+        })).listen(port, host, () => {
+            console.log(`Prompt Master Pro sync server listening on http://${host}:${port}${PROTOCOL_PREFIX}`);
+            console.log(`Data: ${store.directory}, accounts: ${[...new Set(tokens.map(t => t.account))].join(', ')}`);
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+export default {
+    parseTokens,
+    FileStore,
+    createHandler
+};
@@ -13,17 +13,36 @@ const ASSETS_TO_CACHE = [
     '/js/models.js',
     '/js/state.js',
     '/js/search.js',
+    '/js/query.js',
     '/js/crypto.js',
+    '/js/sync.js',
+    '/js/merge.js',
+    '/js/scheduler.js',
     '/js/pwa.js',
     '/js/ui/layout.js',
     '/js/ui/list.js',
     '/js/ui/editor.js',
     '/js/ui/diff.js',
+    '/js/ui/compare.js',
+    '/js/ui/variables.js',
+    '/js/ui/lock.js',
+    '/js/ui/transfer.js',
+    '/js/ui/import.js',
     '/js/ui/filters.js',
     '/js/ui/settings.js',
+    '/js/ui/conflicts.js',
+    '/js/ui/merge.js',
+    '/js/ui/backups.js',
+    '/js/ui/status.js',
+    '/js/adapters/registry.js',
+    '/js/adapters/backups.js',
     '/js/adapters/local.js',
     '/js/adapters/drive.js',
+    '/js/adapters/webdav.js',
     '/js/adapters/firebase.js',
+    '/js/adapters/folder.js',
+    '/js/adapters/markdown.js',
+    '/js/adapters/rest.js',
     '/lib/dexie.min.js',
     '/manifest.webmanifest',
     '/icons/icon-192.png',
@@ -80,6 +99,11 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
+    // Skip authenticated requests (e.g. a WebDAV folder on the same host)
+    if (event.request.method !== 'GET' || event.request.headers.has('Authorization')) {
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then((cachedResponse) => {
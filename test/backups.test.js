@@ -0,0 +1,155 @@
+/**
+ * Tests for the backup retention policy (js/adapters/backups.js) and its use in
+ * WebDAV pruning (js/adapters/webdav.js)
+ * Run with `npm test` (node:test, no browser needed)
+ */
+
+import './helpers/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RETENTION, selectExpiredBackups } from '../js/adapters/backups.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2025, 0, 31, 12, 0, 0);
+
+/**
+ * Backup info for a creation time
+ * @param {number} age - Milliseconds before NOW
+ * @returns {Object}
+ */
+function backup(age) {
+    return { id: `backup-${age}`, name: `backup-${age}.json`, createdAt: NOW - age };
+}
+
+/**
+ * One backup every `step` for `span`, newest first
+ * @param {number} step
+ * @param {number} span
+ * @returns {Array<Object>}
+ */
+function series(step, span) {
+    const backups = [];
+    for (let age = 0; age < span; age += step) {
+        backups.push(backup(age));
+    }
+    return backups;
+}
+
+/**
+ * IDs of the backups that survive pruning
+ * @param {Array<Object>} backups
+ * @param {Object} [policy]
+ * @returns {Array<string>}
+ */
+function kept(backups, policy) {
+    const expired = new Set(selectExpiredBackups(backups, policy, NOW));
+    return backups.filter(item => !expired.has(item)).map(item => item.id);
+}
+
+// ========================================
+// Default Policy
+// ========================================
+
+test('the default policy keeps one backup per hour for a day and per day for a month', () => {
+    // Every 30 minutes for 40 days
+    const backups = series(HOUR / 2, 40 * DAY);
+    const ages = kept(backups).map(id => Number(id.slice('backup-'.length)));
+    const recent = ages.filter(age => age < DEFAULT_RETENTION.keepHourly * HOUR);
+    const days = new Set(ages.map(age => Math.floor((NOW - age) / DAY)));
+
+    // A 24 hour window touches 25 hour slots, a 30 day window 31 days (both partly)
+    assert.equal(recent.length, DEFAULT_RETENTION.keepHourly + 1);
+    assert.equal(days.size, DEFAULT_RETENTION.keepDaily + 1);
+    assert.ok(ages.every(age => age < DEFAULT_RETENTION.keepDaily * DAY));
+});
+
+test('without a policy the defaults apply', () => {
+    const backups = series(HOUR / 2, 40 * DAY);
+
+    assert.deepEqual(kept(backups, undefined), kept(backups, DEFAULT_RETENTION));
+    assert.deepEqual(kept(backups, {}), kept(backups, DEFAULT_RETENTION));
+});
+
+test('the newest backup is always kept', () => {
+    const backups = [backup(90 * DAY), backup(120 * DAY)];
+
+    assert.deepEqual(kept(backups, { keepHourly: 1, keepDaily: 1 }), ['backup-7776000000']);
+});
+
+// ========================================
+// Empty and Invalid Counts
+// ========================================
+
+test('empty, zero and negative counts fall back to the defaults', () => {
+    const backups = series(HOUR / 2, 40 * DAY);
+    const expected = kept(backups, DEFAULT_RETENTION);
+
+    for (const value of [0, '', null, undefined, -5, '0', 'abc']) {
+        assert.deepEqual(kept(backups, { keepHourly: value, keepDaily: value }), expected, `value ${JSON.stringify(value)}`);
+    }
+});
+
+test('numeric strings from older settings are honored', () => {
+    const backups = series(HOUR / 2, 40 * DAY);
+
+    assert.deepEqual(kept(backups, { keepHourly: '2', keepDaily: '3' }), kept(backups, { keepHourly: 2, keepDaily: 3 }));
+});
+
+// ========================================
+// Slot Boundaries
+// ========================================
+
+test('only the newest backup of an hour slot is kept', () => {
+    // NOW is on the full hour: both backups fall into the previous hour
+    const backups = [backup(0), backup(10 * 60 * 1000), backup(50 * 60 * 1000)];
+
+    assert.deepEqual(kept(backups, { keepHourly: 2, keepDaily: 1 }), ['backup-0', 'backup-600000']);
+});
+
+test('a backup exactly keepHourly hours old is outside the hourly window', () => {
+    const backups = [backup(0), backup(3 * HOUR - 1), backup(3 * HOUR)];
+
+    // The daily window still keeps the newest backup of yesterday, so use one day
+    const survivors = kept(backups, { keepHourly: 3, keepDaily: 1 });
+
+    assert.ok(survivors.includes(`backup-${3 * HOUR - 1}`));
+    assert.ok(!survivors.includes(`backup-${3 * HOUR}`));
+});
+
+test('daily slots follow UTC days, not the age of the backup', () => {
+    // 11:00 today, 23:00 and 01:00 yesterday (UTC)
+    const backups = [backup(HOUR), backup(13 * HOUR), backup(35 * HOUR)];
+
+    assert.deepEqual(kept(backups, { keepHourly: 1, keepDaily: 2 }), [`backup-${HOUR}`, `backup-${13 * HOUR}`]);
+});
+
+// ========================================
+// WebDAV Pruning
+// ========================================
+
+test('WebDAV pruning with emptied retention fields keeps the default generations', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+    const { appState } = await import('../js/state.js');
+    const { default: webdav } = await import('../js/adapters/webdav.js');
+
+    const backups = series(HOUR / 2, 40 * DAY).map(item => ({ ...item, name: item.id }));
+    const deleted = [];
+    const index = Object.fromEntries(backups.map(item => [item.id, {}]));
+
+    t.mock.method(webdav, 'listBackups', async () => backups);
+    t.mock.method(webdav, 'request', async (method, name) => {
+        deleted.push(name);
+        return { status: 204 };
+    });
+    t.mock.method(webdav, 'updateIndex', async update => update(index));
+
+    // What the settings view used to store for empty fields
+    appState.updateSettings({ webdav: { keepHourly: 0, keepDaily: 0 } });
+
+    const expired = selectExpiredBackups(backups, DEFAULT_RETENTION, NOW).map(item => item.id);
+    assert.equal(await webdav.pruneBackups(), expired.length);
+    assert.deepEqual(deleted, expired);
+    assert.deepEqual(Object.keys(index), kept(backups, DEFAULT_RETENTION));
+});
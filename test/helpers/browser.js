@@ -0,0 +1,51 @@
+/**
+ * Minimal browser environment for tests of modules that touch IndexedDB,
+ * localStorage or the DOM at import time
+ * Import it before the modules under test.
+ */
+
+import 'fake-indexeddb/auto';
+import Dexie from 'dexie';
+
+/**
+ * In-memory localStorage
+ * @returns {Object}
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * BroadcastChannel that does not keep the test process alive
+ * (js/db.js opens one at import time)
+ */
+class TestBroadcastChannel extends BroadcastChannel {
+    constructor(name) {
+        super(name);
+        this.unref();
+    }
+}
+
+globalThis.Dexie = Dexie;
+globalThis.BroadcastChannel = TestBroadcastChannel;
+globalThis.window = globalThis;
+globalThis.innerWidth = 1024;
+globalThis.localStorage = createStorage();
+globalThis.addEventListener = () => {};
+globalThis.removeEventListener = () => {};
+Object.defineProperty(globalThis, 'navigator', {
+    value: { onLine: true, userAgent: 'node' },
+    configurable: true
+});
+globalThis.document = {
+    documentElement: { setAttribute() {} },
+    getElementById: () => null,
+    querySelector: () => null,
+    addEventListener() {}
+};
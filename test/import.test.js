@@ -0,0 +1,122 @@
+/**
+ * Tests for the import transaction (applyImport in js/db.js): cancellation
+ * and failures roll back everything
+ * Run with `npm test` (node:test, IndexedDB from fake-indexeddb)
+ */
+
+import './helpers/browser.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db, { applyImport, clearAllData, createPrompt, getAllPrompts } from '../js/db.js';
+import { EXPORT_VERSION } from '../js/models.js';
+
+const T = Date.UTC(2025, 0, 1);
+
+/**
+ * Export data with one version per prompt
+ * @param {number} count - Number of prompts (more than 500 need several write chunks)
+ * @returns {Object}
+ */
+function exportFile(count) {
+    const prompts = [];
+    const versions = [];
+
+    for (let i = 0; i < count; i++) {
+        prompts.push({ id: `p${i}`, title: `Prompt ${i}`, description: '', tags: ['import'], archived: false, createdAt: T, updatedAt: T });
+        versions.push({ id: `v${i}`, promptId: `p${i}`, version: 'v1', content: `Inhalt ${i}`, parentIds: [], createdAt: T, updatedAt: T });
+    }
+
+    return { version: EXPORT_VERSION, exportedAt: T, prompts, versions, tombstones: [] };
+}
+
+/**
+ * Contents of every table
+ * @returns {Promise<Object>}
+ */
+async function snapshot() {
+    const tables = {};
+    for (const table of db.tables) {
+        tables[table.name] = await table.toArray();
+    }
+    return tables;
+}
+
+beforeEach(async () => {
+    await clearAllData();
+    await createPrompt({ title: 'Lokal', description: '', tags: ['lokal'], content: 'Schon da' });
+});
+
+// ========================================
+// Cancellation and Failures
+// ========================================
+
+test('cancelling while records are written rolls back the whole import', async () => {
+    const before = await snapshot();
+    const controller = new AbortController();
+    const stages = [];
+
+    await assert.rejects(
+        applyImport(exportFile(600), {}, {
+            signal: controller.signal,
+            onProgress: (done, total, stage) => {
+                stages.push(stage);
+                // After the first chunk of 500 records
+                if (stage === 'write' && done >= 500) {
+                    controller.abort();
+                }
+            }
+        }),
+        error => error.name === 'AbortError'
+    );
+
+    assert.ok(stages.includes('write'));
+    assert.deepEqual(await snapshot(), before);
+});
+
+test('cancelling before the import starts writes nothing', async () => {
+    const before = await snapshot();
+
+    await assert.rejects(
+        applyImport(exportFile(3), {}, { signal: AbortSignal.abort() }),
+        error => error.name === 'AbortError'
+    );
+
+    assert.deepEqual(await snapshot(), before);
+});
+
+test('a failure while preparing rolls back the tombstones applied before', async () => {
+    const [local] = await getAllPrompts();
+    const before = await snapshot();
+    const data = exportFile(3);
+    data.tombstones.push({ entity: 'prompt', entityId: local.id, deletedAt: Date.now() + 1000 });
+
+    await assert.rejects(
+        applyImport(data, {}, {
+            onProgress: (done, total, stage) => {
+                if (stage === 'prepare' && done === 2) {
+                    throw new Error('Festplatte voll');
+                }
+            }
+        }),
+        /Festplatte voll/
+    );
+
+    assert.deepEqual(await snapshot(), before);
+});
+
+test('a dry run reports the result without writing', async () => {
+    const before = await snapshot();
+
+    const result = await applyImport(exportFile(3), {}, { dryRun: true });
+
+    assert.equal(result.imported, 3);
+    assert.deepEqual(await snapshot(), before);
+});
+
+test('a completed import writes every record', async () => {
+    const result = await applyImport(exportFile(600));
+
+    assert.equal(result.imported, 600);
+    assert.equal((await getAllPrompts()).length, 601);
+    assert.equal(await db.versions.count(), 601);
+});
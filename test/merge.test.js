@@ -0,0 +1,169 @@
+/**
+ * Tests for the three-way merge and the version history (js/merge.js)
+ * Run with `npm test` (node:test, no browser needed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { merge3, resolveMerge, getHeads, findMergeBase } from '../js/merge.js';
+
+// ========================================
+// Text Merge
+// ========================================
+
+test('merge3 combines changes in different places', () => {
+    const base = 'eins\nzwei\ndrei\nvier\nfünf';
+    const ours = 'EINS\nzwei\ndrei\nvier\nfünf';
+    const theirs = 'eins\nzwei\ndrei\nvier\nFÜNF';
+
+    const result = merge3(base, ours, theirs);
+
+    assert.equal(result.conflicts, 0);
+    assert.equal(result.text, 'EINS\nzwei\ndrei\nvier\nFÜNF');
+});
+
+test('merge3 keeps insertions and deletions of both sides', () => {
+    const base = 'a\nb\nc\nd\ne';
+    const ours = 'a\nneu\nb\nc\nd\ne';
+    const theirs = 'a\nb\nc\nd';
+
+    const result = merge3(base, ours, theirs);
+
+    assert.equal(result.conflicts, 0);
+    assert.equal(result.text, 'a\nneu\nb\nc\nd');
+});
+
+test('merge3 takes a change made on one side only', () => {
+    const base = 'a\nb\nc';
+
+    assert.equal(merge3(base, base, 'a\nB\nc').text, 'a\nB\nc');
+    assert.equal(merge3(base, 'a\nB\nc', base).text, 'a\nB\nc');
+});
+
+test('merge3 accepts the same change on both sides', () => {
+    const result = merge3('a\nb\nc', 'a\nB\nc', 'a\nB\nc');
+
+    assert.equal(result.conflicts, 0);
+    assert.equal(result.text, 'a\nB\nc');
+});
+
+test('merge3 handles empty texts', () => {
+    assert.equal(merge3('', '', '').text, '');
+    assert.equal(merge3('', 'neu', '').text, 'neu');
+
+    const result = merge3('', 'ours', 'theirs');
+    assert.equal(result.conflicts, 1);
+    assert.equal(result.text, null);
+});
+
+test('merge3 reports overlapping changes as a conflict', () => {
+    const result = merge3('a\nb\nc', 'a\nours\nc', 'a\ntheirs\nc');
+
+    assert.equal(result.conflicts, 1);
+    assert.equal(result.text, null);
+    assert.deepEqual(result.chunks, [
+        { type: 'ok', lines: ['a'] },
+        { type: 'conflict', base: ['b'], ours: ['ours'], theirs: ['theirs'] },
+        { type: 'ok', lines: ['c'] }
+    ]);
+});
+
+test('merge3 reports changes of adjacent lines as one conflict', () => {
+    const result = merge3('a\nb\nc\nd', 'a\nB\nc\nd', 'a\nb\nC\nd');
+
+    assert.equal(result.conflicts, 1);
+    assert.deepEqual(result.chunks[1], {
+        type: 'conflict',
+        base: ['b', 'c'],
+        ours: ['B', 'c'],
+        theirs: ['b', 'C']
+    });
+});
+
+test('merge3 separates conflicts by unchanged lines', () => {
+    const base = 'a\nb\nc\nd\ne';
+    const result = merge3(base, 'A1\nb\nc\nd\nE1', 'A2\nb\nc\nd\nE2');
+
+    assert.equal(result.conflicts, 2);
+    assert.deepEqual(result.chunks.map(chunk => chunk.type), ['conflict', 'ok', 'conflict']);
+});
+
+test('resolveMerge applies one choice per conflict', () => {
+    const { chunks } = merge3('a\nb\nc\nd\ne', 'A1\nb\nc\nd\nE1', 'A2\nb\nc\nd\nE2');
+
+    assert.equal(resolveMerge(chunks, ['ours', 'theirs']), 'A1\nb\nc\nd\nE2');
+    assert.equal(resolveMerge(chunks, ['both', 'ours']), 'A1\nA2\nb\nc\nd\nE1');
+});
+
+// ========================================
+// Version History
+// ========================================
+
+/**
+ * Build a version for the history tests
+ * @param {string} id
+ * @param {number} createdAt
+ * @param {Array<string>} [parentIds] - Omitted for versions from before parents were recorded
+ * @returns {Object}
+ */
+function version(id, createdAt, parentIds) {
+    return parentIds ? { id, createdAt, parentIds } : { id, createdAt };
+}
+
+test('getHeads returns the versions nothing was created from, newest first', () => {
+    const versions = [
+        version('root', 1, []),
+        version('a', 2, ['root']),
+        version('b', 3, ['root'])
+    ];
+
+    assert.deepEqual(getHeads(versions).map(v => v.id), ['b', 'a']);
+});
+
+test('getHeads follows creation time for versions without parents', () => {
+    const versions = [version('v1', 1), version('v2', 2), version('v3', 3)];
+
+    assert.deepEqual(getHeads(versions).map(v => v.id), ['v3']);
+});
+
+test('findMergeBase finds the fork point of two branches', () => {
+    const versions = [
+        version('root', 1, []),
+        version('fork', 2, ['root']),
+        version('a1', 3, ['fork']),
+        version('a2', 5, ['a1']),
+        version('b1', 4, ['fork'])
+    ];
+
+    assert.equal(findMergeBase(versions, 'a2', 'b1').id, 'fork');
+});
+
+test('findMergeBase of a version and its ancestor is the ancestor', () => {
+    const versions = [version('root', 1, []), version('child', 2, ['root'])];
+
+    assert.equal(findMergeBase(versions, 'child', 'root').id, 'root');
+});
+
+test('findMergeBase picks the newest common ancestor of a criss-cross merge', () => {
+    // a1 and b1 were merged both ways, then both sides were edited again
+    const versions = [
+        version('root', 1, []),
+        version('a1', 2, ['root']),
+        version('b1', 3, ['root']),
+        version('ma', 4, ['a1', 'b1']),
+        version('mb', 5, ['a1', 'b1']),
+        version('a2', 6, ['ma']),
+        version('b2', 7, ['mb'])
+    ];
+
+    const base = findMergeBase(versions, 'a2', 'b2');
+
+    assert.equal(base.id, 'b1');
+    assert.notEqual(base.id, 'root');
+});
+
+test('findMergeBase returns null for unrelated histories', () => {
+    const versions = [version('x', 1, []), version('y', 2, [])];
+
+    assert.equal(findMergeBase(versions, 'x', 'y'), null);
+});
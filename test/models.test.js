@@ -0,0 +1,288 @@
+/**
+ * Tests for the models and validators (js/models.js)
+ * Run with `npm test` (node:test, no browser needed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EXPORT_VERSION,
+    migrateExportData,
+    validateExportData,
+    parseTemplateVariables,
+    validateTemplateValues,
+    renderTemplate,
+    tokenize
+} from '../js/models.js';
+
+const T = Date.UTC(2025, 0, 1);
+
+/**
+ * Valid prompt record
+ * @param {Object} [fields] - Overrides
+ * @returns {Object}
+ */
+function prompt(fields = {}) {
+    return { id: 'p1', title: 'Zusammenfassung', description: '', tags: [], archived: false, createdAt: T, updatedAt: T, ...fields };
+}
+
+/**
+ * Valid version record
+ * @param {Object} [fields] - Overrides
+ * @returns {Object}
+ */
+function version(fields = {}) {
+    return { id: 'v1', promptId: 'p1', version: 'v1', content: 'Fasse zusammen: [TEXT]', createdAt: T, updatedAt: T, ...fields };
+}
+
+/**
+ * Export data of the current format version
+ * @param {Object} [fields] - Overrides
+ * @returns {Object}
+ */
+function exportFile(fields = {}) {
+    return { version: EXPORT_VERSION, exportedAt: T, prompts: [prompt()], versions: [version()], tombstones: [], ...fields };
+}
+
+// ========================================
+// Migration
+// ========================================
+
+test('a version 1 file is migrated to the current format', () => {
+    const v1 = {
+        version: 1,
+        exportedAt: T,
+        prompts: [{ id: 'p1', title: 'Alt', createdAt: T, updatedAt: T }],
+        versions: [version()]
+    };
+
+    const migrated = migrateExportData(v1);
+
+    assert.equal(migrated.version, EXPORT_VERSION);
+    assert.deepEqual(migrated.tombstones, []);
+    assert.deepEqual(migrated.prompts[0], { id: 'p1', title: 'Alt', description: '', tags: [], archived: false, createdAt: T, updatedAt: T });
+    assert.deepEqual(migrated.versions, v1.versions);
+    assert.deepEqual(validateExportData(migrated), { valid: true, errors: [] });
+
+    // The input is not changed
+    assert.equal(v1.version, 1);
+    assert.equal(v1.tombstones, undefined);
+});
+
+test('migration keeps fields a version 1 prompt already has', () => {
+    const migrated = migrateExportData({
+        version: 1,
+        prompts: [{ id: 'p1', title: 'Alt', tags: ['a'], archived: true }],
+        versions: [],
+        tombstones: [{ entity: 'prompt', entityId: 'p0', deletedAt: T }]
+    });
+
+    assert.deepEqual(migrated.prompts[0].tags, ['a']);
+    assert.equal(migrated.prompts[0].archived, true);
+    assert.equal(migrated.tombstones.length, 1);
+});
+
+test('current, unknown and future versions are not migrated', () => {
+    const current = exportFile();
+    assert.equal(migrateExportData(current), current);
+
+    for (const value of [EXPORT_VERSION + 1, 0, '1', 1.5, null]) {
+        const data = exportFile({ version: value });
+        assert.equal(migrateExportData(data), data, `version ${JSON.stringify(value)}`);
+    }
+
+    assert.equal(migrateExportData(null), null);
+});
+
+// ========================================
+// Format Version
+// ========================================
+
+test('a missing format version is rejected', () => {
+    const data = exportFile();
+    delete data.version;
+
+    assert.deepEqual(validateExportData(data), { valid: false, errors: ['Export format version is missing'] });
+});
+
+test('unknown format versions are rejected', () => {
+    for (const value of [0, -1, 1.5, '2', null]) {
+        assert.deepEqual(
+            validateExportData(exportFile({ version: value })),
+            { valid: false, errors: [`Unknown export format version ${JSON.stringify(value)}`] },
+            `version ${JSON.stringify(value)}`
+        );
+    }
+});
+
+test('a future format version asks for an app update', () => {
+    const result = validateExportData(exportFile({ version: EXPORT_VERSION + 1 }));
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, [
+        `Export format version ${EXPORT_VERSION + 1} is newer than supported (${EXPORT_VERSION}), please update the app`
+    ]);
+});
+
+test('data that is not an object or lacks the record arrays is rejected', () => {
+    assert.deepEqual(validateExportData([]).errors, ['Import data must be an object']);
+    assert.deepEqual(validateExportData(exportFile({ prompts: {}, tombstones: undefined })).errors, [
+        '"prompts" must be an array',
+        '"tombstones" must be an array'
+    ]);
+});
+
+// ========================================
+// Records
+// ========================================
+
+test('a valid file has no errors', () => {
+    assert.deepEqual(validateExportData(exportFile()), { valid: true, errors: [] });
+});
+
+test('duplicate prompt and version IDs are reported', () => {
+    const result = validateExportData(exportFile({
+        prompts: [prompt(), prompt({ title: 'Kopie' })],
+        versions: [version(), version({ version: 'v2' })]
+    }));
+
+    assert.deepEqual(result.errors, [
+        'Prompt 2 "Kopie": Duplicate ID p1',
+        'Version 2 (v2): Duplicate ID v1'
+    ]);
+});
+
+test('prompts and versions may share an ID', () => {
+    const result = validateExportData(exportFile({ versions: [version({ id: 'p1' })] }));
+
+    assert.equal(result.valid, true);
+});
+
+test('a version of a prompt missing from the file is reported', () => {
+    const result = validateExportData(exportFile({
+        versions: [version(), version({ id: 'v2', promptId: 'p9', version: 'v1' })]
+    }));
+
+    assert.deepEqual(result.errors, ['Version 2 (v1): Belongs to prompt p9, which is not in the file']);
+});
+
+test('every problem of a malformed record is listed with the record name', () => {
+    const result = validateExportData(exportFile({
+        prompts: [prompt({ id: 7, title: '', tags: 'a, b', createdAt: 'gestern', archived: 'ja' })],
+        versions: [version({ promptId: 7, content: null, version: 2, parentIds: ['v0', 3], updatedAt: NaN })],
+        tombstones: [{ entity: 'tag', entityId: '', deletedAt: 'heute' }, 'p1']
+    }));
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, [
+        'Prompt 1: ID is required and must be a string',
+        'Prompt 1: Title is required and must be a string',
+        'Prompt 1: Tags must be an array',
+        'Prompt 1: createdAt must be a timestamp',
+        'Prompt 1: Archived must be a boolean',
+        'Version 1: Prompt ID is required and must be a string',
+        'Version 1: Content must be a string',
+        'Version 1: updatedAt must be a timestamp',
+        'Version 1: Version must be a string',
+        'Version 1: Parent IDs must be an array of strings',
+        'Deletion 1: Unknown entity "tag"',
+        'Deletion 1: ID is required and must be a string',
+        'Deletion 1: Deletion time must be a timestamp',
+        'Deletion 2: Must be an object'
+    ]);
+});
+
+test('records that are not objects are reported by position', () => {
+    const result = validateExportData(exportFile({ prompts: [prompt(), null], versions: ['v1'] }));
+
+    assert.deepEqual(result.errors, ['Prompt 2: Must be an object', 'Version 1: Must be an object']);
+});
+
+// ========================================
+// Search Tokens
+// ========================================
+
+test('tokenize lower-cases and keeps letters and digits of all scripts', () => {
+    assert.deepEqual(tokenize('Größe ÄNDERN, café-Menü: 2024 Привет 東京 ελληνικά'), [
+        'größe', 'ändern', 'café', 'menü', '2024', 'привет', '東京', 'ελληνικά'
+    ]);
+});
+
+test('tokenize drops punctuation and tokens shorter than two characters', () => {
+    assert.deepEqual(tokenize('a, b! ab. x-y (c) z9 "Ok"'), ['ab', 'z9', 'ok']);
+    assert.deepEqual(tokenize('  \n\t '), []);
+    assert.deepEqual(tokenize(''), []);
+    assert.deepEqual(tokenize(null), []);
+    assert.deepEqual(tokenize(42), []);
+});
+
+// ========================================
+// Template Variables
+// ========================================
+
+test('parseTemplateVariables finds [NAME] and {{name}} placeholders in order', () => {
+    const content = 'Schreibe über [THEMA] im Stil {{ stil }}. [THEMA] bleibt, {{stil}} auch.';
+
+    assert.deepEqual(parseTemplateVariables(content), [
+        { name: 'THEMA', syntax: 'bracket', occurrences: 2 },
+        { name: 'stil', syntax: 'mustache', occurrences: 2 }
+    ]);
+});
+
+test('parseTemplateVariables ignores links, checkboxes and footnotes', () => {
+    const content = '- [ ] offen\n- [x] erledigt\n[Link](https://example.com) und Fußnote [1], aber [ZIEL GRUPPE] und [ÄRA]';
+
+    assert.deepEqual(parseTemplateVariables(content).map(variable => variable.name), ['ZIEL GRUPPE', 'ÄRA']);
+    assert.deepEqual(parseTemplateVariables(''), []);
+    assert.deepEqual(parseTemplateVariables(null), []);
+});
+
+test('validateTemplateValues requires a value or a default', () => {
+    const variables = parseTemplateVariables('[NAME] {{ort}} {{gruß}}');
+    const meta = { gruß: { default: 'Hallo' } };
+
+    assert.deepEqual(validateTemplateValues(variables, meta, { NAME: 'Ada', ort: '  ' }), {
+        valid: false,
+        errors: { ort: 'Wert erforderlich' }
+    });
+    assert.deepEqual(validateTemplateValues(variables, meta, { NAME: 'Ada', ort: 'Berlin' }), { valid: true, errors: {} });
+});
+
+test('validateTemplateValues checks number and enum values', () => {
+    const variables = parseTemplateVariables('{{anzahl}} [TON]');
+    const meta = {
+        anzahl: { type: 'number' },
+        TON: { type: 'enum', choices: ['formell', 'locker'] }
+    };
+
+    assert.deepEqual(validateTemplateValues(variables, meta, { anzahl: 'drei', TON: 'frech' }).errors, {
+        anzahl: 'Muss eine Zahl sein',
+        TON: 'Ungültige Auswahl'
+    });
+    assert.equal(validateTemplateValues(variables, meta, { anzahl: '3.5', TON: 'locker' }).valid, true);
+});
+
+test('validateTemplateValues checks defaults like entered values', () => {
+    const variables = parseTemplateVariables('{{anzahl}} [TON]');
+    const meta = {
+        anzahl: { type: 'number', default: '5' },
+        TON: { type: 'enum', choices: ['formell'], default: 'locker' }
+    };
+
+    assert.deepEqual(validateTemplateValues(variables, meta, {}).errors, { TON: 'Ungültige Auswahl' });
+});
+
+test('renderTemplate fills in both syntaxes, using defaults for empty values', () => {
+    const content = 'Hallo [NAME], willkommen in {{ ort }}. Grüße, [NAME]';
+
+    assert.equal(
+        renderTemplate(content, { NAME: 'Ada', ort: '' }, { ort: { default: 'Berlin' } }),
+        'Hallo Ada, willkommen in Berlin. Grüße, Ada'
+    );
+});
+
+test('renderTemplate leaves placeholders without value or default untouched', () => {
+    assert.equal(renderTemplate('[NAME] in {{ort}}', { NAME: 'Ada' }), 'Ada in {{ort}}');
+    assert.equal(renderTemplate('{{anzahl}} Punkte', { anzahl: 0 }), '0 Punkte');
+    assert.equal(renderTemplate(''), '');
+});
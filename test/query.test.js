@@ -0,0 +1,118 @@
+/**
+ * Tests for the search query parser (js/query.js)
+ * Run with `npm test` (node:test, no browser needed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery, collectTerms, queryHasTerm } from '../js/query.js';
+
+/**
+ * Parse a query that must be valid
+ * @param {string} input
+ * @returns {Object} - Query tree
+ */
+function parse(input) {
+    const result = parseSearchQuery(input);
+    assert.equal(result.valid, true, result.errors[0]);
+    return result.query;
+}
+
+/**
+ * Parse a query that must be invalid
+ * @param {string} input
+ * @returns {string} - First error message
+ */
+function parseError(input) {
+    const result = parseSearchQuery(input);
+    assert.equal(result.valid, false, `"${input}" should be invalid`);
+    assert.equal(result.query, null);
+    return result.errors[0];
+}
+
+// ========================================
+// Valid Queries
+// ========================================
+
+test('empty queries are valid and match everything', () => {
+    assert.deepEqual(parseSearchQuery(''), { valid: true, errors: [], query: null });
+    assert.deepEqual(parseSearchQuery('   '), { valid: true, errors: [], query: null });
+});
+
+test('words are combined with AND', () => {
+    const query = parse('Foo bar');
+
+    assert.equal(query.type, 'and');
+    assert.deepEqual(query.children.map(term => term.value), ['foo', 'bar']);
+    assert.ok(query.children.every(term => term.field === null && term.valueType === 'word'));
+});
+
+test('OR binds weaker than AND, parentheses and negation', () => {
+    const query = parse('tag:seo OR (title:x -y)');
+
+    assert.equal(query.type, 'or');
+    assert.equal(query.children[0].field, 'tag');
+    assert.equal(query.children[1].type, 'and');
+    assert.equal(query.children[1].children[1].type, 'not');
+    assert.equal(query.children[1].children[1].child.value, 'y');
+});
+
+test('phrases, regexes, dates and versions are typed', () => {
+    assert.equal(parse('"code review"').valueType, 'phrase');
+    assert.equal(parse('"code review"').value, 'code review');
+
+    const regex = parse('content:/ab+c/');
+    assert.equal(regex.valueType, 'regex');
+    assert.ok(regex.value instanceof RegExp);
+
+    const date = parse('updated:>=2026-01-01');
+    assert.equal(date.valueType, 'date');
+    assert.equal(date.op, '>=');
+    assert.equal(typeof date.value, 'number');
+
+    const versions = parse('version:>3');
+    assert.deepEqual([versions.op, versions.value, versions.valueType], ['>', 3, 'number']);
+});
+
+test('field aliases map to their field', () => {
+    assert.equal(parse('tags:seo').field, 'tag');
+    assert.equal(parse('desc:x').field, 'description');
+    assert.equal(parse('modified:>7d').field, 'updated');
+});
+
+test('collectTerms and queryHasTerm walk the whole tree', () => {
+    const query = parse('a OR (tag:b -is:archived)');
+
+    assert.deepEqual(collectTerms(query).map(term => term.field), [null, 'tag', 'is']);
+    assert.equal(queryHasTerm(query, term => term.field === 'is' && term.value === 'archived'), true);
+    assert.equal(queryHasTerm(query, term => term.field === 'content'), false);
+});
+
+// ========================================
+// Error Positions
+// ========================================
+
+test('errors name the position of the offending character', () => {
+    const cases = [
+        ['foo)', 'Zeichen 4: Unerwartete ")"'],
+        ['tag:', 'Zeichen 1: Wert fehlt'],
+        ['title:"abc', 'Zeichen 7: Nicht geschlossenes Anführungszeichen'],
+        ['content:/ab', 'Zeichen 9: Nicht geschlossener regulärer Ausdruck'],
+        ['bogus:x', 'Zeichen 1: Unbekanntes Feld "bogus"'],
+        ['tag:seo bogus:x', 'Zeichen 9: Unbekanntes Feld "bogus"'],
+        ['(foo', 'Zeichen 1: Fehlende ")"'],
+        ['foo OR', 'Zeichen 5: Ausdruck erwartet']
+    ];
+
+    for (const [input, message] of cases) {
+        assert.equal(parseError(input), message, input);
+    }
+});
+
+test('invalid values are reported at their term', () => {
+    assert.match(parseError('content:/(/'), /^Zeichen 9: Ungültiger regulärer Ausdruck/);
+    assert.equal(parseError('title:>5'), 'Zeichen 1: Vergleich ">" ist nur für Datum und Version möglich');
+    assert.match(parseError('a updated:>gestern'), /^Zeichen 3: Ungültiges Datum "gestern"/);
+    assert.equal(parseError('version:>x'), 'Zeichen 1: Ungültige Versionsnummer "x"');
+    assert.match(parseError('is:foo'), /^Zeichen 1: Unbekannter Wert für is: "foo"/);
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for pushing conflicted prompts (js/sync.js)
+ * Run with `npm test` (node:test, IndexedDB from fake-indexeddb)
+ */
+
+import './helpers/browser.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../js/db.js';
+import { SyncConflictError, startSync, stopSync, flush, resolveConflict } from '../js/sync.js';
+
+/**
+ * Realtime adapter keeping the remote side in memory
+ * @returns {Object}
+ */
+function createRemote() {
+    return {
+        name: 'test',
+        prompts: new Map(),
+        deletes: [],
+        conflictOnDelete: null,
+
+        observeRemoteChanges() {},
+        stopListening() {},
+
+        async pushPrompt(prompt, baseRev) {
+            const current = this.prompts.get(prompt.id);
+            if (current && current.rev !== baseRev) {
+                throw new SyncConflictError(current.prompt, current.rev);
+            }
+            const rev = (current ? current.rev : 0) + 1;
+            this.prompts.set(prompt.id, { prompt, rev });
+            return rev;
+        },
+
+        async pushVersion() {
+            return 1;
+        },
+
+        async deleteRemote(entity, id, baseRev) {
+            if (this.conflictOnDelete) throw this.conflictOnDelete;
+            this.deletes.push({ entity, id, baseRev });
+            if (entity === 'prompt') this.prompts.delete(id);
+        }
+    };
+}
+
+let remote;
+
+beforeEach(async () => {
+    stopSync();
+    await db.clearAllData();
+    localStorage.clear();
+
+    remote = createRemote();
+    await startSync(remote);
+});
+
+afterEach(() => {
+    stopSync();
+});
+
+/**
+ * Create a synced prompt and put it into conflict with a newer remote copy
+ * @returns {Promise<string>} - Prompt ID
+ */
+async function createConflictedPrompt() {
+    const id = await db.createPrompt({ title: 'Geteilt', description: '', tags: [], content: 'Inhalt' });
+    await flush();
+
+    const remoteCopy = { ...await db.getPrompt(id), title: 'Anderswo geändert' };
+    remote.prompts.set(id, { prompt: remoteCopy, rev: 2 });
+    await db.saveSyncConflict(id, remoteCopy, 2);
+
+    return id;
+}
+
+// ========================================
+// Deleted During a Conflict
+// ========================================
+
+test('a prompt deleted during a conflict is not pushed until the conflict is resolved', async () => {
+    const id = await createConflictedPrompt();
+
+    await db.deletePrompt(id, true);
+    await flush();
+
+    assert.deepEqual(remote.deletes.filter(entry => entry.entity === 'prompt'), []);
+    assert.ok(remote.prompts.has(id));
+});
+
+test('keeping the local side deletes the remote copy on top of its revision', async () => {
+    const id = await createConflictedPrompt();
+    await db.deletePrompt(id, true);
+    await flush();
+
+    await resolveConflict(id, 'local');
+
+    assert.deepEqual(remote.deletes.filter(entry => entry.entity === 'prompt'), [{ entity: 'prompt', id, baseRev: 2 }]);
+    assert.ok(!remote.prompts.has(id));
+    assert.deepEqual(await db.getSyncConflicts(), []);
+    assert.equal(await db.getSyncedRevision('prompt', id), null);
+});
+
+test('a remote change during the resolution replaces the conflict', async () => {
+    const id = await createConflictedPrompt();
+    await db.deletePrompt(id, true);
+    await flush();
+
+    const newer = { ...remote.prompts.get(id).prompt, title: 'Nochmal geändert' };
+    remote.conflictOnDelete = new SyncConflictError(newer, 3);
+
+    await resolveConflict(id, 'local');
+
+    const conflicts = await db.getSyncConflicts();
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].remoteRev, 3);
+    assert.equal(conflicts[0].remote.title, 'Nochmal geändert');
+});
+
+test('keeping the local side of an existing prompt pushes it on top of the remote revision', async () => {
+    const id = await createConflictedPrompt();
+
+    await resolveConflict(id, 'local');
+    await flush();
+
+    assert.equal(remote.prompts.get(id).rev, 3);
+    assert.equal(remote.prompts.get(id).prompt.title, 'Geteilt');
+    assert.deepEqual(await db.getSyncConflicts(), []);
+});